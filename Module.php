@@ -24,6 +24,8 @@ use WebMCP\Form\ConfigForm;
  * /admin/webmcp/proxy, which uses Omeka\ApiManager internally, so they run
  * inside Omeka-S's own request lifecycle and respect the authenticated PHP
  * session — bypassing any JWT middleware that would block direct /api/* calls.
+ * Write operations are recorded in an audit log browsable under
+ * /admin/webmcp/audit.
  */
 class Module extends AbstractModule
 {
@@ -40,22 +42,57 @@ class Module extends AbstractModule
     /**
      * Execute logic when the module is installed.
      *
+     * Creates the webmcp_audit_log table.
+     *
      * @param ServiceLocatorInterface $serviceLocator
      */
     public function install(ServiceLocatorInterface $serviceLocator): void
     {
+        $connection = $serviceLocator->get('Omeka\Connection');
+        $connection->executeStatement(file_get_contents(__DIR__ . '/data/install/schema.sql'));
+
         $messenger = new Messenger();
         $message = new Message("WebMCP module installed.");
         $messenger->addSuccess($message);
     }
 
+    /**
+     * Execute logic when the module is upgraded.
+     *
+     * Creates the audit log table for installs that predate it and adds the
+     * undo columns (snapshot, reverted) to tables created without them. Both
+     * steps are idempotent, so they run on every upgrade.
+     *
+     * @param string                  $oldVersion
+     * @param string                  $newVersion
+     * @param ServiceLocatorInterface $serviceLocator
+     */
+    public function upgrade($oldVersion, $newVersion, ServiceLocatorInterface $serviceLocator): void
+    {
+        $connection = $serviceLocator->get('Omeka\Connection');
+        $connection->executeStatement(file_get_contents(__DIR__ . '/data/install/schema.sql'));
+
+        $columns = $connection->executeQuery('SHOW COLUMNS FROM webmcp_audit_log')->fetchFirstColumn();
+        if (!in_array('snapshot', $columns, true)) {
+            $connection->executeStatement(
+                'ALTER TABLE webmcp_audit_log ADD snapshot LONGTEXT DEFAULT NULL AFTER changes,'
+                . ' ADD reverted DATETIME DEFAULT NULL'
+            );
+        }
+    }
+
     /**
      * Execute logic when the module is uninstalled.
      *
+     * Drops the webmcp_audit_log table.
+     *
      * @param ServiceLocatorInterface $serviceLocator
      */
     public function uninstall(ServiceLocatorInterface $serviceLocator): void
     {
+        $connection = $serviceLocator->get('Omeka\Connection');
+        $connection->executeStatement('DROP TABLE IF EXISTS webmcp_audit_log');
+
         $messenger = new Messenger();
         $message = new Message("WebMCP module uninstalled.");
         $messenger->addWarning($message);
@@ -120,24 +157,25 @@ class Module extends AbstractModule
         $proxyUrl   = $view->url('admin/webmcp-proxy');
 
         $jsConfig     = $groups + [
-            'csrf_token' => $csrfToken,
-            'proxy_url'  => $proxyUrl,
+            'csrf_token'       => $csrfToken,
+            'proxy_url'        => $proxyUrl,
+            'max_results'      => max(1, (int) $settings->get('webmcp_max_results', 500)),
+            'batch_chunk_size' => max(1, (int) $settings->get('webmcp_batch_chunk_size', 50)),
         ];
         $configJson   = json_encode($jsConfig);
 
+        $view->headScript()->appendScript("window.WebMCPConfig = {$configJson};");
+
+        // The shared client must load first: both other scripts depend on it.
         // Append mtime-based cache-bust so browsers always load the latest
         // version of the JS after module updates.
-        $assetDir   = __DIR__ . '/asset/js/';
-        $vResources = @filemtime($assetDir . 'webmcp-resources.js') ?: 0;
-        $vMain      = @filemtime($assetDir . 'webmcp.js')           ?: 0;
-
-        $view->headScript()->appendScript("window.WebMCPConfig = {$configJson};");
-        $view->headScript()->appendFile(
-            $view->assetUrl('js/webmcp-resources.js', 'WebMCP') . '?v=' . $vResources
-        );
-        $view->headScript()->appendFile(
-            $view->assetUrl('js/webmcp.js', 'WebMCP') . '?v=' . $vMain
-        );
+        $assetDir = __DIR__ . '/asset/js/';
+        foreach (['webmcp-client.js', 'webmcp-resources.js', 'webmcp.js'] as $script) {
+            $version = @filemtime($assetDir . $script) ?: 0;
+            $view->headScript()->appendFile(
+                $view->assetUrl('js/' . $script, 'WebMCP') . '?v=' . $version
+            );
+        }
     }
 
     /**
@@ -162,6 +200,9 @@ class Module extends AbstractModule
             'webmcp_enable_users'        => $settings->get('webmcp_enable_users', true)        ? '1' : '0',
             'webmcp_enable_vocabularies' => $settings->get('webmcp_enable_vocabularies', true) ? '1' : '0',
             'webmcp_enable_bulk'         => $settings->get('webmcp_enable_bulk', true)         ? '1' : '0',
+            'webmcp_max_results'         => (string) $settings->get('webmcp_max_results', 500),
+            'webmcp_batch_chunk_size'    => (string) $settings->get('webmcp_batch_chunk_size', 50),
+            'webmcp_media_max_size'      => (string) $settings->get('webmcp_media_max_size', 100),
         ]);
 
         return $renderer->formCollection($form, false);
@@ -186,5 +227,8 @@ class Module extends AbstractModule
         $settings->set('webmcp_enable_users', ($config['webmcp_enable_users']        ?? '0') === '1');
         $settings->set('webmcp_enable_vocabularies', ($config['webmcp_enable_vocabularies'] ?? '0') === '1');
         $settings->set('webmcp_enable_bulk', ($config['webmcp_enable_bulk']         ?? '0') === '1');
+        $settings->set('webmcp_max_results', max(1, (int) ($config['webmcp_max_results'] ?? 500)));
+        $settings->set('webmcp_batch_chunk_size', max(1, (int) ($config['webmcp_batch_chunk_size'] ?? 50)));
+        $settings->set('webmcp_media_max_size', max(1, (int) ($config['webmcp_media_max_size'] ?? 100)));
     }
 }
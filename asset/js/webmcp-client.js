@@ -0,0 +1,1637 @@
+/**
+ * Shared proxy client for the WebMCP tool and resource scripts.
+ *
+ * Both webmcp.js and webmcp-resources.js talk to the server-side proxy at
+ * /admin/webmcp/proxy through a single OmekaMCPClient, so CSRF handling,
+ * error reporting and role detection live in one place. This file must be
+ * loaded before either of them.
+ *
+ * @see https://webmachinelearning.github.io/webmcp/
+ */
+
+'use strict';
+
+(function () {
+    /**
+     * Error raised when the proxy rejects a request or returns an error payload.
+     *
+     * `status` is the HTTP status code (0 for network failures), `details`
+     * carries the optional server-side detail string, `code` the optional
+     * machine-readable error code (e.g. 'invalid_csrf'), `fields` the
+     * per-field problems of an 'invalid_fields' error and `duplicates` the
+     * matching resources of a 'duplicate' error.
+     */
+    class OmekaMCPError extends Error {
+        /**
+         * @param {string} message
+         * @param {{status?: number, details?: string|null, code?: string|null, fields?: Array|null, duplicates?: Array|null, source?: Object|null}} [info]
+         */
+        constructor(message, info = {}) {
+            super(message);
+            this.name       = 'OmekaMCPError';
+            this.status     = info.status     || 0;
+            this.details    = info.details    || null;
+            this.code       = info.code       || null;
+            this.fields     = info.fields     || null;
+            this.duplicates = info.duplicates || null;
+            this.source     = info.source     || null;
+        }
+    }
+
+    /**
+     * Memoized promise for the current user, shared by every client instance
+     * so the #user-bar lookup runs at most once per page.
+     *
+     * @type {Promise<Object|null>|null}
+     */
+    let currentUserPromise = null;
+
+    /**
+     * In-flight CSRF token refresh, shared by every client instance.
+     *
+     * @type {Promise<string>|null}
+     */
+    let csrfRefreshPromise = null;
+
+    /**
+     * Proxy operations that accept "dry_run": true.
+     *
+     * @type {string[]}
+     */
+    const DRY_RUN_OPERATIONS = ['create', 'update', 'delete', 'batch_create', 'batch_update', 'batch_delete', 'import_csv', 'merge'];
+
+    /**
+     * Proxy operations that can run as an Omeka background job with
+     * "background": true.
+     *
+     * @type {string[]}
+     */
+    const BACKGROUND_OPERATIONS = ['batch_create', 'batch_update', 'batch_delete', 'import_csv', 'export'];
+
+    /**
+     * Proxy operations whose data is checked against the vocabulary registry.
+     *
+     * @type {string[]}
+     */
+    const TERM_CHECKED_OPERATIONS = ['create', 'update', 'batch_create', 'batch_update'];
+
+    /**
+     * Resource types whose data carries property values.
+     *
+     * @type {string[]}
+     */
+    const PROPERTY_RESOURCES = ['items', 'item_sets', 'media'];
+
+    /**
+     * Proxy operation of each batch() operation.
+     */
+    const BATCH_OPERATIONS = { create: 'batch_create', update: 'batch_update', delete: 'batch_delete' };
+
+    /**
+     * Rows per batch request when the module configuration does not set it.
+     */
+    const DEFAULT_CHUNK_SIZE = 50;
+
+    /**
+     * sessionStorage key prefix of batch jobs, so they survive a reload.
+     */
+    const BATCH_STORAGE_PREFIX = 'webmcp.batch.';
+
+    /**
+     * Batch jobs started in this page, by job ID.
+     *
+     * @type {Map<string, Object>}
+     */
+    const batchJobs = new Map();
+
+    /**
+     * Resources fetched per proxy request when paginating.
+     */
+    const PAGE_SIZE = 100;
+
+    /**
+     * Cap on the resources one paginate() call returns when the module
+     * configuration does not set one.
+     */
+    const DEFAULT_MAX_RESULTS = 500;
+
+    /**
+     * Query keys owned by the paginator; callers' values are replaced.
+     *
+     * @type {string[]}
+     */
+    const PAGING_KEYS = ['page', 'per_page', 'limit', 'offset'];
+
+    /**
+     * sessionStorage key of the cached vocabulary registry.
+     */
+    const VOCABULARY_STORAGE_KEY = 'webmcp.vocabulary';
+
+    /**
+     * Memoized promise for the vocabulary registry, shared by every client
+     * instance so it is loaded at most once per page.
+     *
+     * @type {Promise<VocabularyRegistry>|null}
+     */
+    let vocabularyPromise = null;
+
+    /**
+     * Installed vocabularies with their property and resource class terms.
+     *
+     * Built from the proxy's 'vocabulary' operation; resolves terms such as
+     * 'dcterms:title' to IDs and suggests close matches for unknown ones.
+     */
+    class VocabularyRegistry {
+        /**
+         * @param {{vocabularies: Array, properties: Object, classes: Object, signature: string}} data
+         * @param {boolean} [cached]  Whether the data came from sessionStorage.
+         */
+        constructor(data, cached = false) {
+            this.vocabularies = data.vocabularies || [];
+            this.properties   = data.properties   || {};
+            this.classes      = data.classes      || {};
+            this.signature    = data.signature    || null;
+            this.cached       = cached;
+        }
+
+        /**
+         * @param {string} term  e.g. 'dcterms:title'
+         * @returns {number|null}
+         */
+        propertyId(term) {
+            return Object.prototype.hasOwnProperty.call(this.properties, term) ? this.properties[term] : null;
+        }
+
+        /**
+         * @param {string} term  e.g. 'dctype:Image'
+         * @returns {number|null}
+         */
+        classId(term) {
+            return Object.prototype.hasOwnProperty.call(this.classes, term) ? this.classes[term] : null;
+        }
+
+        /**
+         * Explain why a term is unknown, or return null when it exists.
+         *
+         * @param {string} term
+         * @param {'property'|'class'} [kind]
+         * @returns {string|null}
+         */
+        checkTerm(term, kind = 'property') {
+            const terms = kind === 'class' ? this.classes : this.properties;
+            if (Object.prototype.hasOwnProperty.call(terms, term)) return null;
+
+            const prefix   = term.includes(':') ? term.slice(0, term.indexOf(':')) : '';
+            const prefixes = this.vocabularies.map((vocabulary) => vocabulary.prefix);
+            if (!prefixes.includes(prefix)) {
+                return `Vocabulary prefix "${prefix}" in "${term}" is not installed. Installed prefixes: ${prefixes.join(', ') || 'none'}. `
+                    + 'Use one of them, or ask an administrator to import the vocabulary under Vocabularies.';
+            }
+            const suggestions = this.suggest(term, kind);
+            return `Unknown ${kind === 'class' ? 'resource class' : 'property'} "${term}".`
+                + (suggestions.length ? ` Did you mean ${suggestions.map((s) => `"${s}"`).join(' or ')}?` : '')
+                + ` Use ${kind === 'class' ? 'list-resource-classes' : 'list-properties'} to browse the ${prefix} vocabulary.`;
+        }
+
+        /**
+         * Find the known terms closest to a misspelled one.
+         *
+         * Candidates are ranked by edit distance, ignoring case, and only
+         * kept when the distance is small relative to the term's length.
+         *
+         * @param {string} term
+         * @param {'property'|'class'} [kind]
+         * @param {number} [limit]
+         * @returns {string[]}
+         */
+        suggest(term, kind = 'property', limit = 3) {
+            const needle  = term.toLowerCase();
+            const maximum = Math.max(2, Math.floor(needle.length / 6));
+            return Object.keys(kind === 'class' ? this.classes : this.properties)
+                .map((candidate) => ({ candidate, distance: editDistance(needle, candidate.toLowerCase()) }))
+                .filter((match) => match.distance <= maximum)
+                .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+                .slice(0, limit)
+                .map((match) => match.candidate);
+        }
+    }
+
+    /**
+     * Levenshtein distance between two strings.
+     *
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    function editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Whether a data key is a property term (e.g. 'dcterms:title') rather
+     * than an Omeka or module field such as 'o:resource_template'.
+     *
+     * @param {string} key
+     * @returns {boolean}
+     */
+    function isPropertyTerm(key) {
+        return key.includes(':') && !key.startsWith('o:') && !key.startsWith('o-') && !key.startsWith('@');
+    }
+
+    class OmekaMCPClient {
+        /**
+         * @param {{tool?: string, dryRun?: boolean, background?: boolean}} [options]
+         *   `tool` names the WebMCP tool on whose behalf requests are made; it
+         *   is sent in the X-WebMCP-Tool header and recorded in the proxy's
+         *   audit log. `dryRun` turns every write into a preview that persists
+         *   nothing. `background` queues long-running operations as Omeka jobs.
+         */
+        constructor(options = {}) {
+            this.tool       = options.tool || null;
+            this.dryRun     = options.dryRun === true;
+            this.background = options.background === true;
+        }
+
+        /**
+         * Runtime config injected by PHP (tool-group flags, CSRF token, proxy URL).
+         *
+         * This is the only place that reads window.WebMCPConfig; always read it
+         * lazily because the token can change during the page lifetime.
+         *
+         * @returns {Object}
+         */
+        static get config() {
+            return window.WebMCPConfig || {};
+        }
+
+        /**
+         * Whether a data key is a property term rather than an Omeka or
+         * module field, by the same rule the client uses to resolve terms.
+         *
+         * @param {string} key
+         * @returns {boolean}
+         */
+        static isPropertyTerm(key) {
+            return isPropertyTerm(key);
+        }
+
+        /**
+         * Structured error response returned by tool and resource callbacks.
+         *
+         * Validation failures also list the offending fields, so the agent
+         * can fix exactly those and retry; refused duplicates list the
+         * resources they match, so it can merge or skip instead; rejected
+         * media sources carry the source check report.
+         *
+         * @param {Error|string} err
+         * @returns {{error: boolean, message: string, fields?: Array, duplicates?: Array, source?: Object}}
+         */
+        static errorResult(err) {
+            const result = { error: true, message: err instanceof Error ? err.message : String(err) };
+            if (err && Array.isArray(err.fields) && err.fields.length) {
+                result.fields = err.fields;
+            }
+            if (err && Array.isArray(err.duplicates) && err.duplicates.length) {
+                result.code       = err.code;
+                result.duplicates = err.duplicates;
+            }
+            if (err && err.source) {
+                result.code   = err.code;
+                result.source = err.source;
+            }
+            return result;
+        }
+
+        /**
+         * @returns {Object}
+         */
+        get config() {
+            return OmekaMCPClient.config;
+        }
+
+        /**
+         * @returns {string}
+         */
+        get proxyUrl() {
+            return this.config.proxy_url || '/admin/webmcp/proxy';
+        }
+
+        /**
+         * Return a client whose requests are attributed to the given tool.
+         *
+         * @param {string} tool
+         * @returns {OmekaMCPClient}
+         */
+        withTool(tool) {
+            return new OmekaMCPClient({ tool, dryRun: this.dryRun, background: this.background });
+        }
+
+        /**
+         * Return a client whose writes are previewed instead of applied.
+         *
+         * The proxy answers with the normalized data, a field-level diff
+         * against the current representation and any resource template
+         * validation errors.
+         *
+         * @returns {OmekaMCPClient}
+         */
+        withDryRun() {
+            return new OmekaMCPClient({ tool: this.tool, dryRun: true, background: this.background });
+        }
+
+        /**
+         * Return a client that queues batch, import and export operations as
+         * Omeka background jobs.
+         *
+         * Those operations then answer at once with {job_id, status, op,
+         * resource}; poll jobStatus() for progress and the final report.
+         *
+         * @returns {OmekaMCPClient}
+         */
+        withBackground() {
+            return new OmekaMCPClient({ tool: this.tool, dryRun: this.dryRun, background: true });
+        }
+
+        /**
+         * Whether a tool group was enabled in the module configuration.
+         *
+         * @param {string} group  e.g. 'items', 'media', 'bulk'
+         * @returns {boolean}
+         */
+        isGroupEnabled(group) {
+            return this.config[group] === true;
+        }
+
+        /**
+         * Retrieve the CSRF token injected by PHP into window.WebMCPConfig.
+         *
+         * @returns {string}
+         */
+        getCsrfToken() {
+            return this.config.csrf_token || '';
+        }
+
+        /**
+         * POST a payload to the server-side proxy and return the parsed response.
+         *
+         * The proxy wraps results in {success:true, data:...} or
+         * {error:true, message:...}. This method returns the full wrapper and
+         * throws an OmekaMCPError for non-2xx responses. Most callers should use
+         * request() or the typed helpers instead.
+         *
+         * When the proxy rejects the CSRF token (the session token rotated while
+         * the tab stayed open), the token is refreshed once and the request is
+         * retried transparently.
+         *
+         * @param {Object} payload  {op, resource, id?, query?, data?, ids?}
+         * @param {Blob[]} [files]  Files to upload, see post().
+         * @returns {Promise<Object>}
+         */
+        async proxyFetch(payload, files = []) {
+            let response = await this.post(payload, files);
+            if (response.status === 403) {
+                const error = await OmekaMCPClient.readError(response);
+                if (error.code !== 'invalid_csrf') throw error;
+                await this.refreshCsrfToken();
+                response = await this.post(payload, files);
+            }
+            if (!response.ok) {
+                throw await OmekaMCPClient.readError(response);
+            }
+            return response.json();
+        }
+
+        /**
+         * Ask the proxy for a new CSRF token and store it in the shared config.
+         *
+         * Concurrent callers share one in-flight refresh so a burst of failing
+         * requests triggers a single round trip.
+         *
+         * @returns {Promise<string>}
+         */
+        refreshCsrfToken() {
+            if (!csrfRefreshPromise) {
+                csrfRefreshPromise = this.post({ op: 'refresh_csrf' })
+                    .then(async (response) => {
+                        if (!response.ok) throw await OmekaMCPClient.readError(response);
+                        const result = await response.json();
+                        const token  = result && result.data ? result.data.csrf_token : '';
+                        if (!token) throw new OmekaMCPError('CSRF token refresh failed.');
+                        window.WebMCPConfig = window.WebMCPConfig || {};
+                        window.WebMCPConfig.csrf_token = token;
+                        return token;
+                    })
+                    .finally(() => {
+                        csrfRefreshPromise = null;
+                    });
+            }
+            return csrfRefreshPromise;
+        }
+
+        /**
+         * Send a raw POST to the proxy with the current CSRF token.
+         *
+         * With files, the request is multipart/form-data: the payload goes as
+         * JSON in the 'payload' field and the files as file[0], file[1]...
+         *
+         * @param {Object} payload
+         * @param {Blob[]} [files]
+         * @returns {Promise<Response>}
+         */
+        post(payload, files = []) {
+            const headers = { 'X-CSRF-Token': this.getCsrfToken() };
+            let body;
+            if (files.length) {
+                // fetch() sets the multipart Content-Type itself, with its boundary.
+                body = new FormData();
+                body.append('payload', JSON.stringify(payload));
+                files.forEach((file, index) => body.append(`file[${index}]`, file, file.name || `upload-${index}`));
+            } else {
+                headers['Content-Type'] = 'application/json';
+                body = JSON.stringify(payload);
+            }
+            if (this.tool) {
+                headers['X-WebMCP-Tool'] = this.tool;
+            }
+            return fetch(this.proxyUrl, {
+                method: 'POST',
+                // 'include' (not 'same-origin') is required because the WebMCP
+                // extension calls execute callbacks from an isolated context whose
+                // origin is chrome-extension://, not the page origin.
+                credentials: 'include',
+                headers,
+                body,
+            });
+        }
+
+        /**
+         * Build an OmekaMCPError from a failed proxy response.
+         *
+         * @param {Response} response
+         * @returns {Promise<OmekaMCPError>}
+         */
+        static async readError(response) {
+            const text = await response.text();
+            let message = `Proxy error ${response.status}`;
+            let details = null;
+            let code    = null;
+            let fields  = null;
+            let duplicates = null;
+            try {
+                const json = JSON.parse(text);
+                message = json.message || message;
+                details = json.details || null;
+                code    = json.code    || null;
+                fields  = Array.isArray(json.fields) ? json.fields : null;
+                duplicates = Array.isArray(json.duplicates) ? json.duplicates : null;
+                if (details) message += `: ${details}`;
+            } catch (_) { /* keep generic message */ }
+            return new OmekaMCPError(message, { status: response.status, details, code, fields, duplicates });
+        }
+
+        /**
+         * Send a payload to the proxy and return only its `data` member.
+         *
+         * Property terms in create and update data are checked against the
+         * vocabulary registry first (see resolveTerms()).
+         *
+         * For audited writes the proxy also returns the audit `change_id`; it is
+         * copied onto object results so callers can offer to undo the change.
+         *
+         * @param {Object} payload
+         * @param {Blob[]} [files]  Files for the upload ingester; a dry run
+         *   does not send them.
+         * @returns {Promise<*>}
+         * @throws {OmekaMCPError}
+         */
+        async request(payload, files = []) {
+            if (TERM_CHECKED_OPERATIONS.includes(payload.op) && PROPERTY_RESOURCES.includes(payload.resource)) {
+                payload = await this.resolveTerms(payload);
+            }
+            if (this.dryRun && DRY_RUN_OPERATIONS.includes(payload.op)) {
+                payload = Object.assign({}, payload, { dry_run: true });
+            }
+            if (this.background && BACKGROUND_OPERATIONS.includes(payload.op)) {
+                payload = Object.assign({}, payload, { background: true });
+            }
+            const result = await this.proxyFetch(payload, payload.dry_run ? [] : files);
+            if (result && result.error) {
+                throw new OmekaMCPError(result.message || 'Proxy error', { details: result.details });
+            }
+            if (!result) return undefined;
+            const data = result.data;
+            if (result.change_id && data && typeof data === 'object' && !Array.isArray(data)) {
+                data.change_id = result.change_id;
+            }
+            return data;
+        }
+
+        /**
+         * Load the vocabulary registry.
+         *
+         * The registry is fetched once per page and cached in sessionStorage,
+         * so later pages in the same tab reuse it.
+         *
+         * @param {{refresh?: boolean}} [options]  `refresh` ignores the cache.
+         * @returns {Promise<VocabularyRegistry>}
+         */
+        vocabulary(options = {}) {
+            if (vocabularyPromise && !options.refresh) return vocabularyPromise;
+
+            if (!options.refresh) {
+                const cached = readStorage(VOCABULARY_STORAGE_KEY);
+                if (cached) {
+                    vocabularyPromise = Promise.resolve(new VocabularyRegistry(cached, true));
+                    return vocabularyPromise;
+                }
+            }
+            vocabularyPromise = this.request({ op: 'vocabulary' })
+                .then((data) => {
+                    writeStorage(VOCABULARY_STORAGE_KEY, data);
+                    return new VocabularyRegistry(data);
+                })
+                .catch((err) => {
+                    vocabularyPromise = null;
+                    throw err;
+                });
+            return vocabularyPromise;
+        }
+
+        /**
+         * Resolve a resource class term (e.g. 'dctype:Image') to its ID.
+         *
+         * @param {string} term
+         * @returns {Promise<number>}
+         * @throws {OmekaMCPError}  With code 'unknown_term' and suggestions.
+         */
+        resourceClassId(term) {
+            return this.termId(term, 'class', 'o:resource_class');
+        }
+
+        /**
+         * Resolve a property term (e.g. 'dcterms:title') to its ID.
+         *
+         * @param {string} term
+         * @param {string} [field]  Input field reported when the term is unknown.
+         * @returns {Promise<number>}
+         * @throws {OmekaMCPError}  With code 'unknown_term' and suggestions.
+         */
+        propertyId(term, field = term) {
+            return this.termId(term, 'property', field);
+        }
+
+        /**
+         * Resolve a term through the vocabulary registry, reloading a cached
+         * registry once before giving up.
+         *
+         * @param {string} term
+         * @param {'property'|'class'} kind
+         * @param {string} field
+         * @returns {Promise<number>}
+         * @throws {OmekaMCPError}
+         */
+        async termId(term, kind, field) {
+            const lookup = (registry) => (kind === 'class' ? registry.classId(term) : registry.propertyId(term));
+            let registry = await this.vocabulary();
+            if (lookup(registry) === null && registry.cached) {
+                registry = await this.vocabulary({ refresh: true });
+            }
+            const id = lookup(registry);
+            if (id === null) {
+                const message = registry.checkTerm(term, kind);
+                throw new OmekaMCPError(message, {
+                    code: 'unknown_term',
+                    fields: [{ field, code: 'unknown_term', message, suggestions: registry.suggest(term, kind) }],
+                });
+            }
+            return id;
+        }
+
+        /**
+         * Check the property terms of a write and fill in their IDs.
+         *
+         * Every term in `data` (and in `modes`, including the data and modes
+         * of batch_update rows) must exist; property_id is set
+         * on values that lack one or use 'auto'. When a cached registry does
+         * not know a term, it is reloaded once in case the vocabulary was
+         * imported since. Unknown terms raise an OmekaMCPError with code
+         * 'unknown_term' whose `fields` list each term with suggestions.
+         *
+         * @param {Object} payload
+         * @returns {Promise<Object>}  A copy of the payload with resolved IDs.
+         * @throws {OmekaMCPError}
+         */
+        async resolveTerms(payload) {
+            // batch_update rows wrap their data: {id, data, modes}.
+            const updates = payload.op === 'batch_update' ? (payload.data || []).filter((row) => row && typeof row === 'object') : [];
+            let rows = [payload.data || {}];
+            if (payload.op === 'batch_create') rows = payload.data || [];
+            if (payload.op === 'batch_update') rows = updates.map((row) => row.data);
+
+            const terms = new Set(Object.keys(payload.modes || {}).filter(isPropertyTerm));
+            for (const row of updates) {
+                Object.keys(row.modes || {}).filter(isPropertyTerm).forEach((term) => terms.add(term));
+            }
+            for (const row of rows) {
+                if (!row || typeof row !== 'object') continue;
+                Object.keys(row).filter(isPropertyTerm).forEach((term) => terms.add(term));
+            }
+            if (!terms.size) return payload;
+
+            let registry = await this.vocabulary();
+            let unknown  = [...terms].filter((term) => registry.propertyId(term) === null);
+            if (unknown.length && registry.cached) {
+                registry = await this.vocabulary({ refresh: true });
+                unknown  = unknown.filter((term) => registry.propertyId(term) === null);
+            }
+            if (unknown.length) {
+                const fields = unknown.map((term) => ({
+                    field: term,
+                    code: 'unknown_term',
+                    message: registry.checkTerm(term),
+                    suggestions: registry.suggest(term),
+                }));
+                throw new OmekaMCPError(fields.map((field) => field.message).join(' '), { code: 'unknown_term', fields });
+            }
+
+            const resolve = (row) => {
+                if (!row || typeof row !== 'object') return row;
+                const resolved = Object.assign({}, row);
+                for (const term of Object.keys(row).filter(isPropertyTerm)) {
+                    if (!Array.isArray(row[term])) continue;
+                    const id = registry.propertyId(term);
+                    resolved[term] = row[term].map((value) => (
+                        value && typeof value === 'object' && (!value.property_id || value.property_id === 'auto')
+                            ? Object.assign({}, value, { property_id: id })
+                            : value
+                    ));
+                }
+                return resolved;
+            };
+            let data = resolve(payload.data);
+            if (payload.op === 'batch_create') {
+                data = rows.map(resolve);
+            } else if (payload.op === 'batch_update') {
+                data = payload.data.map((row) => (row && typeof row === 'object' ? Object.assign({}, row, { data: resolve(row.data) }) : row));
+            }
+            return Object.assign({}, payload, { data });
+        }
+
+        /**
+         * @param {string} resource
+         * @param {Object} [query]
+         * @param {{view?: string}} [options]  `view` is 'summary', 'metadata'
+         *   or 'full' (default); see README "Response views".
+         * @returns {Promise<{items: Array, total_results: number}>}
+         */
+        search(resource, query = {}, options = {}) {
+            return this.request(withView({ op: 'search', resource, query }, options.view));
+        }
+
+        /**
+         * Fetch every resource matching a query, one page at a time.
+         *
+         * Yields as soon as each page arrives, so callers can stream results
+         * without waiting for the whole list.
+         *
+         * @param {string} resource
+         * @param {Object} [query]  Paging keys (page, per_page, limit, offset) are ignored.
+         * @param {{offset?: number, pageSize?: number, view?: string}} [options]
+         * @returns {AsyncGenerator<{items: Array, offset: number, total_results: number}>}
+         */
+        async *pages(resource, query = {}, options = {}) {
+            const filters  = withoutPaging(query);
+            const pageSize = Math.max(1, parseInt(options.pageSize, 10) || PAGE_SIZE);
+            let offset     = Math.max(0, parseInt(options.offset, 10) || 0);
+            for (;;) {
+                const page   = Object.assign({}, filters, { offset, limit: pageSize });
+                const result = await this.search(resource, page, { view: options.view });
+                const items  = Array.isArray(result.items) ? result.items : [];
+                yield { items, offset, total_results: result.total_results };
+                offset += items.length;
+                if (items.length < pageSize || offset >= result.total_results) return;
+            }
+        }
+
+        /**
+         * Fetch the resources matching a query across as many pages as needed,
+         * up to a cap, and say whether more remain.
+         *
+         * When the cap cuts the list short, `next_cursor` is an opaque token
+         * that carries the query and position; pass it back as
+         * `options.cursor` (with no query) to continue where this call stopped.
+         *
+         * @param {string} resource
+         * @param {Object} [query]  Search query; page/per_page set the start
+         *   position for callers that still think in pages.
+         * @param {{max_results?: number, cursor?: string, view?: string}} [options]
+         *   `max_results` is clamped to the module's configured cap; `view`
+         *   as in search().
+         * @returns {Promise<{items: Array, total_results: number, returned: number,
+         *   offset: number, has_more: boolean, next_cursor: string|null}>}
+         */
+        async paginate(resource, query = {}, options = {}) {
+            let filters = query || {};
+            let offset  = startOffset(filters);
+            if (options.cursor) {
+                const state = decodeCursor(options.cursor);
+                if (!state || state.resource !== resource) {
+                    throw new OmekaMCPError(`Invalid cursor for ${resource}; repeat the search without a cursor.`, {
+                        code: 'invalid_cursor',
+                    });
+                }
+                filters = state.query;
+                offset  = state.offset;
+            }
+
+            const max   = this.maxResults(options.max_results);
+            const items = [];
+            let total   = 0;
+            const pageOptions = { offset, pageSize: Math.min(PAGE_SIZE, max), view: options.view };
+            for await (const page of this.pages(resource, filters, pageOptions)) {
+                total = page.total_results;
+                items.push(...page.items.slice(0, max - items.length));
+                if (items.length >= max) break;
+            }
+
+            // Pages are contiguous, so the next unread result follows the last one kept.
+            const next    = offset + items.length;
+            const hasMore = next < total;
+            return {
+                items,
+                total_results: total,
+                returned:      items.length,
+                offset,
+                has_more:      hasMore,
+                next_cursor:   hasMore ? encodeCursor({ resource, query: withoutPaging(filters), offset: next }) : null,
+            };
+        }
+
+        /**
+         * Clamp a requested result count to the configured cap.
+         *
+         * @param {number} [requested]
+         * @returns {number}
+         */
+        maxResults(requested) {
+            const cap   = parseInt(this.config.max_results, 10) || DEFAULT_MAX_RESULTS;
+            const asked = parseInt(requested, 10);
+            return asked > 0 ? Math.min(asked, cap) : cap;
+        }
+
+        /**
+         * @param {string} resource
+         * @param {number} id
+         * @param {{view?: string}} [options]  As in search().
+         * @returns {Promise<Object>}
+         */
+        get(resource, id, options = {}) {
+            return this.request(withView({ op: 'get', resource, id }, options.view));
+        }
+
+        /**
+         * @param {string} resource
+         * @param {Object} data
+         * @param {{onDuplicate?: string, duplicateMatch?: Object}} [options]
+         *   `onDuplicate` is 'create' (default), 'skip', 'merge' or 'flag',
+         *   see findDuplicates() for `duplicateMatch`.
+         * @returns {Promise<Object>}
+         */
+        create(resource, data, options = {}) {
+            return this.request(withDuplicates({ op: 'create', resource, data }, options));
+        }
+
+        /**
+         * Find existing resources that duplicate some resource data, or each
+         * other.
+         *
+         * @param {string} resource  'items' or 'item_sets'.
+         * @param {{items?: Object[], ids?: number[], by?: string, properties?: string[], threshold?: number}} options
+         *   `items` is resource data to check and `ids` existing resources;
+         *   `by` is 'auto' (default), 'identifier', 'title' or 'properties'
+         *   (compares the `properties` terms); `threshold` is the lowest
+         *   score reported, from 0 to 1.
+         * @returns {Promise<{by: string, threshold: number, results: Array}>}
+         */
+        findDuplicates(resource, options = {}) {
+            const data = { items: options.items || [] };
+            for (const key of ['by', 'properties', 'threshold']) {
+                if (options[key] !== undefined) data[key] = options[key];
+            }
+            return this.request({ op: 'find_duplicates', resource, data, ids: options.ids || [] });
+        }
+
+        /**
+         * Merge items into a primary item: their property values, item sets
+         * and media move to it, links to them are re-pointed to it, and they
+         * are deleted. Cannot be undone; preview it with a dry-run client.
+         *
+         * @param {number} primaryId  Item that is kept.
+         * @param {number[]} secondaryIds  Items merged into it.
+         * @returns {Promise<Object>}  primary_id, merged_ids, media_ids,
+         *   item_set_ids, referencing_ids, diff and references.
+         */
+        merge(primaryId, secondaryIds) {
+            return this.request({ op: 'merge', resource: 'items', id: primaryId, ids: secondaryIds });
+        }
+
+        /**
+         * Partially update a resource; the proxy merges `data` into the
+         * current representation.
+         *
+         * @param {string} resource
+         * @param {number} id
+         * @param {Object} data
+         * @param {{modes?: Object}} [options]  `modes` maps property terms to
+         *   'replace' (default), 'append', 'remove' or 'clear'.
+         * @returns {Promise<Object>}
+         */
+        update(resource, id, data, options = {}) {
+            const payload = { op: 'update', resource, id, data };
+            if (options.modes && Object.keys(options.modes).length) {
+                payload.modes = options.modes;
+            }
+            return this.request(payload);
+        }
+
+        /**
+         * @param {string} resource
+         * @param {number} id
+         * @returns {Promise<{deleted: boolean, id: number}>}
+         */
+        delete(resource, id) {
+            return this.request({ op: 'delete', resource, id });
+        }
+
+        /**
+         * Run a batch operation as a job of chunked proxy requests.
+         *
+         * Rows are sent `chunkSize` at a time (default: the module's batch
+         * chunk size), so large batches neither time out nor leave the agent
+         * without progress. A chunk whose request fails is retried one row at
+         * a time, and so are the rows a chunk's report lists as failed; rows
+         * that still fail are listed in `failed_rows` and can be retried with
+         * resumeBatch(). The job stops early, as 'interrupted', when the
+         * proxy cannot be reached at all. A create request that fails without
+         * showing that nothing was saved (a gateway timeout, a dropped
+         * connection) is not sent again: the job stops with its rows in
+         * `failed_rows` marked `uncertain`, and resumeBatch() skips them.
+         *
+         * The result is the proxy's batch report summed over the chunks, with
+         * the rows of failed_rows counted as failed, plus job_id, status
+         * ('completed', 'partial' or 'interrupted'), total, processed,
+         * failed_rows and the change_ids of the chunks (change_id too when
+         * there is only one).
+         *
+         * A background client (see withBackground()) sends every row in one
+         * request instead, and the proxy's job chunks them; the result is then
+         * the queued job.
+         *
+         * @param {'create'|'update'|'delete'} op
+         * @param {string} resource
+         * @param {Array} rows  Resource data objects for 'create', {id, data,
+         *   modes?} objects for 'update' (merged like update()), IDs for 'delete'.
+         * @param {{modes?: Object, onDuplicate?: string, duplicateMatch?: Object, chunkSize?: number, onProgress?: Function}} [options]
+         *   `modes` are default value modes for 'update' rows that set none;
+         *   `onDuplicate` and `duplicateMatch` apply to 'create' rows, as in
+         *   create(); `onProgress` receives {job_id, processed, total,
+         *   message} after each chunk.
+         * @returns {Promise<Object>}
+         */
+        async batch(op, resource, rows, options = {}) {
+            if (!Object.prototype.hasOwnProperty.call(BATCH_OPERATIONS, op)) {
+                throw new OmekaMCPError(`Unknown batch operation: ${op}`);
+            }
+            const job = {
+                id:          `batch-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                op:          BATCH_OPERATIONS[op],
+                resource,
+                modes:       options.modes && Object.keys(options.modes).length ? options.modes : null,
+                duplicates:  op === 'create' ? withDuplicates({}, options) : {},
+                dry_run:     this.dryRun,
+                chunk_size:  this.chunkSize(options.chunkSize),
+                rows:        Array.from(rows || []),
+                pending:     Array.from(rows || [], (row, index) => index),
+                failed_rows: [],
+                report:      {},
+                change_ids:  [],
+                status:      'pending',
+            };
+            if (this.background) {
+                return this.request(batchPayload(job, job.pending));
+            }
+            return this.runBatch(job, options);
+        }
+
+        /**
+         * Continue a batch job: send its pending rows and retry its failed ones.
+         *
+         * @param {string} jobId  job_id returned by batch().
+         * @param {{onProgress?: Function}} [options]
+         * @returns {Promise<Object>}  As batch().
+         * @throws {OmekaMCPError}  When the job is unknown in this browser tab.
+         */
+        resumeBatch(jobId, options = {}) {
+            const job = batchJobs.get(jobId) || readStorage(BATCH_STORAGE_PREFIX + jobId);
+            if (!job) {
+                return Promise.reject(new OmekaMCPError(`Unknown batch job "${jobId}". Jobs are kept for the browser tab that started them.`, {
+                    code: 'unknown_job',
+                }));
+            }
+            // Uncertain rows may have been created: they are never resent.
+            job.pending     = job.failed_rows.filter((failure) => !failure.uncertain)
+                .map((failure) => failure.row)
+                .concat(job.pending);
+            job.failed_rows = job.failed_rows.filter((failure) => failure.uncertain);
+            return this.runBatch(job, options);
+        }
+
+        /**
+         * Send the pending rows of a batch job, chunk by chunk.
+         *
+         * @param {Object} job
+         * @param {{onProgress?: Function}} options
+         * @returns {Promise<Object>}
+         */
+        async runBatch(job, options) {
+            // Writes of a job always honour the job's own dry-run flag.
+            const api = job.dry_run === this.dryRun ? this : new OmekaMCPClient({ tool: this.tool, dryRun: job.dry_run });
+            const total = job.rows.length;
+            job.status = 'running';
+            saveBatchJob(job);
+
+            while (job.pending.length) {
+                const chunk = job.pending.slice(0, job.chunk_size);
+                try {
+                    const failures = absorbChunkReport(job, await api.request(batchPayload(job, chunk)), chunk);
+                    // Rows that failed within a chunk get a second try on their own.
+                    const unsent = chunk.length === 1
+                        ? failures.map((failure) => failure.row)
+                        : await api.retryRows(job, failures.map((failure) => failure.row));
+                    job.failed_rows.push(...failures.filter((failure) => unsent.includes(failure.row)));
+                } catch (err) {
+                    if (job.op === 'batch_create' && maySaveRows(err)) {
+                        // The rows may exist now: report them rather than create them twice.
+                        job.failed_rows.push(...chunk.map((row) => uncertainRow(job, row, err.message)));
+                        job.pending = job.pending.slice(chunk.length);
+                        job.status  = 'interrupted';
+                        break;
+                    }
+                    const unsent = await api.retryRows(job, chunk);
+                    if (unsent.length) {
+                        job.pending = unsent.concat(job.pending.slice(chunk.length));
+                        job.status  = 'interrupted';
+                        break;
+                    }
+                }
+                job.pending = job.pending.slice(chunk.length);
+                saveBatchJob(job);
+                if (typeof options.onProgress === 'function') {
+                    const processed = total - job.pending.length;
+                    options.onProgress({
+                        job_id:  job.id,
+                        processed,
+                        total,
+                        message: `${processed} of ${total} rows processed`
+                            + (job.failed_rows.length ? `, ${job.failed_rows.length} failed` : '') + '.',
+                    });
+                }
+            }
+
+            if (job.status !== 'interrupted') {
+                job.status = job.failed_rows.length ? 'partial' : 'completed';
+            }
+            saveBatchJob(job);
+            const result = Object.assign(withFailedRows(job, Object.assign({}, job.report)), {
+                job_id:      job.id,
+                status:      job.status,
+                total,
+                processed:   total - job.pending.length,
+                failed_rows: job.failed_rows,
+                change_ids:  job.change_ids,
+            });
+            if (job.change_ids.length === 1) {
+                result.change_id = job.change_ids[0];
+            }
+            return result;
+        }
+
+        /**
+         * Retry the rows of a failed chunk one at a time.
+         *
+         * A create row whose request fails without showing that nothing was
+         * saved is listed as uncertain, and the rows after it are not sent.
+         *
+         * @param {Object} job
+         * @param {number[]} chunk  Row indexes.
+         * @returns {Promise<number[]>}  Rows left unsent, to stay pending:
+         *   the whole chunk when every row failed because the proxy could not
+         *   be reached, or the rows after an uncertain create.
+         */
+        async retryRows(job, chunk) {
+            const failures = [];
+            for (const [position, row] of chunk.entries()) {
+                try {
+                    job.failed_rows.push(...absorbChunkReport(job, await this.request(batchPayload(job, [row])), [row]));
+                } catch (err) {
+                    if (job.op === 'batch_create' && maySaveRows(err)) {
+                        failures.forEach((failure) => job.failed_rows.push(failedRow(job, failure.row, failure.message)));
+                        job.failed_rows.push(uncertainRow(job, row, err.message));
+                        return chunk.slice(position + 1);
+                    }
+                    // fetch() rejects with a TypeError when the proxy cannot be reached.
+                    failures.push({ row, message: err.message, unreachable: !(err instanceof OmekaMCPError) });
+                }
+            }
+            if (failures.length === chunk.length && failures.every((failure) => failure.unreachable)) {
+                return chunk;
+            }
+            failures.forEach(({ row, message }) => job.failed_rows.push(failedRow(job, row, message)));
+            return [];
+        }
+
+        /**
+         * Rows per batch request: the requested size, else the module setting.
+         *
+         * @param {number} [requested]
+         * @returns {number}
+         */
+        chunkSize(requested) {
+            return Math.max(1, parseInt(requested, 10) || parseInt(this.config.batch_chunk_size, 10) || DEFAULT_CHUNK_SIZE);
+        }
+
+        /**
+         * Report batch progress to the WebMCP client when it supports it, or
+         * else in a status line on the page.
+         *
+         * @param {Object} [webmcpClient]  Second argument of a tool's execute().
+         * @returns {function({job_id: string, processed: number, total: number, message: string})}
+         */
+        static progressReporter(webmcpClient) {
+            if (webmcpClient && typeof webmcpClient.reportProgress === 'function') {
+                return (progress) => webmcpClient.reportProgress({
+                    progress: progress.processed,
+                    total:    progress.total,
+                    message:  progress.message,
+                });
+            }
+            return showProgress;
+        }
+
+        /**
+         * Resolve a media source the way an ingester would, without creating
+         * anything.
+         *
+         * @param {string} ingester  'url', 'iiif', 'iiif_presentation' or 'oembed'.
+         * @param {string} url
+         * @returns {Promise<Object>}  Report with `valid`, `status` and
+         *   `errors` ({code, message}), plus `media_type` and `size` (url),
+         *   `iiif` (iiif, iiif_presentation) or `oembed` (oembed).
+         */
+        checkMediaSource(ingester, url) {
+            return this.request({ op: 'check_media_source', resource: 'media', data: { ingester, url } });
+        }
+
+        /**
+         * Upload a file as a new media of an item, with the 'upload' ingester.
+         *
+         * @param {number} itemId
+         * @param {Blob} file  A File the user picked, or see fileFromBase64().
+         * @param {Object} [data]  Media data such as property values.
+         * @returns {Promise<Object>}  The new media representation.
+         */
+        uploadMedia(itemId, file, data = {}) {
+            return this.request({
+                op:       'create',
+                resource: 'media',
+                data:     Object.assign({}, data, { 'o:ingester': 'upload', 'file_index': 0, 'o:item': { 'o:id': itemId } }),
+            }, [file]);
+        }
+
+        /**
+         * Turn base64 content, or a data: URL, into a File to upload.
+         *
+         * @param {string} content  Base64 data, or a data URL such as
+         *   "data:image/png;base64,iVBOR...".
+         * @param {string} [filename]
+         * @param {string} [mediaType]  MIME type; defaults to the data URL's.
+         * @returns {File}
+         * @throws {OmekaMCPError}  When the content is not valid base64.
+         */
+        static fileFromBase64(content, filename = 'upload', mediaType = '') {
+            let data = String(content || '');
+            const dataUrl = /^data:([^;,]*)((?:;[^;,]*)*),/.exec(data);
+            if (dataUrl) {
+                mediaType = mediaType || dataUrl[1];
+                data      = data.slice(dataUrl[0].length);
+            }
+            let bytes;
+            if (dataUrl && !/;base64$/i.test(dataUrl[2])) {
+                bytes = new TextEncoder().encode(decodeURIComponent(data));
+            } else {
+                try {
+                    bytes = Uint8Array.from(atob(data.replace(/\s+/g, '')), (char) => char.charCodeAt(0));
+                } catch (_) {
+                    throw new OmekaMCPError('The file content is neither base64 nor a data URL.', { code: 'invalid_content' });
+                }
+            }
+            if (!bytes.length) {
+                throw new OmekaMCPError('The file content is empty.', { code: 'invalid_content' });
+            }
+            return new File([bytes], filename, { type: mediaType || 'application/octet-stream' });
+        }
+
+        /**
+         * Import items from a CSV file, one item per row.
+         *
+         * @param {Object} source  {csv} text, {url} to download or {media_id}
+         *   of a CSV uploaded to Omeka, plus optional delimiter,
+         *   multivalue_delimiter, mapping, item_set_ids and resource_template_id.
+         * @returns {Promise<Object>}  Import report with one entry per row.
+         */
+        importCsv(source) {
+            return this.request({ op: 'import_csv', resource: 'items', data: source });
+        }
+
+        /**
+         * Export every resource matching a query as a file.
+         *
+         * The proxy pages through all matches and serializes them; the result
+         * also gets a `download_url` (an object URL for a Blob of the content)
+         * when the browser supports it.
+         *
+         * @param {string} resource  'items', 'item_sets' or 'media'
+         * @param {Object|string} [query]  Search query, or a URL query string.
+         * @param {{format?: string, multivalue_delimiter?: string}} [options]
+         *   `format` is 'csv' (default), 'jsonld' or 'oai_dc'.
+         * @returns {Promise<{format: string, mime_type: string, filename: string, total: number,
+         *   exported: number, truncated: boolean, content: string, download_url?: string}>}
+         */
+        async export(resource, query = {}, options = {}) {
+            const result = await this.request({ op: 'export', resource, query, data: options });
+            if (result && typeof result.content === 'string' && typeof Blob === 'function' && typeof URL !== 'undefined' && URL.createObjectURL) {
+                const blob = new Blob([result.content], { type: `${result.mime_type};charset=utf-8` });
+                result.download_url = URL.createObjectURL(blob);
+            }
+            return result;
+        }
+
+        /**
+         * Save an export() result as a file through the browser's download prompt.
+         *
+         * @param {{download_url: string, filename: string}} result
+         * @returns {boolean}  Whether a download was started.
+         */
+        static download(result) {
+            if (!result || !result.download_url || typeof document === 'undefined') return false;
+            const link = document.createElement('a');
+            link.href     = result.download_url;
+            link.download = result.filename;
+            link.style.display = 'none';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            return true;
+        }
+
+        /**
+         * List the value data types registered in Omeka-S, including those
+         * added by modules such as Numeric Data Types.
+         *
+         * @returns {Promise<{data_types: string[]}>}
+         */
+        dataTypes() {
+            return this.request({ op: 'data_types' });
+        }
+
+        /**
+         * List every resource template with its fields (term, label, comment,
+         * required flag and allowed data types), plus a signature that
+         * changes whenever any template does.
+         *
+         * @returns {Promise<{templates: Array, signature: string}>}
+         */
+        templates() {
+            return this.request({ op: 'templates' });
+        }
+
+        /**
+         * Read the status of an Omeka job; for a WebMCP background job also
+         * its progress ({processed, total}) and, once it has ended, its report.
+         *
+         * @param {number} jobId
+         * @returns {Promise<{job_id: number, status: string, job_class: string, started: ?string,
+         *   ended: ?string, op?: string, resource?: string, progress?: ?Object, result?: ?Object}>}
+         */
+        jobStatus(jobId) {
+            return this.request({ op: 'job_status', id: jobId });
+        }
+
+        /**
+         * Ask a running job to stop. A WebMCP background job stops before its
+         * next chunk; the rows already processed stay saved.
+         *
+         * @param {number} jobId
+         * @returns {Promise<Object>}  As jobStatus(), with status 'stopping'.
+         */
+        cancelJob(jobId) {
+            return this.request({ op: 'cancel_job', id: jobId });
+        }
+
+        /**
+         * Revert a change recorded in the audit log.
+         *
+         * @param {number} changeId  The change_id returned by a write operation.
+         * @returns {Promise<Object>}  Undo report from the proxy.
+         */
+        undo(changeId) {
+            return this.request({ op: 'undo', id: changeId });
+        }
+
+        /**
+         * Revert the current user's most recent change that is not yet undone.
+         *
+         * @returns {Promise<Object>}  Undo report from the proxy.
+         */
+        undoLast() {
+            return this.request({ op: 'undo_last' });
+        }
+
+        /**
+         * Resolve the logged-in user from the admin user-bar link.
+         *
+         * Resolves to null when the link is missing or the lookup fails (e.g.
+         * the current role may not read users).
+         *
+         * @returns {Promise<Object|null>}
+         */
+        getCurrentUser() {
+            if (currentUserPromise) return currentUserPromise;
+
+            // Do not memoize a miss: the user bar may not be parsed yet.
+            const userLink = document.querySelector('#user-bar a[href*="/admin/user/"]');
+            const match    = userLink ? userLink.getAttribute('href').match(/\/user\/(\d+)/) : null;
+            if (!match) return Promise.resolve(null);
+
+            currentUserPromise = this.get('users', parseInt(match[1], 10)).catch(() => null);
+            return currentUserPromise;
+        }
+
+        /**
+         * Resolve the logged-in user's role (e.g. 'global_admin', 'editor').
+         *
+         * @returns {Promise<string|null>}
+         */
+        async getCurrentRole() {
+            const user = await this.getCurrentUser();
+            return (user && user['o:role']) || null;
+        }
+    }
+
+    /**
+     * Read a JSON value from sessionStorage, or null when missing or blocked.
+     *
+     * @param {string} key
+     * @returns {*}
+     */
+    function readStorage(key) {
+        try {
+            const json = window.sessionStorage.getItem(key);
+            return json ? JSON.parse(json) : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /**
+     * Store a JSON value in sessionStorage; storage errors are ignored.
+     *
+     * @param {string} key
+     * @param {*} value
+     */
+    function writeStorage(key, value) {
+        try {
+            window.sessionStorage.setItem(key, JSON.stringify(value));
+        } catch (_) { /* storage full or disabled: keep the in-memory copy */ }
+    }
+
+    /**
+     * Add a response view to a read payload; the proxy defaults to 'full'.
+     *
+     * @param {Object} payload
+     * @param {string} [view]
+     * @returns {Object}
+     */
+    function withView(payload, view) {
+        if (view && view !== 'full') payload.view = view;
+        return payload;
+    }
+
+    /**
+     * Add what a create does when its data duplicates an existing resource
+     * to a payload; the proxy defaults to 'create' (no check).
+     *
+     * @param {Object} payload
+     * @param {{onDuplicate?: string, duplicateMatch?: Object}} options
+     * @returns {Object}
+     */
+    function withDuplicates(payload, options) {
+        if (options.onDuplicate && options.onDuplicate !== 'create') {
+            payload.on_duplicate = options.onDuplicate;
+            if (options.duplicateMatch) payload.duplicate_match = options.duplicateMatch;
+        }
+        return payload;
+    }
+
+    /**
+     * Build the proxy payload of some rows of a batch job.
+     *
+     * @param {Object} job
+     * @param {number[]} rows  Row indexes.
+     * @returns {Object}
+     */
+    function batchPayload(job, rows) {
+        const values  = rows.map((row) => job.rows[row]);
+        const payload = { op: job.op, resource: job.resource };
+        if (job.op === 'batch_delete') {
+            payload.ids = values;
+        } else {
+            payload.data = values;
+        }
+        if (job.modes) payload.modes = job.modes;
+        return Object.assign(payload, job.duplicates);
+    }
+
+    /**
+     * Turn the row indexes a batch report gives within one request (see
+     * batch_create duplicates) into row indexes of the whole job.
+     *
+     * @param {Object} report
+     * @param {number[]} rows  Row indexes sent in the request.
+     * @returns {Object}  The report.
+     */
+    function jobRowIndexes(report, rows) {
+        for (const key of ['duplicates', 'errors']) {
+            for (const entry of Array.isArray(report && report[key]) ? report[key] : []) {
+                if (entry && typeof entry.index === 'number') entry.index = rows[entry.index];
+            }
+        }
+        return report;
+    }
+
+    /**
+     * Add a chunk's batch report to its job's running totals: counts are
+     * summed, lists concatenated and flags such as `valid` must hold for
+     * every chunk.
+     *
+     * @param {Object} job
+     * @param {Object} report
+     */
+    function absorbBatchReport(job, report) {
+        for (const [key, value] of Object.entries(report || {})) {
+            if (key === 'change_id') {
+                job.change_ids.push(value);
+            } else if (typeof value === 'number') {
+                job.report[key] = (job.report[key] || 0) + value;
+            } else if (Array.isArray(value)) {
+                job.report[key] = (job.report[key] || []).concat(value);
+            } else if (typeof value === 'boolean') {
+                job.report[key] = key === 'dry_run' ? value : (job.report[key] !== false && value);
+            } else {
+                job.report[key] = value;
+            }
+        }
+    }
+
+    /**
+     * Add the report of some rows of a batch job to the job, except for the
+     * rows it reports as failed (its `errors`): those are returned, to be
+     * retried or listed in failed_rows, and only counted once they are given
+     * up on (see withFailedRows()). The invalid rows of a dry run are kept.
+     *
+     * @param {Object} job
+     * @param {Object} report
+     * @param {number[]} rows  Row indexes sent in the request.
+     * @returns {Object[]}  Failed rows: {row, id?, message, fields?}.
+     */
+    function absorbChunkReport(job, report, rows) {
+        report = jobRowIndexes(report, rows);
+        const errors = !job.dry_run && report && Array.isArray(report.errors) ? report.errors : [];
+        const failed = new Map();
+        const mapped = new Set();
+        for (const error of errors) {
+            if (!error) continue;
+            const row = typeof error.index === 'number'
+                ? error.index
+                : rows.find((index) => error.id !== undefined && rowId(job, index) === error.id);
+            if (row === undefined) continue;
+            mapped.add(error);
+            if (!failed.has(row)) failed.set(row, failedRow(job, row, error.message, error.fields));
+        }
+        if (failed.size) {
+            report = Object.assign({}, report, {
+                errors: errors.filter((error) => !mapped.has(error)),
+                failed: Math.max(0, (report.failed || 0) - failed.size),
+            });
+            // batch_update reports every row in its items, in order.
+            if (Array.isArray(report.items) && report.items.length === rows.length && job.op === 'batch_update') {
+                report.items = report.items.filter((item, position) => !failed.has(rows[position]));
+            }
+            if (typeof report.success === 'boolean') report.success = report.errors.length === 0;
+        }
+        absorbBatchReport(job, report);
+        return [...failed.values()];
+    }
+
+    /**
+     * Count the failed rows of a batch job in its report, as errors (and,
+     * for batch_update, items) like the proxy reports failed rows.
+     *
+     * @param {Object} job
+     * @param {Object} report  A copy of the job's report.
+     * @returns {Object}  The report.
+     */
+    function withFailedRows(job, report) {
+        if (!job.failed_rows.length) return report;
+        const errors = job.failed_rows.map(({ row, id, message, fields, uncertain }) => Object.assign(
+            { index: row },
+            id === undefined ? {} : { id },
+            { error: true, message },
+            fields ? { fields } : {},
+            uncertain ? { uncertain } : {}
+        ));
+        report.failed = (report.failed || 0) + errors.length;
+        report.errors = (report.errors || []).concat(errors);
+        if (job.op === 'batch_update') {
+            report.items = (report.items || []).concat(errors.map(({ id, message, fields }) => (
+                Object.assign({ id, status: 'failed', message }, fields ? { fields } : {})
+            )));
+        }
+        if (typeof report.success === 'boolean') report.success = false;
+        return report;
+    }
+
+    /**
+     * ID of a row of a batch job: the ID to delete, or the id of an update.
+     *
+     * @param {Object} job
+     * @param {number} row  Row index.
+     * @returns {number|undefined}
+     */
+    function rowId(job, row) {
+        const value = job.rows[row];
+        return value && typeof value === 'object' ? value.id : value;
+    }
+
+    /**
+     * Entry of a batch job's failed_rows.
+     *
+     * @param {Object} job
+     * @param {number} row  Row index.
+     * @param {string} message
+     * @param {Array} [fields]  Field errors of the row.
+     * @returns {{row: number, id?: number, message: string, fields?: Array}}
+     */
+    function failedRow(job, row, message, fields) {
+        const id      = rowId(job, row);
+        const failure = id === undefined ? { row, message } : { row, id, message };
+        if (Array.isArray(fields) && fields.length) failure.fields = fields;
+        return failure;
+    }
+
+    /**
+     * Entry of a batch job's failed_rows for a create row that may have been
+     * saved although its request failed.
+     *
+     * @param {Object} job
+     * @param {number} row  Row index.
+     * @param {string} message
+     * @returns {{row: number, message: string, uncertain: boolean}}
+     */
+    function uncertainRow(job, row, message) {
+        return Object.assign(failedRow(job, row, `${message} The item may have been created anyway; `
+            + 'check for it before creating it again.'), { uncertain: true });
+    }
+
+    /**
+     * Whether a batch request that threw may still have saved rows. Only a
+     * 4xx answer, or an OmekaMCPError without a status (an error in a proxy
+     * answer, or one raised in the browser), shows that nothing was saved; a
+     * gateway error such as a 502 or 504, or a dropped connection, can hide a
+     * proxy that went on writing.
+     *
+     * @param {Error} err
+     * @returns {boolean}
+     */
+    function maySaveRows(err) {
+        return !(err instanceof OmekaMCPError && (err.status === 0 || (err.status >= 400 && err.status < 500)));
+    }
+
+    /**
+     * Keep a batch job in memory and in sessionStorage.
+     *
+     * @param {Object} job
+     */
+    function saveBatchJob(job) {
+        job.updated = new Date().toISOString();
+        batchJobs.set(job.id, job);
+        writeStorage(BATCH_STORAGE_PREFIX + job.id, job);
+    }
+
+    /**
+     * Show batch progress in a status line at the bottom of the page; it
+     * disappears a few seconds after the last chunk.
+     *
+     * @param {{processed: number, total: number, message: string}} progress
+     */
+    function showProgress(progress) {
+        if (typeof document === 'undefined' || !document.body) return;
+        let indicator = document.getElementById('webmcp-progress');
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.id = 'webmcp-progress';
+            indicator.setAttribute('role', 'status');
+            indicator.setAttribute('aria-live', 'polite');
+            indicator.style.cssText = 'position:fixed;right:1rem;bottom:1rem;z-index:1000;padding:.5rem 1rem;'
+                + 'background:#fff;border:1px solid #dfdfdf;border-radius:3px;box-shadow:0 2px 6px rgba(0,0,0,.15);';
+            document.body.appendChild(indicator);
+        }
+        indicator.textContent = `WebMCP: ${progress.message}`;
+        clearTimeout(showProgress.timer);
+        if (progress.processed >= progress.total) {
+            showProgress.timer = setTimeout(() => indicator.remove(), 5000);
+        }
+    }
+
+    /**
+     * Copy a search query without its paging keys.
+     *
+     * @param {Object} query
+     * @returns {Object}
+     */
+    function withoutPaging(query) {
+        const filters = Object.assign({}, query);
+        PAGING_KEYS.forEach((key) => delete filters[key]);
+        return filters;
+    }
+
+    /**
+     * Offset of the first result a query asks for, from offset or page/per_page.
+     *
+     * @param {Object} query
+     * @returns {number}
+     */
+    function startOffset(query) {
+        const offset = parseInt(query.offset, 10);
+        if (offset > 0) return offset;
+        const page = parseInt(query.page, 10);
+        return page > 1 ? (page - 1) * (parseInt(query.per_page, 10) || PAGE_SIZE) : 0;
+    }
+
+    /**
+     * Encode paginator state as an opaque, URL-safe continuation token.
+     *
+     * @param {{resource: string, query: Object, offset: number}} state
+     * @returns {string}
+     */
+    function encodeCursor(state) {
+        const bytes = new TextEncoder().encode(JSON.stringify(state));
+        return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode a token from encodeCursor(), or null when it is malformed.
+     *
+     * @param {string} cursor
+     * @returns {{resource: string, query: Object, offset: number}|null}
+     */
+    function decodeCursor(cursor) {
+        try {
+            const binary = atob(String(cursor).replace(/-/g, '+').replace(/_/g, '/'));
+            const state  = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0))));
+            const valid  = state && typeof state.resource === 'string'
+                && state.query && typeof state.query === 'object'
+                && Number.isInteger(state.offset) && state.offset >= 0;
+            return valid ? state : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    OmekaMCPClient.Error = OmekaMCPError;
+    OmekaMCPClient.VocabularyRegistry = VocabularyRegistry;
+
+    window.OmekaMCPClient = OmekaMCPClient;
+})();
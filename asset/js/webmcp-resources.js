@@ -20,45 +20,14 @@
         return;
     }
 
-    const _proxyUrl = (window.WebMCPConfig && window.WebMCPConfig.proxy_url) || '/admin/webmcp/proxy';
-
-    /**
-     * Retrieve the CSRF token injected by PHP into window.WebMCPConfig.
-     *
-     * @returns {string}
-     */
-    function getCsrfToken() {
-        return (window.WebMCPConfig && window.WebMCPConfig.csrf_token) || '';
+    const OmekaMCPClient = window.OmekaMCPClient;
+    if (!OmekaMCPClient) {
+        return;
     }
 
-    /**
-     * POST a payload to the server-side proxy and return the parsed response.
-     *
-     * @param {Object} payload  {op, resource, id?, query?, data?, ids?}
-     * @returns {Promise<Object>}
-     */
-    async function proxyFetch(payload) {
-        const response = await fetch(_proxyUrl, {
-            method: 'POST',
-            credentials: 'include',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': getCsrfToken(),
-            },
-            body: JSON.stringify(payload),
-        });
-        if (!response.ok) {
-            const text = await response.text();
-            let message = `Proxy error ${response.status}`;
-            try {
-                const json = JSON.parse(text);
-                message = json.message || message;
-                if (json.details) message += `: ${json.details}`;
-            } catch (_) { /* keep generic message */ }
-            throw new Error(message);
-        }
-        return response.json();
-    }
+    // Shared proxy client: CSRF token, proxy URL and error model live there.
+    const omeka       = new OmekaMCPClient();
+    const errorResult = OmekaMCPClient.errorResult;
 
     // =========================================================================
     // Resource: omeka-dashboard
@@ -75,22 +44,22 @@
                 // Fetch counts for all collections and recent items in parallel.
                 // Each search response includes total_results in data.total_results.
                 const [itemsRes, itemSetsRes, sitesRes, usersRes, recentRes] = await Promise.all([
-                    proxyFetch({ op: 'search', resource: 'items',      query: { per_page: 1, page: 1 } }),
-                    proxyFetch({ op: 'search', resource: 'item_sets',  query: { per_page: 1, page: 1 } }),
-                    proxyFetch({ op: 'search', resource: 'sites',      query: { per_page: 1, page: 1 } }),
-                    proxyFetch({ op: 'search', resource: 'users',      query: { per_page: 1, page: 1 } }),
-                    proxyFetch({ op: 'search', resource: 'items',      query: { per_page: 5, sort_by: 'created', sort_order: 'desc' } }),
+                    omeka.search('items',      { per_page: 1, page: 1 }),
+                    omeka.search('item_sets',  { per_page: 1, page: 1 }),
+                    omeka.search('sites',      { per_page: 1, page: 1 }),
+                    omeka.search('users',      { per_page: 1, page: 1 }),
+                    omeka.search('items',      { per_page: 5, sort_by: 'created', sort_order: 'desc' }),
                 ]);
 
                 return {
-                    total_items:     itemsRes.data?.total_results    ?? 0,
-                    total_item_sets: itemSetsRes.data?.total_results  ?? 0,
-                    total_sites:     sitesRes.data?.total_results     ?? 0,
-                    total_users:     usersRes.data?.total_results     ?? 0,
-                    recent_items:    recentRes.data?.items            ?? [],
+                    total_items:     itemsRes?.total_results    ?? 0,
+                    total_item_sets: itemSetsRes?.total_results  ?? 0,
+                    total_sites:     sitesRes?.total_results     ?? 0,
+                    total_users:     usersRes?.total_results     ?? 0,
+                    recent_items:    recentRes?.items            ?? [],
                 };
             } catch (err) {
-                return { error: true, message: err.message };
+                return errorResult(err);
             }
         },
     });
@@ -107,11 +76,53 @@
         description: 'Returns the full JSON-LD representation of a specific Omeka-S item.',
         read: async ({ id }) => {
             try {
-                const result = await proxyFetch({ op: 'get', resource: 'items', id: parseInt(id, 10) });
-                if (result.error) return result;
-                return result.data;
+                return await omeka.get('items', parseInt(id, 10));
+            } catch (err) {
+                return errorResult(err);
+            }
+        },
+    });
+
+    // =========================================================================
+    // Resource: omeka-export
+    // URI template: omeka://export/{format}?query
+    // Returns every item matching a query as CSV, JSON-LD or OAI-DC XML.
+    // =========================================================================
+
+    navigator.modelContext.registerResource({
+        uriTemplate: 'omeka://export/{format}{?query*}',
+        name: 'omeka-export',
+        description: 'Exports every item matching an Omeka-S search query as a file. format is csv, jsonld or oai_dc; the query string uses Omeka-S search parameters, e.g. omeka://export/csv?item_set_id=3&fulltext_search=harbour. Returns the content, MIME type, file name and a download URL.',
+        read: async (params = {}) => {
+            try {
+                // Send the query as a string so bracketed keys such as
+                // property[0][text] are parsed into arrays by the proxy.
+                const { format, ...query } = params;
+                const queryString = query.query !== undefined
+                    ? String(query.query)
+                    : new URLSearchParams(query).toString();
+                return await omeka.export('items', queryString, { format });
             } catch (err) {
-                return { error: true, message: err.message };
+                return errorResult(err);
+            }
+        },
+    });
+
+    // =========================================================================
+    // Resource: omeka-job
+    // URI template: omeka://jobs/{id}
+    // Returns the status, progress and report of a background job.
+    // =========================================================================
+
+    navigator.modelContext.registerResource({
+        uriTemplate: 'omeka://jobs/{id}',
+        name: 'omeka-job',
+        description: 'Returns the status of an Omeka-S background job; for jobs queued by WebMCP tools with background: true, also their progress and, once ended, their report.',
+        read: async ({ id }) => {
+            try {
+                return await omeka.jobStatus(parseInt(id, 10));
+            } catch (err) {
+                return errorResult(err);
             }
         },
     });
@@ -128,14 +139,13 @@
         description: 'Returns the navigation structure of an Omeka-S site.',
         read: async ({ id }) => {
             try {
-                const result = await proxyFetch({ op: 'get', resource: 'sites', id: parseInt(id, 10) });
-                if (result.error) return result;
+                const site = await omeka.get('sites', parseInt(id, 10));
                 return {
                     site_id:    id,
-                    navigation: result.data['o:navigation'] || [],
+                    navigation: site['o:navigation'] || [],
                 };
             } catch (err) {
-                return { error: true, message: err.message };
+                return errorResult(err);
             }
         },
     });
@@ -152,29 +162,14 @@
         description: 'Returns the current user\'s role and permissions. IMPORTANT: read this resource first before attempting any write operation to confirm the current user has sufficient privileges. Omeka-S role hierarchy: global_admin (everything), site_admin (manage sites + content), editor (create/edit/delete content + item sets), reviewer (edit content, cannot delete), author (create own content only), researcher (read-only).',
         read: async () => {
             try {
-                // Resolve the current user ID from the admin-user link injected
+                // Resolve the current user from the admin-user link injected
                 // into every admin page, then fetch via the proxy.
-                let currentUser = null;
-                let currentRole = null;
-                const userLink = document.querySelector('#user-bar a[href*="/admin/user/"]');
-                if (userLink) {
-                    const match = userLink.getAttribute('href').match(/\/user\/(\d+)/);
-                    if (match) {
-                        const userResult = await proxyFetch({
-                            op: 'get',
-                            resource: 'users',
-                            id: parseInt(match[1], 10),
-                        }).catch(() => null);
-                        if (userResult && !userResult.error) {
-                            currentUser = userResult.data;
-                            currentRole = currentUser ? (currentUser['o:role'] || null) : null;
-                        }
-                    }
-                }
+                const currentUser = await omeka.getCurrentUser();
+                let currentRole   = currentUser ? (currentUser['o:role'] || null) : null;
 
                 // Fall back to role already resolved by webmcp.js DOMContentLoaded handler.
-                if (!currentRole && window.WebMCPConfig && window.WebMCPConfig.currentRole) {
-                    currentRole = window.WebMCPConfig.currentRole;
+                if (!currentRole && omeka.config.currentRole) {
+                    currentRole = omeka.config.currentRole;
                 }
 
                 return {
@@ -189,7 +184,7 @@
                     current_user: currentUser,
                 };
             } catch (err) {
-                return { error: true, message: err.message };
+                return errorResult(err);
             }
         },
     });
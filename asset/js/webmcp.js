@@ -24,70 +24,172 @@
         return;
     }
 
-    // Runtime config injected by PHP (tool-group flags, CSRF token, proxy URL).
-    const config           = window.WebMCPConfig || {};
-    const groupItems       = config.items        === true;
-    const groupMedia       = config.media        === true;
-    const groupItemSets    = config.item_sets    === true;
-    const groupSites       = config.sites        === true;
-    const groupUsers       = config.users        === true;
-    const groupVocabs      = config.vocabularies === true;
-    const groupBulk        = config.bulk         === true;
-    const _proxyUrl        = config.proxy_url    || '/admin/webmcp/proxy';
+    const OmekaMCPClient = window.OmekaMCPClient;
+    if (!OmekaMCPClient) {
+        return;
+    }
+
+    // Shared proxy client: CSRF token, proxy URL and error model live there.
+    const omeka          = new OmekaMCPClient();
+    const errorResult    = OmekaMCPClient.errorResult;
+    const isPropertyTerm = OmekaMCPClient.isPropertyTerm;
+    const groupItems     = omeka.isGroupEnabled('items');
+    const groupMedia     = omeka.isGroupEnabled('media');
+    const groupItemSets  = omeka.isGroupEnabled('item_sets');
+    const groupSites     = omeka.isGroupEnabled('sites');
+    const groupUsers     = omeka.isGroupEnabled('users');
+    const groupVocabs    = omeka.isGroupEnabled('vocabularies');
+    const groupBulk      = omeka.isGroupEnabled('bulk');
 
     /**
-     * Retrieve the CSRF token injected by PHP into window.WebMCPConfig.
+     * Register a WebMCP tool whose proxy requests are attributed to it.
      *
-     * @returns {string}
+     * The execute callback receives a third argument: an OmekaMCPClient that
+     * sends the tool name with every request, so the proxy's audit log can
+     * record which tool made each change.
+     *
+     * Write tools declare a `dry_run` input (see DRY_RUN_INPUT). When the
+     * agent sets it, the tool receives a dry-run client, so its writes come
+     * back as previews without touching the tool's own code.
+     *
+     * @param {Object} definition  {name, description, inputSchema, execute}
      */
-    function getCsrfToken() {
-        return (window.WebMCPConfig && window.WebMCPConfig.csrf_token) || '';
+    function registerTool(definition) {
+        const api       = omeka.withTool(definition.name);
+        const dryRunApi = api.withDryRun();
+        navigator.modelContext.registerTool(Object.assign({}, definition, {
+            execute: (input, client) => {
+                input = input || {};
+                const target = input.dry_run === true ? dryRunApi : api;
+                return definition.execute(input, client, input.background === true ? target.withBackground() : target);
+            },
+        }));
+        registeredTools.add(definition.name);
     }
 
     /**
-     * POST a payload to the server-side proxy and return the parsed response.
+     * Names of every tool registered by this script.
      *
-     * The proxy wraps results in {success:true, data:...} or {error:true, message:...}.
-     * This function returns the full wrapper object — callers should check
-     * result.error before using result.data.
+     * @type {Set<string>}
+     */
+    const registeredTools = new Set();
+
+    /**
+     * Input schema shared by every write tool.
+     */
+    const DRY_RUN_INPUT = {
+        type: 'boolean',
+        description: 'Preview the change without saving it. Returns the resulting data, a field-level diff and any resource template validation errors.',
+    };
+
+    /**
+     * Input shared by the tools whose operation can run as a background job.
+     */
+    const BACKGROUND_INPUT = {
+        type: 'boolean',
+        description: 'Run as an Omeka background job, for thousands of records: returns a job_id at once; poll get-job-status for progress and the final report, or stop it with cancel-job.',
+    };
+
+    /**
+     * Input shared by the batch tools; see OmekaMCPClient#batch().
+     */
+    const CHUNK_SIZE_INPUT = {
+        type: 'integer',
+        minimum: 1,
+        description: 'Rows sent per request. Defaults to the module setting (50).',
+    };
+
+    /**
+     * Inputs shared by the create tools that can check for duplicates first;
+     * see duplicateOptions().
+     */
+    const DUPLICATE_INPUTS = {
+        on_duplicate: {
+            type: 'string',
+            enum: ['create', 'skip', 'merge', 'flag'],
+            description: 'What to do when an existing resource matches (see find-duplicates): create anyway (default), skip it and return the match, merge the new values into the best match, or flag it and return the matches without creating anything.',
+        },
+        skip_duplicates: {
+            type: 'boolean',
+            description: 'Shorthand for on_duplicate "skip".',
+        },
+        duplicate_match: {
+            type: 'object',
+            description: 'How duplicates are matched: {"by": "auto"|"identifier"|"title"|"properties", "properties": ["dcterms:..."], "threshold": 0-1}. Defaults to the identifier when dcterms:identifier is set, else the normalized title, creator and date, with threshold 0.8.',
+        },
+    };
+
+    /**
+     * Duplicate options of a create tool's api.create() or api.batch() call.
      *
-     * @param {Object} payload  {op, resource, id?, query?, data?, ids?}
-     * @returns {Promise<Object>}
+     * @param {Object} input
+     * @returns {{onDuplicate: string, duplicateMatch?: Object}}
      */
-    async function proxyFetch(payload) {
-        const response = await fetch(_proxyUrl, {
-            method: 'POST',
-            // 'include' (not 'same-origin') is required because the WebMCP
-            // extension calls execute callbacks from an isolated context whose
-            // origin is chrome-extension://, not the page origin.
-            credentials: 'include',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': getCsrfToken(),
-            },
-            body: JSON.stringify(payload),
-        });
-        if (!response.ok) {
-            const text = await response.text();
-            let message = `Proxy error ${response.status}`;
-            try {
-                const json = JSON.parse(text);
-                message = json.message || message;
-                if (json.details) message += `: ${json.details}`;
-            } catch (_) { /* keep generic message */ }
-            throw new Error(message);
-        }
-        return response.json();
+    function duplicateOptions(input) {
+        return {
+            onDuplicate:    input.on_duplicate || (input.skip_duplicates ? 'skip' : 'create'),
+            duplicateMatch: input.duplicate_match,
+        };
     }
 
     /**
-     * Structured error response returned by tool execute callbacks on failure.
+     * Options of a batch tool's api.batch() call: its chunk size and progress
+     * reported to the calling WebMCP client.
      *
-     * @param {Error|string} err
-     * @returns {{error: boolean, message: string}}
+     * @param {Object} input
+     * @param {Object} client
+     * @returns {{chunkSize?: number, onProgress: Function}}
      */
-    function errorResult(err) {
-        return { error: true, message: err instanceof Error ? err.message : String(err) };
+    function batchOptions(input, client) {
+        return { chunkSize: input.chunk_size, onProgress: OmekaMCPClient.progressReporter(client) };
+    }
+
+    /**
+     * Inputs shared by every list and search tool; see listAll().
+     */
+    const PAGINATION_INPUTS = {
+        max_results: {
+            type: 'integer',
+            description: 'Maximum number of results to return (capped by the module configuration). When more match, has_more is true and next_cursor continues the list.',
+        },
+        cursor: {
+            type: 'string',
+            description: 'next_cursor from a previous call of this tool. Continues that listing; the other filters are ignored.',
+        },
+    };
+
+    /**
+     * Response view input of the item, item set, media and site read tools.
+     *
+     * @param {string} defaultView
+     * @returns {Object}
+     */
+    function viewInput(defaultView) {
+        return {
+            type: 'string',
+            enum: ['summary', 'metadata', 'full'],
+            default: defaultView,
+            description: 'summary: id, title, class, template and key links. metadata: summary plus a flat property term → values map. full: the complete JSON-LD representation (large).',
+        };
+    }
+
+    /**
+     * Fetch every resource matching a query, following pages up to the
+     * agent's max_results, so tools never return a silently truncated list.
+     *
+     * @param {OmekaMCPClient} api
+     * @param {string} resource
+     * @param {Object} query
+     * @param {Object} input  Tool input with optional max_results, cursor and view.
+     * @param {string} [defaultView]  View used when the input sets none.
+     * @returns {Promise<Object>}  See OmekaMCPClient#paginate.
+     */
+    function listAll(api, resource, query, input, defaultView) {
+        return api.paginate(resource, query, {
+            max_results: input.max_results,
+            cursor:      input.cursor,
+            view:        input.view || defaultView,
+        });
     }
 
     // -------------------------------------------------------------------------
@@ -95,18 +197,12 @@
     // can skip privileged operations it would not be permitted to run.
     // -------------------------------------------------------------------------
     document.addEventListener('DOMContentLoaded', function () {
-        const userLink = document.querySelector('#user-bar a[href*="/admin/user/"]');
-        if (!userLink) return;
-        const match = userLink.getAttribute('href').match(/\/user\/(\d+)/);
-        if (!match) return;
-        proxyFetch({ op: 'get', resource: 'users', id: parseInt(match[1], 10) })
-            .then((result) => {
-                if (!result.error && result.data && result.data['o:role']) {
-                    window.WebMCPConfig = window.WebMCPConfig || {};
-                    window.WebMCPConfig.currentRole = result.data['o:role'];
-                }
-            })
-            .catch(() => {});
+        omeka.getCurrentRole().then((role) => {
+            if (role) {
+                window.WebMCPConfig = window.WebMCPConfig || {};
+                window.WebMCPConfig.currentRole = role;
+            }
+        });
     });
 
     // =========================================================================
@@ -128,29 +224,72 @@
     }
 
     /**
-     * Ensure every value in a properties object has property_id set.
+     * Build one Omeka-S JSON-LD value from a value spec.
+     *
+     * A spec is either a plain string (a literal) or an object:
+     *   {value, lang}             literal with a language tag
+     *   {uri, label}              'uri' value with an optional label
+     *   {resource_id}             link to another item ('resource:item')
+     *   {value, type}             any other data type, e.g. 'numeric:timestamp'
+     *   {type, resource_id}       link with an explicit type, e.g. 'resource:itemset'
+     * Objects already in JSON-LD form (with @value, @id or value_resource_id)
+     * are passed through unchanged.
+     *
+     * @param {string|number|Object} spec
+     * @returns {Object}
+     */
+    function toValue(spec) {
+        if (spec === null || typeof spec !== 'object') {
+            return { 'type': 'literal', '@value': String(spec), 'property_id': 'auto' };
+        }
+        if ('@value' in spec || '@id' in spec || 'value_resource_id' in spec) {
+            return spec['property_id'] ? spec : Object.assign({ 'property_id': 'auto' }, spec);
+        }
+
+        let type = spec.type;
+        if (!type) {
+            type = spec.uri ? 'uri' : (spec.resource_id ? 'resource:item' : 'literal');
+        }
+        const value = { 'type': type, 'property_id': 'auto' };
+        if (type.startsWith('resource')) {
+            value['value_resource_id'] = spec.resource_id;
+        } else if (type === 'uri' || spec.uri) {
+            value['@id'] = spec.uri;
+            if (spec.label) value['o:label'] = spec.label;
+        } else {
+            value['@value'] = String(spec.value);
+        }
+        if (spec.lang) value['@language'] = spec.lang;
+        return value;
+    }
+
+    /**
+     * Build a JSON-LD value array from a value spec or an array of specs.
      *
-     * When the AI passes properties in JSON-LD format via the `properties`
-     * input field, those values may lack property_id. Omeka's ValueHydrator
-     * silently ignores values without property_id, so we default to 'auto'.
+     * @param {string|Object|Array} specs
+     * @returns {Array}
+     */
+    function toValues(specs) {
+        return (Array.isArray(specs) ? specs : [specs])
+            .filter((spec) => spec !== undefined && spec !== null && spec !== '')
+            .map(toValue);
+    }
+
+    /**
+     * Turn the `properties` input into JSON-LD property values.
+     *
+     * Values may be full JSON-LD objects, in which case only a missing
+     * property_id is filled in (Omeka's ValueHydrator silently ignores values
+     * without one), or any value spec accepted by toValue().
      *
-     * @param {Object} properties  JSON-LD property map from AI input.
+     * @param {Object} properties  Property map from AI input.
      * @returns {Object}
      */
     function normalizeProperties(properties) {
         if (!properties || typeof properties !== 'object') return {};
         const result = {};
         for (const [term, values] of Object.entries(properties)) {
-            if (Array.isArray(values)) {
-                result[term] = values.map((v) => {
-                    if (v && typeof v === 'object' && !v['property_id']) {
-                        return Object.assign({ 'property_id': 'auto' }, v);
-                    }
-                    return v;
-                });
-            } else {
-                result[term] = values;
-            }
+            result[term] = isPropertyTerm(term) ? toValues(values) : values;
         }
         return result;
     }
@@ -161,8 +300,9 @@
      * The Omeka-S API requires property values in JSON-LD format:
      *   {"dcterms:title": [{"type": "literal", "@value": "My title", "property_id": "auto"}]}
      *
-     * AI agents often pass plain strings instead. This helper maps them so items
-     * are never created as [untitled].
+     * AI agents often pass plain strings or value specs instead (see
+     * toValue()). This helper maps them so items are never created as
+     * [untitled].
      *
      * Existing JSON-LD values in `properties` always take precedence.
      *
@@ -172,29 +312,486 @@
     function buildItemData(input) {
         const data = normalizeProperties(input.properties);
         if (input.title && !data['dcterms:title']) {
-            data['dcterms:title'] = literal(input.title);
+            data['dcterms:title'] = toValues(input.title);
         }
         if (input.description && !data['dcterms:description']) {
-            data['dcterms:description'] = literal(input.description);
+            data['dcterms:description'] = toValues(input.description);
         }
         return data;
     }
 
-    if (groupItems) {
-        navigator.modelContext.registerTool({
-            name: 'create-item',
-            description: 'Create a new item in Omeka-S. Requires role: editor, site_admin, or global_admin.',
-            inputSchema: {
+    /**
+     * Merge the `fields` input into a data object.
+     *
+     * Keys are template field labels (e.g. "Accession number") or terms; the
+     * proxy maps labels to terms using the item's resource template, so the
+     * values only need converting here. Values already set take precedence.
+     *
+     * @param {Object} data
+     * @param {Object|undefined} fields
+     * @returns {Object}
+     */
+    function applyFields(data, fields) {
+        for (const [key, values] of Object.entries(fields || {})) {
+            if (!data[key]) {
+                data[key] = toValues(values);
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Dublin Core terms behind the convenience fields of catalog-item.
+     */
+    const DC_FIELDS = {
+        title:       'dcterms:title',
+        description: 'dcterms:description',
+        creator:     'dcterms:creator',
+        contributor: 'dcterms:contributor',
+        subject:     'dcterms:subject',
+        date:        'dcterms:date',
+        type:        'dcterms:type',
+        format:      'dcterms:format',
+        identifier:  'dcterms:identifier',
+        language:    'dcterms:language',
+        publisher:   'dcterms:publisher',
+        rights:      'dcterms:rights',
+        source:      'dcterms:source',
+        relation:    'dcterms:relation',
+        coverage:    'dcterms:coverage',
+    };
+
+    /**
+     * Input schema of one value spec (see toValue()).
+     */
+    const VALUE_SPEC = {
+        oneOf: [
+            { type: 'string' },
+            {
                 type: 'object',
                 properties: {
-                    title: {
+                    value:       { type: 'string',  description: 'Literal value, or the value of a typed value such as numeric:timestamp.' },
+                    lang:        { type: 'string',  description: 'Language tag, e.g. "es" or "en".' },
+                    uri:         { type: 'string',  description: 'URI of a linked-data value, e.g. a rightsstatements.org or Wikidata URI.' },
+                    label:       { type: 'string',  description: 'Label shown for the URI.' },
+                    resource_id: { type: 'integer', description: 'ID of a linked Omeka resource, e.g. the item of a person.' },
+                    type:        { type: 'string',  description: 'Data type. Defaults to "literal", "uri" (when uri is set) or "resource:item" (when resource_id is set). Other types such as "numeric:timestamp" need their module; see list-data-types.' },
+                },
+            },
+        ],
+    };
+
+    /**
+     * Input schema of a metadata field: one value spec or an array of them.
+     *
+     * @param {string} description
+     * @returns {Object}
+     */
+    function valueInput(description) {
+        return {
+            description: `${description} A string, a value object ({value, lang} / {uri, label} / {resource_id} / {value, type}) or an array of them.`,
+            oneOf: [VALUE_SPEC, { type: 'array', items: VALUE_SPEC }],
+        };
+    }
+
+    /**
+     * Input schema for values keyed by resource template field label.
+     */
+    const FIELDS_INPUT = {
+        type: 'object',
+        description: 'Values keyed by the resource template\'s field labels (e.g. {"Accession number": "1987.4"}) or by term, with the same value objects as the other fields. Labels are matched case-insensitively against the template\'s alternate labels, then its property labels. Use get-resource-template to see the labels and which fields are required.',
+        additionalProperties: valueInput('Field value.'),
+    };
+
+    /**
+     * Input schema for per-property edit modes of the update tools.
+     */
+    const MODES_INPUT = {
+        type: 'object',
+        description: 'Per-property edit mode, keyed by term (e.g. "dcterms:subject") or by a field of this tool (e.g. "subject"). "replace" (default) replaces all current values with the given ones; "append" adds the given values to the current ones; "remove" deletes the given values and keeps the rest; "clear" deletes every value (no value needed). Example: {"subject": "append"} adds one more subject without re-sending the existing ones.',
+        additionalProperties: { type: 'string', enum: ['replace', 'append', 'remove', 'clear'] },
+    };
+
+    /**
+     * Translate a modes input keyed by field names or terms into one keyed by terms.
+     *
+     * @param {Object|undefined} modes
+     * @returns {Object}
+     */
+    function resolveModes(modes) {
+        const result = {};
+        for (const [key, mode] of Object.entries(modes || {})) {
+            result[DC_FIELDS[key] || key] = mode;
+        }
+        return result;
+    }
+
+    /**
+     * Property filter types of the Omeka item search, with what each matches.
+     */
+    const PROPERTY_QUERY_TYPES = {
+        eq:   'has a value exactly equal to text',
+        neq:  'has no value exactly equal to text',
+        in:   'has a value containing text',
+        nin:  'has no value containing text',
+        ex:   'has any value (text is ignored)',
+        nex:  'has no value at all (text is ignored)',
+        res:  'links to the resource whose ID is text',
+        nres: 'does not link to the resource whose ID is text',
+    };
+
+    /**
+     * Property filter types that take no text.
+     *
+     * @type {string[]}
+     */
+    const TEXTLESS_QUERY_TYPES = ['ex', 'nex'];
+
+    /**
+     * Dates accepted by the created/modified filters: a day, optionally
+     * followed by a time.
+     */
+    const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2})?)?$/;
+
+    /**
+     * Date range inputs: [input name, Omeka datetime field, comparison].
+     */
+    const DATE_FILTERS = [
+        ['created_after',   'created',  'gte'],
+        ['created_before',  'created',  'lt'],
+        ['modified_after',  'modified', 'gte'],
+        ['modified_before', 'modified', 'lt'],
+    ];
+
+    /**
+     * Item search filters shared by search-items and export-items.
+     */
+    const ITEM_QUERY_INPUTS = {
+        fulltext_search: { type: 'string', description: 'Full-text search across titles and values.' },
+        resource_class_id: { type: 'integer', description: 'Only items of this resource class ID.' },
+        resource_class: { type: 'string', description: 'Only items of this resource class term, e.g. "dctype:Image" (see list-resource-classes).' },
+        resource_template_id: { type: 'integer', description: 'Only items using this resource template ID.' },
+        item_set_id: {
+            type: 'array',
+            items: { type: 'integer' },
+            description: 'Only items in at least one of these item set IDs.',
+        },
+        site_id: { type: 'integer', description: 'Only items assigned to this site ID.' },
+        owner_id: { type: 'integer', description: 'Only items owned by this user ID.' },
+        is_public: { type: 'boolean', description: 'true: only public items. false: only private items.' },
+        has_media: { type: 'boolean', description: 'true: only items with media. false: only items without.' },
+        created_after: { type: 'string', description: 'Only items created on or after this date (YYYY-MM-DD, optional time).' },
+        created_before: { type: 'string', description: 'Only items created before this date.' },
+        modified_after: { type: 'string', description: 'Only items modified on or after this date.' },
+        modified_before: { type: 'string', description: 'Only items modified before this date.' },
+        property: {
+            type: 'array',
+            description: 'Property value filters, applied in order. Each is joined to the filters before it by its joiner.',
+            items: {
+                type: 'object',
+                required: ['type'],
+                properties: {
+                    joiner: {
                         type: 'string',
-                        description: 'Item title (mapped to dcterms:title).',
+                        enum: ['and', 'or'],
+                        default: 'and',
+                        description: 'and: must also match. or: may match instead. Ignored on the first filter.',
                     },
-                    description: {
+                    property: {
+                        type: 'string',
+                        description: 'Property term, e.g. "dcterms:subject". Omit to match any property.',
+                    },
+                    type: {
                         type: 'string',
-                        description: 'Item description (mapped to dcterms:description).',
+                        enum: Object.keys(PROPERTY_QUERY_TYPES),
+                        description: Object.entries(PROPERTY_QUERY_TYPES).map(([type, meaning]) => `${type}: ${meaning}`).join('. ') + '.',
                     },
+                    text: { type: 'string', description: 'Value to compare; an item ID for res and nres.' },
+                },
+            },
+        },
+        sort_by: {
+            type: 'string',
+            description: 'Sort field: "created", "modified", "title", "id", "resource_class_label", "owner_name", or a property term such as "dcterms:date".',
+        },
+        sort_order: { type: 'string', enum: ['asc', 'desc'], default: 'asc', description: 'Sort direction.' },
+    };
+
+    /**
+     * Build and validate an Omeka item search query from ITEM_QUERY_INPUTS.
+     *
+     * Terms are checked against the vocabulary registry so a misspelled
+     * property or class fails with suggestions instead of matching nothing.
+     *
+     * @param {Object} input
+     * @param {OmekaMCPClient} api
+     * @returns {Promise<Object>}
+     * @throws {OmekaMCPClient.Error}  With code 'invalid_fields'.
+     */
+    async function buildItemQuery(input, api) {
+        const query  = {};
+        const fields = [];
+        const invalid = (field, message) => fields.push({ field, code: 'invalid_value', message });
+
+        if (input.fulltext_search)      query.fulltext_search      = input.fulltext_search;
+        if (input.resource_template_id) query.resource_template_id = input.resource_template_id;
+        if (input.site_id)              query.site_id              = input.site_id;
+        if (input.owner_id)             query.owner_id             = input.owner_id;
+        if (typeof input.is_public === 'boolean') query.is_public = input.is_public ? 1 : 0;
+        if (typeof input.has_media === 'boolean') query.has_media = input.has_media ? 1 : 0;
+
+        const itemSets = [].concat(input.item_set_id || []).map(Number).filter((id) => id > 0);
+        if (itemSets.length) query.item_set_id = itemSets;
+
+        if (input.resource_class_id) {
+            query.resource_class_id = input.resource_class_id;
+        } else if (input.resource_class) {
+            query.resource_class_id = await api.resourceClassId(input.resource_class);
+        }
+
+        const datetime = [];
+        DATE_FILTERS.forEach(([name, field, type]) => {
+            if (!input[name]) return;
+            if (!DATE_PATTERN.test(String(input[name]))) {
+                invalid(name, `${name} must be a date such as 2024-03-31 or 2024-03-31T12:00.`);
+                return;
+            }
+            datetime.push({ joiner: 'and', field, type, value: String(input[name]) });
+        });
+        if (datetime.length) query.datetime = datetime;
+
+        const property = [];
+        for (const [index, filter] of (Array.isArray(input.property) ? input.property : []).entries()) {
+            const path = `property[${index}]`;
+            if (!filter || !Object.prototype.hasOwnProperty.call(PROPERTY_QUERY_TYPES, filter.type)) {
+                invalid(`${path}.type`, `${path}.type must be one of: ${Object.keys(PROPERTY_QUERY_TYPES).join(', ')}.`);
+                continue;
+            }
+            const condition = { joiner: filter.joiner === 'or' ? 'or' : 'and', type: filter.type };
+            if (filter.property) {
+                condition.property = await api.propertyId(filter.property, `${path}.property`);
+            }
+            if (!TEXTLESS_QUERY_TYPES.includes(filter.type)) {
+                const text = filter.text === undefined || filter.text === null ? '' : String(filter.text);
+                if (text === '') {
+                    invalid(`${path}.text`, `${path}.text is required for type ${filter.type}.`);
+                    continue;
+                }
+                if (['res', 'nres'].includes(filter.type) && !/^\d+$/.test(text)) {
+                    invalid(`${path}.text`, `${path}.text must be a resource ID for type ${filter.type}.`);
+                    continue;
+                }
+                condition.text = text;
+            }
+            property.push(condition);
+        }
+        if (property.length) query.property = property;
+
+        if (input.sort_by) {
+            if (String(input.sort_by).includes(':')) {
+                await api.propertyId(input.sort_by, 'sort_by');
+            }
+            query.sort_by    = input.sort_by;
+            query.sort_order = input.sort_order === 'desc' ? 'desc' : 'asc';
+        }
+
+        if (fields.length) {
+            throw new OmekaMCPClient.Error(`Invalid search: ${fields.map((f) => f.message).join(' ')}`, {
+                code: 'invalid_fields',
+                fields,
+            });
+        }
+        return query;
+    }
+
+    /**
+     * Build the pattern of a find-replace-metadata run.
+     *
+     * @param {Object} input
+     * @returns {{pattern: RegExp, replacement: string|Function}}
+     * @throws {OmekaMCPClient.Error}  When the regular expression is invalid.
+     */
+    function replacementPattern(input) {
+        const flags = input.case_sensitive === false ? 'gi' : 'g';
+        const text  = String(input.replace || '');
+        if (!input.regex) {
+            // A function replacement keeps "$" in the text literal.
+            return { pattern: new RegExp(input.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags), replacement: () => text };
+        }
+        try {
+            return { pattern: new RegExp(input.find, flags), replacement: text };
+        } catch (err) {
+            throw new OmekaMCPClient.Error(err.message, {
+                code: 'invalid_fields',
+                fields: [{ field: 'find', code: 'invalid_value', message: err.message }],
+            });
+        }
+    }
+
+    /**
+     * Run find-replace-metadata: search the items, compute the new values of
+     * the property and send them as one batch update.
+     *
+     * Only literal text (@value) is edited; URIs and linked resources are
+     * left alone. The other values of the property are sent unchanged, as
+     * the batch replaces the property's whole value list.
+     *
+     * @param {Object} input  find-replace-metadata input.
+     * @param {OmekaMCPClient} api  A dry-run client previews the batch.
+     * @param {Object} [options]  api.batch() options, e.g. onProgress.
+     * @returns {Promise<Object>}
+     */
+    async function findReplace(input, api, options = {}) {
+        if (!input.find) {
+            throw new OmekaMCPClient.Error('find must not be empty.');
+        }
+        const { pattern, replacement } = replacementPattern(input);
+        const query = await buildItemQuery(input.filters || {}, api);
+
+        // Narrow the search to items that can contain a match.
+        const propertyId = await api.propertyId(input.property, 'property');
+        const condition  = input.regex
+            ? { joiner: 'and', property: propertyId, type: 'ex' }
+            : { joiner: 'and', property: propertyId, type: 'in', text: input.find };
+        query.property = (query.property || []).concat(condition);
+
+        const found   = await api.paginate('items', query, { max_results: input.max_results });
+        const rows    = [];
+        const changes = {};
+        for (const item of found.items) {
+            const values  = Array.isArray(item[input.property]) ? item[input.property] : [];
+            const edits   = [];
+            const updated = values.map((value) => {
+                if (!value || typeof value['@value'] !== 'string') return value;
+                const after = value['@value'].replace(pattern, replacement);
+                if (after === value['@value']) return value;
+                edits.push({ before: value['@value'], after });
+                return Object.assign({}, value, { '@value': after });
+            });
+            if (!edits.length) continue;
+            rows.push({ id: item['o:id'], data: { [input.property]: updated } });
+            changes[item['o:id']] = { title: item['o:title'] || null, changes: edits };
+        }
+
+        const summary = {
+            property:      input.property,
+            searched:      found.returned,
+            total_results: found.total_results,
+            has_more:      found.has_more,
+            matched:       rows.length,
+        };
+        if (!rows.length) {
+            return Object.assign(summary, { message: `No value of ${input.property} matches.`, items: [] });
+        }
+
+        const report = await api.batch('update', 'items', rows, Object.assign({}, options, {
+            modes: { [input.property]: 'replace' },
+        }));
+        report.items = (report.items || []).map((row) => Object.assign({ id: row.id }, changes[row.id], {
+            status:  row.status,
+            message: row.message,
+            fields:  row.fields,
+        }));
+        if (found.has_more) {
+            summary.message = `Only the first ${found.returned} of ${found.total_results} items were searched; run again (with a narrower filter or a higher max_results) for the rest.`;
+        }
+        return Object.assign(summary, report);
+    }
+
+    /**
+     * Run add-items-to-item-set, remove-items-from-item-set or
+     * move-items-between-item-sets: find the items, work out their new item
+     * sets and send the items whose memberships change as one batch update.
+     *
+     * Other memberships are kept. Additions and removals are sent with the
+     * append and remove value modes, so the proxy merges them into each
+     * item's current item sets; a move both removes and adds, so it sends
+     * each item's whole list, worked out from the item as just read.
+     *
+     * @param {Object} input  item_ids or filters (search-items filters), and
+     *   max_results.
+     * @param {OmekaMCPClient} api  A dry-run client previews the batch.
+     * @param {{add?: number[], remove?: number[]}} change  Item set IDs.
+     * @param {Object} [options]  api.batch() options, e.g. onProgress.
+     * @returns {Promise<Object>}
+     */
+    async function changeItemSets(input, api, change, options = {}) {
+        const setIds  = (ids) => [...new Set([].concat(ids || []).map(Number).filter((id) => id > 0))];
+        const add     = setIds(change.add);
+        const remove  = setIds(change.remove);
+        const itemIds = setIds(input.item_ids);
+        if (!itemIds.length && !input.filters) {
+            throw new OmekaMCPClient.Error('Give item_ids, or filters to search the items.', { code: 'invalid_value' });
+        }
+        if (add.some((id) => remove.includes(id))) {
+            throw new OmekaMCPClient.Error('Items cannot be moved into the item set they are moved out of.', { code: 'invalid_value' });
+        }
+        if (add.length) {
+            const found   = await api.search('item_sets', { id: add, per_page: add.length }, { view: 'summary' });
+            const missing = add.filter((id) => !found.items.some((itemSet) => itemSet.id === id));
+            if (missing.length) {
+                throw new OmekaMCPClient.Error(`No item set #${missing.join(', #')}.`, { code: 'not_found' });
+            }
+        }
+
+        let query = { id: itemIds };
+        if (!itemIds.length) {
+            query = await buildItemQuery(input.filters, api);
+            // Only items in one of the item sets can leave it.
+            if (remove.length && !query.item_set_id) query.item_set_id = remove;
+        }
+        const found   = await api.paginate('items', query, { max_results: itemIds.length || input.max_results });
+        const rows    = [];
+        const changes = {};
+        for (const item of found.items) {
+            const before = (item['o:item_set'] || []).map((itemSet) => itemSet['o:id']);
+            const after  = before.filter((id) => !remove.includes(id)).concat(add.filter((id) => !before.includes(id)));
+            if (after.length === before.length && after.every((id) => before.includes(id))) continue;
+            const sent = add.length && remove.length ? after : add.length ? add : remove;
+            rows.push({ id: item['o:id'], data: { 'o:item_set': sent.map((id) => ({ 'o:id': id })) } });
+            changes[item['o:id']] = { title: item['o:title'] || null, item_set_ids: { before, after } };
+        }
+
+        const summary = {
+            added_to:      add,
+            removed_from:  remove,
+            matched:       found.returned,
+            total_results: found.total_results,
+            has_more:      found.has_more,
+            unchanged:     found.returned - rows.length,
+        };
+        if (itemIds.length) {
+            const missing = itemIds.filter((id) => !found.items.some((item) => item['o:id'] === id));
+            if (missing.length) summary.not_found = missing;
+        }
+        if (found.has_more) {
+            summary.message = `Only the first ${found.returned} of ${found.total_results} items were searched; run again (with a narrower filter or a higher max_results) for the rest.`;
+        }
+        if (!rows.length) {
+            return Object.assign(summary, { changed: 0, items: [], message: summary.message || 'No item needs changing.' });
+        }
+
+        const mode   = add.length && remove.length ? 'replace' : add.length ? 'append' : 'remove';
+        const report = await api.batch('update', 'items', rows, Object.assign({}, options, {
+            modes: { 'o:item_set': mode },
+        }));
+        report.items = (report.items || []).map((row) => Object.assign({ id: row.id }, changes[row.id], {
+            status:  row.status,
+            message: row.message,
+            fields:  row.fields,
+        }));
+        return Object.assign(summary, { changed: report.updated || 0 }, report);
+    }
+
+    if (groupItems) {
+        registerTool({
+            name: 'create-item',
+            description: 'Create a new item in Omeka-S. When a resource template is given, its required fields must be filled and values can be passed by field label in `fields`; missing or invalid fields are reported by name. Requires role: editor, site_admin, or global_admin.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    title: valueInput('Item title (mapped to dcterms:title).'),
+                    description: valueInput('Item description (mapped to dcterms:description).'),
                     resource_template_id: {
                         type: 'integer',
                         description: 'Optional resource template ID.',
@@ -206,29 +803,118 @@
                     },
                     properties: {
                         type: 'object',
-                        description: 'Additional properties in JSON-LD format, e.g. {"dcterms:subject": [{"type": "literal", "@value": "History"}]}. Use title/description fields for those common fields instead.',
+                        description: 'Additional properties keyed by term. Values are value objects or strings, e.g. {"dcterms:creator": [{"resource_id": 12}], "dcterms:rights": {"uri": "http://rightsstatements.org/vocab/InC/1.0/", "label": "In Copyright"}, "dcterms:subject": ["History", {"value": "Historia", "lang": "es"}]}; full JSON-LD values are accepted too. Use title/description fields for those common fields instead.',
                     },
+                    fields: FIELDS_INPUT,
+                    ...DUPLICATE_INPUTS,
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
-                    const data = buildItemData(input);
+                    const data = applyFields(buildItemData(input), input.fields);
                     if (input.resource_template_id) {
                         data['o:resource_template'] = { 'o:id': input.resource_template_id };
                     }
                     if (input.item_set_ids && input.item_set_ids.length) {
                         data['o:item_set'] = input.item_set_ids.map((id) => ({ 'o:id': id }));
                     }
-                    const result = await proxyFetch({ op: 'create', resource: 'items', data });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.create('items', data, duplicateOptions(input));
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'find-duplicates',
+            description: 'Check for existing items that duplicate new item data, or existing items that duplicate each other, before creating anything. Matches by dcterms:identifier, by normalized title + creator + date, or by the chosen property terms, and scores each match from 0 to 1 (matched_on gives the score per term). Use on_duplicate "merge" or "flag" on create-item and batch-create-items instead of creating the same item again.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    items: {
+                        type: 'array',
+                        description: 'Item data to check, in the shape create-item accepts: {title, description, properties}.',
+                        items: { type: 'object' },
+                    },
+                    ids: {
+                        type: 'array',
+                        items: { type: 'integer' },
+                        description: 'IDs of existing items to check against the others.',
+                    },
+                    by: {
+                        type: 'string',
+                        enum: ['auto', 'identifier', 'title', 'properties'],
+                        description: 'Match strategy. auto (default) uses the identifier when there is one, else the title with creator and date.',
+                    },
+                    properties: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Property terms to compare with by "properties", e.g. ["dcterms:title", "dcterms:spatial"].',
+                    },
+                    threshold: {
+                        type: 'number',
+                        minimum: 0,
+                        maximum: 1,
+                        description: 'Lowest score reported as a duplicate. Defaults to 0.8.',
+                    },
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    return await api.findDuplicates('items', {
+                        items:      (input.items || []).map((item) => buildItemData(item || {})),
+                        ids:        input.ids,
+                        by:         input.by,
+                        properties: input.properties,
+                        threshold:  input.threshold,
+                    });
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'merge-items',
+            description: 'Merge duplicate items into one primary item: their property values (without repeats) and item sets are added to it, their media move to it, values on other items linking to them are re-pointed to it, and they are then deleted. Previews the merge and asks for confirmation first; dry_run returns only the preview. Cannot be undone. Requires role: editor, site_admin, or global_admin.',
+            inputSchema: {
+                type: 'object',
+                required: ['primary_id', 'secondary_ids'],
+                properties: {
+                    primary_id: { type: 'integer', description: 'ID of the item to keep.' },
+                    secondary_ids: {
+                        type: 'array',
+                        items: { type: 'integer' },
+                        description: 'IDs of the items to merge into it; they are deleted.',
+                    },
+                    dry_run: DRY_RUN_INPUT,
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    const preview = await api.withDryRun().merge(input.primary_id, input.secondary_ids);
+                    if (input.dry_run) {
+                        return preview;
+                    }
+                    if (client && typeof client.requestUserInteraction === 'function') {
+                        const merged = preview.merged_ids.map((id) => `#${id}`).join(', ');
+                        const confirmed = await client.requestUserInteraction({
+                            type: 'confirm',
+                            message: `Merge item(s) ${merged} into item #${preview.primary_id}? Their values, item sets and ${preview.media_ids.length} media move to #${preview.primary_id}, ${preview.referencing_ids.length} linking item(s) are re-pointed, and ${merged} are deleted. This cannot be undone.`,
+                        });
+                        if (!confirmed) {
+                            return { cancelled: true, message: 'Merge cancelled by user.', preview };
+                        }
+                    }
+                    return await api.merge(input.primary_id, input.secondary_ids);
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'update-item',
             description: 'Update an existing item in Omeka-S. Requires role: editor, site_admin, or global_admin.',
             inputSchema: {
@@ -248,25 +934,20 @@
                         type: 'object',
                         description: 'Additional properties in JSON-LD format.',
                     },
+                    modes: MODES_INPUT,
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
-                    const result = await proxyFetch({
-                        op: 'update',
-                        resource: 'items',
-                        id: input.id,
-                        data: buildItemData(input),
-                    });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.update('items', input.id, buildItemData(input), { modes: resolveModes(input.modes) });
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'delete-item',
             description: 'Delete an item from Omeka-S. Shows a confirmation dialog before deleting. Requires role: editor, site_admin, or global_admin.',
             inputSchema: {
@@ -274,74 +955,52 @@
                 required: ['id'],
                 properties: {
                     id: { type: 'integer', description: 'Item ID to delete.' },
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input, client) => {
+            execute: async (input, client, api) => {
                 try {
-                    if (client && typeof client.requestUserInteraction === 'function') {
+                    if (!input.dry_run && client && typeof client.requestUserInteraction === 'function') {
                         const confirmed = await client.requestUserInteraction({
                             type: 'confirm',
-                            message: `Are you sure you want to delete item #${input.id}? This action cannot be undone.`,
+                            message: `Are you sure you want to delete item #${input.id}? Its media files cannot be recovered.`,
                         });
                         if (!confirmed) {
                             return { cancelled: true, message: 'Deletion cancelled by user.' };
                         }
                     }
-                    const result = await proxyFetch({ op: 'delete', resource: 'items', id: input.id });
-                    if (result.error) return result;
-                    return { success: true, message: `Item #${input.id} deleted.` };
+                    const result = await api.delete('items', input.id);
+                    if (input.dry_run) {
+                        return result;
+                    }
+                    return { success: true, message: `Item #${input.id} deleted.`, change_id: result.change_id };
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'search-items',
-            description: 'Search for items in Omeka-S.',
+            description: 'Search for items in Omeka-S by text, class, template, item sets, site, owner, visibility, media, created/modified dates and property filters, with sorting. Follows result pages automatically up to max_results; reports total_results and has_more, and returns a next_cursor to continue.',
             inputSchema: {
                 type: 'object',
                 properties: {
-                    fulltext_search: { type: 'string', description: 'Full-text search query.' },
-                    resource_template_id: { type: 'integer', description: 'Filter by resource template ID.' },
-                    item_set_id: { type: 'integer', description: 'Filter by item set ID.' },
-                    property: {
-                        type: 'array',
-                        description: 'Property filters.',
-                        items: {
-                            type: 'object',
-                            properties: {
-                                property: { type: 'string' },
-                                type: { type: 'string' },
-                                text: { type: 'string' },
-                            },
-                        },
-                    },
-                    per_page: { type: 'integer', default: 25, description: 'Results per page.' },
-                    page: { type: 'integer', default: 1, description: 'Page number.' },
+                    ...ITEM_QUERY_INPUTS,
+                    view: viewInput('summary'),
+                    ...PAGINATION_INPUTS,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
-                    const query = {};
-                    if (input.fulltext_search)     query.fulltext_search     = input.fulltext_search;
-                    if (input.resource_template_id) query.resource_template_id = input.resource_template_id;
-                    if (input.item_set_id)          query.item_set_id          = input.item_set_id;
-                    query.per_page = input.per_page || 25;
-                    query.page     = input.page     || 1;
-                    if (input.property && Array.isArray(input.property)) {
-                        query.property = input.property;
-                    }
-                    const result = await proxyFetch({ op: 'search', resource: 'items', query });
-                    if (result.error) return result;
-                    return result.data;
+                    return await listAll(api, 'items', await buildItemQuery(input, api), input, 'summary');
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'get-item',
             description: 'Get a single item by ID from Omeka-S.',
             inputSchema: {
@@ -349,48 +1008,80 @@
                 required: ['id'],
                 properties: {
                     id: { type: 'integer', description: 'Item ID.' },
+                    view: viewInput('metadata'),
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    return await api.get('items', input.id, { view: input.view || 'metadata' });
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'export-items',
+            description: 'Export every item matching a search as a file: flattened CSV (one column per property term), JSON-LD or OAI-DC XML. Pages through all matches (up to 5000). Returns the file content and a download URL; set download to also save it in the browser. With background, the file content is in the job report of get-job-status.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    format: {
+                        type: 'string',
+                        enum: ['csv', 'jsonld', 'oai_dc'],
+                        default: 'csv',
+                        description: 'csv: one row per item, one column per property term. jsonld: array of JSON-LD representations. oai_dc: simple Dublin Core records.',
+                    },
+                    ...ITEM_QUERY_INPUTS,
+                    multivalue_delimiter: {
+                        type: 'string',
+                        default: '|',
+                        description: 'CSV only: joins several values of a property in one cell. The default matches import-csv, so exports can be re-imported.',
+                    },
+                    download: { type: 'boolean', description: 'Also save the file through the browser\'s download prompt.' },
+                    background: BACKGROUND_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
-                    const result = await proxyFetch({ op: 'get', resource: 'items', id: input.id });
-                    if (result.error) return result;
-                    return result.data;
+                    const options = { format: input.format || 'csv' };
+                    if (typeof input.multivalue_delimiter === 'string') {
+                        options.multivalue_delimiter = input.multivalue_delimiter;
+                    }
+                    const result = await api.export('items', await buildItemQuery(input, api), options);
+                    if (input.download && !input.background) {
+                        result.downloaded = OmekaMCPClient.download(result);
+                    }
+                    return result;
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'catalog-item',
-            description: 'Set full catalog metadata on an existing Omeka-S item: Dublin Core fields (title, description, creator, subject, date, etc.), resource class (RDF type), and resource template. Use this to describe and classify an item. Requires role: editor, site_admin, or global_admin.',
+            description: 'Set full catalog metadata on an existing Omeka-S item: Dublin Core fields (title, description, creator, subject, date, etc.), resource class (RDF type), and resource template. Fields accept plain strings or typed values: language-tagged literals, URIs with labels, links to other items and module data types such as numeric:timestamp. Use this to describe and classify an item. Requires role: editor, site_admin, or global_admin.',
             inputSchema: {
                 type: 'object',
                 required: ['id'],
                 properties: {
                     id:          { type: 'integer', description: 'Item ID to catalog.' },
-                    title:       { type: 'string',  description: 'dcterms:title — human-readable name.' },
-                    description: { type: 'string',  description: 'dcterms:description — free-text description.' },
-                    creator:     { type: 'string',  description: 'dcterms:creator — author or creator.' },
-                    contributor: { type: 'string',  description: 'dcterms:contributor — additional contributor.' },
-                    subject:     {
-                        description: 'dcterms:subject — topic or keyword. Can be a string or an array of strings.',
-                        oneOf: [
-                            { type: 'string' },
-                            { type: 'array', items: { type: 'string' } },
-                        ],
-                    },
-                    date:        { type: 'string',  description: 'dcterms:date — creation or publication date (ISO 8601 recommended, e.g. "2024-03-15").' },
-                    type:        { type: 'string',  description: 'dcterms:type — nature or genre (e.g. "Photograph", "Document", "Sound").' },
-                    format:      { type: 'string',  description: 'dcterms:format — file format or physical medium (e.g. "image/jpeg", "oil on canvas").' },
-                    identifier:  { type: 'string',  description: 'dcterms:identifier — catalogue number, ISBN, URI, or other unique ID.' },
-                    language:    { type: 'string',  description: 'dcterms:language — language of the resource (e.g. "es", "en", "fr").' },
-                    publisher:   { type: 'string',  description: 'dcterms:publisher — organization responsible for making the resource available.' },
-                    rights:      { type: 'string',  description: 'dcterms:rights — rights statement or license (e.g. "CC BY 4.0").' },
-                    source:      { type: 'string',  description: 'dcterms:source — the resource from which this item is derived.' },
-                    relation:    { type: 'string',  description: 'dcterms:relation — a related resource.' },
-                    coverage:    { type: 'string',  description: 'dcterms:coverage — spatial or temporal extent (e.g. "Madrid", "1939–1945").' },
+                    title:       valueInput('dcterms:title — human-readable name.'),
+                    description: valueInput('dcterms:description — free-text description.'),
+                    creator:     valueInput('dcterms:creator — author or creator; use {"resource_id": <id>} to link the item describing a person.'),
+                    contributor: valueInput('dcterms:contributor — additional contributor.'),
+                    subject:     valueInput('dcterms:subject — topic or keyword.'),
+                    date:        valueInput('dcterms:date — creation or publication date (ISO 8601 recommended, e.g. "2024-03-15").'),
+                    type:        valueInput('dcterms:type — nature or genre (e.g. "Photograph", "Document", "Sound").'),
+                    format:      valueInput('dcterms:format — file format or physical medium (e.g. "image/jpeg", "oil on canvas").'),
+                    identifier:  valueInput('dcterms:identifier — catalogue number, ISBN, URI, or other unique ID.'),
+                    language:    valueInput('dcterms:language — language of the resource (e.g. "es", "en", "fr").'),
+                    publisher:   valueInput('dcterms:publisher — organization responsible for making the resource available.'),
+                    rights:      valueInput('dcterms:rights — rights statement or license, e.g. "CC BY 4.0" or {"uri": "http://rightsstatements.org/vocab/InC/1.0/", "label": "In Copyright"}.'),
+                    source:      valueInput('dcterms:source — the resource from which this item is derived.'),
+                    relation:    valueInput('dcterms:relation — a related resource.'),
+                    coverage:    valueInput('dcterms:coverage — spatial or temporal extent (e.g. "Madrid", "1939–1945").'),
                     resource_class: {
                         type: 'string',
                         description: 'RDF class term that classifies this item, e.g. "dctype:Image", "dctype:PhysicalObject", "foaf:Person", "schema:Place", "bibo:Document". Use list-resource-classes to browse available classes.',
@@ -401,78 +1092,39 @@
                     },
                     properties: {
                         type: 'object',
-                        description: 'Extra properties in JSON-LD format for vocabularies beyond Dublin Core, e.g. {"bibo:edition": [{"type": "literal", "@value": "2nd"}]}.',
+                        description: 'Extra properties for vocabularies beyond Dublin Core, keyed by term, with the same value objects as the fields above, e.g. {"bibo:edition": "2nd", "foaf:depiction": {"uri": "https://example.org/photo.jpg"}}.',
                     },
+                    fields: FIELDS_INPUT,
+                    modes: MODES_INPUT,
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
                     // Start from any extra JSON-LD properties the caller supplied.
                     const data = normalizeProperties(input.properties || {});
 
                     // Map convenience fields to Dublin Core terms.
-                    const dcMap = {
-                        title:       'dcterms:title',
-                        description: 'dcterms:description',
-                        creator:     'dcterms:creator',
-                        contributor: 'dcterms:contributor',
-                        date:        'dcterms:date',
-                        type:        'dcterms:type',
-                        format:      'dcterms:format',
-                        identifier:  'dcterms:identifier',
-                        language:    'dcterms:language',
-                        publisher:   'dcterms:publisher',
-                        rights:      'dcterms:rights',
-                        source:      'dcterms:source',
-                        relation:    'dcterms:relation',
-                        coverage:    'dcterms:coverage',
-                    };
-                    for (const [field, term] of Object.entries(dcMap)) {
+                    for (const [field, term] of Object.entries(DC_FIELDS)) {
                         if (input[field] && !data[term]) {
-                            data[term] = literal(input[field]);
+                            data[term] = toValues(input[field]);
                         }
                     }
 
-                    // subject can be a string or an array of strings.
-                    if (input.subject && !data['dcterms:subject']) {
-                        const subjects = Array.isArray(input.subject) ? input.subject : [input.subject];
-                        data['dcterms:subject'] = subjects.map((s) => ({
-                            'type': 'literal', '@value': s, 'property_id': 'auto',
-                        }));
-                    }
+                    // Values keyed by template field label; the proxy maps them to terms.
+                    applyFields(data, input.fields);
 
                     // Resource template.
                     if (input.resource_template_id) {
                         data['o:resource_template'] = { 'o:id': input.resource_template_id };
                     }
 
-                    // Resource class: look up by vocabulary prefix + local name.
+                    // Resource class: resolved with the cached vocabulary registry.
                     if (input.resource_class) {
-                        const colonIdx = input.resource_class.indexOf(':');
-                        if (colonIdx > -1) {
-                            const prefix    = input.resource_class.slice(0, colonIdx);
-                            const localName = input.resource_class.slice(colonIdx + 1);
-                            const classResult = await proxyFetch({
-                                op: 'search',
-                                resource: 'resource_classes',
-                                query: { vocabulary_prefix: prefix, local_name: localName },
-                            });
-                            if (
-                                !classResult.error &&
-                                classResult.data &&
-                                classResult.data.items &&
-                                classResult.data.items.length > 0
-                            ) {
-                                data['o:resource_class'] = { 'o:id': classResult.data.items[0]['o:id'] };
-                            } else {
-                                return { error: true, message: `Resource class "${input.resource_class}" not found. Use list-resource-classes to browse available classes.` };
-                            }
-                        }
+                        data['o:resource_class'] = { 'o:id': await api.resourceClassId(input.resource_class) };
                     }
 
-                    const result = await proxyFetch({ op: 'update', resource: 'items', id: input.id, data });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.update('items', input.id, data, { modes: resolveModes(input.modes) });
                 } catch (err) {
                     return errorResult(err);
                 }
@@ -480,33 +1132,415 @@
         });
     }
 
+    // =========================================================================
+    // Template Tools
+    // =========================================================================
+
+    /**
+     * How often the resource templates are checked for changes, in milliseconds.
+     */
+    const TEMPLATE_REFRESH_INTERVAL = 5 * 60 * 1000;
+
+    /**
+     * Names of the registered template tools, and the signature of the
+     * template list they were generated from.
+     */
+    let templateTools     = [];
+    let templateSignature = null;
+
+    /**
+     * Apply a field's data type to plain string values.
+     *
+     * When a template field does not accept literals and allows a single
+     * kind of value, a bare string is read as that type: a URI, a linked
+     * resource ID or a module type such as 'numeric:timestamp'.
+     *
+     * @param {string|Object|Array} specs
+     * @param {string[]} dataTypes  Data types allowed by the template field.
+     * @returns {Array}
+     */
+    function toTemplateValues(specs, dataTypes) {
+        const type = dataTypes.length && !dataTypes.includes('literal') ? dataTypes[0] : null;
+        return toValues((Array.isArray(specs) ? specs : [specs]).map((spec) => {
+            if (!type || (typeof spec !== 'string' && typeof spec !== 'number')) return spec;
+            if (type === 'uri') return { uri: String(spec) };
+            if (type.startsWith('resource')) return { type, resource_id: parseInt(spec, 10) };
+            return { value: String(spec), type };
+        }));
+    }
+
+    /**
+     * Build the create tool of a resource template.
+     *
+     * The tool is named after the template label with slugify() (defined with
+     * the site tools), and each template field becomes an input named after
+     * its label (e.g. "accession_number"), described with its term, comment and allowed data
+     * types; required fields are required inputs.
+     *
+     * @param {Object} template  {id, label, resource_class_id, fields} from the proxy.
+     * @returns {Object}  Tool definition for registerTool().
+     */
+    function buildTemplateTool(template) {
+        const slug = slugify(String(template.label));
+        let name   = `create-${slug || 'template'}`;
+        if (!slug || registeredTools.has(name)) {
+            name = `create-template-${template.id}`;
+        }
+
+        const properties = {};
+        const required   = [];
+        const inputs     = {};
+        for (const field of template.fields) {
+            let key = slugify(String(field.label)).replace(/-/g, '_');
+            if (!key || key in properties) {
+                key = field.term.replace(/[^A-Za-z0-9]+/g, '_');
+            }
+            const notes = [`${field.label} (${field.term}).`];
+            if (field.comment) notes.push(field.comment);
+            if (field.data_types.length) notes.push(`Data types: ${field.data_types.join(', ')}.`);
+            properties[key] = valueInput(notes.join(' '));
+            inputs[key]     = field;
+            if (field.required) required.push(key);
+        }
+        properties.item_set_ids = {
+            type: 'array',
+            items: { type: 'integer' },
+            description: 'Optional array of item set IDs.',
+        };
+        properties.dry_run = DRY_RUN_INPUT;
+
+        const labels = template.fields.map((field) => field.label).join(', ');
+        return {
+            name,
+            description: `Create a "${template.label}" item with the fields of resource template #${template.id}`
+                + (labels ? ` (${labels}).` : '.')
+                + ' Requires role: editor, site_admin, or global_admin.',
+            inputSchema: { type: 'object', required, properties },
+            execute: async (input, client, api) => {
+                try {
+                    const data = { 'o:resource_template': { 'o:id': template.id } };
+                    if (template.resource_class_id) {
+                        data['o:resource_class'] = { 'o:id': template.resource_class_id };
+                    }
+                    for (const [key, field] of Object.entries(inputs)) {
+                        if (input[key] === undefined || input[key] === null) continue;
+                        const values = toTemplateValues(input[key], field.data_types);
+                        if (values.length) data[field.term] = values;
+                    }
+                    if (input.item_set_ids && input.item_set_ids.length) {
+                        data['o:item_set'] = input.item_set_ids.map((id) => ({ 'o:id': id }));
+                    }
+                    return await api.create('items', data);
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        };
+    }
+
+    /**
+     * Register one create tool per resource template, replacing the previous
+     * set when the templates changed since the last call.
+     *
+     * Browsers without navigator.modelContext.unregisterTool() keep the first
+     * set until the page is reloaded.
+     *
+     * @returns {Promise<void>}
+     */
+    async function syncTemplateTools() {
+        let result;
+        try {
+            result = await omeka.templates();
+        } catch (_) {
+            return;
+        }
+        if (!result || result.signature === templateSignature) return;
+
+        if (templateTools.length) {
+            if (typeof navigator.modelContext.unregisterTool !== 'function') return;
+            for (const name of templateTools) {
+                navigator.modelContext.unregisterTool(name);
+                registeredTools.delete(name);
+            }
+            templateTools = [];
+        }
+
+        templateSignature = result.signature;
+        for (const template of result.templates || []) {
+            const definition = buildTemplateTool(template);
+            try {
+                registerTool(definition);
+                templateTools.push(definition.name);
+            } catch (_) { /* name clash with a tool registered elsewhere */ }
+        }
+    }
+
+    if (groupItems) {
+        syncTemplateTools();
+        setInterval(syncTemplateTools, TEMPLATE_REFRESH_INTERVAL);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') syncTemplateTools();
+        });
+    }
+
     // =========================================================================
     // Media Management Tools
     // =========================================================================
 
+    /**
+     * Ingesters whose source check-media-source can resolve.
+     *
+     * @type {string[]}
+     */
+    const CHECKED_INGESTERS = ['url', 'iiif', 'iiif_presentation', 'oembed'];
+
+    /**
+     * Input schema for opting out of the source check of the media URL tools.
+     */
+    const SKIP_SOURCE_CHECK_INPUT = {
+        type: 'boolean',
+        description: 'Skip the source check (see check-media-source) and pass the URL straight to the ingester.',
+    };
+
+    /**
+     * Check a media source before it is ingested, unless the input opts out.
+     *
+     * @param {OmekaMCPClient} api
+     * @param {string} ingester
+     * @param {string} url
+     * @param {Object} input  Tool input; `skip_source_check` skips the check.
+     * @returns {Promise<Object|null>}  The source report.
+     * @throws {OmekaMCPClient.Error}  With code 'invalid_media_source' and the
+     *   report as `source` when the ingester would fail.
+     */
+    async function checkSource(api, ingester, url, input) {
+        if (input.skip_source_check) {
+            return null;
+        }
+        const report = await api.checkMediaSource(ingester, url);
+        if (!report.valid) {
+            throw new OmekaMCPClient.Error(
+                `The media source was rejected: ${report.errors.map((error) => error.message).join(' ')}`,
+                { code: 'invalid_media_source', source: report }
+            );
+        }
+        return report;
+    }
+
+    /**
+     * URL ingesters of batch-add-media, with the media data field that holds
+     * the URL.
+     */
+    const URL_INGESTERS = {
+        url:               'ingest_url',
+        iiif:              'o:source',
+        iiif_presentation: 'o:source',
+        oembed:            'o:source',
+        youtube:           'o:source',
+    };
+
+    /**
+     * Ingestions batch-add-media runs at once by default, and at most.
+     */
+    const DEFAULT_MEDIA_CONCURRENCY = 4;
+    const MAX_MEDIA_CONCURRENCY     = 8;
+
+    /**
+     * Call an async function on every value, at most `limit` calls at a time.
+     *
+     * @param {Array} values
+     * @param {number} limit
+     * @param {function(*, number): Promise<*>} fn  Receives the value and its index.
+     * @returns {Promise<Array>}  The results, in the order of the values.
+     */
+    async function mapConcurrently(values, limit, fn) {
+        const results = new Array(values.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < values.length) {
+                const index = next++;
+                results[index] = await fn(values[index], index);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(limit, values.length) }, worker));
+        return results;
+    }
+
+    /**
+     * Find the ID of the item with a dcterms:identifier.
+     *
+     * @param {OmekaMCPClient} api
+     * @param {string} identifier
+     * @returns {Promise<number>}
+     * @throws {OmekaMCPClient.Error}  When no item, or more than one, has it.
+     */
+    async function itemIdByIdentifier(api, identifier) {
+        const query = {
+            property: [{ joiner: 'and', property: await api.propertyId('dcterms:identifier'), type: 'eq', text: identifier }],
+            per_page: 2,
+        };
+        const result = await api.search('items', query, { view: 'summary' });
+        if (!result.items.length) {
+            throw new OmekaMCPClient.Error(`No item has the identifier "${identifier}".`, { code: 'not_found' });
+        }
+        if (result.items.length > 1) {
+            throw new OmekaMCPClient.Error(`Several items have the identifier "${identifier}"; give item_id instead.`, { code: 'ambiguous' });
+        }
+        return result.items[0].id;
+    }
+
+    /**
+     * Run batch-add-media.
+     *
+     * Items given by identifier are looked up once each, and the sources of
+     * each item's media are read once, so URLs already attached to the item
+     * (or earlier in the batch) are skipped. The remaining rows are checked
+     * (see checkSource()) and ingested `concurrency` at a time; one failing
+     * row does not stop the others.
+     *
+     * @param {Object} input  batch-add-media input.
+     * @param {OmekaMCPClient} api  A dry-run client previews the media.
+     * @param {function(Object)} [onProgress]  Receives {processed, total,
+     *   message} after each row.
+     * @returns {Promise<Object>}  {total, added, skipped, failed, rows,
+     *   change_ids}; each row has its index, item_id, url, status ('added',
+     *   'skipped' or 'failed') and media_id, change_id or message.
+     */
+    async function batchAddMedia(input, api, onProgress) {
+        const rows        = Array.isArray(input.rows) ? input.rows : [];
+        const concurrency = Math.min(MAX_MEDIA_CONCURRENCY, Math.max(1, parseInt(input.concurrency, 10) || DEFAULT_MEDIA_CONCURRENCY));
+
+        const identifiers = [...new Set(rows.filter((row) => row && !row.item_id && row.identifier).map((row) => String(row.identifier)))];
+        const itemIds     = new Map();
+        await mapConcurrently(identifiers, concurrency, async (identifier) => {
+            itemIds.set(identifier, await itemIdByIdentifier(api, identifier).catch((err) => err));
+        });
+        const resolve = (row) => {
+            if (!row || !row.url) throw new OmekaMCPClient.Error('url is required.', { code: 'invalid_value' });
+            if (row.ingester && !URL_INGESTERS[row.ingester]) {
+                throw new OmekaMCPClient.Error(`Unknown ingester "${row.ingester}"; expected one of: ${Object.keys(URL_INGESTERS).join(', ')}.`, { code: 'invalid_value' });
+            }
+            if (row.item_id) return row.item_id;
+            if (!row.identifier) throw new OmekaMCPClient.Error('item_id or identifier is required.', { code: 'invalid_value' });
+            const found = itemIds.get(String(row.identifier));
+            if (found instanceof Error) throw found;
+            return found;
+        };
+
+        // Sources of the media each item already has, read once per item.
+        const sources = new Map();
+        const sourcesOf = (itemId) => {
+            if (!sources.has(itemId)) {
+                sources.set(itemId, (async () => {
+                    const attached = new Set();
+                    for await (const page of api.pages('media', { item_id: itemId }, { view: 'summary' })) {
+                        page.items.forEach((media) => media.source && attached.add(media.source));
+                    }
+                    return attached;
+                })());
+            }
+            return sources.get(itemId);
+        };
+
+        let processed = 0;
+        const results = await mapConcurrently(rows, concurrency, async (row, index) => {
+            const result = { index, item_id: null, url: row && row.url ? row.url : null };
+            let attached = null;
+            try {
+                result.item_id = resolve(row);
+                attached = await sourcesOf(result.item_id);
+                if (attached.has(row.url)) {
+                    result.status  = 'skipped';
+                    result.message = `Item #${result.item_id} already has media from this URL.`;
+                    attached = null;
+                } else {
+                    attached.add(row.url);
+                    const ingester = row.ingester || 'url';
+                    if (CHECKED_INGESTERS.includes(ingester)) {
+                        await checkSource(api, ingester, row.url, input);
+                    }
+                    const data = { 'o:ingester': ingester, 'o:item': { 'o:id': result.item_id } };
+                    data[URL_INGESTERS[ingester]] = row.url;
+                    if (row.title) {
+                        data['dcterms:title'] = toValues(row.title);
+                    }
+                    const media = await api.create('media', data);
+                    if (media.dry_run && !media.valid) {
+                        throw new OmekaMCPClient.Error(media.errors.map((error) => error.message).join(' '));
+                    }
+                    result.status = 'added';
+                    if (media['o:id']) result.media_id = media['o:id'];
+                    if (media.change_id) result.change_id = media.change_id;
+                }
+            } catch (err) {
+                // Let a later row with the same URL try again.
+                if (attached) attached.delete(row.url);
+                Object.assign(result, { status: 'failed' }, errorResult(err));
+                delete result.error;
+                if (err && err.code) result.code = err.code;
+            }
+            processed++;
+            if (onProgress) {
+                onProgress({ processed, total: rows.length, message: `${processed} of ${rows.length} media processed.` });
+            }
+            return result;
+        });
+
+        const count = (status) => results.filter((result) => result.status === status).length;
+        const report = {
+            total:      rows.length,
+            added:      count('added'),
+            skipped:    count('skipped'),
+            failed:     count('failed'),
+            rows:       results,
+            change_ids: results.filter((result) => result.change_id).map((result) => result.change_id),
+        };
+        if (api.dryRun) report.dry_run = true;
+        return report;
+    }
+
     if (groupMedia) {
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'upload-media',
-            description: 'Upload media to an item in Omeka-S using an existing upload form.',
+            description: 'Upload a file as new media of an Omeka-S item, without leaving the page. Pass the file as base64 or a data URL in content; without content the user is asked to pick a file. Returns the new media. Requires role: editor, site_admin, or global_admin.',
             inputSchema: {
                 type: 'object',
                 required: ['item_id'],
                 properties: {
                     item_id: { type: 'integer', description: 'The item ID to attach the media to.' },
+                    content: { type: 'string', description: 'File content as base64 or a data URL (e.g. "data:image/png;base64,iVBOR..."). Omit it to let the user pick a file.' },
+                    filename: { type: 'string', description: 'File name stored as the media source, e.g. "letter.pdf". Defaults to "upload".' },
+                    media_type: { type: 'string', description: 'MIME type of the content, e.g. "image/png". Defaults to the data URL\'s type.' },
+                    title: valueInput('Title of the media (dcterms:title).'),
+                    description: valueInput('Description of the media (dcterms:description).'),
+                    properties: { type: 'object', description: 'Additional metadata, keyed by term (e.g. "dcterms:rights"), with the same value objects as title.' },
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
-                    // Navigate to the item edit page so the user can upload via the form.
-                    window.location.href = `/admin/item/${input.item_id}/edit#media`;
-                    return { success: true, message: `Navigated to item #${input.item_id} edit page for media upload.` };
+                    let file;
+                    if (input.content) {
+                        file = OmekaMCPClient.fileFromBase64(input.content, input.filename || 'upload', input.media_type);
+                    } else if (client && typeof client.requestUserInteraction === 'function') {
+                        file = await client.requestUserInteraction({
+                            type: 'file',
+                            message: `Choose a file to upload to item #${input.item_id}.`,
+                        });
+                        if (!(file instanceof Blob)) {
+                            return { cancelled: true, message: 'Upload cancelled by user.' };
+                        }
+                    } else {
+                        throw new OmekaMCPClient.Error('No file to upload: pass its content as base64 or a data URL.', { code: 'invalid_content' });
+                    }
+                    return await api.uploadMedia(input.item_id, file, buildItemData(input));
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'list-media',
             description: 'List media for a specific item in Omeka-S.',
             inputSchema: {
@@ -514,24 +1548,40 @@
                 required: ['item_id'],
                 properties: {
                     item_id: { type: 'integer', description: 'Item ID.' },
+                    view: viewInput('summary'),
+                    ...PAGINATION_INPUTS,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
-                    const result = await proxyFetch({
-                        op: 'search',
-                        resource: 'media',
-                        query: { item_id: input.item_id },
-                    });
-                    if (result.error) return result;
-                    return result.data;
+                    return await listAll(api, 'media', { item_id: input.item_id }, input, 'summary');
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'check-media-source',
+            description: 'Check a media URL before attaching it, without creating anything. Reports the MIME type and size of a file, the IIIF version and dimensions of an image, the version, label and canvas count of a IIIF manifest, or the provider and title of an oEmbed page, and whether Omeka-S would accept it ("valid", with "errors" otherwise). The add-media-url, add-media-iiif, add-media-iiif-presentation and add-media-embed tools run this check themselves.',
+            inputSchema: {
+                type: 'object',
+                required: ['url'],
+                properties: {
+                    url: { type: 'string', description: 'URL of the media source.' },
+                    ingester: { type: 'string', enum: CHECKED_INGESTERS, default: 'url', description: '"url" for a file (add-media-url), "iiif" for an info.json (add-media-iiif), "iiif_presentation" for a manifest (add-media-iiif-presentation), "oembed" for an oEmbed page (add-media-embed).' },
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    return await api.checkMediaSource(input.ingester || 'url', input.url);
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'add-media-url',
             description: 'Attach media to an Omeka-S item by fetching it from a URL. Omeka-S downloads and stores the file locally. Use public image/audio/video/PDF URLs. Placeholder services like https://picsum.photos/800/600 (random photos) or https://pravatar.cc/300 (avatars) work perfectly. Requires role: editor, site_admin, or global_admin.',
             inputSchema: {
@@ -541,10 +1591,13 @@
                     item_id: { type: 'integer', description: 'ID of the item to attach the media to.' },
                     url: { type: 'string', description: 'Public URL of the media file to fetch (image, audio, video, PDF, etc.). Supports placeholder services: https://picsum.photos/800/600, https://pravatar.cc/300, etc.' },
                     title: { type: 'string', description: 'Optional title for the media (mapped to dcterms:title).' },
+                    skip_source_check: SKIP_SOURCE_CHECK_INPUT,
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
+                    await checkSource(api, 'url', input.url, input);
                     const data = {
                         'o:ingester': 'url',
                         'o:item': { 'o:id': input.item_id },
@@ -553,16 +1606,14 @@
                     if (input.title) {
                         data['dcterms:title'] = literal(input.title);
                     }
-                    const result = await proxyFetch({ op: 'create', resource: 'media', data });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.create('media', data);
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'add-media-html',
             description: 'Attach an HTML snippet as media to an Omeka-S item. The HTML is stored inline and rendered on the public site. Useful for formatted text, embedded maps, or any HTML content. Requires role: editor, site_admin, or global_admin.',
             inputSchema: {
@@ -572,9 +1623,10 @@
                     item_id: { type: 'integer', description: 'ID of the item to attach the media to.' },
                     html: { type: 'string', description: 'HTML content to store (e.g. "<p>Description</p>" or an embedded map iframe).' },
                     title: { type: 'string', description: 'Optional title for the media (mapped to dcterms:title).' },
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
                     const data = {
                         'o:ingester': 'html',
@@ -584,16 +1636,14 @@
                     if (input.title) {
                         data['dcterms:title'] = literal(input.title);
                     }
-                    const result = await proxyFetch({ op: 'create', resource: 'media', data });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.create('media', data);
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'add-media-embed',
             description: 'Attach an oEmbed media (YouTube, Vimeo, SoundCloud, Flickr, Twitter/X, etc.) to an Omeka-S item. Pass the canonical URL of the content — Omeka fetches the embed code automatically. Requires role: editor, site_admin, or global_admin.',
             inputSchema: {
@@ -603,10 +1653,13 @@
                     item_id: { type: 'integer', description: 'ID of the item to attach the media to.' },
                     url: { type: 'string', description: 'oEmbed-compatible URL, e.g. https://vimeo.com/123456789 or https://soundcloud.com/artist/track.' },
                     title: { type: 'string', description: 'Optional title for the media (mapped to dcterms:title).' },
+                    skip_source_check: SKIP_SOURCE_CHECK_INPUT,
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
+                    await checkSource(api, 'oembed', input.url, input);
                     const data = {
                         'o:ingester': 'oembed',
                         'o:item': { 'o:id': input.item_id },
@@ -615,16 +1668,14 @@
                     if (input.title) {
                         data['dcterms:title'] = literal(input.title);
                     }
-                    const result = await proxyFetch({ op: 'create', resource: 'media', data });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.create('media', data);
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'add-media-youtube',
             description: 'Attach a YouTube video to an Omeka-S item. Accepts standard YouTube URLs (https://www.youtube.com/watch?v=ID or https://youtu.be/ID). Optionally set start/end times in seconds. Requires role: editor, site_admin, or global_admin.',
             inputSchema: {
@@ -636,9 +1687,10 @@
                     start: { type: 'integer', description: 'Optional start time in seconds.' },
                     end:   { type: 'integer', description: 'Optional end time in seconds.' },
                     title: { type: 'string',  description: 'Optional title for the media (mapped to dcterms:title).' },
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
                     const data = {
                         'o:ingester': 'youtube',
@@ -650,16 +1702,14 @@
                     if (input.title) {
                         data['dcterms:title'] = literal(input.title);
                     }
-                    const result = await proxyFetch({ op: 'create', resource: 'media', data });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.create('media', data);
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'add-media-iiif',
             description: 'Attach a IIIF Image API resource to an Omeka-S item. Provide the URL to the IIIF image info.json endpoint (e.g. https://iiif.example.org/image/1/info.json). Omeka fetches image metadata and generates a thumbnail. Requires role: editor, site_admin, or global_admin.',
             inputSchema: {
@@ -669,10 +1719,13 @@
                     item_id: { type: 'integer', description: 'ID of the item to attach the media to.' },
                     url: { type: 'string', description: 'IIIF Image API info.json URL, e.g. https://iiif.example.org/image/1/info.json.' },
                     title: { type: 'string', description: 'Optional title for the media (mapped to dcterms:title).' },
+                    skip_source_check: SKIP_SOURCE_CHECK_INPUT,
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
+                    await checkSource(api, 'iiif', input.url, input);
                     const data = {
                         'o:ingester': 'iiif',
                         'o:item': { 'o:id': input.item_id },
@@ -681,16 +1734,14 @@
                     if (input.title) {
                         data['dcterms:title'] = literal(input.title);
                     }
-                    const result = await proxyFetch({ op: 'create', resource: 'media', data });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.create('media', data);
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'add-media-iiif-presentation',
             description: 'Attach a IIIF Presentation manifest to an Omeka-S item. Provide the manifest URL (e.g. https://iiif.example.org/manifest.json). Requires role: editor, site_admin, or global_admin.',
             inputSchema: {
@@ -700,10 +1751,13 @@
                     item_id: { type: 'integer', description: 'ID of the item to attach the media to.' },
                     url: { type: 'string', description: 'IIIF Presentation manifest URL.' },
                     title: { type: 'string', description: 'Optional title for the media (mapped to dcterms:title).' },
+                    skip_source_check: SKIP_SOURCE_CHECK_INPUT,
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
+                    await checkSource(api, 'iiif_presentation', input.url, input);
                     const data = {
                         'o:ingester': 'iiif_presentation',
                         'o:item': { 'o:id': input.item_id },
@@ -712,9 +1766,117 @@
                     if (input.title) {
                         data['dcterms:title'] = literal(input.title);
                     }
-                    const result = await proxyFetch({ op: 'create', resource: 'media', data });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.create('media', data);
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'update-media',
+            description: 'Update the metadata of a media: title, description, alt text, visibility or any property. Only the given fields change. Requires role: editor, site_admin, or global_admin.',
+            inputSchema: {
+                type: 'object',
+                required: ['id'],
+                properties: {
+                    id: { type: 'integer', description: 'Media ID to update.' },
+                    title: valueInput('New title (dcterms:title).'),
+                    description: valueInput('New description (dcterms:description).'),
+                    alt_text: { type: 'string', description: 'Alternative text read by screen readers in place of the image. An empty string removes it.' },
+                    is_public: { type: 'boolean', description: 'false hides the media from the public site.' },
+                    properties: { type: 'object', description: 'Additional metadata, keyed by term (e.g. "dcterms:rights"), with the same value objects as title.' },
+                    modes: MODES_INPUT,
+                    dry_run: DRY_RUN_INPUT,
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    const data = buildItemData(input);
+                    if (typeof input.alt_text === 'string') {
+                        data['o:alt_text'] = input.alt_text;
+                    }
+                    if (typeof input.is_public === 'boolean') {
+                        data['o:is_public'] = input.is_public;
+                    }
+                    return await api.update('media', input.id, data, { modes: resolveModes(input.modes) });
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'delete-media',
+            description: 'Delete a media and its file from Omeka-S. Shows a confirmation dialog before deleting. Requires role: editor, site_admin, or global_admin.',
+            inputSchema: {
+                type: 'object',
+                required: ['id'],
+                properties: {
+                    id: { type: 'integer', description: 'Media ID to delete.' },
+                    dry_run: DRY_RUN_INPUT,
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    if (!input.dry_run && client && typeof client.requestUserInteraction === 'function') {
+                        const confirmed = await client.requestUserInteraction({
+                            type: 'confirm',
+                            message: `Are you sure you want to delete media #${input.id}? Its file cannot be recovered.`,
+                        });
+                        if (!confirmed) {
+                            return { cancelled: true, message: 'Deletion cancelled by user.' };
+                        }
+                    }
+                    const result = await api.delete('media', input.id);
+                    if (input.dry_run) {
+                        return result;
+                    }
+                    return { success: true, message: `Media #${input.id} deleted.`, change_id: result.change_id };
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'reorder-item-media',
+            description: 'Change the order of the media of an item. List media IDs in their new order; media left out keep their current order after the listed ones, and are never removed. Use get-item with view "metadata" to see the current media_ids. Requires role: editor, site_admin, or global_admin.',
+            inputSchema: {
+                type: 'object',
+                required: ['item_id', 'media_ids'],
+                properties: {
+                    item_id: { type: 'integer', description: 'ID of the item whose media to reorder.' },
+                    media_ids: { type: 'array', items: { type: 'integer' }, minItems: 1, description: 'Media IDs of the item, in their new order.' },
+                    dry_run: DRY_RUN_INPUT,
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    const media = input.media_ids.map((id) => ({ 'o:id': id }));
+                    return await api.update('items', input.item_id, { 'o:media': media });
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'set-primary-media',
+            description: 'Choose the primary media of an item, whose thumbnail represents the item in browse pages and search results. Without media_id the item goes back to using its first media. Requires role: editor, site_admin, or global_admin.',
+            inputSchema: {
+                type: 'object',
+                required: ['item_id'],
+                properties: {
+                    item_id: { type: 'integer', description: 'Item ID.' },
+                    media_id: { type: 'integer', description: 'ID of one of the item\'s media. Omit it to unset the primary media.' },
+                    dry_run: DRY_RUN_INPUT,
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    const primary = input.media_id ? { 'o:id': input.media_id } : null;
+                    return await api.update('items', input.item_id, { 'o:primary_media': primary });
                 } catch (err) {
                     return errorResult(err);
                 }
@@ -727,7 +1889,7 @@
     // =========================================================================
 
     if (groupItemSets) {
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'create-item-set',
             description: 'Create a new item set (collection) in Omeka-S. Requires role: editor, site_admin, or global_admin.',
             inputSchema: {
@@ -745,24 +1907,20 @@
                         type: 'object',
                         description: 'Additional properties in JSON-LD format.',
                     },
+                    ...DUPLICATE_INPUTS,
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
-                    const result = await proxyFetch({
-                        op: 'create',
-                        resource: 'item_sets',
-                        data: buildItemData(input),
-                    });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.create('item_sets', buildItemData(input), duplicateOptions(input));
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'update-item-set',
             description: 'Update an existing item set in Omeka-S. Requires role: editor, site_admin, or global_admin.',
             inputSchema: {
@@ -782,25 +1940,19 @@
                         type: 'object',
                         description: 'Additional properties in JSON-LD format.',
                     },
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
-                    const result = await proxyFetch({
-                        op: 'update',
-                        resource: 'item_sets',
-                        id: input.id,
-                        data: buildItemData(input),
-                    });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.update('item_sets', input.id, buildItemData(input));
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'delete-item-set',
             description: 'Delete an item set from Omeka-S. Shows a confirmation dialog before deleting. Requires role: editor, site_admin, or global_admin.',
             inputSchema: {
@@ -808,47 +1960,123 @@
                 required: ['id'],
                 properties: {
                     id: { type: 'integer', description: 'Item set ID to delete.' },
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input, client) => {
+            execute: async (input, client, api) => {
                 try {
-                    if (client && typeof client.requestUserInteraction === 'function') {
+                    if (!input.dry_run && client && typeof client.requestUserInteraction === 'function') {
                         const confirmed = await client.requestUserInteraction({
                             type: 'confirm',
-                            message: `Are you sure you want to delete item set #${input.id}? This action cannot be undone.`,
+                            message: `Are you sure you want to delete item set #${input.id}?`,
                         });
                         if (!confirmed) {
                             return { cancelled: true, message: 'Deletion cancelled by user.' };
                         }
                     }
-                    const result = await proxyFetch({ op: 'delete', resource: 'item_sets', id: input.id });
-                    if (result.error) return result;
-                    return { success: true, message: `Item set #${input.id} deleted.` };
+                    const result = await api.delete('item_sets', input.id);
+                    if (input.dry_run) {
+                        return result;
+                    }
+                    return { success: true, message: `Item set #${input.id} deleted.`, change_id: result.change_id };
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'list-item-sets',
             description: 'List item sets (collections) in Omeka-S.',
             inputSchema: {
                 type: 'object',
+                properties: { view: viewInput('summary'), ...PAGINATION_INPUTS },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    return await listAll(api, 'item_sets', {}, input, 'summary');
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        /**
+         * Inputs choosing the items of the item set membership tools; see
+         * changeItemSets().
+         */
+        const MEMBERSHIP_ITEM_INPUTS = {
+            item_ids: {
+                type: 'array',
+                items: { type: 'integer' },
+                description: 'IDs of the items. Give item_ids or filters.',
+            },
+            filters: {
+                type: 'object',
+                description: 'Choose the items with the filters of search-items instead, e.g. {"resource_class": "dctype:Image", "created_after": "2024-01-01"}.',
+                properties: ITEM_QUERY_INPUTS,
+            },
+            max_results: PAGINATION_INPUTS.max_results,
+            chunk_size: CHUNK_SIZE_INPUT,
+            dry_run: DRY_RUN_INPUT,
+        };
+
+        registerTool({
+            name: 'add-items-to-item-set',
+            description: 'Add existing items to an item set, given by ID or by a search. The items keep the item sets they are already in. Returns how many items changed, with each item\'s item sets before and after; the change can be reverted with undo-change. Requires role: editor, site_admin, or global_admin.',
+            inputSchema: {
+                type: 'object',
+                required: ['item_set_id'],
                 properties: {
-                    per_page: { type: 'integer', default: 25, description: 'Results per page.' },
-                    page: { type: 'integer', default: 1, description: 'Page number.' },
+                    item_set_id: { type: 'integer', description: 'ID of the item set to add the items to.' },
+                    ...MEMBERSHIP_ITEM_INPUTS,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
-                    const result = await proxyFetch({
-                        op: 'search',
-                        resource: 'item_sets',
-                        query: { per_page: input.per_page || 25, page: input.page || 1 },
-                    });
-                    if (result.error) return result;
-                    return result.data;
+                    return await changeItemSets(input, api, { add: [input.item_set_id] }, batchOptions(input, client));
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'remove-items-from-item-set',
+            description: 'Remove items from an item set, given by ID or by a search (with filters, only items in the item set are searched). The items and their other item sets are kept. Returns how many items changed; the change can be reverted with undo-change. Requires role: editor, site_admin, or global_admin.',
+            inputSchema: {
+                type: 'object',
+                required: ['item_set_id'],
+                properties: {
+                    item_set_id: { type: 'integer', description: 'ID of the item set to remove the items from.' },
+                    ...MEMBERSHIP_ITEM_INPUTS,
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    return await changeItemSets(input, api, { remove: [input.item_set_id] }, batchOptions(input, client));
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'move-items-between-item-sets',
+            description: 'Move items from one item set to another, given by ID or by a search (with filters, only items in the source item set are searched). Their other item sets are kept. Returns how many items changed; the change can be reverted with undo-change. Requires role: editor, site_admin, or global_admin.',
+            inputSchema: {
+                type: 'object',
+                required: ['from_item_set_id', 'to_item_set_id'],
+                properties: {
+                    from_item_set_id: { type: 'integer', description: 'ID of the item set the items leave.' },
+                    to_item_set_id: { type: 'integer', description: 'ID of the item set the items join.' },
+                    ...MEMBERSHIP_ITEM_INPUTS,
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    const change = { add: [input.to_item_set_id], remove: [input.from_item_set_id] };
+                    return await changeItemSets(input, api, change, batchOptions(input, client));
                 } catch (err) {
                     return errorResult(err);
                 }
@@ -879,7 +2107,7 @@
     }
 
     if (groupSites) {
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'create-site',
             description: 'Create a new Omeka-S site. Requires role: global_admin.',
             inputSchema: {
@@ -889,9 +2117,10 @@
                     title: { type: 'string', description: 'Site title.' },
                     slug:  { type: 'string', description: 'Site URL slug (e.g. "my-site"). Auto-generated from title if omitted.' },
                     theme: { type: 'string', description: 'Theme name (optional).' },
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
                     // Accept both plain keys (new schema) and o:-prefixed keys
                     // (old cached schema) so both browser-cached and fresh
@@ -904,16 +2133,14 @@
                         // Omeka-S requires a theme; default to 'default'.
                         'o:theme': input.theme || input['o:theme'] || 'default',
                     };
-                    const result = await proxyFetch({ op: 'create', resource: 'sites', data });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.create('sites', data);
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'update-site',
             description: 'Update an existing Omeka-S site. Requires role: global_admin.',
             inputSchema: {
@@ -924,9 +2151,10 @@
                     title: { type: 'string',  description: 'New title.' },
                     slug:  { type: 'string',  description: 'New URL slug.' },
                     theme: { type: 'string',  description: 'New theme name.' },
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
                     const data = {};
                     const title = input.title || input['o:title'];
@@ -935,24 +2163,20 @@
                     if (title) data['o:title'] = title;
                     if (slug)  data['o:slug']  = slug;
                     if (theme) data['o:theme'] = theme;
-                    const result = await proxyFetch({ op: 'update', resource: 'sites', id: input.id, data });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.update('sites', input.id, data);
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'list-sites',
             description: 'List all Omeka-S sites.',
-            inputSchema: { type: 'object', properties: {} },
-            execute: async () => {
+            inputSchema: { type: 'object', properties: { view: viewInput('summary'), ...PAGINATION_INPUTS } },
+            execute: async (input, client, api) => {
                 try {
-                    const result = await proxyFetch({ op: 'search', resource: 'sites' });
-                    if (result.error) return result;
-                    return result.data;
+                    return await listAll(api, 'sites', {}, input, 'summary');
                 } catch (err) {
                     return errorResult(err);
                 }
@@ -965,7 +2189,7 @@
     // =========================================================================
 
     if (groupUsers) {
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'create-user',
             description: 'Create a new Omeka-S user. Requires role: global_admin.',
             inputSchema: {
@@ -979,32 +2203,27 @@
                         enum: ['global_admin', 'site_admin', 'editor', 'reviewer', 'author', 'researcher'],
                         description: 'User role.',
                     },
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
                     // Accept both plain keys (new schema) and o:-prefixed keys
                     // (old cached schema). o:is_active must be true or the
                     // account cannot log in.
-                    const result = await proxyFetch({
-                        op: 'create',
-                        resource: 'users',
-                        data: {
-                            'o:name':      input.name  || input['o:name'],
-                            'o:email':     input.email || input['o:email'],
-                            'o:role':      input.role  || input['o:role'],
-                            'o:is_active': true,
-                        },
+                    return await api.create('users', {
+                        'o:name':      input.name  || input['o:name'],
+                        'o:email':     input.email || input['o:email'],
+                        'o:role':      input.role  || input['o:role'],
+                        'o:is_active': true,
                     });
-                    if (result.error) return result;
-                    return result.data;
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'update-user',
             description: 'Update an existing Omeka-S user. Requires role: global_admin.',
             inputSchema: {
@@ -1018,9 +2237,10 @@
                         type: 'string',
                         enum: ['global_admin', 'site_admin', 'editor', 'reviewer', 'author', 'researcher'],
                     },
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
                     const data = {};
                     const name  = input.name  || input['o:name'];
@@ -1029,16 +2249,14 @@
                     if (name)  data['o:name']  = name;
                     if (email) data['o:email'] = email;
                     if (role)  data['o:role']  = role;
-                    const result = await proxyFetch({ op: 'update', resource: 'users', id: input.id, data });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.update('users', input.id, data);
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'delete-user',
             description: 'Delete an Omeka-S user. Shows a confirmation dialog before deleting. Requires role: global_admin.',
             inputSchema: {
@@ -1046,11 +2264,12 @@
                 required: ['id'],
                 properties: {
                     id: { type: 'integer', description: 'User ID to delete.' },
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input, client) => {
+            execute: async (input, client, api) => {
                 try {
-                    if (client && typeof client.requestUserInteraction === 'function') {
+                    if (!input.dry_run && client && typeof client.requestUserInteraction === 'function') {
                         const confirmed = await client.requestUserInteraction({
                             type: 'confirm',
                             message: `Are you sure you want to delete user #${input.id}? This action cannot be undone.`,
@@ -1059,24 +2278,24 @@
                             return { cancelled: true, message: 'Deletion cancelled by user.' };
                         }
                     }
-                    const result = await proxyFetch({ op: 'delete', resource: 'users', id: input.id });
-                    if (result.error) return result;
-                    return { success: true, message: `User #${input.id} deleted.` };
+                    const result = await api.delete('users', input.id);
+                    if (input.dry_run) {
+                        return result;
+                    }
+                    return { success: true, message: `User #${input.id} deleted.`, change_id: result.change_id };
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'list-users',
             description: 'List all Omeka-S users. Requires role: global_admin.',
-            inputSchema: { type: 'object', properties: {} },
-            execute: async () => {
+            inputSchema: { type: 'object', properties: { ...PAGINATION_INPUTS } },
+            execute: async (input, client, api) => {
                 try {
-                    const result = await proxyFetch({ op: 'search', resource: 'users' });
-                    if (result.error) return result;
-                    return result.data;
+                    return await listAll(api, 'users', {}, input);
                 } catch (err) {
                     return errorResult(err);
                 }
@@ -1089,22 +2308,20 @@
     // =========================================================================
 
     if (groupVocabs) {
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'list-vocabularies',
             description: 'List available vocabularies (e.g. Dublin Core) in Omeka-S.',
-            inputSchema: { type: 'object', properties: {} },
-            execute: async () => {
+            inputSchema: { type: 'object', properties: { ...PAGINATION_INPUTS } },
+            execute: async (input, client, api) => {
                 try {
-                    const result = await proxyFetch({ op: 'search', resource: 'vocabularies' });
-                    if (result.error) return result;
-                    return result.data;
+                    return await listAll(api, 'vocabularies', {}, input);
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'list-resource-classes',
             description: 'List RDF resource classes available in Omeka-S (e.g. dctype:Image, foaf:Person, schema:Place). Use the returned term (prefix:LocalName) as the resource_class parameter of catalog-item.',
             inputSchema: {
@@ -1114,22 +2331,21 @@
                         type: 'string',
                         description: 'Filter by vocabulary prefix, e.g. "dctype", "foaf", "schema", "bibo".',
                     },
+                    ...PAGINATION_INPUTS,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
                     const query = {};
                     if (input.vocabulary_prefix) query.vocabulary_prefix = input.vocabulary_prefix;
-                    const result = await proxyFetch({ op: 'search', resource: 'resource_classes', query });
-                    if (result.error) return result;
-                    return result.data;
+                    return await listAll(api, 'resource_classes', query, input);
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'list-properties',
             description: 'List properties belonging to a vocabulary in Omeka-S.',
             inputSchema: {
@@ -1137,39 +2353,45 @@
                 required: ['vocabulary_id'],
                 properties: {
                     vocabulary_id: { type: 'integer', description: 'Vocabulary ID.' },
+                    ...PAGINATION_INPUTS,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
-                    const result = await proxyFetch({
-                        op: 'search',
-                        resource: 'properties',
-                        query: { vocabulary_id: input.vocabulary_id },
-                    });
-                    if (result.error) return result;
-                    return result.data;
+                    return await listAll(api, 'properties', { vocabulary_id: input.vocabulary_id }, input);
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'list-resource-templates',
             description: 'List resource templates available in Omeka-S.',
+            inputSchema: { type: 'object', properties: { ...PAGINATION_INPUTS } },
+            execute: async (input, client, api) => {
+                try {
+                    return await listAll(api, 'resource_templates', {}, input);
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'list-data-types',
+            description: 'List the value data types available in this installation: literal, uri and resource types from core, plus types added by modules (e.g. numeric:timestamp from Numeric Data Types).',
             inputSchema: { type: 'object', properties: {} },
-            execute: async () => {
+            execute: async (input, client, api) => {
                 try {
-                    const result = await proxyFetch({ op: 'search', resource: 'resource_templates' });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.dataTypes();
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'get-resource-template',
             description: 'Get a resource template by ID from Omeka-S.',
             inputSchema: {
@@ -1179,11 +2401,9 @@
                     id: { type: 'integer', description: 'Resource template ID.' },
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
-                    const result = await proxyFetch({ op: 'get', resource: 'resource_templates', id: input.id });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.get('resource_templates', input.id);
                 } catch (err) {
                     return errorResult(err);
                 }
@@ -1196,9 +2416,9 @@
     // =========================================================================
 
     if (groupBulk) {
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'batch-create-items',
-            description: 'Create multiple items in Omeka-S in a single operation.',
+            description: 'Create multiple items in Omeka-S. Large batches are sent in chunks with progress reporting; returns a job_id, and rows that failed are listed in failed_rows and can be retried with resume-batch-job.',
             inputSchema: {
                 type: 'object',
                 required: ['items'],
@@ -1208,26 +2428,103 @@
                         description: 'Array of item objects to create.',
                         items: { type: 'object' },
                     },
+                    ...DUPLICATE_INPUTS,
+                    chunk_size: CHUNK_SIZE_INPUT,
+                    background: BACKGROUND_INPUT,
+                    dry_run: DRY_RUN_INPUT,
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    const options = Object.assign(batchOptions(input, client), duplicateOptions(input));
+                    return await api.batch('create', 'items', input.items, options);
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'batch-update-items',
+            description: 'Update multiple items in one operation. Each item is merged into its current values like update-item, and reported individually (updated or failed, with a field-level diff), so one bad item does not stop the others. Large batches are sent in chunks with progress reporting and can be resumed with resume-batch-job; the change_ids can be reverted with undo-change. Requires role: editor, site_admin, or global_admin.',
+            inputSchema: {
+                type: 'object',
+                required: ['items'],
+                properties: {
+                    items: {
+                        type: 'array',
+                        description: 'Updates, one per item.',
+                        items: {
+                            type: 'object',
+                            required: ['id'],
+                            properties: {
+                                id: { type: 'integer', description: 'Item ID to update.' },
+                                title: { type: 'string', description: 'New title (mapped to dcterms:title).' },
+                                description: { type: 'string', description: 'New description (mapped to dcterms:description).' },
+                                properties: { type: 'object', description: 'Additional properties in JSON-LD format.' },
+                                modes: MODES_INPUT,
+                            },
+                        },
+                    },
+                    modes: Object.assign({}, MODES_INPUT, {
+                        description: 'Default edit modes for items that set none; see update-item.',
+                    }),
+                    chunk_size: CHUNK_SIZE_INPUT,
+                    background: BACKGROUND_INPUT,
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input) => {
+            execute: async (input, client, api) => {
                 try {
-                    const result = await proxyFetch({
-                        op: 'batch_create',
-                        resource: 'items',
-                        data: input.items,
+                    const rows = (input.items || []).map((item) => {
+                        const row   = { id: item.id, data: buildItemData(item) };
+                        const modes = resolveModes(item.modes);
+                        if (Object.keys(modes).length) row.modes = modes;
+                        return row;
                     });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.batch('update', 'items', rows, Object.assign(batchOptions(input, client), {
+                        modes: resolveModes(input.modes),
+                    }));
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'find-replace-metadata',
+            description: 'Find and replace text in one property of every item matching a search, e.g. to normalize creator names or date formats after an import. Previews by default: returns each affected item with its before/after values. Run again with apply: true to save; every item is then reported as updated or failed, and the whole change can be reverted with undo-change. Requires role: editor, site_admin, or global_admin.',
+            inputSchema: {
+                type: 'object',
+                required: ['property', 'find'],
+                properties: {
+                    property: { type: 'string', description: 'Property term whose values are edited, e.g. "dcterms:creator".' },
+                    find: { type: 'string', description: 'Text to find, or a JavaScript regular expression when regex is true.' },
+                    replace: { type: 'string', default: '', description: 'Replacement text. With regex, $1, $2… insert captured groups.' },
+                    regex: { type: 'boolean', default: false, description: 'Treat find as a regular expression, e.g. "^(\\d{2})/(\\d{2})/(\\d{4})$" with replace "$3-$2-$1".' },
+                    case_sensitive: { type: 'boolean', default: true, description: 'Match letter case exactly.' },
+                    filters: {
+                        type: 'object',
+                        description: 'Limit the items searched, with the filters of search-items. By default every item with a value for the property is searched.',
+                        properties: ITEM_QUERY_INPUTS,
+                    },
+                    max_results: PAGINATION_INPUTS.max_results,
+                    apply: { type: 'boolean', default: false, description: 'Save the replacements. Leave false to preview them first.' },
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    const target = input.apply === true ? api : api.withDryRun();
+                    return await findReplace(input, target, batchOptions(input, client));
                 } catch (err) {
                     return errorResult(err);
                 }
             },
         });
 
-        navigator.modelContext.registerTool({
+        registerTool({
             name: 'batch-delete-items',
-            description: 'Delete multiple items from Omeka-S. Shows a confirmation dialog before deleting.',
+            description: 'Delete multiple items from Omeka-S. Shows a confirmation dialog before deleting. Large batches are sent in chunks with progress reporting and can be resumed with resume-batch-job.',
             inputSchema: {
                 type: 'object',
                 required: ['ids'],
@@ -1237,26 +2534,162 @@
                         items: { type: 'integer' },
                         description: 'Array of item IDs to delete.',
                     },
+                    chunk_size: CHUNK_SIZE_INPUT,
+                    background: BACKGROUND_INPUT,
+                    dry_run: DRY_RUN_INPUT,
                 },
             },
-            execute: async (input, client) => {
+            execute: async (input, client, api) => {
                 try {
-                    if (client && typeof client.requestUserInteraction === 'function') {
+                    if (!input.dry_run && client && typeof client.requestUserInteraction === 'function') {
                         const confirmed = await client.requestUserInteraction({
                             type: 'confirm',
-                            message: `Are you sure you want to delete ${input.ids.length} item(s)? This action cannot be undone.`,
+                            message: `Are you sure you want to delete ${input.ids.length} item(s)? Their media files cannot be recovered.`,
                         });
                         if (!confirmed) {
                             return { cancelled: true, message: 'Batch deletion cancelled by user.' };
                         }
                     }
-                    const result = await proxyFetch({
-                        op: 'batch_delete',
-                        resource: 'items',
-                        ids: input.ids,
-                    });
-                    if (result.error) return result;
-                    return result.data;
+                    return await api.batch('delete', 'items', input.ids, batchOptions(input, client));
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'resume-batch-job',
+            description: 'Resume a batch job started by batch-create-items, batch-update-items, batch-delete-items or find-replace-metadata in this browser tab: retries its failed rows one by one and sends the rows it had not reached when it was interrupted. Rows marked uncertain (a create whose request failed after it may have been saved) are not resent; check for those items first. Returns the same report as the batch tool.',
+            inputSchema: {
+                type: 'object',
+                required: ['job_id'],
+                properties: {
+                    job_id: { type: 'string', description: 'job_id returned by the batch tool.' },
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    return await api.resumeBatch(input.job_id, { onProgress: OmekaMCPClient.progressReporter(client) });
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'get-job-status',
+            description: 'Get the status of a background job started with background: true (starting, in_progress, completed, stopping, stopped or error), its progress as rows processed out of the total and, once it has ended, its report, including the change_ids to undo.',
+            inputSchema: {
+                type: 'object',
+                required: ['job_id'],
+                properties: {
+                    job_id: { type: 'integer', description: 'job_id returned by the tool that queued the job.' },
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    return await api.jobStatus(input.job_id);
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'cancel-job',
+            description: 'Stop a running background job. It stops before its next chunk of rows; the rows already processed stay saved and are listed in its report.',
+            inputSchema: {
+                type: 'object',
+                required: ['job_id'],
+                properties: {
+                    job_id: { type: 'integer', description: 'job_id returned by the tool that queued the job.' },
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    return await api.cancelJob(input.job_id);
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'import-csv',
+            description: 'Import items from a CSV file, one item per row. Headers are mapped automatically to property terms (e.g. "dcterms:title"), property labels ("Title") or local names ("title"); a "media_url" column adds media from URLs, and "item_set" and "resource_template" columns take IDs. Returns the column mapping, unmapped headers and a result per row. Run with dry_run first to check the mapping and every row. Requires role: editor, site_admin, or global_admin.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    csv: { type: 'string', description: 'CSV text with a header row.' },
+                    url: { type: 'string', description: 'http(s) URL of a CSV file to download instead.' },
+                    media_id: { type: 'integer', description: 'ID of a CSV file uploaded to Omeka-S as media, instead of csv or url.' },
+                    delimiter: { type: 'string', default: ',', description: 'Column delimiter: one character, or "tab".' },
+                    multivalue_delimiter: {
+                        type: 'string',
+                        default: '|',
+                        description: 'Splits a cell into several values, e.g. "boats|sea" gives two subjects. Empty string disables splitting.',
+                    },
+                    mapping: {
+                        type: 'object',
+                        description: 'Overrides the automatic mapping, keyed by header: a property term, "media_url", "item_set", "resource_template" or "ignore". Example: {"Who": "dcterms:creator", "Notes": "ignore"}.',
+                        additionalProperties: { type: 'string' },
+                    },
+                    item_set_ids: {
+                        type: 'array',
+                        items: { type: 'integer' },
+                        description: 'Item sets every imported item is added to.',
+                    },
+                    resource_template_id: {
+                        type: 'integer',
+                        description: 'Resource template for rows without a resource_template column; its required fields are checked on every row.',
+                    },
+                    background: BACKGROUND_INPUT,
+                    dry_run: DRY_RUN_INPUT,
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    const source = {};
+                    for (const key of ['csv', 'url', 'media_id', 'delimiter', 'multivalue_delimiter', 'mapping', 'item_set_ids', 'resource_template_id']) {
+                        if (input[key] !== undefined && input[key] !== null) source[key] = input[key];
+                    }
+                    return await api.importCsv(source);
+                } catch (err) {
+                    return errorResult(err);
+                }
+            },
+        });
+
+        registerTool({
+            name: 'batch-add-media',
+            description: 'Attach media from URLs to many items at once, e.g. the media_url column of a spreadsheet. Each row names its item by item_id or by dcterms:identifier. URLs the item already has media from are skipped, each source is checked like check-media-source, and several rows are ingested at a time. Returns a result per row (added, skipped or failed) with the change_ids of the new media. Requires role: editor, site_admin, or global_admin.',
+            inputSchema: {
+                type: 'object',
+                required: ['rows'],
+                properties: {
+                    rows: {
+                        type: 'array',
+                        description: 'Media to attach, one per row.',
+                        items: {
+                            type: 'object',
+                            required: ['url'],
+                            properties: {
+                                item_id: { type: 'integer', description: 'ID of the item to attach the media to.' },
+                                identifier: { type: 'string', description: 'dcterms:identifier of the item, when item_id is not known.' },
+                                url: { type: 'string', description: 'URL of the media source.' },
+                                ingester: { type: 'string', enum: Object.keys(URL_INGESTERS), default: 'url', description: '"url" downloads a file (as add-media-url); "iiif", "iiif_presentation", "oembed" and "youtube" work as the matching add-media tools.' },
+                                title: valueInput('Title of the media (dcterms:title).'),
+                            },
+                        },
+                    },
+                    concurrency: { type: 'integer', minimum: 1, maximum: MAX_MEDIA_CONCURRENCY, default: DEFAULT_MEDIA_CONCURRENCY, description: 'Rows ingested at the same time.' },
+                    skip_source_check: SKIP_SOURCE_CHECK_INPUT,
+                    dry_run: DRY_RUN_INPUT,
+                },
+            },
+            execute: async (input, client, api) => {
+                try {
+                    return await batchAddMedia(input, api, OmekaMCPClient.progressReporter(client));
                 } catch (err) {
                     return errorResult(err);
                 }
@@ -1264,6 +2697,65 @@
         });
     }
 
+    // =========================================================================
+    // Change History Tools
+    // Every audited write returns a change_id; these tools revert such changes
+    // from the snapshots kept in the proxy's audit log.
+    // =========================================================================
+
+    registerTool({
+        name: 'undo-last-change',
+        description: 'Undo your most recent change made through WebMCP (create, update or delete) that has not been undone yet. Deleted resources are recreated with new IDs; their media files cannot be restored.',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+        },
+        execute: async (input, client, api) => {
+            try {
+                if (client && typeof client.requestUserInteraction === 'function') {
+                    const confirmed = await client.requestUserInteraction({
+                        type: 'confirm',
+                        message: 'Undo your most recent WebMCP change?',
+                    });
+                    if (!confirmed) {
+                        return { cancelled: true, message: 'Undo cancelled by user.' };
+                    }
+                }
+                return await api.undoLast();
+            } catch (err) {
+                return errorResult(err);
+            }
+        },
+    });
+
+    registerTool({
+        name: 'undo-change',
+        description: 'Undo a specific change made through WebMCP, identified by the change_id returned by the write tool. Deleted resources are recreated with new IDs; their media files cannot be restored.',
+        inputSchema: {
+            type: 'object',
+            required: ['change_id'],
+            properties: {
+                change_id: { type: 'integer', description: 'Change ID returned by a create, update or delete tool.' },
+            },
+        },
+        execute: async (input, client, api) => {
+            try {
+                if (client && typeof client.requestUserInteraction === 'function') {
+                    const confirmed = await client.requestUserInteraction({
+                        type: 'confirm',
+                        message: `Undo change #${input.change_id}?`,
+                    });
+                    if (!confirmed) {
+                        return { cancelled: true, message: 'Undo cancelled by user.' };
+                    }
+                }
+                return await api.undo(input.change_id);
+            } catch (err) {
+                return errorResult(err);
+            }
+        },
+    });
+
     // =========================================================================
     // Declarative API: add WebMCP attributes to known Omeka-S admin forms
     // =========================================================================
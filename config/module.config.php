@@ -25,6 +25,21 @@ return [
                             ],
                         ],
                     ],
+                    'webmcp-audit' => [
+                        'type'    => 'Segment',
+                        'options' => [
+                            'route'       => '/webmcp/audit[/:action]',
+                            'constraints' => [
+                                'action' => '[a-zA-Z][a-zA-Z0-9_-]*',
+                            ],
+                            'defaults'    => [
+                                '__NAMESPACE__' => 'WebMCP\Controller\Admin',
+                                '__ADMIN__'     => true,
+                                'controller'    => 'AuditLog',
+                                'action'        => 'browse',
+                            ],
+                        ],
+                    ],
                 ],
             ],
         ],
@@ -32,6 +47,31 @@ return [
     'controllers' => [
         'invokables' => [
             'WebMCP\Controller\Admin\WebMCPProxy' => Controller\Admin\WebMCPProxyController::class,
+            'WebMCP\Controller\Admin\AuditLog'    => Controller\Admin\AuditLogController::class,
+        ],
+    ],
+    'controller_plugins' => [
+        'factories' => [
+            'webmcpAuditLog'          => Service\ControllerPlugin\AuditLogFactory::class,
+            'webmcpDataTypes'         => Service\ControllerPlugin\DataTypesFactory::class,
+            'webmcpResourceTemplates' => Service\ControllerPlugin\ResourceTemplatesFactory::class,
+            'webmcpCsvImport'         => Service\ControllerPlugin\CsvImportFactory::class,
+            'webmcpExport'            => Service\ControllerPlugin\ExportFactory::class,
+            'webmcpVocabulary'        => Service\ControllerPlugin\VocabularyFactory::class,
+            'webmcpProjection'        => Service\ControllerPlugin\ProjectionFactory::class,
+            'webmcpDuplicates'        => Service\ControllerPlugin\DuplicatesFactory::class,
+            'webmcpItemMerge'         => Service\ControllerPlugin\ItemMergeFactory::class,
+            'webmcpMediaSource'       => Service\ControllerPlugin\MediaSourceFactory::class,
+        ],
+    ],
+    'navigation' => [
+        'AdminModule' => [
+            [
+                'label'      => 'WebMCP audit log', // @translate
+                'route'      => 'admin/webmcp-audit',
+                'resource'   => 'WebMCP\Controller\Admin\AuditLog',
+                'privilege'  => 'browse',
+            ],
         ],
     ],
     'form_elements' => [
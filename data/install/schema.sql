@@ -0,0 +1,20 @@
+CREATE TABLE IF NOT EXISTS webmcp_audit_log (
+    id INT AUTO_INCREMENT NOT NULL,
+    created DATETIME NOT NULL,
+    user_id INT DEFAULT NULL,
+    user_email VARCHAR(190) DEFAULT NULL,
+    operation VARCHAR(32) NOT NULL,
+    resource VARCHAR(64) NOT NULL,
+    resource_ids LONGTEXT DEFAULT NULL,
+    tool VARCHAR(190) DEFAULT NULL,
+    changes LONGTEXT DEFAULT NULL,
+    snapshot LONGTEXT DEFAULT NULL,
+    outcome VARCHAR(16) NOT NULL,
+    message LONGTEXT DEFAULT NULL,
+    reverted DATETIME DEFAULT NULL,
+    INDEX IDX_WEBMCP_AUDIT_CREATED (created),
+    INDEX IDX_WEBMCP_AUDIT_USER (user_id),
+    INDEX IDX_WEBMCP_AUDIT_OPERATION (operation),
+    INDEX IDX_WEBMCP_AUDIT_RESOURCE (resource),
+    PRIMARY KEY(id)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE `utf8mb4_unicode_ci` ENGINE = InnoDB;
@@ -0,0 +1,82 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCP\Controller\Admin;
+
+use Laminas\Http\Response;
+use Laminas\Mvc\Controller\AbstractActionController;
+use Laminas\View\Model\ViewModel;
+use WebMCP\Mvc\Controller\Plugin\AuditLog;
+
+/**
+ * Admin viewer for the WebMCP audit log (GET /admin/webmcp/audit).
+ *
+ * Lists the write operations AI agents made through the proxy, with
+ * filters, and exports the filtered list as CSV.
+ */
+class AuditLogController extends AbstractActionController
+{
+    /**
+     * Query parameters accepted as audit log filters.
+     */
+    private const FILTERS = ['user', 'operation', 'resource', 'tool', 'outcome', 'resource_id', 'date_from', 'date_to'];
+
+    public function browseAction(): ViewModel
+    {
+        $filters = $this->getFilters();
+        $page    = max(1, (int) $this->params()->fromQuery('page', 1));
+        $perPage = (int) $this->settings()->get('pagination_per_page', 25) ?: 25;
+
+        $auditLog = $this->webmcpAuditLog();
+        $total    = $auditLog->count($filters);
+        $this->paginator($total, $page, $perPage);
+
+        $view = new ViewModel();
+        $view->setVariable('entries', $auditLog->search($filters, $perPage, ($page - 1) * $perPage));
+        $view->setVariable('filters', $filters);
+        $view->setVariable('total', $total);
+        return $view;
+    }
+
+    public function exportAction(): Response
+    {
+        $entries = $this->webmcpAuditLog()->search($this->getFilters());
+
+        $stream = fopen('php://temp', 'r+');
+        fputcsv($stream, AuditLog::CSV_COLUMNS);
+        foreach ($entries as $entry) {
+            fputcsv($stream, AuditLog::toCsvRow($entry));
+        }
+        rewind($stream);
+        $csv = stream_get_contents($stream);
+        fclose($stream);
+
+        $response = $this->getResponse();
+        $response->setContent($csv);
+        $response->getHeaders()
+            ->addHeaderLine('Content-Type', 'text/csv; charset=utf-8')
+            ->addHeaderLine(
+                'Content-Disposition',
+                sprintf('attachment; filename="webmcp-audit-%s.csv"', date('Y-m-d'))
+            );
+        return $response;
+    }
+
+    /**
+     * Read the non-empty audit filters from the query string.
+     *
+     * @return array
+     */
+    private function getFilters(): array
+    {
+        $filters = [];
+        foreach (self::FILTERS as $name) {
+            $value = trim((string) $this->params()->fromQuery($name, ''));
+            if ($value !== '') {
+                $filters[$name] = $value;
+            }
+        }
+        return $filters;
+    }
+}
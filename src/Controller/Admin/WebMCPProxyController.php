@@ -10,6 +10,15 @@ use Laminas\View\Model\JsonModel;
 use Omeka\Api\Exception\NotFoundException;
 use Omeka\Api\Exception\PermissionDeniedException;
 use Omeka\Api\Exception\ValidationException;
+use WebMCP\Exception\DuplicateException;
+use WebMCP\Exception\InvalidFieldsException;
+use WebMCP\Job\ProxyOperation;
+use WebMCP\Mvc\Controller\Plugin\AuditLog;
+use WebMCP\Mvc\Controller\Plugin\Duplicates;
+use WebMCP\Mvc\Controller\Plugin\ItemMerge;
+use WebMCP\Mvc\Controller\Plugin\Export;
+use WebMCP\Mvc\Controller\Plugin\Projection;
+use WebMCP\Mvc\Controller\Plugin\ResourceTemplates;
 
 /**
  * Server-side proxy for WebMCP tool and resource operations.
@@ -19,9 +28,85 @@ use Omeka\Api\Exception\ValidationException;
  * it runs inside Omeka-S's own request lifecycle and benefits from the
  * authenticated PHP session — bypassing any JWT middleware that would block
  * direct /api/* calls.
+ *
+ * Every write operation is recorded in the WebMCP audit log together with
+ * the tool name sent by the JS client in the X-WebMCP-Tool header. Write
+ * operations sent with "dry_run": true are previewed instead: nothing is
+ * persisted or audited. Long-running operations sent with "background": true
+ * are queued as an Omeka job (see ProxyOperation) and report through the
+ * job_status operation.
  */
 class WebMCPProxyController extends AbstractActionController
 {
+    /**
+     * Field-level diff captured by the last update operation, for the audit
+     * log. Batch updates key each field by "#<id> <field>".
+     *
+     * @var array|null
+     */
+    protected ?array $auditChanges = null;
+
+    /**
+     * Representations captured before the last update or delete, keyed by
+     * resource ID, so the change can be undone later.
+     *
+     * @var array|null
+     */
+    protected ?array $auditSnapshot = null;
+
+    /**
+     * Operations that act on the audit log rather than on a single resource
+     * type, and therefore do not require the 'resource' field.
+     */
+    private const RESOURCELESS_OPERATIONS = [
+        'undo', 'undo_last', 'data_types', 'templates', 'vocabulary', 'job_status', 'cancel_job',
+    ];
+
+    /**
+     * Operations that can be queued as a background job with "background": true.
+     */
+    private const BACKGROUND_OPERATIONS = ['batch_create', 'batch_update', 'batch_delete', 'import_csv', 'export'];
+
+    /**
+     * Batch operations a background job runs in chunks, with the payload key
+     * holding their rows.
+     */
+    private const CHUNKED_OPERATIONS = ['batch_create' => 'data', 'batch_update' => 'data', 'batch_delete' => 'ids'];
+
+    /**
+     * Rows a background job processes between two progress updates; it can
+     * only be cancelled between chunks.
+     */
+    public const BACKGROUND_CHUNK_SIZE = 25;
+
+    /**
+     * Job statuses in which a job can still be cancelled.
+     */
+    private const RUNNING_JOB_STATUSES = ['starting', 'in_progress'];
+
+    /**
+     * Operations that can be previewed with "dry_run": true.
+     */
+    private const DRY_RUN_OPERATIONS = [
+        'create', 'update', 'delete', 'batch_create', 'batch_update', 'batch_delete', 'import_csv', 'merge',
+    ];
+
+    /**
+     * Resource types whose data can be checked against a resource template.
+     */
+    private const TEMPLATED_RESOURCES = ['items', 'item_sets', 'media'];
+
+    /**
+     * Resource types the export operation accepts.
+     */
+    private const EXPORTABLE_RESOURCES = ['items', 'item_sets', 'media'];
+
+    /**
+     * How an update combines submitted values of a property with its current
+     * values. 'replace' is the default for properties without a mode.
+     */
+    private const VALUE_MODES = ['append', 'replace', 'remove', 'clear'];
+
     public function proxyAction(): JsonModel
     {
         $request = $this->getRequest();
@@ -31,15 +116,28 @@ class WebMCPProxyController extends AbstractActionController
             return new JsonModel(['error' => true, 'message' => 'Method not allowed.']);
         }
 
+        // File uploads arrive as multipart/form-data, with the payload as JSON
+        // in the 'payload' field and the files as file[0], file[1]...
+        $multipart = $request->getPost('payload');
+        $body      = json_decode(is_string($multipart) ? $multipart : $request->getContent(), true);
+        $files     = is_string($multipart) ? $request->getFiles()->toArray() : [];
+
+        // Token refresh is the one operation exempt from CSRF validation: it is
+        // how a long-lived admin tab recovers once its token no longer matches
+        // the session. The route still requires an authenticated admin session,
+        // and the token in the response is only readable by same-origin callers.
+        if (is_array($body) && ($body['op'] ?? null) === 'refresh_csrf') {
+            return new JsonModel(['success' => true, 'data' => ['csrf_token' => $this->generateCsrfToken()]]);
+        }
+
         // CSRF validation: token is sent in the X-CSRF-Token request header.
         $csrfHeader = $request->getHeader('X-CSRF-Token');
         $token      = $csrfHeader ? $csrfHeader->getFieldValue() : '';
         if (!$this->isCsrfTokenValid($token)) {
             $this->getResponse()->setStatusCode(403);
-            return new JsonModel(['error' => true, 'message' => 'Invalid CSRF token.']);
+            return new JsonModel(['error' => true, 'code' => 'invalid_csrf', 'message' => 'Invalid CSRF token.']);
         }
 
-        $body = json_decode($request->getContent(), true);
         if (!is_array($body)) {
             $this->getResponse()->setStatusCode(400);
             return new JsonModel(['error' => true, 'message' => 'Invalid JSON body.']);
@@ -49,32 +147,474 @@ class WebMCPProxyController extends AbstractActionController
         $resource = isset($body['resource']) ? (string) $body['resource'] : '';
         $id       = $body['id']       ?? null;
         $query    = isset($body['query'])    && is_array($body['query'])    ? $body['query']    : [];
+        if (isset($body['query']) && is_string($body['query'])) {
+            // Also accept a URL query string such as "item_set_id=3&property[0][text]=x".
+            parse_str(ltrim($body['query'], '?'), $query);
+        }
         $data     = $body['data']     ?? null;
         $ids      = isset($body['ids'])      && is_array($body['ids'])      ? $body['ids']      : [];
+        $modes    = isset($body['modes'])    && is_array($body['modes'])    ? $body['modes']    : [];
+        $view     = isset($body['view'])     ? (string) $body['view']     : 'full';
+        $action   = isset($body['on_duplicate']) ? (string) $body['on_duplicate'] : 'create';
+        $match    = isset($body['duplicate_match']) && is_array($body['duplicate_match'])
+            ? $body['duplicate_match']
+            : [];
 
-        if ($op === '' || $resource === '') {
+        if ($op === '' || ($resource === '' && !in_array($op, self::RESOURCELESS_OPERATIONS, true))) {
             $this->getResponse()->setStatusCode(400);
             return new JsonModel(['error' => true, 'message' => 'Missing required fields: op, resource.']);
         }
 
+        if (!in_array($view, Projection::VIEWS, true)) {
+            $this->getResponse()->setStatusCode(400);
+            return new JsonModel([
+                'error'   => true,
+                'message' => sprintf(
+                    'Unknown view "%s"; expected one of: %s.',
+                    $view,
+                    implode(', ', Projection::VIEWS)
+                ),
+            ]);
+        }
+
+        if (!in_array($action, Duplicates::ACTIONS, true)) {
+            $this->getResponse()->setStatusCode(400);
+            return new JsonModel([
+                'error'   => true,
+                'message' => sprintf(
+                    'Unknown on_duplicate "%s"; expected one of: %s.',
+                    $action,
+                    implode(', ', Duplicates::ACTIONS)
+                ),
+            ]);
+        }
+
+        $toolHeader = $request->getHeader('X-WebMCP-Tool');
+        $operation  = [
+            'op'       => $op,
+            'resource' => $resource,
+            'id'       => $id,
+            'query'    => $query,
+            'data'     => $data,
+            'ids'      => $ids,
+            'options'  => [
+                'dry_run'         => !empty($body['dry_run']) && in_array($op, self::DRY_RUN_OPERATIONS, true),
+                'modes'           => $modes,
+                'view'            => $view,
+                'on_duplicate'    => $action,
+                'duplicate_match' => $match,
+                'files'           => $files,
+            ],
+            'tool'     => $toolHeader ? mb_substr($toolHeader->getFieldValue(), 0, 190) : null,
+        ];
+
+        try {
+            if (!empty($body['background']) && in_array($op, self::BACKGROUND_OPERATIONS, true)) {
+                $job = $this->queueOperation($operation);
+                $this->getResponse()->setStatusCode(202);
+                return new JsonModel(['success' => true, 'data' => $job]);
+            }
+            $outcome = $this->executeOperation($operation);
+            $payload = ['success' => true, 'data' => $outcome['data']];
+            if ($outcome['change_id'] !== null) {
+                // Lets the agent revert this exact change with the undo op.
+                $payload['change_id'] = $outcome['change_id'];
+            }
+            return new JsonModel($payload);
+        } catch (\Exception $e) {
+            return $this->errorModel($e);
+        }
+    }
+
+    /**
+     * Run an operation and record it in the audit log when it is a write.
+     *
+     * A failed write is audited as a failure before the exception is
+     * rethrown.
+     *
+     * @param array $operation op, resource, id, query, data, ids, options
+     *                         (see runOperation()) and tool
+     * @return array ['data' => runOperation() result, 'change_id' => int|null]
+     */
+    protected function executeOperation(array $operation): array
+    {
+        ['op' => $op, 'resource' => $resource, 'id' => $id, 'ids' => $ids, 'tool' => $tool] = $operation;
+        $audit = empty($operation['options']['dry_run']) && in_array($op, AuditLog::AUDITED_OPERATIONS, true);
+
         try {
-            $result = $this->runOperation($op, $resource, $id, $query, $data, $ids);
-            return new JsonModel(['success' => true, 'data' => $result]);
-        } catch (PermissionDeniedException $e) {
+            $result = $this->runOperation(
+                $op,
+                $resource,
+                $id,
+                $operation['query'] ?? [],
+                $operation['data'] ?? null,
+                $ids,
+                $operation['options'] ?? []
+            );
+        } catch (\Exception $e) {
+            if ($audit) {
+                $this->recordAudit([
+                    'operation'    => $op,
+                    'resource'     => $resource,
+                    'resource_ids' => $op === 'batch_delete' ? $ids
+                        : (in_array($op, self::RESOURCELESS_OPERATIONS, true) ? [] : array_filter([$id])),
+                    'tool'         => $tool,
+                    'changes'      => null,
+                    'outcome'      => 'failure',
+                    'message'      => $e->getMessage(),
+                ]);
+            }
+            throw $e;
+        }
+
+        $changeId = $audit
+            ? $this->recordAudit($this->buildAuditEntry($op, $resource, $id, $ids, $tool, $result))
+            : null;
+        return ['data' => $result, 'change_id' => $changeId];
+    }
+
+    /**
+     * Queue an operation as an Omeka background job.
+     *
+     * @param array $operation See executeOperation()
+     * @return array job_id, status, op and resource
+     */
+    protected function queueOperation(array $operation): array
+    {
+        $job = $this->jobDispatcher()->dispatch(ProxyOperation::class, ['operation' => $operation]);
+        return [
+            'job_id'   => $job->getId(),
+            'status'   => $job->getStatus(),
+            'op'       => $operation['op'],
+            'resource' => $operation['resource'],
+        ];
+    }
+
+    /**
+     * Run an operation queued by queueOperation(); called by the job.
+     *
+     * Batch operations run BACKGROUND_CHUNK_SIZE rows at a time, each chunk
+     * audited as its own change. Before every chunk and once at the end,
+     * $onProgress receives the rows processed so far and the total; when it
+     * returns false the job stops and the report covers the chunks done.
+     *
+     * @param array    $operation  See executeOperation()
+     * @param callable $onProgress function (int $processed, int $total): bool
+     * @return array The operation's report, plus change_ids and, for batch
+     *               operations, processed, total and stopped
+     */
+    public function performQueued(array $operation, callable $onProgress): array
+    {
+        $key = self::CHUNKED_OPERATIONS[$operation['op']] ?? null;
+        if ($key === null) {
+            $outcome = $this->executeOperation($operation);
+            return $outcome['data'] + ['change_ids' => array_values(array_filter([$outcome['change_id']]))];
+        }
+
+        $rows      = array_values((array) ($operation[$key] ?? []));
+        $total     = count($rows);
+        $processed = 0;
+        $stopped   = false;
+        $report    = [];
+        $changeIds = [];
+        foreach (array_chunk($rows, self::BACKGROUND_CHUNK_SIZE) as $chunk) {
+            if (!$onProgress($processed, $total)) {
+                $stopped = true;
+                break;
+            }
+            $outcome = $this->executeOperation([$key => $chunk] + $operation);
+            $report  = self::mergeReports($report, self::offsetRowIndexes($outcome['data'], $processed));
+            if ($outcome['change_id'] !== null) {
+                $changeIds[] = $outcome['change_id'];
+            }
+            $processed += count($chunk);
+        }
+        $onProgress($processed, $total);
+
+        return $report + [
+            'processed'  => $processed,
+            'total'      => $total,
+            'stopped'    => $stopped,
+            'change_ids' => $changeIds,
+        ];
+    }
+
+    /**
+     * Turn the row indexes a chunk's report gives (the index of its errors
+     * and duplicates) into indexes of the whole batch.
+     *
+     * @param array $report
+     * @param int   $offset Rows in the previous chunks
+     * @return array
+     */
+    protected static function offsetRowIndexes(array $report, int $offset): array
+    {
+        foreach (['duplicates', 'errors'] as $key) {
+            foreach ($report[$key] ?? [] as $i => $row) {
+                if (isset($row['index'])) {
+                    $report[$key][$i]['index'] = $row['index'] + $offset;
+                }
+            }
+        }
+        return $report;
+    }
+
+    /**
+     * Add the report of one chunk of a batch to the reports of the previous
+     * ones: counts are summed, lists concatenated and flags such as valid
+     * must hold for every chunk.
+     *
+     * @param array $report
+     * @param array $chunk
+     * @return array
+     */
+    protected static function mergeReports(array $report, array $chunk): array
+    {
+        foreach ($chunk as $key => $value) {
+            $previous = $report[$key] ?? null;
+            if (is_int($value) && is_int($previous)) {
+                $report[$key] = $previous + $value;
+            } elseif (is_array($value) && is_array($previous)) {
+                $report[$key] = array_merge($previous, $value);
+            } elseif (is_bool($value) && is_bool($previous)) {
+                $report[$key] = $previous && $value;
+            } else {
+                $report[$key] = $value;
+            }
+        }
+        return $report;
+    }
+
+    /**
+     * Read the status of an Omeka job, with the progress and final report of
+     * a WebMCP background job.
+     *
+     * @param int $id
+     * @return array job_id, status, job_class, started and ended; for WebMCP
+     *               jobs also op, resource, progress and result
+     */
+    protected function jobStatus(int $id): array
+    {
+        $job = json_decode(json_encode(
+            $this->api(null, true)->read('jobs', $id)->getContent()
+        ), true);
+        $status = [
+            'job_id'    => $id,
+            'status'    => $job['o:status'] ?? null,
+            'job_class' => $job['o:job_class'] ?? null,
+            'started'   => $job['o:started']['@value'] ?? null,
+            'ended'     => $job['o:ended']['@value'] ?? null,
+        ];
+        if ($status['job_class'] !== ProxyOperation::class) {
+            return $status;
+        }
+        $args = $job['o:args'] ?? [];
+        return $status + [
+            'op'       => $args['operation']['op'] ?? null,
+            'resource' => $args['operation']['resource'] ?? null,
+            'progress' => $args['progress'] ?? null,
+            'result'   => $args['result'] ?? null,
+        ];
+    }
+
+    /**
+     * Map an exception thrown by runOperation() to an HTTP error response.
+     *
+     * @param \Exception $e
+     * @return JsonModel
+     */
+    protected function errorModel(\Exception $e): JsonModel
+    {
+        if ($e instanceof PermissionDeniedException) {
             $this->getResponse()->setStatusCode(403);
             return new JsonModel(['error' => true, 'message' => 'Permission denied.', 'details' => $e->getMessage()]);
-        } catch (NotFoundException $e) {
+        }
+        if ($e instanceof NotFoundException) {
             $this->getResponse()->setStatusCode(404);
             return new JsonModel(['error' => true, 'message' => 'Not found.', 'details' => $e->getMessage()]);
-        } catch (ValidationException $e) {
+        }
+        if ($e instanceof InvalidFieldsException) {
             $this->getResponse()->setStatusCode(422);
-            return new JsonModel(['error' => true, 'message' => $e->getMessage()]);
-        } catch (\InvalidArgumentException $e) {
+            return new JsonModel([
+                'error'   => true,
+                'code'    => 'invalid_fields',
+                'message' => 'Invalid fields: ' . $e->getMessage(),
+                'fields'  => $e->getFields(),
+            ]);
+        }
+        if ($e instanceof DuplicateException) {
+            $this->getResponse()->setStatusCode(409);
+            return new JsonModel([
+                'error'      => true,
+                'code'       => 'duplicate',
+                'message'    => $e->getMessage(),
+                'duplicates' => $e->getDuplicates(),
+            ]);
+        }
+        if ($e instanceof ValidationException) {
+            $this->getResponse()->setStatusCode(422);
+            $fields = $this->validationFields($e);
+            $model  = ['error' => true, 'message' => $e->getMessage()];
+            if ($fields) {
+                $model['code']    = 'invalid_fields';
+                $model['fields']  = $fields;
+                $model['message'] = 'Invalid fields: ' . implode(' ', array_column($fields, 'message'));
+            }
+            return new JsonModel($model);
+        }
+        if ($e instanceof \InvalidArgumentException) {
             $this->getResponse()->setStatusCode(400);
             return new JsonModel(['error' => true, 'message' => $e->getMessage()]);
+        }
+        $this->getResponse()->setStatusCode(500);
+        return new JsonModel(['error' => true, 'message' => $e->getMessage()]);
+    }
+
+    /**
+     * Flatten the error store of an Omeka validation exception into fields.
+     *
+     * @param ValidationException $e
+     * @return array List of ['field' => string, 'message' => string]
+     */
+    protected function validationFields(ValidationException $e): array
+    {
+        $errorStore = method_exists($e, 'getErrorStore') ? $e->getErrorStore() : null;
+        if (!$errorStore) {
+            return [];
+        }
+        $fields = [];
+        foreach ($errorStore->getErrors() as $field => $messages) {
+            array_walk_recursive($messages, function ($message) use ($field, &$fields) {
+                $fields[] = ['field' => (string) $field, 'message' => (string) $message];
+            });
+        }
+        return $fields;
+    }
+
+    /**
+     * Describe a completed write operation for the audit log.
+     *
+     * @param string      $op
+     * @param string      $resource
+     * @param mixed       $id
+     * @param array       $ids
+     * @param string|null $tool
+     * @param array       $result Value returned by runOperation()
+     * @return array
+     */
+    protected function buildAuditEntry(
+        string $op,
+        string $resource,
+        $id,
+        array $ids,
+        ?string $tool,
+        array $result
+    ): array {
+        $entry = [
+            'operation'    => $op,
+            'resource'     => $resource,
+            'resource_ids' => [],
+            'tool'         => $tool,
+            'changes'      => null,
+            'snapshot'     => null,
+            'outcome'      => 'success',
+            'message'      => null,
+        ];
+
+        switch ($op) {
+            case 'create':
+                $entry['resource_ids'] = isset($result['o:id']) ? [$result['o:id']] : [];
+                if (!empty($result['duplicate'])) {
+                    // Nothing was created: the data was merged into, or skipped for, an existing resource.
+                    $entry['resource_ids'] = $result['action'] === 'merged' ? [$result['id']] : [];
+                    $entry['changes']      = $this->auditChanges;
+                    $entry['snapshot']     = $this->auditSnapshot ?: null;
+                    $entry['message']      = sprintf('Duplicate of #%d: %s.', $result['id'], $result['action']);
+                }
+                break;
+            case 'update':
+                $entry['resource_ids'] = [$id];
+                $entry['changes']      = $this->auditChanges;
+                $entry['snapshot']     = $this->auditSnapshot;
+                break;
+            case 'delete':
+                $entry['resource_ids'] = [$id];
+                $entry['snapshot']     = $this->auditSnapshot;
+                break;
+            case 'batch_create':
+                $entry['resource_ids'] = array_values(array_unique(array_merge(
+                    array_filter(array_column($result['items'] ?? [], 'o:id')),
+                    $result['merged_ids'] ?? []
+                )));
+                $entry['changes']      = $this->auditChanges ?: null;
+                $entry['snapshot']     = $this->auditSnapshot ?: null;
+                break;
+            case 'import_csv':
+                $entry['resource_ids'] = array_values(array_filter(array_column($result['rows'] ?? [], 'id')));
+                break;
+            case 'batch_update':
+                $entry['resource_ids'] = $result['ids'] ?? [];
+                $entry['changes']      = $this->auditChanges;
+                $entry['snapshot']     = $this->auditSnapshot;
+                break;
+            case 'batch_delete':
+                $entry['resource_ids'] = $result['ids'] ?? [];
+                $entry['snapshot']     = $this->auditSnapshot;
+                break;
+            case 'merge':
+                $entry['resource_ids'] = array_merge(
+                    [$result['primary_id']],
+                    $result['merged_ids'],
+                    $result['referencing_ids']
+                );
+                $entry['changes']      = $this->auditChanges;
+                $entry['snapshot']     = $this->auditSnapshot;
+                $entry['message']      = sprintf(
+                    'Merged #%s into #%d.',
+                    implode(', #', $result['merged_ids']),
+                    $result['primary_id']
+                );
+                break;
+            case 'undo':
+            case 'undo_last':
+                $entry['resource']     = $result['resource'] ?? $resource;
+                $entry['resource_ids'] = array_values(array_unique(array_merge(
+                    $result['restored_ids'] ?? [],
+                    $result['deleted_ids'] ?? [],
+                    array_values($result['recreated_ids'] ?? [])
+                )));
+                $entry['message']      = sprintf('Reverted change #%d.', $result['change_id'] ?? 0);
+                break;
+        }
+
+        $errors = $result['errors'] ?? [];
+        if ($errors) {
+            $entry['outcome'] = $entry['resource_ids'] ? 'partial' : 'failure';
+            $entry['message'] = trim(($entry['message'] ?? '') . ' '
+                . implode('; ', array_unique(array_column($errors, 'message'))));
+        }
+        return $entry;
+    }
+
+    /**
+     * Store an audit entry, attributing it to the logged-in user.
+     *
+     * A failure to write the audit log must not turn a completed operation
+     * into an error response, so it is only logged.
+     *
+     * @param array $entry
+     * @return int|null The new entry ID (the change ID), or null on failure
+     */
+    protected function recordAudit(array $entry): ?int
+    {
+        $user = $this->identity();
+        $entry['user_id']    = $user ? $user->getId() : null;
+        $entry['user_email'] = $user ? $user->getEmail() : null;
+        try {
+            return $this->webmcpAuditLog()->record($entry);
         } catch (\Exception $e) {
-            $this->getResponse()->setStatusCode(500);
-            return new JsonModel(['error' => true, 'message' => $e->getMessage()]);
+            $this->logger()->err(sprintf('WebMCP audit log write failed: %s', $e->getMessage()));
+            return null;
         }
     }
 
@@ -93,19 +633,65 @@ class WebMCPProxyController extends AbstractActionController
         return $csrf->isValid($token);
     }
 
+    /**
+     * Issue a fresh CSRF token for the proxy and store it in the session.
+     *
+     * Uses the same validator name as Module::handleAdminLayout(), so the new
+     * token is accepted by isCsrfTokenValid() on subsequent requests.
+     *
+     * @return string
+     */
+    protected function generateCsrfToken(): string
+    {
+        $csrf = new Csrf(['name' => 'webmcp_proxy', 'timeout' => null]);
+        return $csrf->getHash(true);
+    }
+
     /**
      * Dispatch the requested operation to Omeka\ApiManager.
      *
-     * @param string     $op       Operation: search|get|create|update|delete|batch_create|batch_delete
+     * @param string     $op       Operation: search|get|create|update|delete|batch_create|
+     *                             batch_update|batch_delete|undo|undo_last|data_types|templates|
+     *                             vocabulary|import_csv|export|job_status|cancel_job|
+     *                             find_duplicates|merge|check_media_source
      * @param string     $resource API resource type (e.g. 'items', 'item_sets', 'users')
-     * @param mixed      $id       Resource ID (for get/update/delete)
+     * @param mixed      $id       Resource ID (for get/update/delete), change ID (for undo),
+     *                             job ID (for job_status and cancel_job)
      * @param array      $query    Search query parameters
-     * @param mixed      $data     Resource data (array) or array of items for batch_create
-     * @param array      $ids      Array of IDs for batch_delete
+     * @param mixed      $data     Resource data (array), array of items for batch_create,
+     *                             rows for batch_update (see batchUpdate()),
+     *                             import options for import_csv (see importCsv()),
+     *                             candidates for find_duplicates (see findDuplicates()),
+     *                             or {ingester, url} for check_media_source (see MediaSource::check())
+     * @param array      $ids      Array of IDs for batch_delete, existing resources
+     *                             to check with find_duplicates, or the items
+     *                             merged into item $id with merge
+     * @param array      $options  'dry_run' (bool): preview a write without persisting it;
+     *                             'modes' (array): per-property value mode for update
+     *                             and batch_update, see mergePropertyData();
+     *                             'view' (string): projection of search and get results,
+     *                             see Projection::VIEWS (default full);
+     *                             'on_duplicate' (string) and 'duplicate_match' (array):
+     *                             what create and batch_create do with data that
+     *                             duplicates an existing resource, see createResource();
+     *                             'files' (array): files uploaded with a multipart
+     *                             request, for media created with the upload
+     *                             ingester ('file_index' picks the file)
      * @return array
      */
-    protected function runOperation(string $op, string $resource, $id, array $query, $data, array $ids): array
-    {
+    protected function runOperation(
+        string $op,
+        string $resource,
+        $id,
+        array $query,
+        $data,
+        array $ids,
+        array $options = []
+    ): array {
+        if (!empty($options['dry_run'])) {
+            return $this->previewOperation($op, $resource, $id, $data, $ids, $options);
+        }
+
         // The Omeka controller plugin catches ValidationException internally
         // and returns false unless throwValidationException=true is passed to
         // __invoke(). Using api(null, true) ensures exceptions propagate so
@@ -115,68 +701,136 @@ class WebMCPProxyController extends AbstractActionController
         switch ($op) {
             case 'search':
                 $response = $api->search($resource, $query);
+                $items    = json_decode(json_encode($response->getContent()), true);
+                $view     = $options['view'] ?? 'full';
                 return [
-                    'items'         => json_decode(json_encode($response->getContent()), true),
+                    'items'         => array_map(fn ($item) => $this->project($resource, $item, $view), $items),
                     'total_results' => $response->getTotalResults(),
                 ];
 
             case 'get':
-                return json_decode(json_encode(
+                return $this->project($resource, json_decode(json_encode(
                     $api->read($resource, $id)->getContent()
-                ), true);
+                ), true), $options['view'] ?? 'full');
 
             case 'create':
-                $normalized = $this->normalizePropertyData(is_array($data) ? $data : []);
-                return json_decode(json_encode(
-                    $api->create($resource, $normalized)->getContent()
-                ), true);
+                $this->auditSnapshot = [];
+                $created = $this->createResource($resource, is_array($data) ? $data : [], $options);
+                $this->auditChanges = $created['diff'] ?? null;
+                return $created;
 
             case 'update':
                 // Read current representation first so that the PUT does not wipe
                 // fields that the caller did not explicitly include in $data.
-                $current    = json_decode(json_encode(
+                $current = json_decode(json_encode(
                     $api->read($resource, $id)->getContent()
                 ), true);
-                $normalized = $this->normalizePropertyData(is_array($data) ? $data : []);
-                $merged     = array_merge($current, $normalized);
-                return json_decode(json_encode(
+                $merged  = $this->prepareWrite(
+                    $resource,
+                    $current,
+                    is_array($data) ? $data : [],
+                    $options['modes'] ?? []
+                );
+                $updated = json_decode(json_encode(
                     $api->update($resource, $id, $merged)->getContent()
                 ), true);
+                $this->auditChanges  = AuditLog::diff($current, $updated);
+                $this->auditSnapshot = [$id => $current];
+                return $updated;
 
             case 'delete':
+                $this->auditSnapshot = [$id => json_decode(json_encode(
+                    $api->read($resource, $id)->getContent()
+                ), true)];
                 $api->delete($resource, $id);
                 return ['deleted' => true, 'id' => $id];
 
             case 'batch_create':
-                $results = [];
-                $errors  = [];
-                foreach ((array) $data as $item) {
+                $results    = [];
+                $errors     = [];
+                $duplicates = [];
+                $this->auditSnapshot = [];
+                $this->auditChanges  = [];
+                foreach (array_values((array) $data) as $index => $item) {
                     try {
-                        $normalized = $this->normalizePropertyData(is_array($item) ? $item : []);
-                        $results[] = json_decode(json_encode(
-                            $api->create($resource, $normalized)->getContent()
-                        ), true);
+                        $created = $this->createResource($resource, is_array($item) ? $item : [], $options);
+                        if (empty($created['duplicate'])) {
+                            $results[] = $created;
+                            continue;
+                        }
+                        $duplicates[] = ['index' => $index] + $created;
+                        foreach ($created['diff'] ?? [] as $field => $change) {
+                            $this->auditChanges[sprintf('#%d %s', $created['id'], $field)] = $change;
+                        }
+                    } catch (InvalidFieldsException $e) {
+                        $errors[] = [
+                            'index'   => $index,
+                            'error'   => true,
+                            'message' => $e->getMessage(),
+                            'fields'  => $e->getFields(),
+                        ];
+                    } catch (DuplicateException $e) {
+                        $errors[] = [
+                            'index'      => $index,
+                            'error'      => true,
+                            'code'       => 'duplicate',
+                            'message'    => $e->getMessage(),
+                            'duplicates' => $e->getDuplicates(),
+                        ];
                     } catch (\Exception $e) {
-                        $errors[] = ['error' => true, 'message' => $e->getMessage()];
+                        $errors[] = ['index' => $index, 'error' => true, 'message' => $e->getMessage()];
                     }
                 }
-                return [
+                $result = [
                     'success' => count($errors) === 0,
                     'created' => count($results),
                     'failed'  => count($errors),
                     'items'   => $results,
                     'errors'  => $errors,
                 ];
+                if (($options['on_duplicate'] ?? 'create') !== 'create') {
+                    $merged = array_values(array_filter($duplicates, fn ($row) => $row['action'] === 'merged'));
+                    $result += [
+                        'skipped'    => count($duplicates) - count($merged),
+                        'merged'     => count($merged),
+                        'merged_ids' => array_values(array_unique(array_column($merged, 'id'))),
+                        'duplicates' => $duplicates,
+                    ];
+                }
+                return $result;
+
+            case 'find_duplicates':
+                return $this->findDuplicates($resource, is_array($data) ? $data : [], $ids);
+
+            case 'check_media_source':
+                $source = is_array($data) ? $data : [];
+                return $this->webmcpMediaSource()->check(
+                    (string) ($source['ingester'] ?? 'url'),
+                    (string) ($source['url'] ?? '')
+                );
+
+            case 'batch_update':
+                return $this->batchUpdate($resource, $data, $options['modes'] ?? [], false);
 
             case 'batch_delete':
                 $deleted = [];
                 $errors  = [];
-                foreach ($ids as $itemId) {
+                $this->auditSnapshot = [];
+                foreach (array_values($ids) as $index => $itemId) {
                     try {
+                        $snapshot = json_decode(json_encode(
+                            $api->read($resource, $itemId)->getContent()
+                        ), true);
                         $api->delete($resource, $itemId);
                         $deleted[] = $itemId;
+                        $this->auditSnapshot[$itemId] = $snapshot;
                     } catch (\Exception $e) {
-                        $errors[] = ['id' => $itemId, 'error' => true, 'message' => $e->getMessage()];
+                        $errors[] = [
+                            'index'   => $index,
+                            'id'      => $itemId,
+                            'error'   => true,
+                            'message' => $e->getMessage(),
+                        ];
                     }
                 }
                 return [
@@ -186,11 +840,1072 @@ class WebMCPProxyController extends AbstractActionController
                     'errors'  => $errors,
                 ];
 
+            case 'import_csv':
+                return $this->importCsv($resource, is_array($data) ? $data : [], false);
+
+            case 'merge':
+                return $this->mergeItems($resource, $id, $ids, false);
+
+            case 'export':
+                return $this->exportResources($resource, $query, is_array($data) ? $data : []);
+
+            case 'data_types':
+                return ['data_types' => $this->webmcpDataTypes()->getNames()];
+
+            case 'templates':
+                // The signature lets clients detect template changes without
+                // comparing the whole list.
+                $templates = $this->webmcpResourceTemplates()->getTemplates();
+                return ['templates' => $templates, 'signature' => sha1((string) json_encode($templates))];
+
+            case 'vocabulary':
+                return $this->webmcpVocabulary()->getRegistry();
+
+            case 'job_status':
+                return $this->jobStatus((int) $id);
+
+            case 'cancel_job':
+                $status = $this->jobStatus((int) $id);
+                if (!in_array($status['status'], self::RUNNING_JOB_STATUSES, true)) {
+                    throw new \InvalidArgumentException(
+                        sprintf('Job #%d is not running (status: %s).', (int) $id, (string) $status['status'])
+                    );
+                }
+                $this->jobDispatcher()->stop((int) $id);
+                return ['status' => 'stopping'] + $status;
+
+            case 'undo':
+                $change = $this->webmcpAuditLog()->find((int) $id);
+                if (!$change) {
+                    throw new NotFoundException(sprintf('Change #%d not found.', (int) $id));
+                }
+                return $this->undoChange($change);
+
+            case 'undo_last':
+                $user   = $this->identity();
+                $change = $this->webmcpAuditLog()->findLastUndoable($user ? $user->getId() : null);
+                if (!$change) {
+                    throw new NotFoundException('There is no change of yours left to undo.');
+                }
+                return $this->undoChange($change);
+
             default:
                 throw new \InvalidArgumentException("Unknown operation: {$op}");
         }
     }
 
+    /**
+     * Preview a write operation without persisting anything.
+     *
+     * The payload goes through the same normalization and merging as the real
+     * operation, then is checked against its resource template. Creates and
+     * updates report the resulting data and a field-level diff against the
+     * current representation; deletes report what would be removed.
+     *
+     * @param string $op
+     * @param string $resource
+     * @param mixed  $id
+     * @param mixed  $data
+     * @param array  $ids
+     * @param array  $options 'modes' for update; 'on_duplicate' and
+     *                        'duplicate_match' for creates, see runOperation()
+     * @return array
+     */
+    protected function previewOperation(
+        string $op,
+        string $resource,
+        $id,
+        $data,
+        array $ids,
+        array $options = []
+    ): array {
+        $api   = $this->api(null, true);
+        $modes = $options['modes'] ?? [];
+
+        switch ($op) {
+            case 'create':
+                return $this->previewCreate($resource, is_array($data) ? $data : [], $options);
+
+            case 'update':
+                $current = json_decode(json_encode(
+                    $api->read($resource, $id)->getContent()
+                ), true);
+                return $this->previewWrite($resource, $id, $current, is_array($data) ? $data : [], $modes);
+
+            case 'delete':
+                return [
+                    'dry_run'   => true,
+                    'operation' => 'delete',
+                    'id'        => $id,
+                    'current'   => json_decode(json_encode(
+                        $api->read($resource, $id)->getContent()
+                    ), true),
+                ];
+
+            case 'batch_create':
+                $previews = [];
+                foreach ((array) $data as $item) {
+                    $previews[] = $this->previewCreate($resource, is_array($item) ? $item : [], $options);
+                }
+                $invalid = count(array_filter($previews, fn ($preview) => !$preview['valid']));
+                return [
+                    'dry_run' => true,
+                    'valid'   => $invalid === 0,
+                    'created' => count($previews) - $invalid,
+                    'failed'  => $invalid,
+                    'items'   => $previews,
+                ];
+
+            case 'batch_update':
+                return $this->batchUpdate($resource, $data, $modes, true);
+
+            case 'batch_delete':
+                $found  = [];
+                $errors = [];
+                foreach ($ids as $itemId) {
+                    try {
+                        $api->read($resource, $itemId);
+                        $found[] = $itemId;
+                    } catch (\Exception $e) {
+                        $errors[] = ['id' => $itemId, 'error' => true, 'message' => $e->getMessage()];
+                    }
+                }
+                return [
+                    'dry_run' => true,
+                    'deleted' => count($found),
+                    'failed'  => count($errors),
+                    'ids'     => $found,
+                    'errors'  => $errors,
+                ];
+
+            case 'import_csv':
+                return $this->importCsv($resource, is_array($data) ? $data : [], true);
+
+            case 'merge':
+                return $this->mergeItems($resource, $id, $ids, true);
+
+            default:
+                throw new \InvalidArgumentException("Operation {$op} does not support dry_run.");
+        }
+    }
+
+    /**
+     * Create a resource, unless its data duplicates an existing resource.
+     *
+     * With 'on_duplicate' (see Duplicates::ACTIONS) other than 'create', the
+     * existing resources are checked first (see Duplicates::find(), with the
+     * 'duplicate_match' options). When one matches, the best match is:
+     *  - skip: left alone, and nothing is created
+     *  - merge: updated with the submitted values, appended to its own
+     *    (fields that hold a single value keep their current value)
+     *  - flag: reported in a DuplicateException, and nothing is created
+     *
+     * A merged resource's previous representation is added to the audit
+     * snapshot, so undoing the create restores it.
+     *
+     * @param string $resource
+     * @param array  $data    Submitted data
+     * @param array  $options See runOperation()
+     * @return array The created representation or, for a duplicate,
+     *               ['duplicate' => true, 'action' => 'skipped'|'merged',
+     *               'id' => best match, 'duplicates' => matches, 'diff' when merged]
+     * @throws DuplicateException For a duplicate with 'on_duplicate' flag
+     */
+    protected function createResource(string $resource, array $data, array $options): array
+    {
+        $api      = $this->api(null, true);
+        $action   = $this->duplicateAction($options);
+        $prepared = $this->prepareWrite($resource, [], $data);
+        $matches  = $action === 'create'
+            ? []
+            : $this->webmcpDuplicates()->find($resource, $prepared, $options['duplicate_match'] ?? []);
+        if (!$matches) {
+            return json_decode(json_encode(
+                $api->create($resource, $prepared, $options['files'] ?? [])->getContent()
+            ), true);
+        }
+        if ($action === 'flag') {
+            throw new DuplicateException($matches);
+        }
+
+        $result = ['duplicate' => true, 'action' => 'skipped', 'id' => $matches[0]['id'], 'duplicates' => $matches];
+        if ($action === 'merge') {
+            $current = json_decode(json_encode($api->read($resource, $result['id'])->getContent()), true);
+            [$mergeData, $modes] = $this->mergeDuplicateData($current, $prepared);
+            $updated = json_decode(json_encode(
+                $api->update($resource, $result['id'], $this->prepareWrite($resource, $current, $mergeData, $modes))
+                    ->getContent()
+            ), true);
+            $this->auditSnapshot[$result['id']] ??= $current;
+            $result['action'] = 'merged';
+            $result['diff']   = AuditLog::diff($current, $updated);
+        }
+        return $result;
+    }
+
+    /**
+     * Preview a create, with the duplicates it would run into.
+     *
+     * @param string $resource
+     * @param array  $data
+     * @param array  $options See runOperation()
+     * @return array previewWrite() result, plus 'duplicates' and the
+     *               'on_duplicate' action when the data matches a resource
+     */
+    protected function previewCreate(string $resource, array $data, array $options): array
+    {
+        $action  = $this->duplicateAction($options);
+        $preview = $this->previewWrite($resource, null, [], $data);
+        if ($action !== 'create') {
+            $matches = $this->webmcpDuplicates()
+                ->find($resource, $preview['result'], $options['duplicate_match'] ?? []);
+            if ($matches) {
+                $preview['duplicates']   = $matches;
+                $preview['on_duplicate'] = $action;
+            }
+        }
+        return $preview;
+    }
+
+    /**
+     * Split prepared create data into what a merge adds to an existing
+     * resource: list fields (property values, item sets) are appended, and
+     * single-valued fields only fill in fields the resource leaves empty.
+     *
+     * @param array $current  Representation of the existing resource
+     * @param array $prepared Create data after prepareWrite()
+     * @return array [array $data, array $modes]
+     */
+    protected function mergeDuplicateData(array $current, array $prepared): array
+    {
+        $data  = [];
+        $modes = [];
+        foreach ($prepared as $key => $value) {
+            if (is_array($value) && array_is_list($value)) {
+                $data[$key]  = $value;
+                $modes[$key] = 'append';
+            } elseif (in_array($current[$key] ?? null, [null, '', []], true)) {
+                $data[$key] = $value;
+            }
+        }
+        return [$data, $modes];
+    }
+
+    /**
+     * Read and check the 'on_duplicate' option.
+     *
+     * @param array $options
+     * @return string One of Duplicates::ACTIONS
+     * @throws \InvalidArgumentException For an unknown action
+     */
+    protected function duplicateAction(array $options): string
+    {
+        $action = (string) ($options['on_duplicate'] ?? 'create');
+        if (!in_array($action, Duplicates::ACTIONS, true)) {
+            throw new \InvalidArgumentException(sprintf(
+                'Unknown on_duplicate "%s"; expected one of: %s.',
+                $action,
+                implode(', ', Duplicates::ACTIONS)
+            ));
+        }
+        return $action;
+    }
+
+    /**
+     * Check resource data, or existing resources, for duplicates.
+     *
+     * @param string $resource
+     * @param array  $data 'items' (resource data to check), plus the
+     *                     Duplicates::find() options 'by', 'properties' and
+     *                     'threshold'
+     * @param array  $ids  Existing resources to check against the others
+     * @return array by, threshold and results: one entry per item (index)
+     *               and per ID (id), with its title and duplicates
+     */
+    protected function findDuplicates(string $resource, array $data, array $ids): array
+    {
+        $items = isset($data['items']) && is_array($data['items']) ? array_values($data['items']) : [];
+        if (!$items && !$ids) {
+            throw new \InvalidArgumentException('find_duplicates needs items (data.items) or ids to check.');
+        }
+        $duplicates = $this->webmcpDuplicates();
+        $results    = [];
+        foreach ($items as $index => $item) {
+            $item      = is_array($item) ? $item : [];
+            $results[] = [
+                'index'      => $index,
+                'title'      => $item['dcterms:title'][0]['@value'] ?? null,
+                'duplicates' => $duplicates->find($resource, $item, $data),
+            ];
+        }
+        $api = $this->api(null, true);
+        foreach ($ids as $id) {
+            $existing  = json_decode(json_encode($api->read($resource, (int) $id)->getContent()), true);
+            $results[] = [
+                'id'         => (int) $id,
+                'title'      => $existing['o:title'] ?? null,
+                'duplicates' => $duplicates->find($resource, $existing, $data, (int) $id),
+            ];
+        }
+        return [
+            'by'        => (string) ($data['by'] ?? 'auto'),
+            'threshold' => isset($data['threshold']) && is_numeric($data['threshold'])
+                ? (float) $data['threshold']
+                : Duplicates::DEFAULT_THRESHOLD,
+            'results'   => $results,
+        ];
+    }
+
+    /**
+     * Update several resources, or preview the updates.
+     *
+     * Each row is merged into the resource's current representation like a
+     * single update, and reported individually, so one failing row does not
+     * stop the others.
+     *
+     * @param string $resource
+     * @param mixed  $data   List of ['id' => int, 'data' => array, 'modes' => array]
+     * @param array  $modes  Value modes for rows that do not set their own
+     * @param bool   $dryRun Check every row without saving anything
+     * @return array updated, failed, ids (updated), items (one report per
+     *               row: id, status, diff, message, fields) and errors
+     */
+    protected function batchUpdate(string $resource, $data, array $modes, bool $dryRun): array
+    {
+        $api     = $this->api(null, true);
+        $reports = [];
+        $errors  = [];
+        $ids     = [];
+        $this->auditChanges  = [];
+        $this->auditSnapshot = [];
+        foreach (array_values((array) $data) as $index => $row) {
+            $rowId  = is_array($row) && isset($row['id']) && is_numeric($row['id']) ? (int) $row['id'] : null;
+            $report = ['id' => $rowId, 'status' => $dryRun ? 'valid' : 'updated'];
+            try {
+                if ($rowId === null) {
+                    throw new \InvalidArgumentException(sprintf('Row %d has no resource id.', $index + 1));
+                }
+                $rowData  = isset($row['data']) && is_array($row['data']) ? $row['data'] : [];
+                $rowModes = isset($row['modes']) && is_array($row['modes']) ? $row['modes'] : $modes;
+                $current  = json_decode(json_encode($api->read($resource, $rowId)->getContent()), true);
+                if ($dryRun) {
+                    [$merged, $fieldErrors] = $this->checkWrite($resource, $current, $rowData, $rowModes);
+                    $report['diff'] = AuditLog::diff($current, $merged);
+                    if ($fieldErrors) {
+                        throw new InvalidFieldsException($fieldErrors);
+                    }
+                } else {
+                    $merged  = $this->prepareWrite($resource, $current, $rowData, $rowModes);
+                    $updated = json_decode(json_encode($api->update($resource, $rowId, $merged)->getContent()), true);
+                    $report['diff'] = AuditLog::diff($current, $updated);
+                    $this->auditSnapshot[$rowId] = $current;
+                    foreach ($report['diff'] as $field => $change) {
+                        $this->auditChanges[sprintf('#%d %s', $rowId, $field)] = $change;
+                    }
+                }
+                $ids[] = $rowId;
+            } catch (\Exception $e) {
+                $report['status']  = $dryRun ? 'invalid' : 'failed';
+                $report['message'] = $e->getMessage();
+                $error = ['index' => $index, 'id' => $rowId, 'error' => true, 'message' => $e->getMessage()];
+                if ($e instanceof InvalidFieldsException) {
+                    $report['fields'] = $error['fields'] = $e->getFields();
+                }
+                $errors[] = $error;
+            }
+            $reports[] = $report;
+        }
+
+        $result = [
+            'updated' => count($ids),
+            'failed'  => count($errors),
+            'ids'     => $ids,
+            'items'   => $reports,
+            'errors'  => $errors,
+        ];
+        if ($dryRun) {
+            $result = ['dry_run' => true, 'valid' => !$errors] + $result;
+        }
+        return $result;
+    }
+
+    /**
+     * Merge duplicate items into one, or preview the merge.
+     *
+     * The primary item gets the property values and item sets of the
+     * secondary items, after its own and without repeating a value, then
+     * their media, after its own. Values of other items that link to a
+     * secondary item are re-pointed to the primary, values linking the
+     * merged items to each other are dropped, and the secondary items are
+     * deleted.
+     *
+     * A merge is audited with snapshots of every item it changes, but cannot
+     * be undone: the secondary items would come back with new IDs, and their
+     * media would stay on the primary.
+     *
+     * @param string $resource     Must be 'items'
+     * @param mixed  $primaryId    Item that is kept
+     * @param array  $secondaryIds Items merged into it, then deleted
+     * @param bool   $dryRun       Report the merge without saving anything
+     * @return array primary_id, merged_ids, media_ids (moved), item_set_ids
+     *               (of the merged item), referencing_ids (re-pointed), diff
+     *               (of the primary) and references (id, title, diff)
+     */
+    protected function mergeItems(string $resource, $primaryId, array $secondaryIds, bool $dryRun): array
+    {
+        if ($resource !== 'items') {
+            throw new \InvalidArgumentException('merge only merges items.');
+        }
+        $primaryId    = (int) $primaryId;
+        $secondaryIds = array_values(array_unique(array_map('intval', $secondaryIds)));
+        if ($primaryId < 1 || !$secondaryIds) {
+            throw new \InvalidArgumentException(
+                'merge needs the item to keep (id) and the items to merge into it (ids).'
+            );
+        }
+        if (in_array($primaryId, $secondaryIds, true)) {
+            throw new \InvalidArgumentException(sprintf('Item #%d cannot be merged into itself.', $primaryId));
+        }
+
+        $api         = $this->api(null, true);
+        $primary     = json_decode(json_encode($api->read($resource, $primaryId)->getContent()), true);
+        $secondaries = [];
+        $data        = [];
+        $mediaIds    = [];
+        foreach ($secondaryIds as $secondaryId) {
+            $secondary = json_decode(json_encode($api->read($resource, $secondaryId)->getContent()), true);
+            foreach ($secondary as $key => $values) {
+                if (is_array($values) && ($key === 'o:item_set' || self::isPropertyTerm($key))) {
+                    $data[$key] = array_merge($data[$key] ?? [], $values);
+                }
+            }
+            foreach ($secondary['o:media'] ?? [] as $media) {
+                $mediaIds[] = (int) $media['o:id'];
+            }
+            $secondaries[$secondaryId] = $secondary;
+        }
+        $merged = $this->prepareWrite($resource, $primary, $data, array_fill_keys(array_keys($data), 'append'));
+        $merged = $this->repointValues($merged, array_merge([$primaryId], $secondaryIds), null);
+
+        $merging    = $this->webmcpItemMerge();
+        $references = [];
+        foreach ($merging->findReferencing($secondaryIds) as $itemId => $item) {
+            if ($itemId !== $primaryId && !isset($secondaries[$itemId])) {
+                $references[$itemId] = [$item, $this->repointValues($item, $secondaryIds, $primaryId)];
+            }
+        }
+
+        $result = [
+            'primary_id'      => $primaryId,
+            'merged_ids'      => $secondaryIds,
+            'media_ids'       => $mediaIds,
+            'item_set_ids'    => array_map('intval', array_column($merged['o:item_set'] ?? [], 'o:id')),
+            'referencing_ids' => array_keys($references),
+        ];
+        if ($dryRun) {
+            $result['diff'] = AuditLog::diff($primary, $merged);
+        } else {
+            $this->auditSnapshot = [$primaryId => $primary] + $secondaries
+                + array_map(fn ($reference) => $reference[0], $references);
+            // The primary is saved before its media move: its representation
+            // only lists its own media, and saving it afterwards would drop them.
+            $updated = json_decode(json_encode($api->update($resource, $primaryId, $merged)->getContent()), true);
+            $merging->moveMedia($primaryId, $mediaIds);
+            $result['diff'] = AuditLog::diff($primary, $updated);
+        }
+        $this->auditChanges = [];
+        foreach ($result['diff'] as $field => $change) {
+            $this->auditChanges[sprintf('#%d %s', $primaryId, $field)] = $change;
+        }
+
+        $result['references'] = [];
+        foreach ($references as $itemId => [$item, $repointed]) {
+            if (!$dryRun) {
+                $repointed = json_decode(json_encode($api->update($resource, $itemId, $repointed)->getContent()), true);
+            }
+            $diff = AuditLog::diff($item, $repointed);
+            foreach ($diff as $field => $change) {
+                $this->auditChanges[sprintf('#%d %s', $itemId, $field)] = $change;
+            }
+            $result['references'][] = ['id' => $itemId, 'title' => $item['o:title'] ?? null, 'diff' => $diff];
+        }
+
+        if ($dryRun) {
+            return ['dry_run' => true, 'valid' => true] + $result;
+        }
+        foreach ($secondaryIds as $secondaryId) {
+            $api->delete($resource, $secondaryId);
+        }
+        return $result;
+    }
+
+    /**
+     * Re-point the property values that link to some resources, or drop
+     * them when $toId is null. In the properties that had such a link,
+     * repeated values are then dropped.
+     *
+     * @param array    $representation
+     * @param int[]    $fromIds
+     * @param int|null $toId
+     * @return array
+     */
+    protected function repointValues(array $representation, array $fromIds, ?int $toId): array
+    {
+        foreach ($representation as $term => $values) {
+            if (!self::isPropertyTerm($term) || !ItemMerge::linksTo([$term => $values], $fromIds)) {
+                continue;
+            }
+            $kept = [];
+            foreach ($values as $value) {
+                if (is_array($value) && in_array((int) ($value['value_resource_id'] ?? 0), $fromIds, true)) {
+                    if ($toId === null) {
+                        continue;
+                    }
+                    // The link's URL and title belonged to the old resource.
+                    unset($value['@id'], $value['display_title'], $value['url'], $value['value_resource_name']);
+                    $value['value_resource_id'] = $toId;
+                }
+                $kept[$this->valueKey($value)] ??= $value;
+            }
+            $representation[$term] = array_values($kept);
+        }
+        return $representation;
+    }
+
+    /**
+     * Whether a data or representation key is a property term rather than
+     * an Omeka field (o:) or JSON-LD keyword (@).
+     *
+     * @param mixed $key
+     * @return bool
+     */
+    protected static function isPropertyTerm($key): bool
+    {
+        return is_string($key) && strpos($key, ':') !== false
+            && !str_starts_with($key, 'o:') && !str_starts_with($key, '@');
+    }
+
+    /**
+     * Import items from a CSV file, or preview the import.
+     *
+     * Each row becomes one item (see CsvImport::buildItem()) that goes through
+     * the same checks as a create. Rows are reported individually, so one bad
+     * row does not stop the others.
+     *
+     * @param string $resource Must be 'items'
+     * @param array  $data     csv|url|media_id, plus optional delimiter,
+     *                         multivalue_delimiter, mapping, item_set_ids and
+     *                         resource_template_id
+     * @param bool   $dryRun   Check every row without creating anything
+     * @return array
+     */
+    protected function importCsv(string $resource, array $data, bool $dryRun): array
+    {
+        if ($resource !== 'items') {
+            throw new \InvalidArgumentException('import_csv only imports items.');
+        }
+        $import = $this->webmcpCsvImport();
+        [$headers, $rows] = $import->parse($import->readSource($data), (string) ($data['delimiter'] ?? ','));
+        $overrides = isset($data['mapping']) && is_array($data['mapping']) ? $data['mapping'] : [];
+        $map       = $import->mapHeaders($headers, $overrides);
+
+        $mapping  = [];
+        $unmapped = [];
+        foreach ($headers as $index => $header) {
+            $mapping[$header] = $map[$index];
+            if ($map[$index] === null && !isset($data['mapping'][$header])) {
+                $unmapped[] = $header;
+            }
+        }
+
+        $api     = $this->api(null, true);
+        $reports = [];
+        $errors  = [];
+        foreach ($rows as $number => $row) {
+            $report = ['row' => $number, 'status' => $dryRun ? 'valid' : 'created'];
+            try {
+                $item = $import->buildItem($row, $map, (string) ($data['multivalue_delimiter'] ?? '|'), $data);
+                if ($dryRun) {
+                    [$merged, $fieldErrors] = $this->checkWrite($resource, [], $item);
+                    $report['data'] = $merged;
+                    if ($fieldErrors) {
+                        throw new InvalidFieldsException($fieldErrors);
+                    }
+                } else {
+                    $created = json_decode(json_encode(
+                        $api->create($resource, $this->prepareWrite($resource, [], $item))->getContent()
+                    ), true);
+                    $report['id'] = $created['o:id'] ?? null;
+                }
+            } catch (\Exception $e) {
+                $report['status']  = $dryRun ? 'invalid' : 'failed';
+                $report['message'] = $e->getMessage();
+                if ($e instanceof InvalidFieldsException) {
+                    $report['fields'] = $e->getFields();
+                }
+                $errors[] = ['row' => $number, 'error' => true, 'message' => $e->getMessage()];
+            }
+            $reports[] = $report;
+        }
+
+        $result = [
+            'mapping'  => $mapping,
+            'unmapped' => $unmapped,
+            'total'    => count($rows),
+            'created'  => count($rows) - count($errors),
+            'failed'   => count($errors),
+            'rows'     => $reports,
+            'errors'   => $errors,
+        ];
+        return $dryRun ? ['dry_run' => true, 'valid' => !$errors] + $result : $result;
+    }
+
+    /**
+     * Project a representation read by search or get into the requested view.
+     *
+     * @param string $resource
+     * @param array  $representation
+     * @param string $view
+     * @return array
+     */
+    protected function project(string $resource, array $representation, string $view): array
+    {
+        if ($view === 'full') {
+            return $representation;
+        }
+        return $this->webmcpProjection()->project($resource, $representation, $view);
+    }
+
+    /**
+     * Export every resource matching a query as a file.
+     *
+     * @param string $resource
+     * @param array  $query   Search query; paging parameters are ignored
+     * @param array  $options 'format' (csv, jsonld or oai_dc; default csv) and,
+     *                        for CSV, 'multivalue_delimiter'
+     * @return array format, mime_type, filename, total (matches), exported,
+     *               truncated (more than Export::MAX_RESOURCES matches) and content
+     */
+    protected function exportResources(string $resource, array $query, array $options): array
+    {
+        if (!in_array($resource, self::EXPORTABLE_RESOURCES, true)) {
+            throw new \InvalidArgumentException(
+                sprintf('Only %s can be exported.', implode(', ', self::EXPORTABLE_RESOURCES))
+            );
+        }
+        $format = (string) ($options['format'] ?? 'csv');
+        if (!isset(Export::FORMATS[$format])) {
+            throw new \InvalidArgumentException(sprintf(
+                'Unknown export format "%s"; expected one of: %s.',
+                $format,
+                implode(', ', array_keys(Export::FORMATS))
+            ));
+        }
+
+        $export = $this->webmcpExport();
+        [$resources, $total]    = $export->collect($resource, $query);
+        [$mimeType, $extension] = Export::FORMATS[$format];
+        return [
+            'format'    => $format,
+            'mime_type' => $mimeType,
+            'filename'  => sprintf('%s-%s.%s', $resource, date('Y-m-d'), $extension),
+            'total'     => $total,
+            'exported'  => count($resources),
+            'truncated' => count($resources) < $total,
+            'content'   => $export->serialize($resources, $format, $options),
+        ];
+    }
+
+    /**
+     * Build the preview of a create (empty $current) or update.
+     *
+     * @param string $resource
+     * @param mixed  $id
+     * @param array  $current Current representation, empty for creates
+     * @param array  $data    Submitted data
+     * @param array  $modes   Per-property value modes for update
+     * @return array
+     */
+    protected function previewWrite(string $resource, $id, array $current, array $data, array $modes = []): array
+    {
+        [$merged, $errors] = $this->checkWrite($resource, $current, $data, $modes);
+        return [
+            'dry_run'   => true,
+            'operation' => $current ? 'update' : 'create',
+            'id'        => $id,
+            'valid'     => !$errors,
+            'errors'    => $errors,
+            'result'    => $merged,
+            'diff'      => AuditLog::diff($current, $merged),
+        ];
+    }
+
+    /**
+     * Turn submitted create or update data into the data sent to the API.
+     *
+     * @param string $resource
+     * @param array  $current Current representation, empty for creates
+     * @param array  $data    Submitted data
+     * @param array  $modes   Per-property value modes for update
+     * @return array
+     * @throws InvalidFieldsException When a field fails validation
+     */
+    protected function prepareWrite(string $resource, array $current, array $data, array $modes = []): array
+    {
+        [$merged, $errors] = $this->checkWrite($resource, $current, $data, $modes);
+        if ($errors) {
+            throw new InvalidFieldsException($errors);
+        }
+        return $merged;
+    }
+
+    /**
+     * Map, normalize, merge and validate submitted create or update data.
+     *
+     * Values keyed by a resource template field label are moved to the
+     * field's term, then the result is checked for unavailable data types
+     * and against the resource template (required fields and allowed data
+     * types).
+     *
+     * @param string $resource
+     * @param array  $current Current representation, empty for creates
+     * @param array  $data    Submitted data
+     * @param array  $modes   Per-property value modes for update
+     * @return array [array $merged, array $errors]
+     */
+    protected function checkWrite(string $resource, array $current, array $data, array $modes = []): array
+    {
+        $templateId = null;
+        if (in_array($resource, self::TEMPLATED_RESOURCES, true)) {
+            $templateId = array_key_exists('o:resource_template', $data)
+                ? ResourceTemplates::templateId($data)
+                : ResourceTemplates::templateId($current);
+        }
+        $templates = $templateId ? $this->webmcpResourceTemplates() : null;
+        if ($templates) {
+            $data = $templates->mapLabels($data, $templateId);
+        }
+
+        $normalized = $this->normalizePropertyData($data);
+        $merged     = $this->mergePropertyData($current, $normalized, $modes);
+        $errors     = $this->webmcpDataTypes()->findUnknown($normalized);
+        if ($resource === 'items' && $current) {
+            [$merged, $mediaErrors] = $this->orderMedia($current, $data, $merged);
+            $errors = array_merge($errors, $mediaErrors);
+        }
+        if ($templates) {
+            $errors = array_merge($errors, $templates->validate($merged, $templateId, array_keys($normalized)));
+        }
+        return [$merged, $errors];
+    }
+
+    /**
+     * Apply the media order (o:media) and primary media (o:primary_media) of
+     * an item update.
+     *
+     * Both accept media IDs or references such as {"o:id": 5}. Omeka deletes
+     * the media an item update leaves out of o:media, so media that are not
+     * listed keep their current order after the listed ones instead. Listed
+     * media and the primary media must belong to the item; a null primary
+     * media unsets it.
+     *
+     * @param array $current Current item representation
+     * @param array $data    Submitted data
+     * @param array $merged  Update data merged into the current representation
+     * @return array [array $merged, array $errors]
+     */
+    protected function orderMedia(array $current, array $data, array $merged): array
+    {
+        $itemId   = (int) ($current['o:id'] ?? 0);
+        $mediaIds = array_values(array_filter(
+            array_map([self::class, 'mediaId'], (array) ($current['o:media'] ?? []))
+        ));
+        $errors   = [];
+        $unknown  = function (string $field, int $mediaId) use ($itemId, &$errors): void {
+            $errors[] = [
+                'field'   => $field,
+                'code'    => 'unknown_media',
+                'message' => sprintf('Media #%d does not belong to item #%d.', $mediaId, $itemId),
+            ];
+        };
+
+        if (array_key_exists('o:media', $data)) {
+            $order  = [];
+            $listed = [];
+            foreach ((array) $data['o:media'] as $media) {
+                $mediaId = self::mediaId($media);
+                if ($mediaId === null) {
+                    // New media data, created by Omeka in place.
+                    $order[] = $media;
+                } elseif (!in_array($mediaId, $mediaIds, true)) {
+                    $unknown('o:media', $mediaId);
+                } elseif (!in_array($mediaId, $listed, true)) {
+                    $order[]  = ['o:id' => $mediaId];
+                    $listed[] = $mediaId;
+                }
+            }
+            foreach (array_diff($mediaIds, $listed) as $mediaId) {
+                $order[] = ['o:id' => $mediaId];
+            }
+            $merged['o:media'] = $order;
+        }
+
+        if (array_key_exists('o:primary_media', $data)) {
+            $primaryId = self::mediaId($data['o:primary_media']);
+            if ($primaryId !== null && !in_array($primaryId, $mediaIds, true)) {
+                $unknown('o:primary_media', $primaryId);
+            }
+            $merged['o:primary_media'] = $primaryId === null ? null : ['o:id' => $primaryId];
+        }
+        return [$merged, $errors];
+    }
+
+    /**
+     * ID of a media given as an ID or a reference such as {"o:id": 5}.
+     *
+     * @param mixed $media
+     * @return int|null Null for anything else, such as new media data
+     */
+    protected static function mediaId($media): ?int
+    {
+        $id = is_array($media) ? ($media['o:id'] ?? null) : $media;
+        return is_numeric($id) && (int) $id > 0 ? (int) $id : null;
+    }
+
+    /**
+     * Revert a change recorded in the audit log.
+     *
+     * Creates are reverted by deleting the created resources, updates by
+     * writing back the snapshot taken before the update, and deletes by
+     * recreating the resources from their snapshots. Recreated resources get
+     * new IDs, and files of deleted media cannot be brought back.
+     *
+     * @param array $change Hydrated audit log entry
+     * @return array Undo report
+     */
+    protected function undoChange(array $change): array
+    {
+        if (!in_array($change['operation'], AuditLog::UNDOABLE_OPERATIONS, true)) {
+            throw new \InvalidArgumentException(
+                sprintf('Change #%d (%s) cannot be undone.', $change['id'], $change['operation'])
+            );
+        }
+        if ($change['outcome'] === 'failure') {
+            throw new \InvalidArgumentException(
+                sprintf('Change #%d failed, so there is nothing to undo.', $change['id'])
+            );
+        }
+        if (!empty($change['reverted'])) {
+            throw new \InvalidArgumentException(sprintf('Change #%d has already been undone.', $change['id']));
+        }
+        $needsSnapshot = !in_array($change['operation'], ['create', 'batch_create', 'import_csv'], true);
+        if ($needsSnapshot && empty($change['snapshot'])) {
+            throw new \InvalidArgumentException(
+                sprintf('Change #%d has no snapshot to restore from, so it cannot be undone.', $change['id'])
+            );
+        }
+
+        $api      = $this->api(null, true);
+        $resource = $change['resource'];
+        $report   = [
+            'change_id'     => (int) $change['id'],
+            'operation'     => $change['operation'],
+            'resource'      => $resource,
+            'restored_ids'  => [],
+            'deleted_ids'   => [],
+            'recreated_ids' => [],
+            'warnings'      => [],
+            'errors'        => [],
+        ];
+
+        switch ($change['operation']) {
+            case 'create':
+            case 'batch_create':
+            case 'import_csv':
+                // Resources in the snapshot existed before: the data was merged into them.
+                $merged = (array) ($change['snapshot'] ?? []);
+                foreach ($change['resource_ids'] as $createdId) {
+                    if (isset($merged[$createdId])) {
+                        continue;
+                    }
+                    try {
+                        $api->delete($resource, $createdId);
+                        $report['deleted_ids'][] = $createdId;
+                    } catch (\Exception $e) {
+                        $report['errors'][] = ['id' => $createdId, 'error' => true, 'message' => $e->getMessage()];
+                    }
+                }
+                $this->restoreSnapshots($resource, $merged, $report);
+                break;
+
+            case 'update':
+            case 'batch_update':
+                $this->restoreSnapshots($resource, (array) $change['snapshot'], $report);
+                break;
+
+            case 'delete':
+            case 'batch_delete':
+                foreach ((array) $change['snapshot'] as $oldId => $representation) {
+                    if (!empty($representation['o:media'])) {
+                        $report['warnings'][] = sprintf(
+                            'The media of #%d were deleted with it and cannot be restored.',
+                            $oldId
+                        );
+                    }
+                    try {
+                        $created = json_decode(json_encode(
+                            $api->create($resource, $this->recreationData($representation))->getContent()
+                        ), true);
+                        $report['recreated_ids'][$oldId] = $created['o:id'] ?? null;
+                    } catch (\Exception $e) {
+                        $report['errors'][] = ['id' => $oldId, 'error' => true, 'message' => $e->getMessage()];
+                    }
+                }
+                break;
+        }
+
+        $reverted = $report['restored_ids'] || $report['deleted_ids'] || $report['recreated_ids'];
+        if (!$reverted && $report['errors']) {
+            throw new \RuntimeException(sprintf(
+                'Could not undo change #%d: %s',
+                $change['id'],
+                implode('; ', array_unique(array_column($report['errors'], 'message')))
+            ));
+        }
+        $this->webmcpAuditLog()->markReverted((int) $change['id']);
+        return $report;
+    }
+
+    /**
+     * Write snapshots back over the resources they were taken from.
+     *
+     * @param string $resource
+     * @param array  $snapshot [resource ID => representation]
+     * @param array  $report   Undo report; restored_ids and errors are filled in
+     */
+    protected function restoreSnapshots(string $resource, array $snapshot, array &$report): void
+    {
+        $api = $this->api(null, true);
+        foreach ($snapshot as $resourceId => $representation) {
+            try {
+                $api->update($resource, $resourceId, $representation);
+                $report['restored_ids'][] = $resourceId;
+            } catch (\Exception $e) {
+                $report['errors'][] = ['id' => $resourceId, 'error' => true, 'message' => $e->getMessage()];
+            }
+        }
+    }
+
+    /**
+     * Turn a snapshot of a deleted resource into create data.
+     *
+     * Drops identifiers and server-managed fields, and attached media, which
+     * would otherwise be re-ingested without their (deleted) files.
+     *
+     * @param array $representation
+     * @return array
+     */
+    protected function recreationData(array $representation): array
+    {
+        $ignored = [
+            '@context', '@id', '@type', 'o:id', 'o:created', 'o:modified',
+            'o:media', 'o:primary_media', 'thumbnail_display_urls',
+        ];
+        return array_diff_key($representation, array_flip($ignored));
+    }
+
+    /**
+     * Merge normalized update data into the current representation.
+     *
+     * Non-property fields always replace the current value. Property terms
+     * follow their mode in $modes:
+     *  - replace (default): the submitted values replace the current ones
+     *  - append: the submitted values are added after the current ones,
+     *    skipping values already present
+     *  - remove: current values equal to a submitted value are removed
+     *  - clear: every current value is removed; no values need be submitted
+     *
+     * Values are compared by their value_resource_id, the o:id of references
+     * such as o:item_set, their @id or their @value (and @language).
+     *
+     * @param array $current    Current representation
+     * @param array $normalized Normalized update data
+     * @param array $modes      [term => mode]
+     * @return array
+     * @throws \InvalidArgumentException For an unknown mode
+     */
+    protected function mergePropertyData(array $current, array $normalized, array $modes): array
+    {
+        foreach ($modes as $term => $mode) {
+            if (!in_array($mode, self::VALUE_MODES, true)) {
+                throw new \InvalidArgumentException(sprintf(
+                    'Unknown mode "%s" for %s; expected one of: %s.',
+                    is_scalar($mode) ? $mode : gettype($mode),
+                    $term,
+                    implode(', ', self::VALUE_MODES)
+                ));
+            }
+        }
+
+        $merged = $current;
+        $terms  = array_unique(array_merge(array_keys($normalized), array_keys($modes)));
+        foreach ($terms as $term) {
+            $mode      = $modes[$term] ?? 'replace';
+            $submitted = isset($normalized[$term]) && is_array($normalized[$term]) ? $normalized[$term] : [];
+            $existing  = isset($current[$term]) && is_array($current[$term]) ? $current[$term] : [];
+            switch ($mode) {
+                case 'append':
+                    $keys = array_map([$this, 'valueKey'], $existing);
+                    foreach ($submitted as $value) {
+                        if (!in_array($this->valueKey($value), $keys, true)) {
+                            $existing[] = $value;
+                            $keys[]     = $this->valueKey($value);
+                        }
+                    }
+                    $merged[$term] = $existing;
+                    break;
+                case 'remove':
+                    $removed = array_map([$this, 'valueKey'], $submitted);
+                    $merged[$term] = array_values(array_filter(
+                        $existing,
+                        fn ($value) => !in_array($this->valueKey($value), $removed, true)
+                    ));
+                    break;
+                case 'clear':
+                    $merged[$term] = [];
+                    break;
+                default:
+                    $merged[$term] = $normalized[$term] ?? [];
+            }
+        }
+        return $merged;
+    }
+
+    /**
+     * Identity of a property value, used to match values across requests.
+     *
+     * @param mixed $value
+     * @return string
+     */
+    protected function valueKey($value): string
+    {
+        if (!is_array($value)) {
+            return 'literal:' . (string) $value;
+        }
+        if (!empty($value['value_resource_id'])) {
+            return 'resource:' . (int) $value['value_resource_id'];
+        }
+        // References (o:item_set…) read from the API carry their URL in @id
+        // too, but are submitted as {"o:id": …}.
+        if (!empty($value['o:id'])) {
+            return 'id:' . (int) $value['o:id'];
+        }
+        if (!empty($value['@id'])) {
+            return 'uri:' . $value['@id'];
+        }
+        return 'literal:' . ($value['@language'] ?? '') . ':' . trim((string) ($value['@value'] ?? ''));
+    }
+
     /**
      * Add 'property_id' => 'auto' to property values that lack one.
      *
@@ -0,0 +1,43 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCP\Exception;
+
+/**
+ * Raised when a create is refused because the resource already exists,
+ * with "on_duplicate": "flag".
+ *
+ * The proxy returns the matching resources so an agent can review them and
+ * merge or skip instead of creating a copy.
+ */
+class DuplicateException extends \RuntimeException
+{
+    /**
+     * @var array
+     */
+    private array $duplicates;
+
+    /**
+     * @param array $duplicates Matches as returned by Duplicates::find()
+     */
+    public function __construct(array $duplicates)
+    {
+        parent::__construct(sprintf(
+            'Possible duplicate of %s.',
+            implode(', ', array_map(
+                fn ($match) => sprintf('#%d (score %s)', $match['id'], $match['score']),
+                $duplicates
+            ))
+        ));
+        $this->duplicates = $duplicates;
+    }
+
+    /**
+     * @return array
+     */
+    public function getDuplicates(): array
+    {
+        return $this->duplicates;
+    }
+}
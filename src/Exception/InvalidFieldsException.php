@@ -0,0 +1,37 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCP\Exception;
+
+/**
+ * Raised when submitted resource data fails field-level checks, such as a
+ * required template property without a value or an unavailable data type.
+ *
+ * The proxy returns the fields to the caller so an agent can fix exactly
+ * what is wrong instead of retrying blindly.
+ */
+class InvalidFieldsException extends \RuntimeException
+{
+    /**
+     * @var array
+     */
+    private array $fields;
+
+    /**
+     * @param array $fields List of ['field' => string, 'message' => string, ...]
+     */
+    public function __construct(array $fields)
+    {
+        parent::__construct(implode(' ', array_column($fields, 'message')));
+        $this->fields = $fields;
+    }
+
+    /**
+     * @return array
+     */
+    public function getFields(): array
+    {
+        return $this->fields;
+    }
+}
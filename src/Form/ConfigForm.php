@@ -114,5 +114,44 @@ class ConfigForm extends Form
                 'value' => '1',
             ],
         ]);
+
+        $this->add([
+            'name' => 'webmcp_max_results',
+            'type' => Element\Number::class,
+            'options' => [
+                'label' => 'Maximum results per list', // @translate
+                'info' => 'Most resources one list or search call returns; a cursor continues past it.', // @translate
+            ],
+            'attributes' => [
+                'min' => '1',
+                'value' => '500',
+            ],
+        ]);
+
+        $this->add([
+            'name' => 'webmcp_batch_chunk_size',
+            'type' => Element\Number::class,
+            'options' => [
+                'label' => 'Batch chunk size', // @translate
+                'info' => 'Rows per batch request. Smaller chunks avoid timeouts and show progress.', // @translate
+            ],
+            'attributes' => [
+                'min' => '1',
+                'value' => '50',
+            ],
+        ]);
+
+        $this->add([
+            'name' => 'webmcp_media_max_size',
+            'type' => Element\Number::class,
+            'options' => [
+                'label' => 'Maximum media size (MB)', // @translate
+                'info' => 'Files larger than this are rejected before the media URL tools ingest them.', // @translate
+            ],
+            'attributes' => [
+                'min' => '1',
+                'value' => '100',
+            ],
+        ]);
     }
 }
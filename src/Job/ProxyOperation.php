@@ -0,0 +1,50 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCP\Job;
+
+use Omeka\Job\AbstractJob;
+
+/**
+ * Background job running a proxy operation queued with "background": true.
+ *
+ * The operation goes through the proxy controller, so it gets the same
+ * checks and audit entries as a direct request, attributed to the job owner.
+ * Progress and the final report are saved in the job arguments, where the
+ * proxy's job_status operation reads them.
+ *
+ * Arguments: 'operation', as built by WebMCPProxyController::proxyAction().
+ */
+class ProxyOperation extends AbstractJob
+{
+    public function perform(): void
+    {
+        /** @var \WebMCP\Controller\Admin\WebMCPProxyController $proxy */
+        $proxy = $this->getServiceLocator()
+            ->get('ControllerManager')
+            ->get('WebMCP\Controller\Admin\WebMCPProxy');
+
+        $result = $proxy->performQueued(
+            (array) $this->getArg('operation', []),
+            function (int $processed, int $total): bool {
+                $this->saveArg('progress', ['processed' => $processed, 'total' => $total]);
+                return !$this->shouldStop();
+            }
+        );
+        $this->saveArg('result', $result);
+    }
+
+    /**
+     * Store a value in the job arguments right away, so it can be read while
+     * the job is still running.
+     *
+     * @param string $name
+     * @param mixed  $value
+     */
+    private function saveArg(string $name, $value): void
+    {
+        $this->job->setArgs([$name => $value] + ($this->job->getArgs() ?: []));
+        $this->getServiceLocator()->get('Omeka\EntityManager')->flush();
+    }
+}
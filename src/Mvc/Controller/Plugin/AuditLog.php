@@ -0,0 +1,313 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCP\Mvc\Controller\Plugin;
+
+use Doctrine\DBAL\Connection;
+use Laminas\Mvc\Controller\Plugin\AbstractPlugin;
+
+/**
+ * Persistent audit trail of write operations made through the WebMCP proxy.
+ *
+ * Entries live in the webmcp_audit_log table created on module install.
+ * Available in controllers as $this->webmcpAuditLog().
+ */
+class AuditLog extends AbstractPlugin
+{
+    public const TABLE = 'webmcp_audit_log';
+
+    /**
+     * Proxy operations that modify data and are therefore audited.
+     */
+    public const AUDITED_OPERATIONS = [
+        'create', 'update', 'delete', 'batch_create', 'batch_update', 'batch_delete', 'import_csv', 'merge',
+        'undo', 'undo_last',
+    ];
+
+    /**
+     * Audited operations that can be reverted with the proxy's undo operations.
+     */
+    public const UNDOABLE_OPERATIONS = [
+        'create', 'update', 'delete', 'batch_create', 'batch_update', 'batch_delete', 'import_csv',
+    ];
+
+    /**
+     * Representation keys that change on every write or carry no metadata,
+     * and are therefore left out of update diffs.
+     */
+    private const DIFF_IGNORED_KEYS = ['@context', 'o:modified', 'o:created', 'thumbnail_display_urls'];
+
+    /**
+     * Columns exported to CSV, in order.
+     */
+    public const CSV_COLUMNS = [
+        'id', 'created', 'user_id', 'user_email', 'operation', 'resource',
+        'resource_ids', 'tool', 'outcome', 'message', 'changes', 'reverted',
+    ];
+
+    /**
+     * Columns read when listing entries; snapshots hold full representations
+     * and are only needed for undo.
+     */
+    private const LIST_COLUMNS = [
+        'id', 'created', 'user_id', 'user_email', 'operation', 'resource',
+        'resource_ids', 'tool', 'changes', 'outcome', 'message', 'reverted',
+    ];
+
+    private Connection $connection;
+
+    public function __construct(Connection $connection)
+    {
+        $this->connection = $connection;
+    }
+
+    public function __invoke(): self
+    {
+        return $this;
+    }
+
+    /**
+     * Store an audit entry and return its ID.
+     *
+     * @param array $entry Keys: user_id, user_email, operation, resource,
+     *                     resource_ids (array), tool, changes (array|null),
+     *                     snapshot (array|null), outcome, message
+     * @return int
+     */
+    public function record(array $entry): int
+    {
+        $this->connection->insert(self::TABLE, [
+            'created'      => (new \DateTime('now'))->format('Y-m-d H:i:s'),
+            'user_id'      => $entry['user_id'] ?? null,
+            'user_email'   => $entry['user_email'] ?? null,
+            'operation'    => (string) $entry['operation'],
+            'resource'     => (string) $entry['resource'],
+            'resource_ids' => json_encode(array_values($entry['resource_ids'] ?? [])),
+            'tool'         => $entry['tool'] ?? null,
+            'changes'      => isset($entry['changes']) ? json_encode($entry['changes']) : null,
+            'snapshot'     => isset($entry['snapshot']) ? json_encode($entry['snapshot']) : null,
+            'outcome'      => (string) $entry['outcome'],
+            'message'      => $entry['message'] ?? null,
+        ]);
+        return (int) $this->connection->lastInsertId();
+    }
+
+    /**
+     * Fetch a single audit entry by ID.
+     *
+     * @param int $id
+     * @return array|null
+     */
+    public function find(int $id): ?array
+    {
+        $row = $this->connection->fetchAssociative(
+            'SELECT * FROM ' . self::TABLE . ' WHERE id = ?',
+            [$id]
+        );
+        return $row ? self::hydrateRow($row) : null;
+    }
+
+    /**
+     * Fetch the most recent change by a user that can still be undone.
+     *
+     * @param int|null $userId
+     * @return array|null
+     */
+    public function findLastUndoable(?int $userId): ?array
+    {
+        if ($userId === null) {
+            return null;
+        }
+        $placeholders = implode(', ', array_fill(0, count(self::UNDOABLE_OPERATIONS), '?'));
+        $row = $this->connection->fetchAssociative(
+            'SELECT * FROM ' . self::TABLE
+            . " WHERE user_id = ? AND operation IN ($placeholders)"
+            . " AND outcome <> 'failure' AND reverted IS NULL"
+            . ' ORDER BY id DESC LIMIT 1',
+            array_merge([$userId], self::UNDOABLE_OPERATIONS)
+        );
+        return $row ? self::hydrateRow($row) : null;
+    }
+
+    /**
+     * Flag an entry as reverted so it cannot be undone twice.
+     *
+     * @param int $id
+     */
+    public function markReverted(int $id): void
+    {
+        $this->connection->update(
+            self::TABLE,
+            ['reverted' => (new \DateTime('now'))->format('Y-m-d H:i:s')],
+            ['id' => $id]
+        );
+    }
+
+    /**
+     * Fetch audit entries matching the filters, newest first.
+     *
+     * @param array    $filters See buildWhere()
+     * @param int|null $limit   Null returns every matching entry (CSV export)
+     * @param int      $offset
+     * @return array
+     */
+    public function search(array $filters, ?int $limit = null, int $offset = 0): array
+    {
+        [$where, $params] = $this->buildWhere($filters);
+        $sql = 'SELECT ' . implode(', ', self::LIST_COLUMNS) . ' FROM ' . self::TABLE . $where . ' ORDER BY id DESC';
+        if ($limit !== null) {
+            $sql .= sprintf(' LIMIT %d OFFSET %d', $limit, $offset);
+        }
+        $rows = $this->connection->executeQuery($sql, $params)->fetchAllAssociative();
+        return array_map([self::class, 'hydrateRow'], $rows);
+    }
+
+    /**
+     * Count audit entries matching the filters.
+     *
+     * @param array $filters
+     * @return int
+     */
+    public function count(array $filters): int
+    {
+        [$where, $params] = $this->buildWhere($filters);
+        return (int) $this->connection
+            ->executeQuery('SELECT COUNT(*) FROM ' . self::TABLE . $where, $params)
+            ->fetchOne();
+    }
+
+    /**
+     * Build the WHERE clause for search() and count().
+     *
+     * Supported filters: user (email substring), operation, resource, tool,
+     * outcome, resource_id, date_from and date_to (Y-m-d, inclusive).
+     *
+     * @param array $filters
+     * @return array [string $where, array $params]
+     */
+    private function buildWhere(array $filters): array
+    {
+        $clauses = [];
+        $params  = [];
+        foreach (['operation', 'resource', 'tool', 'outcome'] as $column) {
+            if (isset($filters[$column]) && $filters[$column] !== '') {
+                $clauses[]       = "$column = :$column";
+                $params[$column] = (string) $filters[$column];
+            }
+        }
+        if (isset($filters['user']) && $filters['user'] !== '') {
+            $clauses[]      = 'user_email LIKE :user';
+            $params['user'] = '%' . addcslashes((string) $filters['user'], '%_') . '%';
+        }
+        if (isset($filters['resource_id']) && is_numeric($filters['resource_id'])) {
+            $clauses[]             = 'JSON_CONTAINS(resource_ids, :resource_id)';
+            $params['resource_id'] = (string) (int) $filters['resource_id'];
+        }
+        if (!empty($filters['date_from']) && strtotime((string) $filters['date_from'])) {
+            $clauses[]           = 'created >= :date_from';
+            $params['date_from'] = date('Y-m-d 00:00:00', strtotime((string) $filters['date_from']));
+        }
+        if (!empty($filters['date_to']) && strtotime((string) $filters['date_to'])) {
+            $clauses[]         = 'created <= :date_to';
+            $params['date_to'] = date('Y-m-d 23:59:59', strtotime((string) $filters['date_to']));
+        }
+        $where = $clauses ? ' WHERE ' . implode(' AND ', $clauses) : '';
+        return [$where, $params];
+    }
+
+    /**
+     * Decode the JSON columns of a database row.
+     *
+     * @param array $row
+     * @return array
+     */
+    public static function hydrateRow(array $row): array
+    {
+        $row['resource_ids'] = json_decode((string) ($row['resource_ids'] ?? '[]'), true) ?: [];
+        $row['changes']      = isset($row['changes']) ? json_decode((string) $row['changes'], true) : null;
+        $row['snapshot']     = isset($row['snapshot']) ? json_decode((string) $row['snapshot'], true) : null;
+        return $row;
+    }
+
+    /**
+     * Flatten a hydrated entry into a CSV row ordered like CSV_COLUMNS.
+     *
+     * @param array $entry
+     * @return array
+     */
+    public static function toCsvRow(array $entry): array
+    {
+        $row = [];
+        foreach (self::CSV_COLUMNS as $column) {
+            $value = $entry[$column] ?? null;
+            if ($column === 'resource_ids') {
+                $value = implode(' ', (array) $value);
+            } elseif ($column === 'changes') {
+                $value = $value === null ? '' : json_encode($value, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+            }
+            $row[] = $value === null ? '' : (string) $value;
+        }
+        return $row;
+    }
+
+    /**
+     * Compute a field-level diff between two resource representations.
+     *
+     * Property values are compared by their displayable content (@value,
+     * @id or value_resource_id), so re-serialization noise such as
+     * property labels does not show up as a change.
+     *
+     * @param array $before Representation before the update
+     * @param array $after  Representation after the update
+     * @return array [field => ['before' => mixed, 'after' => mixed]]
+     */
+    public static function diff(array $before, array $after): array
+    {
+        $changes = [];
+        $keys    = array_unique(array_merge(array_keys($before), array_keys($after)));
+        foreach ($keys as $key) {
+            if (in_array($key, self::DIFF_IGNORED_KEYS, true)) {
+                continue;
+            }
+            $old = self::comparableValue($key, $before[$key] ?? null);
+            $new = self::comparableValue($key, $after[$key] ?? null);
+            if ($old !== $new) {
+                $changes[$key] = ['before' => $old, 'after' => $new];
+            }
+        }
+        return $changes;
+    }
+
+    /**
+     * Reduce a representation field to the part that is meaningful in a diff.
+     *
+     * @param string|int $key
+     * @param mixed      $value
+     * @return mixed
+     */
+    private static function comparableValue($key, $value)
+    {
+        if (!is_array($value)) {
+            return $value;
+        }
+        $isProperty = is_string($key) && strpos($key, ':') !== false
+            && !str_starts_with($key, 'o:') && !str_starts_with($key, '@');
+        if (!$isProperty) {
+            return $value;
+        }
+        $values = [];
+        foreach ($value as $v) {
+            if (!is_array($v)) {
+                $values[] = $v;
+            } elseif (isset($v['@value'])) {
+                $values[] = $v['@value'];
+            } elseif (isset($v['@id'])) {
+                $values[] = $v['@id'];
+            } elseif (isset($v['value_resource_id'])) {
+                $values[] = (int) $v['value_resource_id'];
+            }
+        }
+        return $values ?: null;
+    }
+}
@@ -0,0 +1,329 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCP\Mvc\Controller\Plugin;
+
+use Laminas\Mvc\Controller\Plugin\AbstractPlugin;
+
+/**
+ * Turns CSV files into item data for the proxy's import_csv operation.
+ *
+ * Reads the CSV from text, a URL or an Omeka media file, maps its headers to
+ * property terms and special columns (media URLs, item sets, resource
+ * template) and builds one item per row. Available in controllers as
+ * $this->webmcpCsvImport().
+ */
+class CsvImport extends AbstractPlugin
+{
+    /**
+     * Most data rows accepted in one import.
+     */
+    public const MAX_ROWS = 500;
+
+    /**
+     * Column targets other than property terms.
+     */
+    public const TARGET_MEDIA_URL         = 'media_url';
+    public const TARGET_ITEM_SET          = 'item_set';
+    public const TARGET_RESOURCE_TEMPLATE = 'resource_template';
+
+    /**
+     * Headers recognized as special columns, lowercased.
+     */
+    private const SPECIAL_HEADERS = [
+        'media_url'           => self::TARGET_MEDIA_URL,
+        'media_urls'          => self::TARGET_MEDIA_URL,
+        'media'               => self::TARGET_MEDIA_URL,
+        'item_set'            => self::TARGET_ITEM_SET,
+        'item_sets'           => self::TARGET_ITEM_SET,
+        'item_set_id'         => self::TARGET_ITEM_SET,
+        'o:item_set'          => self::TARGET_ITEM_SET,
+        'resource_template'   => self::TARGET_RESOURCE_TEMPLATE,
+        'o:resource_template' => self::TARGET_RESOURCE_TEMPLATE,
+    ];
+
+    /**
+     * @var \Omeka\Api\Manager
+     */
+    private $api;
+
+    /**
+     * @var \Laminas\Http\Client
+     */
+    private $httpClient;
+
+    /**
+     * Installed properties as [term, label, local name], dcterms first;
+     * loaded on first use.
+     *
+     * @var array|null
+     */
+    private ?array $properties = null;
+
+    /**
+     * @param \Omeka\Api\Manager   $api
+     * @param \Laminas\Http\Client $httpClient
+     */
+    public function __construct($api, $httpClient)
+    {
+        $this->api        = $api;
+        $this->httpClient = $httpClient;
+    }
+
+    public function __invoke(): self
+    {
+        return $this;
+    }
+
+    /**
+     * Read the CSV text of an import source.
+     *
+     * The source has exactly one of: 'csv' (the text itself), 'url' (an
+     * http(s) URL to download) or 'media_id' (a CSV file uploaded to Omeka
+     * as media).
+     *
+     * @param array $source
+     * @return string
+     * @throws \InvalidArgumentException When the source is missing or unreadable
+     */
+    public function readSource(array $source): string
+    {
+        if (isset($source['csv']) && is_string($source['csv']) && trim($source['csv']) !== '') {
+            return $source['csv'];
+        }
+        if (!empty($source['media_id'])) {
+            $media = json_decode(json_encode($this->api->read('media', (int) $source['media_id'])->getContent()), true);
+            if (empty($media['o:original_url'])) {
+                throw new \InvalidArgumentException(
+                    sprintf('Media #%d has no original file.', (int) $source['media_id'])
+                );
+            }
+            return $this->download((string) $media['o:original_url']);
+        }
+        if (!empty($source['url'])) {
+            return $this->download((string) $source['url']);
+        }
+        throw new \InvalidArgumentException('Provide the CSV as csv (text), url or media_id.');
+    }
+
+    /**
+     * Split CSV text into headers and data rows.
+     *
+     * Quoted values may span lines. A UTF-8 byte order mark is dropped and
+     * blank lines are skipped.
+     *
+     * @param string $csv
+     * @param string $delimiter Single character, or "tab"
+     * @return array [array $headers, array $rows] with rows numbered from 1
+     * @throws \InvalidArgumentException When there is no header row, or too many rows
+     */
+    public function parse(string $csv, string $delimiter = ','): array
+    {
+        $delimiter = $delimiter === 'tab' ? "\t" : $delimiter;
+        if (strlen($delimiter) !== 1) {
+            throw new \InvalidArgumentException('The delimiter must be a single character or "tab".');
+        }
+
+        $stream = fopen('php://temp', 'r+');
+        fwrite($stream, preg_replace('/^\xEF\xBB\xBF/', '', $csv));
+        rewind($stream);
+
+        $headers = null;
+        $rows    = [];
+        while (($fields = fgetcsv($stream, 0, $delimiter, '"', '')) !== false) {
+            if ($fields === [null] || implode('', $fields) === '') {
+                continue;
+            }
+            if ($headers === null) {
+                $headers = array_map('trim', $fields);
+                continue;
+            }
+            $rows[count($rows) + 1] = $fields;
+            if (count($rows) > self::MAX_ROWS) {
+                fclose($stream);
+                throw new \InvalidArgumentException(
+                    sprintf('The CSV has more than %d rows; split it into smaller files.', self::MAX_ROWS)
+                );
+            }
+        }
+        fclose($stream);
+
+        if (!$headers) {
+            throw new \InvalidArgumentException('The CSV is empty.');
+        }
+        return [$headers, $rows];
+    }
+
+    /**
+     * Decide what each column is imported as.
+     *
+     * An explicit $mapping entry (header => term or special target, or
+     * "ignore") wins. Otherwise headers are matched, ignoring case, against
+     * the special column names, then property terms, property labels and
+     * property local names; Dublin Core properties win ties.
+     *
+     * @param array $headers
+     * @param array $mapping [header => target]
+     * @return array [column index => term, special target or null (ignored)]
+     */
+    public function mapHeaders(array $headers, array $mapping = []): array
+    {
+        $map = [];
+        foreach ($headers as $index => $header) {
+            $target = array_key_exists($header, $mapping) ? $mapping[$header] : $this->guessTarget($header);
+            if ($target === 'ignore' || $target === '' || $target === null) {
+                $map[$index] = null;
+                continue;
+            }
+            $target = (string) $target;
+            if (!in_array($target, self::SPECIAL_HEADERS, true) && !$this->findProperty($target)) {
+                throw new \InvalidArgumentException(sprintf(
+                    'Column "%s" is mapped to "%s", which is not a property term or import column.',
+                    $header,
+                    $target
+                ));
+            }
+            $map[$index] = $this->findProperty($target) ?? $target;
+        }
+        return $map;
+    }
+
+    /**
+     * Build the item data of one row.
+     *
+     * Cells are split on $multiValueDelimiter into several values. Options:
+     * item_set_ids (added to every item), resource_template_id (used when
+     * the row has no resource_template column).
+     *
+     * @param array  $row
+     * @param array  $map                 From mapHeaders()
+     * @param string $multiValueDelimiter
+     * @param array  $options
+     * @return array
+     * @throws \InvalidArgumentException When an item set or template cell is not an ID
+     */
+    public function buildItem(array $row, array $map, string $multiValueDelimiter = '|', array $options = []): array
+    {
+        $item     = [];
+        $itemSets = array_map('intval', (array) ($options['item_set_ids'] ?? []));
+        if (!empty($options['resource_template_id'])) {
+            $item['o:resource_template'] = ['o:id' => (int) $options['resource_template_id']];
+        }
+
+        foreach ($map as $index => $target) {
+            if ($target === null) {
+                continue;
+            }
+            $cell   = (string) ($row[$index] ?? '');
+            $values = $multiValueDelimiter === '' ? [$cell] : explode($multiValueDelimiter, $cell);
+            $values = array_values(array_filter(array_map('trim', $values), 'strlen'));
+            foreach ($values as $value) {
+                switch ($target) {
+                    case self::TARGET_MEDIA_URL:
+                        $item['o:media'][] = ['o:ingester' => 'url', 'ingest_url' => $value, 'o:is_public' => true];
+                        break;
+                    case self::TARGET_ITEM_SET:
+                        $itemSets[] = $this->toId($value, 'item set');
+                        break;
+                    case self::TARGET_RESOURCE_TEMPLATE:
+                        $item['o:resource_template'] = ['o:id' => $this->toId($value, 'resource template')];
+                        break;
+                    default:
+                        $item[$target][] = ['type' => 'literal', '@value' => $value];
+                }
+            }
+        }
+
+        if ($itemSets) {
+            $item['o:item_set'] = array_map(fn ($id) => ['o:id' => $id], array_values(array_unique($itemSets)));
+        }
+        return $item;
+    }
+
+    /**
+     * Guess the target of a header without an explicit mapping.
+     *
+     * @param string $header
+     * @return string|null
+     */
+    private function guessTarget(string $header): ?string
+    {
+        $key = mb_strtolower(trim($header));
+        return self::SPECIAL_HEADERS[$key] ?? $this->findProperty($header);
+    }
+
+    /**
+     * Find the property term matching a term, label or local name.
+     *
+     * @param string $name
+     * @return string|null
+     */
+    private function findProperty(string $name): ?string
+    {
+        $name = mb_strtolower(trim($name));
+        if ($this->properties === null) {
+            $this->properties = $this->loadProperties();
+        }
+        foreach ([0, 1, 2] as $column) {
+            foreach ($this->properties as $property) {
+                if (mb_strtolower($property[$column]) === $name) {
+                    return $property[0];
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @return array List of [term, label, local name], Dublin Core terms first
+     */
+    private function loadProperties(): array
+    {
+        $properties = [];
+        $content    = json_decode(json_encode($this->api->search('properties')->getContent()), true) ?: [];
+        foreach ($content as $property) {
+            $term = (string) ($property['o:term'] ?? '');
+            if ($term === '') {
+                continue;
+            }
+            $properties[] = [$term, (string) ($property['o:label'] ?? ''), substr($term, strpos($term, ':') + 1)];
+        }
+        usort($properties, fn ($a, $b) => (strpos($b[0], 'dcterms:') === 0) <=> (strpos($a[0], 'dcterms:') === 0));
+        return $properties;
+    }
+
+    /**
+     * @param string $value
+     * @param string $what
+     * @return int
+     */
+    private function toId(string $value, string $what): int
+    {
+        if (!ctype_digit($value)) {
+            throw new \InvalidArgumentException(sprintf('"%s" is not a valid %s ID.', $value, $what));
+        }
+        return (int) $value;
+    }
+
+    /**
+     * Download a CSV over http(s).
+     *
+     * @param string $url
+     * @return string
+     */
+    private function download(string $url): string
+    {
+        if (!preg_match('#^https?://#i', $url)) {
+            throw new \InvalidArgumentException(sprintf('"%s" is not an http(s) URL.', $url));
+        }
+        $this->httpClient->reset();
+        $response = $this->httpClient->setUri($url)->send();
+        if (!$response->isSuccess()) {
+            throw new \InvalidArgumentException(
+                sprintf('Could not download %s: HTTP %d.', $url, $response->getStatusCode())
+            );
+        }
+        return $response->getBody();
+    }
+}
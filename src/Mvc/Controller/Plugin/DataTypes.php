@@ -0,0 +1,78 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCP\Mvc\Controller\Plugin;
+
+use Laminas\Mvc\Controller\Plugin\AbstractPlugin;
+
+/**
+ * Names of the value data types registered in this installation.
+ *
+ * Core provides literal, uri and the resource types; modules such as
+ * Numeric Data Types or Value Suggest add their own (e.g.
+ * 'numeric:timestamp'). Available in controllers as $this->webmcpDataTypes().
+ */
+class DataTypes extends AbstractPlugin
+{
+    /**
+     * @var string[]
+     */
+    private array $names;
+
+    /**
+     * @param string[] $names
+     */
+    public function __construct(array $names)
+    {
+        $this->names = array_values($names);
+    }
+
+    public function __invoke(): self
+    {
+        return $this;
+    }
+
+    /**
+     * @return string[]
+     */
+    public function getNames(): array
+    {
+        return $this->names;
+    }
+
+    public function has(string $name): bool
+    {
+        return in_array($name, $this->names, true);
+    }
+
+    /**
+     * List the property values in resource data whose data type is not registered.
+     *
+     * @param array $data Resource data keyed by property term
+     * @return array List of ['field' => string, 'code' => string, 'message' => string]
+     */
+    public function findUnknown(array $data): array
+    {
+        $errors = [];
+        foreach ($data as $term => $values) {
+            if (!is_string($term) || strpos($term, ':') === false
+                || str_starts_with($term, 'o:') || str_starts_with($term, '@') || !is_array($values)
+            ) {
+                continue;
+            }
+            foreach ($values as $value) {
+                $type = is_array($value) ? ($value['type'] ?? null) : null;
+                if (is_string($type) && !$this->has($type)) {
+                    $errors[] = ['field' => $term, 'code' => 'unavailable_data_type', 'message' => sprintf(
+                        'Data type "%s" is not available; the module that provides it may not be installed.'
+                            . ' Available: %s.',
+                        $type,
+                        implode(', ', $this->names)
+                    )];
+                }
+            }
+        }
+        return $errors;
+    }
+}
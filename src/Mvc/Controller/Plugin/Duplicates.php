@@ -0,0 +1,313 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCP\Mvc\Controller\Plugin;
+
+use Laminas\Mvc\Controller\Plugin\AbstractPlugin;
+
+/**
+ * Finds existing resources that duplicate submitted resource data.
+ *
+ * Candidates are fetched with an Omeka search, then scored from 0 to 1 by
+ * comparing normalized values, so "Eiffel Tower" and "The Eiffel tower."
+ * still match. Available in controllers as $this->webmcpDuplicates().
+ */
+class Duplicates extends AbstractPlugin
+{
+    /**
+     * How resources are compared:
+     *  - identifier: same dcterms:identifier
+     *  - title: similar dcterms:title, with dcterms:creator and dcterms:date
+     *  - properties: similar values of the given property terms
+     *  - auto: identifier when the data has one, title otherwise
+     */
+    public const STRATEGIES = ['auto', 'identifier', 'title', 'properties'];
+
+    /**
+     * Actions a create can take when its data duplicates an existing resource.
+     */
+    public const ACTIONS = ['create', 'skip', 'merge', 'flag'];
+
+    /**
+     * Resource types that can be checked for duplicates.
+     */
+    public const RESOURCES = ['items', 'item_sets'];
+
+    /**
+     * Lowest score reported as a duplicate when no threshold is given.
+     */
+    public const DEFAULT_THRESHOLD = 0.8;
+
+    /**
+     * Weight of each term in the title strategy's score.
+     */
+    private const TITLE_WEIGHTS = ['dcterms:title' => 0.6, 'dcterms:creator' => 0.25, 'dcterms:date' => 0.15];
+
+    /**
+     * Search results scored per resource checked.
+     */
+    private const MAX_CANDIDATES = 50;
+
+    /**
+     * @var \Omeka\Api\Manager
+     */
+    private $api;
+
+    /**
+     * @param \Omeka\Api\Manager $api
+     */
+    public function __construct($api)
+    {
+        $this->api = $api;
+    }
+
+    public function __invoke(): self
+    {
+        return $this;
+    }
+
+    /**
+     * Find existing resources that duplicate some resource data.
+     *
+     * @param string   $resource  One of RESOURCES
+     * @param array    $data      Resource data or representation, keyed by term
+     * @param array    $options   'by' (one of STRATEGIES, default auto),
+     *                            'properties' (terms, for the properties
+     *                            strategy) and 'threshold' (0 to 1)
+     * @param int|null $excludeId Resource to leave out, when checking an
+     *                            existing resource against the others
+     * @return array List of ['id', 'title', 'score', 'matched_on' => [term => score]],
+     *               best match first
+     * @throws \InvalidArgumentException For an unknown strategy or resource
+     *                                   type, or properties without terms
+     */
+    public function find(string $resource, array $data, array $options = [], ?int $excludeId = null): array
+    {
+        if (!in_array($resource, self::RESOURCES, true)) {
+            throw new \InvalidArgumentException(
+                sprintf('Duplicates can only be found for %s.', implode(', ', self::RESOURCES))
+            );
+        }
+        [$by, $terms] = $this->strategy($data, $options);
+        $threshold = isset($options['threshold']) && is_numeric($options['threshold'])
+            ? max(0.0, min(1.0, (float) $options['threshold']))
+            : self::DEFAULT_THRESHOLD;
+
+        $query = $this->candidateQuery($data, $by, $terms);
+        if ($query === null) {
+            return [];
+        }
+        $candidates = json_decode(json_encode(
+            $this->api->search($resource, $query + ['page' => 1, 'per_page' => self::MAX_CANDIDATES])->getContent()
+        ), true);
+
+        $matches = [];
+        foreach ($candidates as $candidate) {
+            $id = (int) ($candidate['o:id'] ?? 0);
+            if ($id === $excludeId) {
+                continue;
+            }
+            [$score, $matchedOn] = $this->score($data, $candidate, $by, $terms);
+            if ($score >= $threshold) {
+                $matches[] = [
+                    'id'         => $id,
+                    'title'      => $candidate['o:title'] ?? self::texts($candidate['dcterms:title'] ?? [])[0] ?? null,
+                    'score'      => round($score, 2),
+                    'matched_on' => $matchedOn,
+                ];
+            }
+        }
+        usort($matches, fn ($a, $b) => $b['score'] <=> $a['score'] ?: $a['id'] <=> $b['id']);
+        return $matches;
+    }
+
+    /**
+     * Resolve the strategy and the terms it compares.
+     *
+     * @param array $data
+     * @param array $options
+     * @return array [string $by, string[] $terms]
+     */
+    private function strategy(array $data, array $options): array
+    {
+        $by = (string) ($options['by'] ?? 'auto');
+        if (!in_array($by, self::STRATEGIES, true)) {
+            throw new \InvalidArgumentException(sprintf(
+                'Unknown duplicate strategy "%s"; expected one of: %s.',
+                $by,
+                implode(', ', self::STRATEGIES)
+            ));
+        }
+        if ($by === 'auto') {
+            $by = self::texts($data['dcterms:identifier'] ?? []) ? 'identifier' : 'title';
+        }
+        switch ($by) {
+            case 'identifier':
+                return [$by, ['dcterms:identifier']];
+            case 'title':
+                return [$by, array_keys(self::TITLE_WEIGHTS)];
+            default:
+                $terms = array_values(array_filter((array) ($options['properties'] ?? []), 'is_string'));
+                if (!$terms) {
+                    throw new \InvalidArgumentException('The properties strategy needs at least one property term.');
+                }
+                return [$by, $terms];
+        }
+    }
+
+    /**
+     * Build the search that fetches possible duplicates, or null when the
+     * data has nothing to compare.
+     *
+     * @param array    $data
+     * @param string   $by
+     * @param string[] $terms
+     * @return array|null
+     */
+    private function candidateQuery(array $data, string $by, array $terms): ?array
+    {
+        if ($by === 'identifier') {
+            $identifiers = self::texts($data['dcterms:identifier'] ?? []);
+            if (!$identifiers) {
+                return null;
+            }
+            return ['property' => array_map(fn ($identifier) => [
+                'joiner'   => 'or',
+                'property' => 'dcterms:identifier',
+                'type'     => 'eq',
+                'text'     => $identifier,
+            ], $identifiers)];
+        }
+
+        // Full-text search ranks near matches too, which the scoring then sorts out.
+        $compared = $by === 'title' ? ['dcterms:title'] : $terms;
+        $text     = [];
+        foreach ($compared as $term) {
+            $text = array_merge($text, self::texts($data[$term] ?? []));
+        }
+        $text = trim(implode(' ', $text));
+        return $text === '' ? null : ['fulltext_search' => $text];
+    }
+
+    /**
+     * Score how closely an existing resource matches the data.
+     *
+     * @param array    $data
+     * @param array    $candidate Representation of the existing resource
+     * @param string   $by
+     * @param string[] $terms
+     * @return array [float $score, array $matchedOn]
+     */
+    private function score(array $data, array $candidate, string $by, array $terms): array
+    {
+        $weights = $by === 'title' ? self::TITLE_WEIGHTS : array_fill_keys($terms, 1.0);
+        $total   = 0.0;
+        $score   = 0.0;
+        $matched = [];
+        foreach ($weights as $term => $weight) {
+            $values = self::texts($data[$term] ?? []);
+            if (!$values) {
+                continue;
+            }
+            $similarity = self::bestSimilarity($term, $values, self::texts($candidate[$term] ?? []));
+            if ($by === 'identifier' && $similarity < 1.0) {
+                $similarity = 0.0;
+            }
+            $total += $weight;
+            $score += $weight * $similarity;
+            $matched[$term] = round($similarity, 2);
+        }
+        return [$total > 0 ? $score / $total : 0.0, $matched];
+    }
+
+    /**
+     * Highest similarity between any value of the data and any value of the
+     * existing resource.
+     *
+     * @param string   $term
+     * @param string[] $values
+     * @param string[] $existing
+     * @return float
+     */
+    private static function bestSimilarity(string $term, array $values, array $existing): float
+    {
+        $best = 0.0;
+        foreach ($values as $value) {
+            foreach ($existing as $other) {
+                $best = max($best, $term === 'dcterms:date'
+                    ? self::dateSimilarity($value, $other)
+                    : self::similarity(self::normalize($value), self::normalize($other)));
+            }
+        }
+        return $best;
+    }
+
+    /**
+     * Similarity of two normalized strings, from their edit distance.
+     *
+     * @param string $a
+     * @param string $b
+     * @return float
+     */
+    private static function similarity(string $a, string $b): float
+    {
+        if ($a === $b) {
+            return $a === '' ? 0.0 : 1.0;
+        }
+        $length = max(strlen($a), strlen($b));
+        return max(0.0, 1 - levenshtein($a, $b) / $length);
+    }
+
+    /**
+     * Dates match fully when equal and half when only the year is.
+     *
+     * @param string $a
+     * @param string $b
+     * @return float
+     */
+    private static function dateSimilarity(string $a, string $b): float
+    {
+        if (self::normalize($a) === self::normalize($b)) {
+            return 1.0;
+        }
+        preg_match('/\b\d{4}\b/', $a, $yearA);
+        preg_match('/\b\d{4}\b/', $b, $yearB);
+        return $yearA && $yearB && $yearA[0] === $yearB[0] ? 0.5 : 0.0;
+    }
+
+    /**
+     * Lower-case a value and reduce punctuation and spacing to single spaces,
+     * dropping a leading English article.
+     *
+     * @param string $value
+     * @return string
+     */
+    public static function normalize(string $value): string
+    {
+        $value = mb_strtolower($value);
+        $value = trim((string) preg_replace('/[^\p{L}\p{N}]+/u', ' ', $value));
+        return (string) preg_replace('/^(the|a|an) /', '', $value);
+    }
+
+    /**
+     * Comparable text of property values: @value, the label or URI of a
+     * link, or the title of a linked resource. Plain strings are accepted too.
+     *
+     * @param mixed $values
+     * @return string[]
+     */
+    private static function texts($values): array
+    {
+        $texts = [];
+        foreach (is_array($values) && array_is_list($values) ? $values : [$values] as $value) {
+            if (is_array($value)) {
+                $value = $value['@value'] ?? $value['o:label'] ?? $value['display_title'] ?? $value['@id'] ?? null;
+            }
+            if (is_scalar($value) && trim((string) $value) !== '') {
+                $texts[] = trim((string) $value);
+            }
+        }
+        return $texts;
+    }
+}
@@ -0,0 +1,300 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCP\Mvc\Controller\Plugin;
+
+use Laminas\Mvc\Controller\Plugin\AbstractPlugin;
+
+/**
+ * Serializes search results for the proxy's export operation.
+ *
+ * Pages through every match of a query and writes the resources as a
+ * flattened CSV (one column per property term), a JSON-LD array or OAI-DC
+ * XML. Available in controllers as $this->webmcpExport().
+ */
+class Export extends AbstractPlugin
+{
+    /**
+     * Supported formats: [format => [mime type, file extension]].
+     */
+    public const FORMATS = [
+        'csv'    => ['text/csv', 'csv'],
+        'jsonld' => ['application/ld+json', 'jsonld'],
+        'oai_dc' => ['application/xml', 'xml'],
+    ];
+
+    /**
+     * Most resources written by one export.
+     */
+    public const MAX_RESOURCES = 5000;
+
+    /**
+     * Resources read per search request while paging.
+     */
+    private const PAGE_SIZE = 100;
+
+    /**
+     * Leading CSV columns taken from Omeka fields rather than properties.
+     */
+    private const CSV_FIELDS = [
+        'o:id', 'o:is_public', 'o:resource_template', 'o:resource_class', 'o:item_set', 'o:created', 'o:modified',
+    ];
+
+    /**
+     * Dublin Core Terms mapped to the fifteen simple Dublin Core elements of
+     * OAI-DC. Unlisted dcterms properties are left out.
+     */
+    private const OAI_DC_ELEMENTS = [
+        'dcterms:title'            => 'title',
+        'dcterms:alternative'      => 'title',
+        'dcterms:creator'          => 'creator',
+        'dcterms:subject'          => 'subject',
+        'dcterms:description'      => 'description',
+        'dcterms:abstract'         => 'description',
+        'dcterms:tableOfContents'  => 'description',
+        'dcterms:publisher'        => 'publisher',
+        'dcterms:contributor'      => 'contributor',
+        'dcterms:date'             => 'date',
+        'dcterms:created'          => 'date',
+        'dcterms:issued'           => 'date',
+        'dcterms:modified'         => 'date',
+        'dcterms:available'        => 'date',
+        'dcterms:type'             => 'type',
+        'dcterms:format'           => 'format',
+        'dcterms:extent'           => 'format',
+        'dcterms:medium'           => 'format',
+        'dcterms:identifier'       => 'identifier',
+        'dcterms:source'           => 'source',
+        'dcterms:language'         => 'language',
+        'dcterms:relation'         => 'relation',
+        'dcterms:isPartOf'         => 'relation',
+        'dcterms:hasPart'          => 'relation',
+        'dcterms:isVersionOf'      => 'relation',
+        'dcterms:references'       => 'relation',
+        'dcterms:coverage'         => 'coverage',
+        'dcterms:spatial'          => 'coverage',
+        'dcterms:temporal'         => 'coverage',
+        'dcterms:rights'           => 'rights',
+        'dcterms:license'          => 'rights',
+        'dcterms:accessRights'     => 'rights',
+    ];
+
+    /**
+     * @var \Omeka\Api\Manager
+     */
+    private $api;
+
+    /**
+     * @param \Omeka\Api\Manager $api
+     */
+    public function __construct($api)
+    {
+        $this->api = $api;
+    }
+
+    public function __invoke(): self
+    {
+        return $this;
+    }
+
+    /**
+     * Read every resource matching a query, up to $limit.
+     *
+     * The query's own page and per_page are ignored.
+     *
+     * @param string $resource
+     * @param array  $query
+     * @param int    $limit
+     * @return array [array $resources, int $total] where $total counts every match
+     */
+    public function collect(string $resource, array $query, int $limit = self::MAX_RESOURCES): array
+    {
+        unset($query['page'], $query['per_page'], $query['limit'], $query['offset']);
+        $resources = [];
+        $total     = 0;
+        for ($page = 1; count($resources) < $limit; $page++) {
+            $response = $this->api->search($resource, ['page' => $page, 'per_page' => self::PAGE_SIZE] + $query);
+            $batch    = json_decode(json_encode($response->getContent()), true) ?: [];
+            $total    = (int) $response->getTotalResults();
+            $resources = array_merge($resources, $batch);
+            if (count($batch) < self::PAGE_SIZE || count($resources) >= $total) {
+                break;
+            }
+        }
+        return [array_slice($resources, 0, $limit), $total];
+    }
+
+    /**
+     * Serialize resources in one of FORMATS.
+     *
+     * @param array  $resources Representations as arrays
+     * @param string $format
+     * @param array  $options   'multivalue_delimiter' (CSV, default "|")
+     * @return string
+     * @throws \InvalidArgumentException For an unknown format
+     */
+    public function serialize(array $resources, string $format, array $options = []): string
+    {
+        switch ($format) {
+            case 'csv':
+                return $this->toCsv($resources, (string) ($options['multivalue_delimiter'] ?? '|'));
+            case 'jsonld':
+                return (string) json_encode(
+                    $resources,
+                    JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE
+                );
+            case 'oai_dc':
+                return $this->toOaiDc($resources);
+            default:
+                throw new \InvalidArgumentException(sprintf(
+                    'Unknown export format "%s"; expected one of: %s.',
+                    $format,
+                    implode(', ', array_keys(self::FORMATS))
+                ));
+        }
+    }
+
+    /**
+     * One row per resource, one column per Omeka field and property term.
+     *
+     * Property columns appear in the order terms are first seen. Values are
+     * flattened with flattenValue() and joined with $delimiter, which matches
+     * the default of the import_csv operation so exports can be re-imported.
+     *
+     * @param array  $resources
+     * @param string $delimiter
+     * @return string
+     */
+    private function toCsv(array $resources, string $delimiter): string
+    {
+        $terms = [];
+        foreach ($resources as $resource) {
+            foreach ($resource as $key => $values) {
+                if (self::isPropertyTerm($key) && is_array($values)) {
+                    $terms[$key] = true;
+                }
+            }
+        }
+        $columns = array_merge(self::CSV_FIELDS, array_keys($terms));
+
+        $stream = fopen('php://temp', 'r+');
+        fputcsv($stream, $columns, ',', '"', '');
+        foreach ($resources as $resource) {
+            $row = [];
+            foreach ($columns as $column) {
+                $values = self::fieldValues($resource[$column] ?? null);
+                $row[]  = implode($delimiter, array_map([self::class, 'flattenValue'], $values));
+            }
+            fputcsv($stream, $row, ',', '"', '');
+        }
+        rewind($stream);
+        $csv = stream_get_contents($stream);
+        fclose($stream);
+        return $csv;
+    }
+
+    /**
+     * One oai_dc:dc record per resource, inside a <records> root.
+     *
+     * @param array $resources
+     * @return string
+     */
+    private function toOaiDc(array $resources): string
+    {
+        $xml = new \XMLWriter();
+        $xml->openMemory();
+        $xml->setIndent(true);
+        $xml->startDocument('1.0', 'UTF-8');
+        $xml->startElement('records');
+        $xml->writeAttribute('xmlns:oai_dc', 'http://www.openarchives.org/OAI/2.0/oai_dc/');
+        $xml->writeAttribute('xmlns:dc', 'http://purl.org/dc/elements/1.1/');
+        $xml->writeAttribute('xmlns:xsi', 'http://www.w3.org/2001/XMLSchema-instance');
+        foreach ($resources as $resource) {
+            $xml->startElement('oai_dc:dc');
+            $xml->writeAttribute(
+                'xsi:schemaLocation',
+                'http://www.openarchives.org/OAI/2.0/oai_dc/ http://www.openarchives.org/OAI/2.0/oai_dc.xsd'
+            );
+            if (!empty($resource['@id'])) {
+                $xml->writeElement('dc:identifier', (string) $resource['@id']);
+            }
+            foreach (self::OAI_DC_ELEMENTS as $term => $element) {
+                foreach ((array) ($resource[$term] ?? []) as $value) {
+                    $text = self::flattenValue($value);
+                    if ($text === '') {
+                        continue;
+                    }
+                    $xml->startElement('dc:' . $element);
+                    if (is_array($value) && !empty($value['@language'])) {
+                        $xml->writeAttribute('xml:lang', (string) $value['@language']);
+                    }
+                    $xml->text($text);
+                    $xml->endElement();
+                }
+            }
+            $xml->endElement();
+        }
+        $xml->endElement();
+        $xml->endDocument();
+        return $xml->outputMemory();
+    }
+
+    /**
+     * List the values of a representation field.
+     *
+     * @param mixed $field
+     * @return array
+     */
+    private static function fieldValues($field): array
+    {
+        if ($field === null) {
+            return [];
+        }
+        // A single reference (o:resource_template) or a typed value (o:created).
+        if (!is_array($field) || isset($field['o:id']) || isset($field['@value'])) {
+            return [$field];
+        }
+        return array_values($field);
+    }
+
+    /**
+     * Reduce a value to text: the literal, the URI followed by its label, the
+     * ID of a linked resource or a referenced resource.
+     *
+     * @param mixed $value
+     * @return string
+     */
+    private static function flattenValue($value): string
+    {
+        if (is_bool($value)) {
+            return $value ? '1' : '0';
+        }
+        if (!is_array($value)) {
+            return (string) $value;
+        }
+        if (isset($value['@value'])) {
+            return is_scalar($value['@value']) ? (string) $value['@value'] : '';
+        }
+        if (isset($value['value_resource_id'])) {
+            return (string) $value['value_resource_id'];
+        }
+        if (isset($value['o:id'])) {
+            return (string) $value['o:id'];
+        }
+        if (isset($value['@id'])) {
+            return trim($value['@id'] . ' ' . ($value['o:label'] ?? ''));
+        }
+        return '';
+    }
+
+    /**
+     * @param mixed $key
+     * @return bool
+     */
+    private static function isPropertyTerm($key): bool
+    {
+        return is_string($key) && strpos($key, ':') !== false
+            && !str_starts_with($key, 'o:') && !str_starts_with($key, 'o-') && !str_starts_with($key, '@');
+    }
+}
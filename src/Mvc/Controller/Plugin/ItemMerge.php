@@ -0,0 +1,128 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCP\Mvc\Controller\Plugin;
+
+use Laminas\Mvc\Controller\Plugin\AbstractPlugin;
+use Omeka\Entity\Item;
+use Omeka\Entity\Media;
+
+/**
+ * Lookups and moves the proxy's merge operation needs beyond plain API
+ * writes: the items that link to the merged items, and moving media to
+ * another item, which the Omeka API does not allow. Available in
+ * controllers as $this->webmcpItemMerge().
+ */
+class ItemMerge extends AbstractPlugin
+{
+    /**
+     * Items read per search while looking for links.
+     */
+    private const PAGE_SIZE = 100;
+
+    /**
+     * @var \Omeka\Api\Manager
+     */
+    private $api;
+
+    /**
+     * @var \Doctrine\ORM\EntityManager
+     */
+    private $entityManager;
+
+    /**
+     * @param \Omeka\Api\Manager          $api
+     * @param \Doctrine\ORM\EntityManager $entityManager
+     */
+    public function __construct($api, $entityManager)
+    {
+        $this->api           = $api;
+        $this->entityManager = $entityManager;
+    }
+
+    public function __invoke(): self
+    {
+        return $this;
+    }
+
+    /**
+     * Items with a property value linking to one of the given resources.
+     *
+     * @param int[] $ids
+     * @return array<int, array> Representations, keyed by item ID
+     */
+    public function findReferencing(array $ids): array
+    {
+        $query = ['property' => array_map(fn ($id) => [
+            'joiner'   => 'or',
+            'property' => '',
+            'type'     => 'res',
+            'text'     => (string) $id,
+        ], $ids)];
+
+        $found = [];
+        for ($page = 1;; $page++) {
+            $items = json_decode(json_encode(
+                $this->api->search('items', $query + ['page' => $page, 'per_page' => self::PAGE_SIZE])->getContent()
+            ), true);
+            foreach ($items as $item) {
+                if (self::linksTo($item, $ids)) {
+                    $found[(int) $item['o:id']] = $item;
+                }
+            }
+            if (count($items) < self::PAGE_SIZE) {
+                return $found;
+            }
+        }
+    }
+
+    /**
+     * Move media to an item, after its own media.
+     *
+     * @param int   $itemId
+     * @param int[] $mediaIds
+     */
+    public function moveMedia(int $itemId, array $mediaIds): void
+    {
+        if (!$mediaIds) {
+            return;
+        }
+        $item     = $this->entityManager->find(Item::class, $itemId);
+        $position = count($item->getMedia());
+        foreach ($mediaIds as $mediaId) {
+            $media = $this->entityManager->find(Media::class, $mediaId);
+            // Adding the media to its new item's collection cancels the orphan
+            // removal scheduled when it leaves the old one, so it survives the
+            // deletion of its former item.
+            $media->getItem()->getMedia()->removeElement($media);
+            $item->getMedia()->add($media);
+            $media->setItem($item);
+            $media->setPosition(++$position);
+        }
+        $this->entityManager->flush();
+    }
+
+    /**
+     * Whether a representation has a property value linking to one of the
+     * given resources.
+     *
+     * @param array $representation
+     * @param int[] $ids
+     * @return bool
+     */
+    public static function linksTo(array $representation, array $ids): bool
+    {
+        foreach ($representation as $key => $values) {
+            if (!is_string($key) || strpos($key, ':') === false || str_starts_with($key, 'o:') || !is_array($values)) {
+                continue;
+            }
+            foreach ($values as $value) {
+                if (is_array($value) && in_array((int) ($value['value_resource_id'] ?? 0), $ids, true)) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+}
@@ -0,0 +1,487 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCP\Mvc\Controller\Plugin;
+
+use Laminas\Http\Client\Adapter\Socket;
+use Laminas\Http\Response;
+use Laminas\Mvc\Controller\Plugin\AbstractPlugin;
+use Laminas\Uri\Http as HttpUri;
+
+/**
+ * Checks a media source before an ingester fetches it.
+ *
+ * The url, iiif, iiif_presentation and oembed ingesters download their
+ * source while the media is created, and a bad URL surfaces as an opaque
+ * ingester error. check() resolves the source first and reports what it
+ * points to: the MIME type and size of a file, the version and dimensions of
+ * a IIIF image, the version and canvases of a IIIF manifest, or the provider
+ * and title of an oEmbed resource. Sources the installation would refuse, or
+ * files over the module's size limit, are reported as invalid. Available in
+ * controllers as $this->webmcpMediaSource().
+ */
+class MediaSource extends AbstractPlugin
+{
+    /**
+     * Ingesters whose source can be checked.
+     */
+    public const INGESTERS = ['url', 'iiif', 'iiif_presentation', 'oembed'];
+
+    /**
+     * @var \Laminas\Http\Client
+     */
+    private $httpClient;
+
+    private int $maxSize;
+
+    /**
+     * @var string[]|null
+     */
+    private ?array $mediaTypes;
+
+    /**
+     * @param \Laminas\Http\Client $httpClient
+     * @param int                  $maxSize    Largest file accepted, in bytes
+     * @param string[]|null        $mediaTypes Media types the installation
+     *                                         accepts; null accepts any
+     */
+    public function __construct($httpClient, int $maxSize, ?array $mediaTypes = null)
+    {
+        $this->httpClient = $httpClient;
+        $this->maxSize    = $maxSize;
+        $this->mediaTypes = $mediaTypes;
+    }
+
+    public function __invoke(): self
+    {
+        return $this;
+    }
+
+    /**
+     * Resolve the source of an ingester and report what it points to.
+     *
+     * @param string $ingester One of INGESTERS
+     * @param string $url
+     * @return array ['valid' => bool, 'ingester', 'url', 'status', 'errors' =>
+     *               [['code', 'message']], plus 'media_type' and 'size' for url,
+     *               'iiif' for iiif and iiif_presentation, 'oembed' for oembed]
+     * @throws \InvalidArgumentException For an ingester that cannot be checked
+     */
+    public function check(string $ingester, string $url): array
+    {
+        if (!in_array($ingester, self::INGESTERS, true)) {
+            throw new \InvalidArgumentException(sprintf(
+                'Cannot check sources of the "%s" ingester; expected one of: %s.',
+                $ingester,
+                implode(', ', self::INGESTERS)
+            ));
+        }
+
+        $report = ['valid' => false, 'ingester' => $ingester, 'url' => $url, 'status' => null, 'errors' => []];
+        if (!preg_match('#^https?://#i', $url)) {
+            $report['errors'][] = self::error('invalid_url', sprintf('"%s" is not an http(s) URL.', $url));
+            return $report;
+        }
+        try {
+            switch ($ingester) {
+                case 'url':
+                    $report = $this->checkFile($report);
+                    break;
+                case 'iiif':
+                    $report = $this->checkIiifImage($report);
+                    break;
+                case 'iiif_presentation':
+                    $report = $this->checkIiifPresentation($report);
+                    break;
+                case 'oembed':
+                    $report = $this->checkOembed($report);
+                    break;
+            }
+        } catch (\Exception $e) {
+            $report['errors'][] = self::error('unreachable', sprintf('Could not reach %s: %s', $url, $e->getMessage()));
+        }
+        $report['valid'] = !$report['errors'];
+        return $report;
+    }
+
+    /**
+     * Check a file for the url ingester, without downloading it.
+     *
+     * @param array $report
+     * @return array
+     */
+    private function checkFile(array $report): array
+    {
+        $response = $this->fetch($report['url'], 'HEAD');
+        if (!$response->isSuccess()) {
+            // Some servers refuse HEAD requests; ask for the first byte instead.
+            $response = $this->fetchHead($report['url'], ['Range' => 'bytes=0-0']);
+        }
+        $report['status'] = $response->getStatusCode();
+        if (!$response->isSuccess()) {
+            $report['errors'][] = self::httpError($report['url'], $report['status']);
+            return $report;
+        }
+
+        $report['media_type'] = self::mediaType($response);
+        $report['size']       = self::size($response);
+        if ($this->mediaTypes !== null && $report['media_type'] !== null
+            && !in_array($report['media_type'], $this->mediaTypes, true)
+        ) {
+            $report['errors'][] = self::error('unsupported_media_type', sprintf(
+                'Files of type %s are not accepted by this installation.',
+                $report['media_type']
+            ));
+        }
+        if ($report['size'] !== null && $report['size'] > $this->maxSize) {
+            $report['errors'][] = self::error('too_large', sprintf(
+                'The file is %s, over the %s limit.',
+                self::formatSize($report['size']),
+                self::formatSize($this->maxSize)
+            ));
+        }
+        return $report;
+    }
+
+    /**
+     * Check the info.json of a IIIF Image API resource.
+     *
+     * @param array $report
+     * @return array
+     */
+    private function checkIiifImage(array $report): array
+    {
+        [$report, $info] = $this->fetchJson($report);
+        if ($info === null) {
+            return $report;
+        }
+        $version = self::iiifVersion($info, '#iiif\.io/api/image/(\d)|/image-api/(\d)#');
+        if ($version === null || !isset($info['width'], $info['height'])) {
+            $report['errors'][] = self::error('invalid_iiif', sprintf(
+                '%s is not a IIIF Image API info.json%s.',
+                $report['url'],
+                str_ends_with($report['url'], 'info.json') ? '' : '; image URLs usually end in /info.json'
+            ));
+            return $report;
+        }
+        $report['iiif'] = [
+            'version' => $version,
+            'width'   => (int) $info['width'],
+            'height'  => (int) $info['height'],
+        ];
+        return $report;
+    }
+
+    /**
+     * Check a IIIF Presentation API manifest or collection.
+     *
+     * @param array $report
+     * @return array
+     */
+    private function checkIiifPresentation(array $report): array
+    {
+        [$report, $manifest] = $this->fetchJson($report);
+        if ($manifest === null) {
+            return $report;
+        }
+        $version = self::iiifVersion($manifest, '#iiif\.io/api/presentation/(\d)#');
+        $type    = (string) ($manifest['type'] ?? $manifest['@type'] ?? '');
+        $type    = preg_replace('/^sc:/', '', $type);
+        if ($version === null || !in_array($type, ['Manifest', 'Collection'], true)) {
+            $report['errors'][] = self::error(
+                'invalid_iiif',
+                sprintf('%s is not a IIIF Presentation API manifest or collection.', $report['url'])
+            );
+            return $report;
+        }
+        $canvases = $version === 2
+            ? ($manifest['sequences'][0]['canvases'] ?? [])
+            : ($type === 'Manifest' ? ($manifest['items'] ?? []) : []);
+        $report['iiif'] = [
+            'version'  => $version,
+            'type'     => $type,
+            'label'    => self::label($manifest['label'] ?? null),
+            'canvases' => is_array($canvases) ? count($canvases) : 0,
+        ];
+        return $report;
+    }
+
+    /**
+     * Discover the oEmbed endpoint of a page and read its oEmbed response.
+     *
+     * @param array $report
+     * @return array
+     */
+    private function checkOembed(array $report): array
+    {
+        $response = $this->fetch($report['url']);
+        $report['status'] = $response->getStatusCode();
+        if (!$response->isSuccess()) {
+            $report['errors'][] = self::httpError($report['url'], $report['status']);
+            return $report;
+        }
+        $endpoint = self::oembedEndpoint($response->getBody(), $report['url']);
+        if ($endpoint === null) {
+            $report['errors'][] = self::error('unsupported_source', sprintf(
+                'No oEmbed endpoint was found for %s; its provider may not support oEmbed.',
+                $report['url']
+            ));
+            return $report;
+        }
+
+        $response = $this->fetch($endpoint);
+        $oembed   = $response->isSuccess() ? json_decode($response->getBody(), true) : null;
+        if (!is_array($oembed) || !isset($oembed['type'])) {
+            $report['errors'][] = self::error(
+                'unsupported_source',
+                sprintf('The oEmbed endpoint %s did not return an oEmbed response.', $endpoint)
+            );
+            return $report;
+        }
+        $report['oembed'] = [
+            'provider' => $oembed['provider_name'] ?? null,
+            'title'    => $oembed['title'] ?? null,
+            'type'     => (string) $oembed['type'],
+            'author'   => $oembed['author_name'] ?? null,
+            'endpoint' => $endpoint,
+        ];
+        return $report;
+    }
+
+    /**
+     * Fetch the source of a report as JSON.
+     *
+     * @param array $report
+     * @return array [array $report, array|null $json] Null with an error in
+     *               the report when the source is unreachable or not JSON
+     */
+    private function fetchJson(array $report): array
+    {
+        $response = $this->fetch($report['url'], 'GET', ['Accept' => 'application/ld+json, application/json']);
+        $report['status'] = $response->getStatusCode();
+        if (!$response->isSuccess()) {
+            $report['errors'][] = self::httpError($report['url'], $report['status']);
+            return [$report, null];
+        }
+        $json = json_decode($response->getBody(), true);
+        if (!is_array($json)) {
+            $report['errors'][] = self::error('invalid_iiif', sprintf('%s did not return JSON.', $report['url']));
+            return [$report, null];
+        }
+        return [$report, $json];
+    }
+
+    /**
+     * @param string $url
+     * @param string $method
+     * @param array  $headers
+     * @return \Laminas\Http\Response
+     */
+    private function fetch(string $url, string $method = 'GET', array $headers = [])
+    {
+        $this->httpClient->reset();
+        $this->httpClient->setUri($url)->setMethod($method);
+        if ($headers) {
+            $this->httpClient->setHeaders($headers);
+        }
+        return $this->httpClient->send();
+    }
+
+    /**
+     * Send a GET request but read only the status line and headers of the
+     * response, so that a server ignoring the Range header does not send the
+     * whole file. Redirects are followed like the client follows them, up to
+     * its maxredirects. Adapters other than the socket ones read the full
+     * response.
+     *
+     * @param string $url
+     * @param array  $headers
+     * @return \Laminas\Http\Response
+     */
+    private function fetchHead(string $url, array $headers)
+    {
+        $adapter = $this->httpClient->getAdapter();
+        if (!$adapter instanceof Socket) {
+            return $this->fetch($url, 'GET', $headers);
+        }
+
+        $redirects = (int) ($adapter->getConfig()['maxredirects'] ?? 5);
+        while (true) {
+            $response = $this->readHead($adapter, $url, $headers);
+            $location = $response->isRedirect() ? self::header($response, 'Location') : null;
+            if ($location === null || $redirects-- <= 0) {
+                return $response;
+            }
+            $url = (string) (new HttpUri($location))->resolve($url);
+        }
+    }
+
+    /**
+     * Write a GET request on a socket adapter and read the head of its
+     * response.
+     *
+     * @param Socket $adapter
+     * @param string $url
+     * @param array  $headers
+     * @return \Laminas\Http\Response
+     */
+    private function readHead(Socket $adapter, string $url, array $headers)
+    {
+        $uri  = new HttpUri($url);
+        $port = parse_url($url, PHP_URL_PORT);
+        $host = $uri->getHost() . ($port ? ':' . $port : '');
+        $adapter->connect($uri->getHost(), $uri->getPort(), strtolower($uri->getScheme()) === 'https');
+        try {
+            $adapter->write('GET', $uri, '1.1', ['Host' => $host, 'Connection' => 'close'] + $headers);
+            $head = '';
+            while (($line = fgets($adapter->getStream())) !== false && trim($line) !== '') {
+                $head .= $line;
+            }
+        } finally {
+            // Closing the connection leaves the body unread.
+            $adapter->close();
+        }
+        return Response::fromString($head . "\r\n");
+    }
+
+    /**
+     * Major IIIF API version named by a resource's @context.
+     *
+     * @param array  $json
+     * @param string $pattern Regular expression capturing the version
+     * @return int|null
+     */
+    private static function iiifVersion(array $json, string $pattern): ?int
+    {
+        foreach ((array) ($json['@context'] ?? []) as $context) {
+            if (is_string($context) && preg_match($pattern, $context, $matches)) {
+                return (int) implode('', array_slice($matches, 1));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * First text of a IIIF label: a string, a list of {@value} (version 2)
+     * or a language map (version 3).
+     *
+     * @param mixed $label
+     * @return string|null
+     */
+    private static function label($label): ?string
+    {
+        if (is_string($label)) {
+            return $label;
+        }
+        if (!is_array($label) || !$label) {
+            return null;
+        }
+        $first = reset($label);
+        if (is_array($first)) {
+            return isset($first['@value']) ? (string) $first['@value'] : self::label($first);
+        }
+        return is_scalar($first) ? (string) $first : null;
+    }
+
+    /**
+     * URL of the JSON oEmbed endpoint a page advertises with a discovery link.
+     *
+     * @param string $html
+     * @param string $pageUrl
+     * @return string|null
+     */
+    private static function oembedEndpoint(string $html, string $pageUrl): ?string
+    {
+        preg_match_all('/<link\b[^>]*>/i', $html, $links);
+        foreach ($links[0] as $link) {
+            if (!preg_match('#type\s*=\s*["\']application/json\+oembed["\']#i', $link)
+                || !preg_match('#href\s*=\s*["\']([^"\']+)["\']#i', $link, $href)
+            ) {
+                continue;
+            }
+            $endpoint = html_entity_decode($href[1], ENT_QUOTES | ENT_HTML5);
+            if (str_starts_with($endpoint, '//')) {
+                $endpoint = parse_url($pageUrl, PHP_URL_SCHEME) . ':' . $endpoint;
+            }
+            return $endpoint;
+        }
+        return null;
+    }
+
+    /**
+     * MIME type of a response, without parameters such as the charset.
+     *
+     * @param \Laminas\Http\Response $response
+     * @return string|null
+     */
+    private static function mediaType($response): ?string
+    {
+        $value = self::header($response, 'Content-Type');
+        return $value === null ? null : strtolower(trim(explode(';', $value)[0]));
+    }
+
+    /**
+     * Size of the file behind a response: the total of a Content-Range, or
+     * the Content-Length of a full response.
+     *
+     * @param \Laminas\Http\Response $response
+     * @return int|null
+     */
+    private static function size($response): ?int
+    {
+        $range = self::header($response, 'Content-Range');
+        if ($range !== null) {
+            return preg_match('#/(\d+)\s*$#', $range, $matches) ? (int) $matches[1] : null;
+        }
+        $length = self::header($response, 'Content-Length');
+        return $length !== null && ctype_digit(trim($length)) && $response->getStatusCode() !== 206
+            ? (int) $length
+            : null;
+    }
+
+    /**
+     * @param \Laminas\Http\Response $response
+     * @param string                 $name
+     * @return string|null
+     */
+    private static function header($response, string $name): ?string
+    {
+        $header = $response->getHeaders()->get($name);
+        if ($header instanceof \ArrayIterator) {
+            $header = $header->current();
+        }
+        return $header ? (string) $header->getFieldValue() : null;
+    }
+
+    /**
+     * @param int $bytes
+     * @return string
+     */
+    private static function formatSize(int $bytes): string
+    {
+        return $bytes >= 1048576
+            ? sprintf('%.1f MB', $bytes / 1048576)
+            : sprintf('%d KB', (int) ceil($bytes / 1024));
+    }
+
+    /**
+     * @param string $url
+     * @param int    $status
+     * @return array
+     */
+    private static function httpError(string $url, int $status): array
+    {
+        return self::error('unreachable', sprintf('%s answered HTTP %d.', $url, $status));
+    }
+
+    /**
+     * @param string $code
+     * @param string $message
+     * @return array
+     */
+    private static function error(string $code, string $message): array
+    {
+        return ['code' => $code, 'message' => $message];
+    }
+}
@@ -0,0 +1,289 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCP\Mvc\Controller\Plugin;
+
+use Laminas\Mvc\Controller\Plugin\AbstractPlugin;
+use Omeka\Api\Exception\NotFoundException;
+
+/**
+ * Compact views of resource representations for the proxy's read operations.
+ *
+ * The full JSON-LD of an item carries its @context, API links, thumbnail
+ * URLs and value annotations, which quickly fills an agent's context. The
+ * 'summary' view keeps what identifies a resource; 'metadata' adds its
+ * property values as a flat term => values map. Available in controllers as
+ * $this->webmcpProjection().
+ */
+class Projection extends AbstractPlugin
+{
+    /**
+     * Supported views; 'full' returns the representation unchanged.
+     */
+    public const VIEWS = ['summary', 'metadata', 'full'];
+
+    /**
+     * Resource types that can be projected.
+     */
+    public const RESOURCES = ['items', 'item_sets', 'media', 'sites'];
+
+    /**
+     * @var \Omeka\Api\Manager
+     */
+    private $api;
+
+    /**
+     * Resource class terms by ID, read once per request.
+     *
+     * @var array<int, string|null>
+     */
+    private array $classTerms = [];
+
+    /**
+     * Resource template labels by ID, read once per request.
+     *
+     * @var array<int, string|null>
+     */
+    private array $templateLabels = [];
+
+    /**
+     * @param \Omeka\Api\Manager $api
+     */
+    public function __construct($api)
+    {
+        $this->api = $api;
+    }
+
+    public function __invoke(): self
+    {
+        return $this;
+    }
+
+    /**
+     * Project a representation into a view.
+     *
+     * @param string $resource       API resource type
+     * @param array  $representation Representation as a plain array
+     * @param string $view           One of VIEWS
+     * @return array
+     * @throws \InvalidArgumentException For an unknown view, or a compact
+     *                                   view of an unsupported resource type
+     */
+    public function project(string $resource, array $representation, string $view): array
+    {
+        if (!in_array($view, self::VIEWS, true)) {
+            throw new \InvalidArgumentException(sprintf(
+                'Unknown view "%s"; expected one of: %s.',
+                $view,
+                implode(', ', self::VIEWS)
+            ));
+        }
+        if ($view === 'full') {
+            return $representation;
+        }
+        if (!in_array($resource, self::RESOURCES, true)) {
+            throw new \InvalidArgumentException(sprintf(
+                'The %s view is only available for %s.',
+                $view,
+                implode(', ', self::RESOURCES)
+            ));
+        }
+
+        $projection = $this->summarize($resource, $representation);
+        if ($view === 'metadata') {
+            if ($resource === 'items') {
+                $projection['media_ids']        = self::referencedIds($representation['o:media'] ?? []);
+                $projection['primary_media_id'] = self::referencedId($representation['o:primary_media'] ?? null);
+            }
+            if ($resource !== 'sites') {
+                $projection['properties'] = self::properties($representation);
+            }
+        }
+        return $projection;
+    }
+
+    /**
+     * Fields that identify a resource, common to both compact views.
+     *
+     * @param string $resource
+     * @param array  $representation
+     * @return array
+     */
+    private function summarize(string $resource, array $representation): array
+    {
+        $summary = [
+            'id'        => isset($representation['o:id']) ? (int) $representation['o:id'] : null,
+            'title'     => $representation['o:title'] ?? null,
+            'is_public' => (bool) ($representation['o:is_public'] ?? true),
+        ];
+        if ($resource === 'sites') {
+            $summary['slug'] = $representation['o:slug'] ?? null;
+            return $summary;
+        }
+
+        $summary['class']    = $this->classTerm(self::referencedId($representation['o:resource_class'] ?? null));
+        $summary['template'] = $this->templateLabel(self::referencedId($representation['o:resource_template'] ?? null));
+        $summary['modified'] = $representation['o:modified']['@value'] ?? null;
+        switch ($resource) {
+            case 'items':
+                $summary['item_set_ids'] = self::referencedIds($representation['o:item_set'] ?? []);
+                $summary['media_count']  = count($representation['o:media'] ?? []);
+                break;
+            case 'media':
+                $summary['item_id']    = self::referencedId($representation['o:item'] ?? null);
+                $summary['media_type'] = $representation['o:media_type'] ?? null;
+                $summary['ingester']   = $representation['o:ingester'] ?? null;
+                $summary['source']     = $representation['o:source'] ?? null;
+                $summary['alt_text']   = $representation['o:alt_text'] ?? null;
+                break;
+        }
+        return $summary;
+    }
+
+    /**
+     * Flatten property values into a term => values map.
+     *
+     * Values use the same shapes the item tools accept as input: a plain
+     * string for a literal, {value, lang} for a tagged literal, {uri, label}
+     * for a URI, {resource_id, title} for a linked resource and {value, type}
+     * for other data types such as numeric:timestamp.
+     *
+     * @param array $representation
+     * @return array<string, array>
+     */
+    private static function properties(array $representation): array
+    {
+        $properties = [];
+        foreach ($representation as $term => $values) {
+            if (!self::isPropertyTerm($term) || !is_array($values)) {
+                continue;
+            }
+            foreach ($values as $value) {
+                if (is_array($value)) {
+                    $properties[$term][] = self::flattenValue($value);
+                }
+            }
+        }
+        return $properties;
+    }
+
+    /**
+     * @param array $value
+     * @return string|array
+     */
+    private static function flattenValue(array $value)
+    {
+        $type = (string) ($value['type'] ?? 'literal');
+        if (isset($value['value_resource_id'])) {
+            return array_filter([
+                'resource_id' => (int) $value['value_resource_id'],
+                'title'       => $value['display_title'] ?? null,
+            ], fn ($part) => $part !== null);
+        }
+        if ($type === 'uri' || (!isset($value['@value']) && isset($value['@id']))) {
+            return array_filter([
+                'uri'   => $value['@id'] ?? null,
+                'label' => $value['o:label'] ?? null,
+            ], fn ($part) => $part !== null && $part !== '');
+        }
+        $text = $value['@value'] ?? null;
+        if ($type !== 'literal') {
+            return ['value' => $text, 'type' => $type];
+        }
+        if (!empty($value['@language'])) {
+            return ['value' => $text, 'lang' => (string) $value['@language']];
+        }
+        return is_scalar($text) ? (string) $text : $text;
+    }
+
+    /**
+     * Term of a resource class, or null when unset or unreadable.
+     *
+     * @param int|null $id
+     * @return string|null
+     */
+    private function classTerm(?int $id): ?string
+    {
+        if ($id === null) {
+            return null;
+        }
+        if (!array_key_exists($id, $this->classTerms)) {
+            $this->classTerms[$id] = $this->readField('resource_classes', $id, 'o:term');
+        }
+        return $this->classTerms[$id];
+    }
+
+    /**
+     * Label of a resource template, or null when unset or unreadable.
+     *
+     * @param int|null $id
+     * @return string|null
+     */
+    private function templateLabel(?int $id): ?string
+    {
+        if ($id === null) {
+            return null;
+        }
+        if (!array_key_exists($id, $this->templateLabels)) {
+            $this->templateLabels[$id] = $this->readField('resource_templates', $id, 'o:label');
+        }
+        return $this->templateLabels[$id];
+    }
+
+    /**
+     * Read one string field of a resource.
+     *
+     * @param string $resource
+     * @param int    $id
+     * @param string $field
+     * @return string|null
+     */
+    private function readField(string $resource, int $id, string $field): ?string
+    {
+        try {
+            $content = json_decode(json_encode($this->api->read($resource, $id)->getContent()), true);
+        } catch (NotFoundException $e) {
+            return null;
+        }
+        return isset($content[$field]) ? (string) $content[$field] : null;
+    }
+
+    /**
+     * ID of a referenced resource such as {"@id": ..., "o:id": 5}.
+     *
+     * @param mixed $reference
+     * @return int|null
+     */
+    private static function referencedId($reference): ?int
+    {
+        return is_array($reference) && isset($reference['o:id']) ? (int) $reference['o:id'] : null;
+    }
+
+    /**
+     * IDs of a list of referenced resources.
+     *
+     * @param mixed $references
+     * @return int[]
+     */
+    private static function referencedIds($references): array
+    {
+        if (!is_array($references)) {
+            return [];
+        }
+        return array_values(array_filter(array_map([self::class, 'referencedId'], $references), 'is_int'));
+    }
+
+    /**
+     * Whether a representation key is a property term rather than an Omeka
+     * field (o:), module field (o-) or JSON-LD keyword (@).
+     *
+     * @param mixed $key
+     * @return bool
+     */
+    private static function isPropertyTerm($key): bool
+    {
+        return is_string($key) && strpos($key, ':') !== false
+            && !str_starts_with($key, 'o:') && !str_starts_with($key, 'o-') && !str_starts_with($key, '@');
+    }
+}
@@ -0,0 +1,276 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCP\Mvc\Controller\Plugin;
+
+use Laminas\Mvc\Controller\Plugin\AbstractPlugin;
+use Omeka\Api\Exception\NotFoundException;
+
+/**
+ * Resource template lookups for the WebMCP proxy.
+ *
+ * Resolves the fields of a template (term, label, required flag, allowed
+ * data types), maps values submitted under a field's label to its term and
+ * validates resource data against the template. Available in controllers as
+ * $this->webmcpResourceTemplates().
+ */
+class ResourceTemplates extends AbstractPlugin
+{
+    /**
+     * @var \Omeka\Api\Manager
+     */
+    private $api;
+
+    /**
+     * Template fields already loaded in this request, keyed by template ID.
+     *
+     * @var array<int, array|null>
+     */
+    private array $fields = [];
+
+    /**
+     * Properties already read in this request, keyed by property ID.
+     *
+     * @var array<int, array>
+     */
+    private array $properties = [];
+
+    /**
+     * @param \Omeka\Api\Manager $api
+     */
+    public function __construct($api)
+    {
+        $this->api = $api;
+    }
+
+    public function __invoke(): self
+    {
+        return $this;
+    }
+
+    /**
+     * Read the template ID referenced by resource data or a representation.
+     *
+     * @param array $data
+     * @return int|null
+     */
+    public static function templateId(array $data): ?int
+    {
+        $id = $data['o:resource_template']['o:id'] ?? null;
+        return $id ? (int) $id : null;
+    }
+
+    /**
+     * List every resource template with its fields, ordered by label.
+     *
+     * Each template has: id, label, resource_class_id (or null) and fields
+     * as returned by getFields().
+     *
+     * @return array
+     */
+    public function getTemplates(): array
+    {
+        $templates = [];
+        $response  = $this->api->search('resource_templates', ['sort_by' => 'label', 'sort_order' => 'asc']);
+        foreach ($response->getContent() as $representation) {
+            $template = json_decode(json_encode($representation), true) ?: [];
+            $id       = (int) ($template['o:id'] ?? 0);
+            if (!$id) {
+                continue;
+            }
+            $this->fields[$id] = $this->buildFields($template);
+            $templates[] = [
+                'id'                => $id,
+                'label'             => (string) ($template['o:label'] ?? ''),
+                'resource_class_id' => isset($template['o:resource_class']['o:id'])
+                    ? (int) $template['o:resource_class']['o:id']
+                    : null,
+                'fields'            => $this->fields[$id],
+            ];
+        }
+        return $templates;
+    }
+
+    /**
+     * List the fields of a template.
+     *
+     * Each field has: term, label (the template's alternate label, else the
+     * property label, else the term), property_label, comment (the template's
+     * alternate comment, else the property comment), required (bool) and
+     * data_types (allowed data type names; empty means any).
+     *
+     * @param int $templateId
+     * @return array|null Null when the template does not exist
+     */
+    public function getFields(int $templateId): ?array
+    {
+        if (array_key_exists($templateId, $this->fields)) {
+            return $this->fields[$templateId];
+        }
+
+        try {
+            $template = $this->read('resource_templates', $templateId);
+        } catch (NotFoundException $e) {
+            return $this->fields[$templateId] = null;
+        }
+        return $this->fields[$templateId] = $this->buildFields($template);
+    }
+
+    /**
+     * Resolve the fields of a template representation.
+     *
+     * @param array $template
+     * @return array
+     */
+    private function buildFields(array $template): array
+    {
+        $fields = [];
+        foreach ($template['o:resource_template_property'] ?? [] as $templateProperty) {
+            $propertyId = $templateProperty['o:property']['o:id'] ?? null;
+            if (!$propertyId) {
+                continue;
+            }
+            $property = $this->properties[$propertyId] ??= $this->read('properties', (int) $propertyId);
+            $term     = $property['o:term'] ?? '';
+            $label    = ($templateProperty['o:alternate_label'] ?? '') ?: ($property['o:label'] ?? '') ?: $term;
+            $fields[] = [
+                'term'           => $term,
+                'label'          => $label,
+                'property_label' => $property['o:label'] ?? '',
+                'comment'        => ($templateProperty['o:alternate_comment'] ?? '') ?: ($property['o:comment'] ?? ''),
+                'required'       => !empty($templateProperty['o:is_required']),
+                'data_types'     => array_values(array_filter((array) ($templateProperty['o:data_type'] ?? []))),
+            ];
+        }
+        return $fields;
+    }
+
+    /**
+     * Move values keyed by a field label to the field's term.
+     *
+     * Keys are matched case-insensitively against the template's alternate
+     * labels, then against the property labels, so a caller can send
+     * "Accession number" instead of "dcterms:identifier". Keys that are
+     * already terms, Omeka fields ("o:...") or unknown labels are left alone.
+     *
+     * @param array $data
+     * @param int   $templateId
+     * @return array
+     */
+    public function mapLabels(array $data, int $templateId): array
+    {
+        $fields = $this->getFields($templateId) ?? [];
+        $terms  = [];
+        foreach (['property_label', 'label'] as $labelKey) {
+            foreach ($fields as $field) {
+                if ($field[$labelKey] !== '' && $field[$labelKey] !== $field['term']) {
+                    $terms[mb_strtolower($field[$labelKey])] = $field['term'];
+                }
+            }
+        }
+
+        $mapped = [];
+        foreach ($data as $key => $value) {
+            $term = is_string($key) && strpos($key, ':') === false
+                ? ($terms[mb_strtolower(trim($key))] ?? null)
+                : null;
+            if ($term === null) {
+                $mapped[$key] = $value;
+            } elseif (isset($mapped[$term]) && is_array($mapped[$term]) && is_array($value)) {
+                $mapped[$term] = array_merge($mapped[$term], $value);
+            } else {
+                $mapped[$term] = $value;
+            }
+        }
+        return $mapped;
+    }
+
+    /**
+     * Check resource data against a template.
+     *
+     * Reports required fields without a value and values whose data type the
+     * template does not allow. Data types are only checked for $terms when
+     * given, so an update is not blocked by values it did not touch.
+     *
+     * @param array      $data       Data as it would be sent to the API
+     * @param int        $templateId
+     * @param array|null $terms      Terms whose data types are checked (null: all)
+     * @return array List of ['field', 'label', 'code', 'message']; code is
+     *               'missing', 'invalid_data_type' or 'unknown_template'
+     */
+    public function validate(array $data, int $templateId, ?array $terms = null): array
+    {
+        $fields = $this->getFields($templateId);
+        if ($fields === null) {
+            return [[
+                'field'   => 'o:resource_template',
+                'label'   => 'Resource template',
+                'code'    => 'unknown_template',
+                'message' => sprintf('Resource template #%d not found.', $templateId),
+            ]];
+        }
+
+        $errors = [];
+        foreach ($fields as $field) {
+            $term   = $field['term'];
+            $values = array_filter((array) ($data[$term] ?? []), [self::class, 'isFilled']);
+
+            if ($field['required'] && !$values) {
+                $errors[] = [
+                    'field'   => $term,
+                    'label'   => $field['label'],
+                    'code'    => 'missing',
+                    'message' => sprintf('"%s" (%s) is required by the resource template.', $field['label'], $term),
+                ];
+            }
+            if (!$field['data_types'] || ($terms !== null && !in_array($term, $terms, true))) {
+                continue;
+            }
+            foreach ($values as $value) {
+                if (isset($value['type']) && !in_array($value['type'], $field['data_types'], true)) {
+                    $errors[] = [
+                        'field'   => $term,
+                        'label'   => $field['label'],
+                        'code'    => 'invalid_data_type',
+                        'message' => sprintf(
+                            '"%s" (%s) does not accept data type "%s" (allowed: %s).',
+                            $field['label'],
+                            $term,
+                            $value['type'],
+                            implode(', ', $field['data_types'])
+                        ),
+                    ];
+                }
+            }
+        }
+        return $errors;
+    }
+
+    /**
+     * Whether a property value carries content (a literal, URI or linked resource).
+     *
+     * @param mixed $value
+     * @return bool
+     */
+    private static function isFilled($value): bool
+    {
+        return is_array($value) && (
+            trim((string) ($value['@value'] ?? '')) !== ''
+            || !empty($value['@id'])
+            || !empty($value['value_resource_id'])
+        );
+    }
+
+    /**
+     * Read a representation as a plain array.
+     *
+     * @param string $resource
+     * @param int    $id
+     * @return array
+     */
+    private function read(string $resource, int $id): array
+    {
+        return json_decode(json_encode($this->api->read($resource, $id)->getContent()), true) ?: [];
+    }
+}
@@ -0,0 +1,91 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCP\Mvc\Controller\Plugin;
+
+use Laminas\Mvc\Controller\Plugin\AbstractPlugin;
+
+/**
+ * Registry of the installed vocabularies, properties and resource classes.
+ *
+ * Lets the JS client resolve terms such as "dcterms:title" to IDs and catch
+ * typos before writing. Available in controllers as $this->webmcpVocabulary().
+ */
+class Vocabulary extends AbstractPlugin
+{
+    /**
+     * @var \Omeka\Api\Manager
+     */
+    private $api;
+
+    /**
+     * @param \Omeka\Api\Manager $api
+     */
+    public function __construct($api)
+    {
+        $this->api = $api;
+    }
+
+    public function __invoke(): self
+    {
+        return $this;
+    }
+
+    /**
+     * Build the registry.
+     *
+     * @return array vocabularies (list of prefix, label, namespace_uri),
+     *               properties and classes (term => ID maps) and a signature
+     *               that changes whenever any of them does
+     */
+    public function getRegistry(): array
+    {
+        $vocabularies = [];
+        foreach ($this->search('vocabularies') as $vocabulary) {
+            $vocabularies[] = [
+                'prefix'        => (string) ($vocabulary['o:prefix'] ?? ''),
+                'label'         => (string) ($vocabulary['o:label'] ?? ''),
+                'namespace_uri' => (string) ($vocabulary['o:namespace_uri'] ?? ''),
+            ];
+        }
+
+        $registry = [
+            'vocabularies' => $vocabularies,
+            'properties'   => $this->termMap('properties'),
+            'classes'      => $this->termMap('resource_classes'),
+        ];
+        $registry['signature'] = sha1((string) json_encode($registry));
+        return $registry;
+    }
+
+    /**
+     * Map the terms of a resource type to their IDs.
+     *
+     * @param string $resource 'properties' or 'resource_classes'
+     * @return array<string, int>
+     */
+    private function termMap(string $resource): array
+    {
+        $map = [];
+        foreach ($this->search($resource) as $member) {
+            if (!empty($member['o:term']) && isset($member['o:id'])) {
+                $map[(string) $member['o:term']] = (int) $member['o:id'];
+            }
+        }
+        ksort($map);
+        return $map;
+    }
+
+    /**
+     * Read every representation of a resource type as plain arrays.
+     *
+     * @param string $resource
+     * @return array
+     */
+    private function search(string $resource): array
+    {
+        $content = $this->api->search($resource)->getContent();
+        return json_decode(json_encode($content), true) ?: [];
+    }
+}
@@ -0,0 +1,17 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCP\Service\ControllerPlugin;
+
+use Interop\Container\ContainerInterface;
+use Laminas\ServiceManager\Factory\FactoryInterface;
+use WebMCP\Mvc\Controller\Plugin\Export;
+
+class ExportFactory implements FactoryInterface
+{
+    public function __invoke(ContainerInterface $services, $requestedName, ?array $options = null)
+    {
+        return new Export($services->get('Omeka\ApiManager'));
+    }
+}
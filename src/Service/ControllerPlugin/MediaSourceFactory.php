@@ -0,0 +1,25 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCP\Service\ControllerPlugin;
+
+use Interop\Container\ContainerInterface;
+use Laminas\ServiceManager\Factory\FactoryInterface;
+use WebMCP\Mvc\Controller\Plugin\MediaSource;
+
+class MediaSourceFactory implements FactoryInterface
+{
+    public function __invoke(ContainerInterface $services, $requestedName, ?array $options = null)
+    {
+        $settings = $services->get('Omeka\Settings');
+        // Mirror Omeka's own file validation, which the url ingester applies.
+        $mediaTypes = (array) $settings->get('media_type_whitelist', []);
+        $validate   = !$settings->get('disable_file_validation', false) && $mediaTypes;
+        return new MediaSource(
+            $services->get('Omeka\HttpClient'),
+            max(1, (int) $settings->get('webmcp_media_max_size', 100)) * 1024 * 1024,
+            $validate ? $mediaTypes : null
+        );
+    }
+}
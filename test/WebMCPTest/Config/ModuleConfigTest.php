@@ -84,6 +84,99 @@ class ModuleConfigTest extends TestCase
         );
     }
 
+    public function testAuditRouteIsDefined(): void
+    {
+        $route = $this->config['router']['routes']['admin']['child_routes']['webmcp-audit'] ?? null;
+        $this->assertNotNull($route, 'webmcp-audit child route must be defined');
+        $this->assertSame('/webmcp/audit[/:action]', $route['options']['route']);
+        $this->assertSame('AuditLog', $route['options']['defaults']['controller']);
+        $this->assertSame('browse', $route['options']['defaults']['action']);
+    }
+
+    public function testAuditLogControllerAndPluginAreRegistered(): void
+    {
+        $this->assertSame(
+            \WebMCP\Controller\Admin\AuditLogController::class,
+            $this->config['controllers']['invokables']['WebMCP\Controller\Admin\AuditLog'] ?? null
+        );
+        $this->assertSame(
+            \WebMCP\Service\ControllerPlugin\AuditLogFactory::class,
+            $this->config['controller_plugins']['factories']['webmcpAuditLog'] ?? null
+        );
+    }
+
+    public function testDataTypesPluginIsRegistered(): void
+    {
+        $this->assertSame(
+            \WebMCP\Service\ControllerPlugin\DataTypesFactory::class,
+            $this->config['controller_plugins']['factories']['webmcpDataTypes'] ?? null
+        );
+    }
+
+    public function testResourceTemplatesPluginIsRegistered(): void
+    {
+        $this->assertSame(
+            \WebMCP\Service\ControllerPlugin\ResourceTemplatesFactory::class,
+            $this->config['controller_plugins']['factories']['webmcpResourceTemplates'] ?? null
+        );
+    }
+
+    public function testVocabularyPluginIsRegistered(): void
+    {
+        $this->assertSame(
+            \WebMCP\Service\ControllerPlugin\VocabularyFactory::class,
+            $this->config['controller_plugins']['factories']['webmcpVocabulary'] ?? null
+        );
+    }
+
+    public function testCsvImportPluginIsRegistered(): void
+    {
+        $this->assertSame(
+            \WebMCP\Service\ControllerPlugin\CsvImportFactory::class,
+            $this->config['controller_plugins']['factories']['webmcpCsvImport'] ?? null
+        );
+    }
+
+    public function testProjectionPluginIsRegistered(): void
+    {
+        $this->assertSame(
+            \WebMCP\Service\ControllerPlugin\ProjectionFactory::class,
+            $this->config['controller_plugins']['factories']['webmcpProjection'] ?? null
+        );
+    }
+
+    public function testDuplicatesPluginIsRegistered(): void
+    {
+        $this->assertSame(
+            \WebMCP\Service\ControllerPlugin\DuplicatesFactory::class,
+            $this->config['controller_plugins']['factories']['webmcpDuplicates'] ?? null
+        );
+    }
+
+    public function testItemMergePluginIsRegistered(): void
+    {
+        $this->assertSame(
+            \WebMCP\Service\ControllerPlugin\ItemMergeFactory::class,
+            $this->config['controller_plugins']['factories']['webmcpItemMerge'] ?? null
+        );
+    }
+
+    public function testMediaSourcePluginIsRegistered(): void
+    {
+        $this->assertSame(
+            \WebMCP\Service\ControllerPlugin\MediaSourceFactory::class,
+            $this->config['controller_plugins']['factories']['webmcpMediaSource'] ?? null
+        );
+    }
+
+    public function testExportPluginIsRegistered(): void
+    {
+        $this->assertSame(
+            \WebMCP\Service\ControllerPlugin\ExportFactory::class,
+            $this->config['controller_plugins']['factories']['webmcpExport'] ?? null
+        );
+    }
+
     public function testConfigFormIsRegistered(): void
     {
         $formElements = $this->config['form_elements']['invokables'] ?? [];
@@ -0,0 +1,146 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use WebMCP\Controller\Admin\WebMCPProxyController;
+use WebMCP\Mvc\Controller\Plugin\CsvImport;
+use WebMCP\Mvc\Controller\Plugin\DataTypes;
+use WebMCP\Mvc\Controller\Plugin\Duplicates;
+use WebMCP\Mvc\Controller\Plugin\Export;
+use WebMCP\Mvc\Controller\Plugin\ItemMerge;
+use WebMCP\Mvc\Controller\Plugin\MediaSource;
+use WebMCP\Mvc\Controller\Plugin\Projection;
+use WebMCP\Mvc\Controller\Plugin\ResourceTemplates;
+use WebMCP\Mvc\Controller\Plugin\Vocabulary;
+use WebMCPTest\Mvc\Controller\Plugin\InMemoryAuditLog;
+
+/**
+ * Proxy controller wired to an in-memory API and audit log.
+ *
+ * Unlike TestableWebMCPProxyController, runOperation() and recordAudit() are
+ * not stubbed, so tests exercise the real snapshot and undo logic.
+ */
+class ApiBackedWebMCPProxyController extends WebMCPProxyController
+{
+    public FakeApiManager $fakeApi;
+    public InMemoryAuditLog $fakeAuditLog;
+    public DataTypes $dataTypes;
+    public FakeHttpClient $httpClient;
+    public FakeJobDispatcher $jobs;
+    private ?ResourceTemplates $resourceTemplates = null;
+    private ?Projection $projection = null;
+    public int $userId = 1;
+
+    public function __construct()
+    {
+        $this->fakeApi      = new FakeApiManager();
+        $this->fakeAuditLog = new InMemoryAuditLog();
+        $this->httpClient   = new FakeHttpClient();
+        $this->jobs         = new FakeJobDispatcher();
+        $this->dataTypes    = new DataTypes(
+            ['literal', 'uri', 'resource', 'resource:item', 'resource:itemset', 'resource:media']
+        );
+    }
+
+    public function setTestRequest(Request $request): void
+    {
+        $this->request = $request;
+    }
+
+    public function setTestResponse(Response $response): void
+    {
+        $this->response = $response;
+    }
+
+    public function api($adapter = null, $throwValidationException = false)
+    {
+        return $this->fakeApi;
+    }
+
+    public function webmcpAuditLog(): InMemoryAuditLog
+    {
+        return $this->fakeAuditLog;
+    }
+
+    public function webmcpDataTypes(): DataTypes
+    {
+        return $this->dataTypes;
+    }
+
+    public function webmcpResourceTemplates(): ResourceTemplates
+    {
+        return $this->resourceTemplates ??= new ResourceTemplates($this->fakeApi);
+    }
+
+    public function webmcpVocabulary(): Vocabulary
+    {
+        return new Vocabulary($this->fakeApi);
+    }
+
+    public function webmcpCsvImport(): CsvImport
+    {
+        return new CsvImport($this->fakeApi, $this->httpClient);
+    }
+
+    public function webmcpExport(): Export
+    {
+        return new Export($this->fakeApi);
+    }
+
+    public function webmcpProjection(): Projection
+    {
+        return $this->projection ??= new Projection($this->fakeApi);
+    }
+
+    public function webmcpDuplicates(): Duplicates
+    {
+        return new Duplicates($this->fakeApi);
+    }
+
+    public function webmcpItemMerge(): ItemMerge
+    {
+        return new ItemMerge($this->fakeApi, new FakeEntityManager($this->fakeApi));
+    }
+
+    public function webmcpMediaSource(): MediaSource
+    {
+        return new MediaSource($this->httpClient, 1024 * 1024, ['image/jpeg', 'image/png', 'application/pdf']);
+    }
+
+    public function jobDispatcher(): FakeJobDispatcher
+    {
+        return $this->jobs;
+    }
+
+    public function identity()
+    {
+        $userId = $this->userId;
+        return new class ($userId) {
+            private int $id;
+
+            public function __construct(int $id)
+            {
+                $this->id = $id;
+            }
+
+            public function getId(): int
+            {
+                return $this->id;
+            }
+
+            public function getEmail(): string
+            {
+                return sprintf('user%d@example.com', $this->id);
+            }
+        };
+    }
+
+    protected function isCsrfTokenValid(string $token): bool
+    {
+        return true;
+    }
+}
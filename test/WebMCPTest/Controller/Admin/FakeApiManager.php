@@ -0,0 +1,79 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Omeka\Api\Exception\NotFoundException;
+
+/**
+ * In-memory stand-in for Omeka\Api\Manager.
+ *
+ * Stores representations as plain arrays per resource type and assigns
+ * incrementing IDs, which is enough to exercise the proxy's write and undo
+ * paths end to end without a database.
+ */
+class FakeApiManager
+{
+    /** @var array<string, array<int, array>> */
+    public array $resources = [];
+
+    /** File data passed to the last create, as for the upload ingester. */
+    public array $lastFileData = [];
+
+    private int $nextId = 1;
+
+    /**
+     * Seed a representation and return its ID.
+     */
+    public function seed(string $resource, array $data): int
+    {
+        $id = $this->nextId++;
+        $this->resources[$resource][$id] = ['o:id' => $id] + $data;
+        return $id;
+    }
+
+    /**
+     * Return every representation of a type; only page and per_page are
+     * honoured.
+     */
+    public function search(string $resource, array $query = []): FakeApiResponse
+    {
+        $items = array_values($this->resources[$resource] ?? []);
+        $total = count($items);
+        if (isset($query['per_page'])) {
+            $perPage = max(1, (int) $query['per_page']);
+            $items   = array_slice($items, (max(1, (int) ($query['page'] ?? 1)) - 1) * $perPage, $perPage);
+        }
+        return new FakeApiResponse($items, $total);
+    }
+
+    public function read(string $resource, $id): FakeApiResponse
+    {
+        if (!isset($this->resources[$resource][(int) $id])) {
+            throw new NotFoundException(sprintf('%s #%s not found', $resource, $id));
+        }
+        return new FakeApiResponse($this->resources[$resource][(int) $id]);
+    }
+
+    public function create(string $resource, array $data, array $fileData = []): FakeApiResponse
+    {
+        $this->lastFileData = $fileData;
+        $id = $this->seed($resource, $data);
+        return new FakeApiResponse($this->resources[$resource][$id]);
+    }
+
+    public function update(string $resource, $id, array $data): FakeApiResponse
+    {
+        $this->read($resource, $id);
+        $this->resources[$resource][(int) $id] = ['o:id' => (int) $id] + $data;
+        return new FakeApiResponse($this->resources[$resource][(int) $id]);
+    }
+
+    public function delete(string $resource, $id): FakeApiResponse
+    {
+        $response = $this->read($resource, $id);
+        unset($this->resources[$resource][(int) $id]);
+        return $response;
+    }
+}
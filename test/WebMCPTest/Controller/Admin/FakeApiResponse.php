@@ -0,0 +1,30 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+/**
+ * Minimal stand-in for Omeka\Api\Response returned by FakeApiManager.
+ */
+class FakeApiResponse
+{
+    private $content;
+    private ?int $totalResults;
+
+    public function __construct($content, ?int $totalResults = null)
+    {
+        $this->content      = $content;
+        $this->totalResults = $totalResults;
+    }
+
+    public function getContent()
+    {
+        return $this->content;
+    }
+
+    public function getTotalResults(): ?int
+    {
+        return $this->totalResults;
+    }
+}
@@ -0,0 +1,68 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+/**
+ * Item or media entity handed out by FakeEntityManager.
+ */
+class FakeEntity
+{
+    private int $id;
+    private ?FakeEntity $item = null;
+    private ?int $position = null;
+    private \ArrayObject $media;
+
+    public function __construct(int $id)
+    {
+        $this->id    = $id;
+        $this->media = new class extends \ArrayObject {
+            public function add($element): bool
+            {
+                $this->append($element);
+                return true;
+            }
+
+            public function removeElement($element): bool
+            {
+                $key = array_search($element, $this->getArrayCopy(), true);
+                if ($key === false) {
+                    return false;
+                }
+                $this->offsetUnset($key);
+                return true;
+            }
+        };
+    }
+
+    public function getId(): int
+    {
+        return $this->id;
+    }
+
+    public function getItem(): ?FakeEntity
+    {
+        return $this->item;
+    }
+
+    public function setItem(?FakeEntity $item): void
+    {
+        $this->item = $item;
+    }
+
+    public function getPosition(): ?int
+    {
+        return $this->position;
+    }
+
+    public function setPosition(int $position): void
+    {
+        $this->position = $position;
+    }
+
+    public function getMedia(): \ArrayObject
+    {
+        return $this->media;
+    }
+}
@@ -0,0 +1,56 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+/**
+ * Stand-in for the Doctrine entity manager, limited to what
+ * ItemMerge::moveMedia() uses: items and media found by ID, whose item and
+ * media lists are written back to the FakeApiManager on flush.
+ */
+class FakeEntityManager
+{
+    private FakeApiManager $api;
+
+    /** @var array<string, array<int, FakeEntity>> */
+    private array $entities = [];
+
+    public function __construct(FakeApiManager $api)
+    {
+        $this->api = $api;
+    }
+
+    public function find(string $class, $id): ?FakeEntity
+    {
+        $resource = $class === 'Omeka\Entity\Media' ? 'media' : 'items';
+        $data     = $this->api->resources[$resource][(int) $id] ?? null;
+        if ($data === null) {
+            return null;
+        }
+        if (!isset($this->entities[$resource][(int) $id])) {
+            $entity = $this->entities[$resource][(int) $id] = new FakeEntity((int) $id);
+            if ($resource === 'media') {
+                $entity->setItem($this->find('Omeka\Entity\Item', $data['o:item']['o:id']));
+            } else {
+                foreach ($data['o:media'] ?? [] as $media) {
+                    $entity->getMedia()->add($this->find('Omeka\Entity\Media', $media['o:id']));
+                }
+            }
+        }
+        return $this->entities[$resource][(int) $id];
+    }
+
+    public function flush(): void
+    {
+        foreach ($this->entities['media'] ?? [] as $id => $media) {
+            $this->api->resources['media'][$id]['o:item'] = ['o:id' => $media->getItem()->getId()];
+        }
+        foreach ($this->entities['items'] ?? [] as $id => $item) {
+            $this->api->resources['items'][$id]['o:media'] = array_map(
+                fn (FakeEntity $media) => ['o:id' => $media->getId()],
+                array_values($item->getMedia()->getArrayCopy())
+            );
+        }
+    }
+}
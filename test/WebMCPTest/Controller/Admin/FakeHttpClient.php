@@ -0,0 +1,65 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Response;
+
+/**
+ * Stand-in for the Omeka\HttpClient service (a Laminas\Http\Client).
+ *
+ * Serves canned responses by URL, with optional headers, and records the
+ * URLs and methods requested; unknown URLs answer 404.
+ */
+class FakeHttpClient
+{
+    /** @var array<string, array> [url => [status, body, headers?]] */
+    public array $responses = [];
+
+    /** @var string[] */
+    public array $requested = [];
+
+    /** @var string[] Method of each request, in the order of $requested */
+    public array $methods = [];
+
+    private string $uri = '';
+
+    private string $method = 'GET';
+
+    public function reset(): self
+    {
+        $this->uri    = '';
+        $this->method = 'GET';
+        return $this;
+    }
+
+    public function setMethod($method): self
+    {
+        $this->method = strtoupper((string) $method);
+        return $this;
+    }
+
+    public function setHeaders($headers): self
+    {
+        return $this;
+    }
+
+    public function setUri($uri): self
+    {
+        $this->uri = (string) $uri;
+        return $this;
+    }
+
+    public function send(): Response
+    {
+        $this->requested[] = $this->uri;
+        $this->methods[]   = $this->method;
+        [$status, $body]   = $this->responses[$this->uri] ?? [404, ''];
+        $response = new Response();
+        $response->setStatusCode($status);
+        $response->setContent($body);
+        $response->getHeaders()->addHeaders($this->responses[$this->uri][2] ?? []);
+        return $response;
+    }
+}
@@ -0,0 +1,49 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+/**
+ * Stand-in for Omeka\Job\Dispatcher that records jobs instead of running them.
+ */
+class FakeJobDispatcher
+{
+    /** @var array<int, array{class: string, args: array}> */
+    public array $dispatched = [];
+
+    /** @var int[] */
+    public array $stopped = [];
+
+    /**
+     * Record a job and return a stand-in for its Omeka\Entity\Job.
+     */
+    public function dispatch(string $class, array $args = [])
+    {
+        $id = count($this->dispatched) + 1;
+        $this->dispatched[$id] = ['class' => $class, 'args' => $args];
+        return new class ($id) {
+            private int $id;
+
+            public function __construct(int $id)
+            {
+                $this->id = $id;
+            }
+
+            public function getId(): int
+            {
+                return $this->id;
+            }
+
+            public function getStatus(): string
+            {
+                return 'starting';
+            }
+        };
+    }
+
+    public function stop($jobId): void
+    {
+        $this->stopped[] = (int) $jobId;
+    }
+}
@@ -0,0 +1,144 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use PHPUnit\Framework\TestCase;
+use WebMCP\Controller\Admin\WebMCPProxyController;
+
+/**
+ * Unit tests for WebMCPProxyController::mergePropertyData(), which applies
+ * the per-property append, replace, remove and clear modes of an update.
+ */
+class MergePropertyDataTest extends TestCase
+{
+    /** Expose the protected mergePropertyData method for testing. */
+    private WebMCPProxyController $controller;
+
+    protected function setUp(): void
+    {
+        $this->controller = new class extends WebMCPProxyController {
+            public function merge(array $current, array $normalized, array $modes): array
+            {
+                return $this->mergePropertyData($current, $normalized, $modes);
+            }
+        };
+    }
+
+    private function literals(string ...$values): array
+    {
+        return array_map(fn ($value) => ['type' => 'literal', '@value' => $value], $values);
+    }
+
+    private function current(): array
+    {
+        return [
+            'o:id'            => 1,
+            'dcterms:title'   => $this->literals('Title'),
+            'dcterms:subject' => $this->literals('History', 'Maps'),
+        ];
+    }
+
+    private function valuesOf(array $result, string $term): array
+    {
+        return array_column($result[$term], '@value');
+    }
+
+    public function testReplaceIsTheDefault(): void
+    {
+        $result = $this->controller->merge($this->current(), ['dcterms:subject' => $this->literals('Art')], []);
+
+        $this->assertSame(['Art'], $this->valuesOf($result, 'dcterms:subject'));
+        $this->assertSame(['Title'], $this->valuesOf($result, 'dcterms:title'));
+    }
+
+    public function testAppendAddsNewValuesAndSkipsDuplicates(): void
+    {
+        $result = $this->controller->merge(
+            $this->current(),
+            ['dcterms:subject' => $this->literals('Maps', 'Art')],
+            ['dcterms:subject' => 'append']
+        );
+
+        $this->assertSame(['History', 'Maps', 'Art'], $this->valuesOf($result, 'dcterms:subject'));
+    }
+
+    public function testAppendToPropertyWithoutValues(): void
+    {
+        $result = $this->controller->merge(
+            $this->current(),
+            ['dcterms:creator' => $this->literals('Ana')],
+            ['dcterms:creator' => 'append']
+        );
+
+        $this->assertSame(['Ana'], $this->valuesOf($result, 'dcterms:creator'));
+    }
+
+    public function testRemoveDropsMatchingValuesOnly(): void
+    {
+        $result = $this->controller->merge(
+            $this->current(),
+            ['dcterms:subject' => $this->literals('Maps')],
+            ['dcterms:subject' => 'remove']
+        );
+
+        $this->assertSame(['History'], $this->valuesOf($result, 'dcterms:subject'));
+    }
+
+    public function testRemoveMatchesLinkedResourcesById(): void
+    {
+        $current = ['dcterms:creator' => [
+            ['type' => 'resource:item', 'value_resource_id' => 7, 'display_title' => 'Ana'],
+            ['type' => 'resource:item', 'value_resource_id' => 8, 'display_title' => 'Luis'],
+        ]];
+
+        $result = $this->controller->merge(
+            $current,
+            ['dcterms:creator' => [['type' => 'resource:item', 'value_resource_id' => 7]]],
+            ['dcterms:creator' => 'remove']
+        );
+
+        $this->assertSame([8], array_column($result['dcterms:creator'], 'value_resource_id'));
+    }
+
+    public function testReferencesMatchByIdWhateverTheirUrl(): void
+    {
+        $reference = fn (int $id) => ['@id' => 'http://example.com/api/item_sets/' . $id, 'o:id' => $id];
+        $current   = ['o:item_set' => [$reference(3), $reference(4)]];
+
+        $removed  = $this->controller->merge($current, ['o:item_set' => [['o:id' => 4]]], ['o:item_set' => 'remove']);
+        $appended = $this->controller->merge($current, ['o:item_set' => [['o:id' => 4]]], ['o:item_set' => 'append']);
+
+        $this->assertSame([3], array_column($removed['o:item_set'], 'o:id'));
+        $this->assertSame([3, 4], array_column($appended['o:item_set'], 'o:id'));
+    }
+
+    public function testClearNeedsNoSubmittedValues(): void
+    {
+        $result = $this->controller->merge($this->current(), [], ['dcterms:subject' => 'clear']);
+
+        $this->assertSame([], $result['dcterms:subject']);
+        $this->assertSame(['Title'], $this->valuesOf($result, 'dcterms:title'));
+    }
+
+    public function testLanguageDistinguishesLiterals(): void
+    {
+        $current = ['dcterms:title' => [['type' => 'literal', '@value' => 'Mapa', '@language' => 'es']]];
+
+        $result = $this->controller->merge(
+            $current,
+            ['dcterms:title' => [['type' => 'literal', '@value' => 'Mapa', '@language' => 'gl']]],
+            ['dcterms:title' => 'append']
+        );
+
+        $this->assertCount(2, $result['dcterms:title']);
+    }
+
+    public function testUnknownModeIsRejected(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+
+        $this->controller->merge($this->current(), [], ['dcterms:subject' => 'prepend']);
+    }
+}
@@ -0,0 +1,131 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use Laminas\View\Model\JsonModel;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests that write operations reaching the proxy produce audit entries with
+ * the tool name, affected IDs and outcome, and that reads are not audited.
+ */
+class ProxyAuditTest extends TestCase
+{
+    private TestableWebMCPProxyController $controller;
+    private Response $response;
+
+    protected function setUp(): void
+    {
+        $this->controller = new TestableWebMCPProxyController();
+        $this->response   = new Response();
+        $this->controller->setTestResponse($this->response);
+    }
+
+    private function post(array $body, ?string $tool = 'create-item'): JsonModel
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setContent((string) json_encode($body));
+        $request->getHeaders()->addHeaderLine('Content-Type', 'application/json');
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        if ($tool !== null) {
+            $request->getHeaders()->addHeaderLine('X-WebMCP-Tool', $tool);
+        }
+        $this->controller->setTestRequest($request);
+        return $this->controller->proxyAction();
+    }
+
+    public function testCreateIsAuditedWithToolAndNewId(): void
+    {
+        $this->controller->nextOperationResult = ['o:id' => 12];
+
+        $this->post(['op' => 'create', 'resource' => 'items', 'data' => []]);
+
+        $this->assertCount(1, $this->controller->auditEntries);
+        $entry = $this->controller->auditEntries[0];
+        $this->assertSame('create', $entry['operation']);
+        $this->assertSame('items', $entry['resource']);
+        $this->assertSame([12], $entry['resource_ids']);
+        $this->assertSame('create-item', $entry['tool']);
+        $this->assertSame('success', $entry['outcome']);
+    }
+
+    public function testAuditedWriteReturnsChangeId(): void
+    {
+        $this->controller->nextOperationResult = ['o:id' => 12];
+
+        $result = $this->post(['op' => 'create', 'resource' => 'items', 'data' => []]);
+
+        $this->assertSame(1, $result->getVariable('change_id'));
+    }
+
+    public function testReadsDoNotReturnChangeId(): void
+    {
+        $result = $this->post(['op' => 'get', 'resource' => 'items', 'id' => 1]);
+
+        $this->assertNull($result->getVariable('change_id'));
+    }
+
+    public function testReadsAreNotAudited(): void
+    {
+        $this->post(['op' => 'search', 'resource' => 'items']);
+        $this->post(['op' => 'get', 'resource' => 'items', 'id' => 1]);
+
+        $this->assertSame([], $this->controller->auditEntries);
+    }
+
+    public function testMissingToolHeaderIsRecordedAsNull(): void
+    {
+        $this->post(['op' => 'delete', 'resource' => 'items', 'id' => 5], null);
+
+        $entry = $this->controller->auditEntries[0];
+        $this->assertNull($entry['tool']);
+        $this->assertSame([5], $entry['resource_ids']);
+    }
+
+    public function testFailedOperationIsAuditedAsFailure(): void
+    {
+        $this->controller->nextOperationException =
+            new \Omeka\Api\Exception\PermissionDeniedException('No access');
+
+        $this->post(['op' => 'update', 'resource' => 'items', 'id' => 7, 'data' => []], 'update-item');
+
+        $this->assertSame(403, $this->response->getStatusCode());
+        $entry = $this->controller->auditEntries[0];
+        $this->assertSame('failure', $entry['outcome']);
+        $this->assertSame([7], $entry['resource_ids']);
+        $this->assertSame('No access', $entry['message']);
+    }
+
+    public function testBatchCreateWithErrorsIsPartial(): void
+    {
+        $this->controller->nextOperationResult = [
+            'success' => false,
+            'items'   => [['o:id' => 1], ['o:id' => 2]],
+            'errors'  => [['error' => true, 'message' => 'Invalid value']],
+        ];
+
+        $this->post(['op' => 'batch_create', 'resource' => 'items', 'data' => [[], [], []]], 'batch-create-items');
+
+        $entry = $this->controller->auditEntries[0];
+        $this->assertSame('partial', $entry['outcome']);
+        $this->assertSame([1, 2], $entry['resource_ids']);
+        $this->assertSame('Invalid value', $entry['message']);
+    }
+
+    public function testBatchDeleteRecordsDeletedIds(): void
+    {
+        $this->controller->nextOperationResult = ['deleted' => 2, 'failed' => 0, 'ids' => [3, 4], 'errors' => []];
+
+        $this->post(['op' => 'batch_delete', 'resource' => 'items', 'ids' => [3, 4]], 'batch-delete-items');
+
+        $entry = $this->controller->auditEntries[0];
+        $this->assertSame('batch_delete', $entry['operation']);
+        $this->assertSame([3, 4], $entry['resource_ids']);
+        $this->assertSame('success', $entry['outcome']);
+    }
+}
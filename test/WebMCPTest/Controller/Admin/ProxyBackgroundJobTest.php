@@ -0,0 +1,211 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use Laminas\View\Model\JsonModel;
+use PHPUnit\Framework\TestCase;
+use WebMCP\Controller\Admin\WebMCPProxyController;
+use WebMCP\Job\ProxyOperation;
+
+/**
+ * Tests background jobs: queueing with "background": true, chunked
+ * execution by the job, and the job_status and cancel_job operations.
+ */
+class ProxyBackgroundJobTest extends TestCase
+{
+    private ApiBackedWebMCPProxyController $controller;
+    private Response $response;
+
+    protected function setUp(): void
+    {
+        $this->controller = new ApiBackedWebMCPProxyController();
+        $this->response   = new Response();
+        $this->controller->setTestResponse($this->response);
+    }
+
+    private function post(array $body): JsonModel
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setContent((string) json_encode($body));
+        $request->getHeaders()->addHeaderLine('Content-Type', 'application/json');
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        $request->getHeaders()->addHeaderLine('X-WebMCP-Tool', 'batch-create-items');
+        $this->controller->setTestRequest($request);
+        return $this->controller->proxyAction();
+    }
+
+    private function items(int $count): array
+    {
+        $items = [];
+        for ($i = 1; $i <= $count; $i++) {
+            $items[] = ['dcterms:title' => [['type' => 'literal', 'property_id' => 1, '@value' => "Item $i"]]];
+        }
+        return $items;
+    }
+
+    /**
+     * Queue a batch and return the operation handed to the job.
+     */
+    private function queue(string $op, array $data): array
+    {
+        $this->post(['op' => $op, 'resource' => 'items', 'data' => $data, 'background' => true]);
+        $jobs = $this->controller->jobs->dispatched;
+        return end($jobs)['args']['operation'];
+    }
+
+    private function seedJob(string $status, array $args = []): int
+    {
+        return $this->controller->fakeApi->seed('jobs', [
+            'o:status'    => $status,
+            'o:job_class' => ProxyOperation::class,
+            'o:args'      => $args,
+            'o:started'   => ['@value' => '2026-01-01T10:00:00+00:00'],
+        ]);
+    }
+
+    public function testBackgroundOperationIsQueuedAsJob(): void
+    {
+        $result = $this->post([
+            'op' => 'batch_create', 'resource' => 'items', 'data' => $this->items(2), 'background' => true,
+        ]);
+
+        $this->assertSame(202, $this->response->getStatusCode());
+        $this->assertSame(
+            ['job_id' => 1, 'status' => 'starting', 'op' => 'batch_create', 'resource' => 'items'],
+            $result->getVariable('data')
+        );
+        $job = $this->controller->jobs->dispatched[1];
+        $this->assertSame(ProxyOperation::class, $job['class']);
+        $this->assertSame('batch_create', $job['args']['operation']['op']);
+        $this->assertSame('batch-create-items', $job['args']['operation']['tool']);
+        $this->assertCount(2, $job['args']['operation']['data']);
+        $this->assertArrayNotHasKey('items', $this->controller->fakeApi->resources);
+        $this->assertSame([], $this->controller->fakeAuditLog->rows);
+    }
+
+    public function testBackgroundIsIgnoredForShortOperations(): void
+    {
+        $result = $this->post([
+            'op' => 'create', 'resource' => 'items', 'data' => $this->items(1)[0], 'background' => true,
+        ]);
+
+        $this->assertTrue($result->getVariable('success'));
+        $this->assertSame([], $this->controller->jobs->dispatched);
+        $this->assertCount(1, $this->controller->fakeApi->resources['items']);
+    }
+
+    public function testQueuedBatchRunsInAuditedChunks(): void
+    {
+        $operation = $this->queue('batch_create', $this->items(30));
+
+        $progress = [];
+        $onProgress = function (int $processed, int $total) use (&$progress) {
+            $progress[] = [$processed, $total];
+            return true;
+        };
+        $report = $this->controller->performQueued($operation, $onProgress);
+
+        $this->assertSame(30, $report['created']);
+        $this->assertCount(30, $report['items']);
+        $this->assertTrue($report['success']);
+        $this->assertSame(30, $report['processed']);
+        $this->assertFalse($report['stopped']);
+        $this->assertSame([[0, 30], [25, 30], [30, 30]], $progress);
+        $this->assertCount(2, $report['change_ids']);
+        $entry = $this->controller->fakeAuditLog->find($report['change_ids'][1]);
+        $this->assertSame('batch_create', $entry['operation']);
+        $this->assertSame('batch-create-items', $entry['tool']);
+        $this->assertCount(30 - WebMCPProxyController::BACKGROUND_CHUNK_SIZE, $entry['resource_ids']);
+    }
+
+    public function testQueuedBatchStopsWhenCancelled(): void
+    {
+        $operation = $this->queue('batch_create', $this->items(30));
+
+        $report = $this->controller->performQueued($operation, fn (int $processed) => $processed === 0);
+
+        $this->assertTrue($report['stopped']);
+        $this->assertSame(WebMCPProxyController::BACKGROUND_CHUNK_SIZE, $report['processed']);
+        $this->assertCount(
+            WebMCPProxyController::BACKGROUND_CHUNK_SIZE,
+            $this->controller->fakeApi->resources['items']
+        );
+    }
+
+    public function testQueuedImportRunsInOneGo(): void
+    {
+        $this->controller->fakeApi->seed('properties', ['o:term' => 'dcterms:title', 'o:label' => 'Title']);
+        $operation = [
+            'op' => 'import_csv', 'resource' => 'items', 'id' => null, 'query' => [], 'ids' => [],
+            'data' => ['csv' => "dcterms:title\nFirst\nSecond"], 'options' => [], 'tool' => 'import-csv',
+        ];
+
+        $report = $this->controller->performQueued($operation, fn () => true);
+
+        $this->assertSame(2, $report['created']);
+        $this->assertCount(1, $report['change_ids']);
+    }
+
+    public function testJobStatusReportsProgressAndResult(): void
+    {
+        $id = $this->seedJob('completed', [
+            'operation' => ['op' => 'batch_delete', 'resource' => 'items'],
+            'progress'  => ['processed' => 3, 'total' => 3],
+            'result'    => ['deleted' => 3],
+        ]);
+
+        $status = $this->post(['op' => 'job_status', 'id' => $id])->getVariable('data');
+
+        $this->assertSame($id, $status['job_id']);
+        $this->assertSame('completed', $status['status']);
+        $this->assertSame('batch_delete', $status['op']);
+        $this->assertSame(['processed' => 3, 'total' => 3], $status['progress']);
+        $this->assertSame(['deleted' => 3], $status['result']);
+    }
+
+    public function testJobStatusOfOtherJobsOmitsReport(): void
+    {
+        $id = $this->controller->fakeApi->seed('jobs', [
+            'o:status'    => 'completed',
+            'o:job_class' => 'Omeka\Job\BatchDelete',
+        ]);
+
+        $status = $this->post(['op' => 'job_status', 'id' => $id])->getVariable('data');
+
+        $this->assertSame('Omeka\Job\BatchDelete', $status['job_class']);
+        $this->assertArrayNotHasKey('result', $status);
+    }
+
+    public function testUnknownJobIsNotFound(): void
+    {
+        $this->post(['op' => 'job_status', 'id' => 99]);
+
+        $this->assertSame(404, $this->response->getStatusCode());
+    }
+
+    public function testCancelStopsRunningJob(): void
+    {
+        $id = $this->seedJob('in_progress');
+
+        $result = $this->post(['op' => 'cancel_job', 'id' => $id]);
+
+        $this->assertSame('stopping', $result->getVariable('data')['status']);
+        $this->assertSame([$id], $this->controller->jobs->stopped);
+    }
+
+    public function testCancelRejectsEndedJob(): void
+    {
+        $id = $this->seedJob('completed');
+
+        $result = $this->post(['op' => 'cancel_job', 'id' => $id]);
+
+        $this->assertSame(400, $this->response->getStatusCode());
+        $this->assertStringContainsString('not running', $result->getVariable('message'));
+        $this->assertSame([], $this->controller->jobs->stopped);
+    }
+}
@@ -0,0 +1,183 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use Laminas\View\Model\JsonModel;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests the batch_update operation, its dry run, audit entry and undo.
+ */
+class ProxyBatchUpdateTest extends TestCase
+{
+    private ApiBackedWebMCPProxyController $controller;
+    private Response $response;
+    private int $first;
+    private int $second;
+
+    protected function setUp(): void
+    {
+        $this->controller = new ApiBackedWebMCPProxyController();
+        $this->response   = new Response();
+        $this->controller->setTestResponse($this->response);
+        $this->first  = $this->controller->fakeApi->seed('items', [
+            'dcterms:title'   => $this->values('Vase'),
+            'dcterms:creator' => $this->values('Smith, J.'),
+        ]);
+        $this->second = $this->controller->fakeApi->seed('items', [
+            'dcterms:title'   => $this->values('Bowl'),
+            'dcterms:creator' => $this->values('J. Smith'),
+        ]);
+    }
+
+    private function post(array $body): JsonModel
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setContent((string) json_encode($body));
+        $request->getHeaders()->addHeaderLine('Content-Type', 'application/json');
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        $this->controller->setTestRequest($request);
+        return $this->controller->proxyAction();
+    }
+
+    private function values(string ...$values): array
+    {
+        return array_map(fn ($value) => ['type' => 'literal', 'property_id' => 2, '@value' => $value], $values);
+    }
+
+    private function creator(int $id): string
+    {
+        return $this->controller->fakeApi->resources['items'][$id]['dcterms:creator'][0]['@value'];
+    }
+
+    public function testRowsAreMergedIntoCurrentValues(): void
+    {
+        $result = $this->post([
+            'op' => 'batch_update', 'resource' => 'items',
+            'data' => [
+                ['id' => $this->first, 'data' => ['dcterms:creator' => $this->values('Smith, John')]],
+                ['id' => $this->second, 'data' => ['dcterms:creator' => $this->values('Smith, John')]],
+            ],
+        ]);
+
+        $report = $result->getVariable('data');
+        $this->assertSame(2, $report['updated']);
+        $this->assertSame([$this->first, $this->second], $report['ids']);
+        $this->assertSame('updated', $report['items'][0]['status']);
+        $this->assertSame(['Smith, J.'], $report['items'][0]['diff']['dcterms:creator']['before']);
+        $this->assertSame('Smith, John', $this->creator($this->second));
+        $title = $this->controller->fakeApi->resources['items'][$this->first]['dcterms:title'];
+        $this->assertSame('Vase', $title[0]['@value']);
+    }
+
+    public function testFailingRowDoesNotStopTheOthers(): void
+    {
+        $result = $this->post([
+            'op' => 'batch_update', 'resource' => 'items',
+            'data' => [
+                ['id' => 999, 'data' => ['dcterms:creator' => $this->values('Nobody')]],
+                ['data' => []],
+                ['id' => $this->second, 'data' => ['dcterms:creator' => $this->values('Smith, John')]],
+            ],
+        ]);
+
+        $report = $result->getVariable('data');
+        $this->assertSame(1, $report['updated']);
+        $this->assertSame(2, $report['failed']);
+        $this->assertSame('failed', $report['items'][0]['status']);
+        $this->assertStringContainsString('no resource id', $report['items'][1]['message']);
+        $this->assertSame([0, 1], array_column($report['errors'], 'index'));
+        $this->assertSame('Smith, John', $this->creator($this->second));
+    }
+
+    public function testRowModesOverrideTheDefault(): void
+    {
+        $this->post([
+            'op' => 'batch_update', 'resource' => 'items',
+            'modes' => ['dcterms:creator' => 'append'],
+            'data' => [
+                ['id' => $this->first, 'data' => ['dcterms:creator' => $this->values('Jones, A.')]],
+                [
+                    'id'    => $this->second,
+                    'data'  => ['dcterms:creator' => $this->values('Jones, A.')],
+                    'modes' => ['dcterms:creator' => 'replace'],
+                ],
+            ],
+        ]);
+
+        $this->assertCount(2, $this->controller->fakeApi->resources['items'][$this->first]['dcterms:creator']);
+        $this->assertCount(1, $this->controller->fakeApi->resources['items'][$this->second]['dcterms:creator']);
+    }
+
+    public function testItemSetModesKeepOtherMemberships(): void
+    {
+        // Item sets as the API represents them: references with their URL.
+        $itemSet = fn (int $id) => ['@id' => 'http://example.com/api/item_sets/' . $id, 'o:id' => $id];
+        $items   = &$this->controller->fakeApi->resources['items'];
+        $items[$this->first]['o:item_set']  = [$itemSet(3), $itemSet(4)];
+        $items[$this->second]['o:item_set'] = [$itemSet(4)];
+
+        $this->post([
+            'op' => 'batch_update', 'resource' => 'items',
+            'modes' => ['o:item_set' => 'append'],
+            'data' => [
+                ['id' => $this->first, 'data' => ['o:item_set' => [['o:id' => 5]]]],
+                ['id' => $this->second, 'data' => ['o:item_set' => [['o:id' => 4]]]],
+            ],
+        ]);
+        $this->assertSame([3, 4, 5], array_column($items[$this->first]['o:item_set'], 'o:id'));
+        $this->assertSame([4], array_column($items[$this->second]['o:item_set'], 'o:id'));
+
+        $this->post([
+            'op' => 'batch_update', 'resource' => 'items',
+            'modes' => ['o:item_set' => 'remove'],
+            'data' => [['id' => $this->first, 'data' => ['o:item_set' => [['o:id' => 4]]]]],
+        ]);
+        $this->assertSame([3, 5], array_column($items[$this->first]['o:item_set'], 'o:id'));
+        $this->assertSame('Vase', $items[$this->first]['dcterms:title'][0]['@value']);
+    }
+
+    public function testDryRunPreviewsWithoutSaving(): void
+    {
+        $result = $this->post([
+            'op' => 'batch_update', 'resource' => 'items', 'dry_run' => true,
+            'data' => [['id' => $this->first, 'data' => ['dcterms:creator' => $this->values('Smith, John')]]],
+        ]);
+
+        $report = $result->getVariable('data');
+        $this->assertTrue($report['dry_run']);
+        $this->assertTrue($report['valid']);
+        $this->assertSame('valid', $report['items'][0]['status']);
+        $this->assertSame(['Smith, John'], $report['items'][0]['diff']['dcterms:creator']['after']);
+        $this->assertSame('Smith, J.', $this->creator($this->first));
+        $this->assertSame([], $this->controller->fakeAuditLog->rows);
+    }
+
+    public function testBatchUpdateIsAuditedAndCanBeUndone(): void
+    {
+        $result = $this->post([
+            'op' => 'batch_update', 'resource' => 'items',
+            'data' => [
+                ['id' => $this->first, 'data' => ['dcterms:creator' => $this->values('Smith, John')]],
+                ['id' => $this->second, 'data' => ['dcterms:creator' => $this->values('Smith, John')]],
+            ],
+        ]);
+        $changeId = $result->getVariable('change_id');
+
+        $entry = $this->controller->fakeAuditLog->find($changeId);
+        $this->assertSame('batch_update', $entry['operation']);
+        $this->assertSame([$this->first, $this->second], $entry['resource_ids']);
+        $this->assertArrayHasKey(sprintf('#%d dcterms:creator', $this->second), $entry['changes']);
+
+        $undo = $this->post(['op' => 'undo', 'id' => $changeId])->getVariable('data');
+
+        $this->assertSame([$this->first, $this->second], $undo['restored_ids']);
+        $this->assertSame('Smith, J.', $this->creator($this->first));
+        $this->assertSame('J. Smith', $this->creator($this->second));
+    }
+}
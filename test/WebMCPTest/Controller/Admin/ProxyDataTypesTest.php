@@ -0,0 +1,91 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use Laminas\View\Model\JsonModel;
+use PHPUnit\Framework\TestCase;
+use WebMCP\Mvc\Controller\Plugin\DataTypes;
+
+/**
+ * Tests the data_types operation and the rejection of values whose data
+ * type is not registered (e.g. numeric types without Numeric Data Types).
+ */
+class ProxyDataTypesTest extends TestCase
+{
+    private ApiBackedWebMCPProxyController $controller;
+    private Response $response;
+
+    protected function setUp(): void
+    {
+        $this->controller = new ApiBackedWebMCPProxyController();
+        $this->response   = new Response();
+        $this->controller->setTestResponse($this->response);
+    }
+
+    private function post(array $body): JsonModel
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setContent((string) json_encode($body));
+        $request->getHeaders()->addHeaderLine('Content-Type', 'application/json');
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        $this->controller->setTestRequest($request);
+        return $this->controller->proxyAction();
+    }
+
+    public function testDataTypesOperationListsRegisteredTypes(): void
+    {
+        $result = $this->post(['op' => 'data_types']);
+
+        $this->assertContains('resource:item', $result->getVariable('data')['data_types']);
+    }
+
+    public function testCreateWithUnavailableDataTypeIsRejected(): void
+    {
+        $result = $this->post([
+            'op' => 'create', 'resource' => 'items',
+            'data' => ['dcterms:date' => [['type' => 'numeric:timestamp', '@value' => '1999']]],
+        ]);
+
+        $this->assertSame(422, $this->response->getStatusCode());
+        $this->assertStringContainsString('numeric:timestamp', $result->getVariable('message'));
+        $this->assertSame('dcterms:date', $result->getVariable('fields')[0]['field']);
+        $this->assertArrayNotHasKey('items', $this->controller->fakeApi->resources);
+    }
+
+    public function testCreateWithInstalledModuleDataTypeSucceeds(): void
+    {
+        $this->controller->dataTypes = new DataTypes(['literal', 'numeric:timestamp']);
+
+        $result = $this->post([
+            'op' => 'create', 'resource' => 'items',
+            'data' => ['dcterms:date' => [['type' => 'numeric:timestamp', '@value' => '1999']]],
+        ]);
+
+        $this->assertTrue($result->getVariable('success'));
+    }
+
+    public function testTypedValuesAreStoredAsSent(): void
+    {
+        $result = $this->post([
+            'op' => 'create', 'resource' => 'items',
+            'data' => [
+                'dcterms:title'   => [['type' => 'literal', '@value' => 'Mapa', '@language' => 'es']],
+                'dcterms:rights'  => [[
+                    'type' => 'uri', '@id' => 'http://rightsstatements.org/vocab/InC/1.0/', 'o:label' => 'In Copyright',
+                ]],
+                'dcterms:creator' => [['type' => 'resource:item', 'value_resource_id' => 7]],
+            ],
+        ]);
+
+        $item = $result->getVariable('data');
+        $this->assertSame('es', $item['dcterms:title'][0]['@language']);
+        $this->assertSame('In Copyright', $item['dcterms:rights'][0]['o:label']);
+        $this->assertSame(7, $item['dcterms:creator'][0]['value_resource_id']);
+        $this->assertSame('auto', $item['dcterms:creator'][0]['property_id']);
+    }
+}
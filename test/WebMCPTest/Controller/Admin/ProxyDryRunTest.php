@@ -0,0 +1,197 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use Laminas\View\Model\JsonModel;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests that write operations sent with "dry_run": true are previewed with a
+ * diff and template validation, and that nothing is persisted or audited.
+ */
+class ProxyDryRunTest extends TestCase
+{
+    private ApiBackedWebMCPProxyController $controller;
+    private Response $response;
+
+    protected function setUp(): void
+    {
+        $this->controller = new ApiBackedWebMCPProxyController();
+        $this->response   = new Response();
+        $this->controller->setTestResponse($this->response);
+    }
+
+    private function post(array $body): JsonModel
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setContent((string) json_encode($body));
+        $request->getHeaders()->addHeaderLine('Content-Type', 'application/json');
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        $this->controller->setTestRequest($request);
+        return $this->controller->proxyAction();
+    }
+
+    private function title(string $title, string $type = 'literal'): array
+    {
+        return [['type' => $type, '@value' => $title]];
+    }
+
+    /**
+     * Seed a template that requires dcterms:title as a literal.
+     */
+    private function seedTemplate(): int
+    {
+        $api        = $this->controller->fakeApi;
+        $propertyId = $api->seed('properties', ['o:term' => 'dcterms:title']);
+        return $api->seed('resource_templates', [
+            'o:resource_template_property' => [[
+                'o:property'    => ['o:id' => $propertyId],
+                'o:is_required' => true,
+                'o:data_type'   => ['literal'],
+            ]],
+        ]);
+    }
+
+    public function testUpdateDryRunReturnsDiffWithoutPersisting(): void
+    {
+        $id = $this->controller->fakeApi->seed('items', ['dcterms:title' => $this->title('Original')]);
+
+        $result = $this->post([
+            'op' => 'update', 'resource' => 'items', 'id' => $id, 'dry_run' => true,
+            'data' => ['dcterms:title' => $this->title('Changed')],
+        ]);
+
+        $preview = $result->getVariable('data');
+        $this->assertTrue($preview['dry_run']);
+        $this->assertTrue($preview['valid']);
+        $this->assertSame(['Original'], $preview['diff']['dcterms:title']['before']);
+        $this->assertSame(['Changed'], $preview['diff']['dcterms:title']['after']);
+        $this->assertSame('auto', $preview['result']['dcterms:title'][0]['property_id']);
+        $this->assertSame(
+            'Original',
+            $this->controller->fakeApi->resources['items'][$id]['dcterms:title'][0]['@value']
+        );
+    }
+
+    public function testUpdateDryRunAppliesModes(): void
+    {
+        $id = $this->controller->fakeApi->seed('items', ['dcterms:subject' => $this->title('History')]);
+
+        $preview = $this->post([
+            'op' => 'update', 'resource' => 'items', 'id' => $id, 'dry_run' => true,
+            'data'  => ['dcterms:subject' => $this->title('Maps')],
+            'modes' => ['dcterms:subject' => 'append'],
+        ])->getVariable('data');
+
+        $this->assertSame(['History', 'Maps'], $preview['diff']['dcterms:subject']['after']);
+    }
+
+    public function testDryRunIsNotAudited(): void
+    {
+        $result = $this->post(['op' => 'create', 'resource' => 'items', 'data' => [], 'dry_run' => true]);
+
+        $this->assertSame([], $this->controller->fakeAuditLog->rows);
+        $this->assertNull($result->getVariable('change_id'));
+        $this->assertArrayNotHasKey('items', $this->controller->fakeApi->resources);
+    }
+
+    public function testCreateDryRunReportsMissingRequiredProperty(): void
+    {
+        $templateId = $this->seedTemplate();
+
+        $preview = $this->post([
+            'op' => 'create', 'resource' => 'items', 'dry_run' => true,
+            'data' => ['o:resource_template' => ['o:id' => $templateId]],
+        ])->getVariable('data');
+
+        $this->assertFalse($preview['valid']);
+        $this->assertSame('dcterms:title', $preview['errors'][0]['field']);
+    }
+
+    public function testCreateDryRunReportsDisallowedDataType(): void
+    {
+        $templateId = $this->seedTemplate();
+
+        $preview = $this->post([
+            'op' => 'create', 'resource' => 'items', 'dry_run' => true,
+            'data' => [
+                'o:resource_template' => ['o:id' => $templateId],
+                'dcterms:title'       => [['type' => 'uri', '@id' => 'http://example.com/title']],
+            ],
+        ])->getVariable('data');
+
+        $this->assertFalse($preview['valid']);
+        $this->assertStringContainsString('"uri"', $preview['errors'][0]['message']);
+    }
+
+    public function testCreateDryRunWithValidTemplateData(): void
+    {
+        $templateId = $this->seedTemplate();
+
+        $preview = $this->post([
+            'op' => 'create', 'resource' => 'items', 'dry_run' => true,
+            'data' => [
+                'o:resource_template' => ['o:id' => $templateId],
+                'dcterms:title'       => $this->title('Valid'),
+            ],
+        ])->getVariable('data');
+
+        $this->assertTrue($preview['valid']);
+        $this->assertSame([], $preview['errors']);
+    }
+
+    public function testDryRunReportsUnavailableDataType(): void
+    {
+        $preview = $this->post([
+            'op' => 'create', 'resource' => 'items', 'dry_run' => true,
+            'data' => ['dcterms:date' => $this->title('1999', 'numeric:timestamp')],
+        ])->getVariable('data');
+
+        $this->assertFalse($preview['valid']);
+        $this->assertSame('dcterms:date', $preview['errors'][0]['field']);
+    }
+
+    public function testDeleteDryRunKeepsResource(): void
+    {
+        $id = $this->controller->fakeApi->seed('items', ['dcterms:title' => $this->title('Kept')]);
+
+        $preview = $this->post(['op' => 'delete', 'resource' => 'items', 'id' => $id, 'dry_run' => true])
+            ->getVariable('data');
+
+        $this->assertSame($id, $preview['current']['o:id']);
+        $this->assertArrayHasKey($id, $this->controller->fakeApi->resources['items']);
+    }
+
+    public function testBatchDeleteDryRunReportsMissingIds(): void
+    {
+        $id = $this->controller->fakeApi->seed('items', []);
+
+        $preview = $this->post(['op' => 'batch_delete', 'resource' => 'items', 'ids' => [$id, 999], 'dry_run' => true])
+            ->getVariable('data');
+
+        $this->assertSame([$id], $preview['ids']);
+        $this->assertSame(999, $preview['errors'][0]['id']);
+        $this->assertArrayHasKey($id, $this->controller->fakeApi->resources['items']);
+    }
+
+    public function testBatchCreateDryRunPreviewsEachItem(): void
+    {
+        $templateId = $this->seedTemplate();
+        $template   = ['o:resource_template' => ['o:id' => $templateId]];
+
+        $preview = $this->post([
+            'op' => 'batch_create', 'resource' => 'items', 'dry_run' => true,
+            'data' => [$template + ['dcterms:title' => $this->title('One')], $template],
+        ])->getVariable('data');
+
+        $this->assertFalse($preview['valid']);
+        $this->assertSame(1, $preview['created']);
+        $this->assertSame(1, $preview['failed']);
+        $this->assertCount(2, $preview['items']);
+    }
+}
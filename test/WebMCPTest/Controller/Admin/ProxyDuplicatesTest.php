@@ -0,0 +1,178 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use Laminas\View\Model\JsonModel;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests the find_duplicates operation and the on_duplicate actions of
+ * create and batch_create, with their audit entries and undo.
+ */
+class ProxyDuplicatesTest extends TestCase
+{
+    private ApiBackedWebMCPProxyController $controller;
+    private Response $response;
+    private int $vase;
+
+    protected function setUp(): void
+    {
+        $this->controller = new ApiBackedWebMCPProxyController();
+        $this->response   = new Response();
+        $this->controller->setTestResponse($this->response);
+        $this->vase = $this->controller->fakeApi->seed('items', [
+            'o:title'         => 'Blue vase',
+            'o:item_set'      => [['o:id' => 3]],
+            'dcterms:title'   => $this->values('Blue vase'),
+            'dcterms:subject' => $this->values('Ceramics'),
+        ]);
+    }
+
+    private function post(array $body): JsonModel
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setContent((string) json_encode($body));
+        $request->getHeaders()->addHeaderLine('Content-Type', 'application/json');
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        $this->controller->setTestRequest($request);
+        return $this->controller->proxyAction();
+    }
+
+    private function values(string ...$values): array
+    {
+        return array_map(fn ($value) => ['type' => 'literal', 'property_id' => 1, '@value' => $value], $values);
+    }
+
+    private function create(string $title, string $onDuplicate): JsonModel
+    {
+        return $this->post([
+            'op' => 'create', 'resource' => 'items', 'on_duplicate' => $onDuplicate,
+            'data' => [
+                'dcterms:title'   => $this->values($title),
+                'dcterms:subject' => $this->values('Pottery'),
+                'o:item_set'      => [['o:id' => 4]],
+            ],
+        ]);
+    }
+
+    public function testFindDuplicatesChecksItemsAndExistingIds(): void
+    {
+        $copy = $this->controller->fakeApi->seed('items', ['dcterms:title' => $this->values('The blue vase')]);
+
+        $data = $this->post([
+            'op' => 'find_duplicates', 'resource' => 'items', 'ids' => [$copy],
+            'data' => ['items' => [['dcterms:title' => $this->values('Blue Vase')]], 'threshold' => 0.9],
+        ])->getVariable('data');
+
+        $this->assertSame('auto', $data['by']);
+        $this->assertSame(0.9, $data['threshold']);
+        $this->assertSame(0, $data['results'][0]['index']);
+        $this->assertSame('Blue Vase', $data['results'][0]['title']);
+        $this->assertSame([$this->vase, $copy], array_column($data['results'][0]['duplicates'], 'id'));
+        $this->assertSame($copy, $data['results'][1]['id']);
+        $this->assertSame([$this->vase], array_column($data['results'][1]['duplicates'], 'id'));
+    }
+
+    public function testCreateIsUnchangedByDefault(): void
+    {
+        $data = $this->create('Blue vase', 'create')->getVariable('data');
+
+        $this->assertArrayNotHasKey('duplicate', $data);
+        $this->assertCount(2, $this->controller->fakeApi->resources['items']);
+    }
+
+    public function testSkipLeavesTheExistingItemAlone(): void
+    {
+        $result = $this->create('Blue vase', 'skip');
+
+        $data = $result->getVariable('data');
+        $this->assertTrue($data['duplicate']);
+        $this->assertSame('skipped', $data['action']);
+        $this->assertSame($this->vase, $data['id']);
+        $this->assertCount(1, $this->controller->fakeApi->resources['items']);
+        $entry = $this->controller->fakeAuditLog->find($result->getVariable('change_id'));
+        $this->assertSame([], $entry['resource_ids']);
+        $this->assertSame(sprintf('Duplicate of #%d: skipped.', $this->vase), $entry['message']);
+    }
+
+    public function testFlagRefusesTheCreate(): void
+    {
+        $result = $this->create('Blue vase', 'flag');
+
+        $this->assertSame(409, $this->response->getStatusCode());
+        $this->assertSame('duplicate', $result->getVariable('code'));
+        $this->assertSame($this->vase, $result->getVariable('duplicates')[0]['id']);
+        $this->assertCount(1, $this->controller->fakeApi->resources['items']);
+    }
+
+    public function testMergeAppendsValuesAndUndoRestoresTheItem(): void
+    {
+        $result = $this->create('Blue vase', 'merge');
+
+        $data = $result->getVariable('data');
+        $this->assertSame('merged', $data['action']);
+        $this->assertSame(['Ceramics', 'Pottery'], $data['diff']['dcterms:subject']['after']);
+        $merged = $this->controller->fakeApi->resources['items'][$this->vase];
+        $this->assertSame([3, 4], array_column($merged['o:item_set'], 'o:id'));
+        $this->assertCount(1, $merged['dcterms:title']);
+
+        $undo = $this->post(['op' => 'undo', 'id' => $result->getVariable('change_id')])->getVariable('data');
+        $this->assertSame([$this->vase], $undo['restored_ids']);
+        $this->assertSame([], $undo['deleted_ids']);
+        $restored = $this->controller->fakeApi->resources['items'][$this->vase];
+        $this->assertSame(['Ceramics'], array_column($restored['dcterms:subject'], '@value'));
+    }
+
+    public function testUnknownActionIsRejected(): void
+    {
+        $this->create('Blue vase', 'replace');
+
+        $this->assertSame(400, $this->response->getStatusCode());
+    }
+
+    public function testBatchCreateReportsEachDuplicate(): void
+    {
+        $data = $this->post([
+            'op' => 'batch_create', 'resource' => 'items', 'on_duplicate' => 'skip',
+            'data' => [
+                ['dcterms:title' => $this->values('Red bowl')],
+                ['dcterms:title' => $this->values('Blue vase.')],
+            ],
+        ])->getVariable('data');
+
+        $this->assertSame(1, $data['created']);
+        $this->assertSame(1, $data['skipped']);
+        $this->assertSame(0, $data['merged']);
+        $this->assertSame(1, $data['duplicates'][0]['index']);
+        $this->assertSame($this->vase, $data['duplicates'][0]['id']);
+    }
+
+    public function testBatchCreateFlagsDuplicatesAsErrors(): void
+    {
+        $data = $this->post([
+            'op' => 'batch_create', 'resource' => 'items', 'on_duplicate' => 'flag',
+            'data' => [['dcterms:title' => $this->values('Blue vase')]],
+        ])->getVariable('data');
+
+        $this->assertFalse($data['success']);
+        $this->assertSame('duplicate', $data['errors'][0]['code']);
+        $this->assertSame($this->vase, $data['errors'][0]['duplicates'][0]['id']);
+    }
+
+    public function testDryRunPreviewsTheDuplicates(): void
+    {
+        $data = $this->post([
+            'op' => 'create', 'resource' => 'items', 'dry_run' => true, 'on_duplicate' => 'merge',
+            'data' => ['dcterms:title' => $this->values('Blue vase')],
+        ])->getVariable('data');
+
+        $this->assertSame('merge', $data['on_duplicate']);
+        $this->assertSame($this->vase, $data['duplicates'][0]['id']);
+        $this->assertCount(1, $this->controller->fakeApi->resources['items']);
+    }
+}
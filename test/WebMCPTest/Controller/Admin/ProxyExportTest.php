@@ -0,0 +1,94 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use Laminas\View\Model\JsonModel;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests the export operation.
+ */
+class ProxyExportTest extends TestCase
+{
+    private ApiBackedWebMCPProxyController $controller;
+    private Response $response;
+
+    protected function setUp(): void
+    {
+        $this->controller = new ApiBackedWebMCPProxyController();
+        $this->response   = new Response();
+        $this->controller->setTestResponse($this->response);
+        $this->controller->fakeApi->seed('items', ['dcterms:title' => [['type' => 'literal', '@value' => 'Vase']]]);
+        $this->controller->fakeApi->seed('items', ['dcterms:title' => [['type' => 'literal', '@value' => 'Bowl']]]);
+    }
+
+    private function post(array $body): JsonModel
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setContent((string) json_encode($body));
+        $request->getHeaders()->addHeaderLine('Content-Type', 'application/json');
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        $this->controller->setTestRequest($request);
+        return $this->controller->proxyAction();
+    }
+
+    public function testExportDefaultsToCsv(): void
+    {
+        $data = $this->post(['op' => 'export', 'resource' => 'items'])->getVariable('data');
+
+        $this->assertSame('csv', $data['format']);
+        $this->assertSame('text/csv', $data['mime_type']);
+        $this->assertStringEndsWith('.csv', $data['filename']);
+        $this->assertSame(2, $data['exported']);
+        $this->assertFalse($data['truncated']);
+        $this->assertStringContainsString(',Bowl', $data['content']);
+    }
+
+    public function testExportAsJsonLd(): void
+    {
+        $data = $this->post(['op' => 'export', 'resource' => 'items', 'data' => ['format' => 'jsonld']])
+            ->getVariable('data');
+
+        $this->assertSame('application/ld+json', $data['mime_type']);
+        $this->assertCount(2, json_decode($data['content'], true));
+    }
+
+    public function testQueryStringIsAccepted(): void
+    {
+        $result = $this->post([
+            'op' => 'export', 'resource' => 'items',
+            'query' => '?item_set_id=3&property[0][property]=dcterms:title',
+            'data' => ['format' => 'oai_dc'],
+        ]);
+
+        $this->assertTrue($result->getVariable('success'));
+        $this->assertStringContainsString('<dc:title>Vase</dc:title>', $result->getVariable('data')['content']);
+    }
+
+    public function testUnknownFormatReturns400(): void
+    {
+        $result = $this->post(['op' => 'export', 'resource' => 'items', 'data' => ['format' => 'marc']]);
+
+        $this->assertSame(400, $this->response->getStatusCode());
+        $this->assertStringContainsString('oai_dc', $result->getVariable('message'));
+    }
+
+    public function testOnlyCatalogResourcesCanBeExported(): void
+    {
+        $this->post(['op' => 'export', 'resource' => 'users']);
+
+        $this->assertSame(400, $this->response->getStatusCode());
+    }
+
+    public function testExportIsNotAudited(): void
+    {
+        $this->post(['op' => 'export', 'resource' => 'items']);
+
+        $this->assertSame([], $this->controller->fakeAuditLog->rows);
+    }
+}
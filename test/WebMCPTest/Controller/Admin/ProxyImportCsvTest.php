@@ -0,0 +1,133 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use Laminas\View\Model\JsonModel;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests the import_csv operation end to end: per-row reports, dry runs,
+ * audit log entries and undo.
+ */
+class ProxyImportCsvTest extends TestCase
+{
+    private const CSV = "dcterms:title,dcterms:creator,media_url\n"
+        . "Eiffel Tower,Gustave Eiffel,https://example.com/eiffel.jpg\n"
+        . "Mona Lisa,Leonardo da Vinci|Unknown,\n";
+
+    private ApiBackedWebMCPProxyController $controller;
+    private Response $response;
+
+    protected function setUp(): void
+    {
+        $this->controller = new ApiBackedWebMCPProxyController();
+        $this->response   = new Response();
+        $this->controller->setTestResponse($this->response);
+        $this->controller->fakeApi->seed('properties', ['o:term' => 'dcterms:title', 'o:label' => 'Title']);
+        $this->controller->fakeApi->seed('properties', ['o:term' => 'dcterms:creator', 'o:label' => 'Creator']);
+    }
+
+    private function post(array $body): JsonModel
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setContent((string) json_encode($body));
+        $request->getHeaders()->addHeaderLine('Content-Type', 'application/json');
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        $this->controller->setTestRequest($request);
+        return $this->controller->proxyAction();
+    }
+
+    public function testImportCreatesOneItemPerRow(): void
+    {
+        $result = $this->post(['op' => 'import_csv', 'resource' => 'items', 'data' => ['csv' => self::CSV]]);
+
+        $report = $result->getVariable('data');
+        $this->assertSame(2, $report['created']);
+        $this->assertSame([1, 2], array_column($report['rows'], 'row'));
+        $this->assertSame('media_url', $report['mapping']['media_url']);
+
+        $items = $this->controller->fakeApi->resources['items'];
+        $first = $items[$report['rows'][0]['id']];
+        $this->assertSame('https://example.com/eiffel.jpg', $first['o:media'][0]['ingest_url']);
+        $this->assertSame('auto', $first['dcterms:title'][0]['property_id']);
+        $this->assertCount(2, $items[$report['rows'][1]['id']]['dcterms:creator']);
+    }
+
+    public function testUnmappedHeadersAreReported(): void
+    {
+        $result = $this->post([
+            'op' => 'import_csv', 'resource' => 'items',
+            'data' => ['csv' => "Title,Shelf\nVase,B4\n"],
+        ]);
+
+        $report = $result->getVariable('data');
+        $this->assertSame(['Shelf'], $report['unmapped']);
+        $this->assertSame(['Title' => 'dcterms:title', 'Shelf' => null], $report['mapping']);
+    }
+
+    public function testFailedRowsDoNotStopTheImport(): void
+    {
+        $result = $this->post([
+            'op' => 'import_csv', 'resource' => 'items',
+            'data' => ['csv' => "Title,item_set\nVase,Photos\nBowl,\n"],
+        ]);
+
+        $report = $result->getVariable('data');
+        $this->assertSame(1, $report['created']);
+        $this->assertSame('failed', $report['rows'][0]['status']);
+        $this->assertSame('created', $report['rows'][1]['status']);
+        $entry = $this->controller->fakeAuditLog->find($result->getVariable('change_id'));
+        $this->assertSame('partial', $entry['outcome']);
+    }
+
+    public function testDryRunChecksRowsWithoutCreating(): void
+    {
+        $result = $this->post([
+            'op' => 'import_csv', 'resource' => 'items', 'dry_run' => true,
+            'data' => ['csv' => self::CSV],
+        ]);
+
+        $report = $result->getVariable('data');
+        $this->assertTrue($report['dry_run']);
+        $this->assertTrue($report['valid']);
+        $this->assertSame('valid', $report['rows'][0]['status']);
+        $this->assertSame('Eiffel Tower', $report['rows'][0]['data']['dcterms:title'][0]['@value']);
+        $this->assertArrayNotHasKey('items', $this->controller->fakeApi->resources);
+        $this->assertSame([], $this->controller->fakeAuditLog->rows);
+    }
+
+    public function testImportIsAuditedAndCanBeUndone(): void
+    {
+        $result   = $this->post(['op' => 'import_csv', 'resource' => 'items', 'data' => ['csv' => self::CSV]]);
+        $changeId = $result->getVariable('change_id');
+
+        $entry = $this->controller->fakeAuditLog->find($changeId);
+        $this->assertSame('import_csv', $entry['operation']);
+        $this->assertCount(2, $entry['resource_ids']);
+
+        $undo = $this->post(['op' => 'undo', 'id' => $changeId])->getVariable('data');
+
+        $this->assertCount(2, $undo['deleted_ids']);
+        $this->assertSame([], $this->controller->fakeApi->resources['items']);
+    }
+
+    public function testOnlyItemsCanBeImported(): void
+    {
+        $this->post(['op' => 'import_csv', 'resource' => 'item_sets', 'data' => ['csv' => self::CSV]]);
+
+        $this->assertSame(400, $this->response->getStatusCode());
+    }
+
+    public function testMissingSourceIsRejected(): void
+    {
+        $result = $this->post(['op' => 'import_csv', 'resource' => 'items', 'data' => []]);
+
+        $this->assertSame(400, $this->response->getStatusCode());
+        $this->assertStringContainsString('csv', $result->getVariable('message'));
+    }
+}
@@ -0,0 +1,115 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use Laminas\View\Model\JsonModel;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests item updates that reorder media (o:media) or set the primary media
+ * (o:primary_media): unlisted media are kept, and media of other items are
+ * rejected.
+ */
+class ProxyMediaOrderTest extends TestCase
+{
+    private ApiBackedWebMCPProxyController $controller;
+    private FakeApiManager $api;
+    private Response $response;
+    private int $item;
+    private array $media = [];
+
+    protected function setUp(): void
+    {
+        $this->controller = new ApiBackedWebMCPProxyController();
+        $this->api        = $this->controller->fakeApi;
+        $this->response   = new Response();
+        $this->controller->setTestResponse($this->response);
+
+        $this->item = $this->api->seed('items', ['o:title' => 'Blue vase']);
+        foreach (['front.jpg', 'back.jpg', 'base.jpg'] as $source) {
+            $this->media[] = $this->api->seed('media', ['o:source' => $source, 'o:item' => ['o:id' => $this->item]]);
+        }
+        $this->api->resources['items'][$this->item]['o:media'] = array_map(
+            fn ($id) => ['@id' => 'http://example.com/api/media/' . $id, 'o:id' => $id],
+            $this->media
+        );
+        $this->api->resources['items'][$this->item]['o:primary_media'] = null;
+    }
+
+    private function update(array $data, bool $dryRun = false): JsonModel
+    {
+        $body = ['op' => 'update', 'resource' => 'items', 'id' => $this->item, 'data' => $data];
+        if ($dryRun) {
+            $body['dry_run'] = true;
+        }
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setContent((string) json_encode($body));
+        $request->getHeaders()->addHeaderLine('Content-Type', 'application/json');
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        $this->controller->setTestRequest($request);
+        return $this->controller->proxyAction();
+    }
+
+    private function storedOrder(): array
+    {
+        return array_column($this->api->resources['items'][$this->item]['o:media'], 'o:id');
+    }
+
+    public function testReorderKeepsUnlistedMediaAfterTheListedOnes(): void
+    {
+        [$front, $back, $base] = $this->media;
+
+        $result = $this->update(['o:media' => [$base, ['o:id' => $front]]]);
+
+        $this->assertTrue($result->getVariable('success'));
+        $this->assertSame([$base, $front, $back], $this->storedOrder());
+        $this->assertSame('Blue vase', $this->api->resources['items'][$this->item]['o:title']);
+    }
+
+    public function testReorderRejectsMediaOfAnotherItem(): void
+    {
+        $other = $this->api->seed('media', ['o:source' => 'other.jpg']);
+
+        $result = $this->update(['o:media' => [$other]]);
+
+        $this->assertSame(422, $this->response->getStatusCode());
+        $this->assertSame('invalid_fields', $result->getVariable('code'));
+        $this->assertSame('unknown_media', $result->getVariable('fields')[0]['code']);
+        $this->assertSame($this->media, $this->storedOrder());
+    }
+
+    public function testSetAndUnsetPrimaryMedia(): void
+    {
+        $this->update(['o:primary_media' => $this->media[1]]);
+        $this->assertSame(['o:id' => $this->media[1]], $this->api->resources['items'][$this->item]['o:primary_media']);
+        $this->assertSame($this->media, $this->storedOrder());
+
+        $this->update(['o:primary_media' => null]);
+        $this->assertNull($this->api->resources['items'][$this->item]['o:primary_media']);
+    }
+
+    public function testPrimaryMediaMustBelongToTheItem(): void
+    {
+        $result = $this->update(['o:primary_media' => ['o:id' => 999]]);
+
+        $this->assertSame(422, $this->response->getStatusCode());
+        $this->assertSame('o:primary_media', $result->getVariable('fields')[0]['field']);
+    }
+
+    public function testDryRunPreviewsTheNewOrder(): void
+    {
+        [$front, $back, $base] = $this->media;
+
+        $result = $this->update(['o:media' => [$back]], true);
+
+        $preview = $result->getVariable('data');
+        $this->assertTrue($preview['valid']);
+        $this->assertSame([$back, $front, $base], array_column($preview['result']['o:media'], 'o:id'));
+        $this->assertSame($this->media, $this->storedOrder());
+    }
+}
@@ -0,0 +1,79 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use Laminas\View\Model\JsonModel;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests the check_media_source operation, which reports on a media source
+ * without creating anything.
+ */
+class ProxyMediaSourceTest extends TestCase
+{
+    private ApiBackedWebMCPProxyController $controller;
+    private Response $response;
+
+    protected function setUp(): void
+    {
+        $this->controller = new ApiBackedWebMCPProxyController();
+        $this->response   = new Response();
+        $this->controller->setTestResponse($this->response);
+    }
+
+    private function check(array $source): JsonModel
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setContent((string) json_encode([
+            'op'       => 'check_media_source',
+            'resource' => 'media',
+            'data'     => $source,
+        ]));
+        $request->getHeaders()->addHeaderLine('Content-Type', 'application/json');
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        $this->controller->setTestRequest($request);
+        return $this->controller->proxyAction();
+    }
+
+    public function testReportsTheSourceWithoutCreatingMedia(): void
+    {
+        $this->controller->httpClient->responses['https://example.com/scan.png'] = [
+            200, '', ['Content-Type' => 'image/png', 'Content-Length' => '4096'],
+        ];
+
+        $result = $this->check(['ingester' => 'url', 'url' => 'https://example.com/scan.png']);
+
+        $this->assertTrue($result->getVariable('success'));
+        $report = $result->getVariable('data');
+        $this->assertTrue($report['valid']);
+        $this->assertSame('image/png', $report['media_type']);
+        $this->assertSame(4096, $report['size']);
+        $this->assertSame(['HEAD'], $this->controller->httpClient->methods);
+        $this->assertSame([], $this->controller->fakeApi->resources['media'] ?? []);
+        $this->assertSame([], $this->controller->fakeAuditLog->rows);
+    }
+
+    public function testInvalidSourcesAreReportedNotThrown(): void
+    {
+        $result = $this->check(['ingester' => 'iiif', 'url' => 'https://example.com/missing/info.json']);
+
+        $this->assertTrue($result->getVariable('success'));
+        $report = $result->getVariable('data');
+        $this->assertFalse($report['valid']);
+        $this->assertSame('unreachable', $report['errors'][0]['code']);
+        $this->assertSame('https://example.com/missing/info.json answered HTTP 404.', $report['errors'][0]['message']);
+    }
+
+    public function testUnknownIngesterIsABadRequest(): void
+    {
+        $result = $this->check(['ingester' => 'html', 'url' => 'https://example.com/']);
+
+        $this->assertTrue($result->getVariable('error'));
+        $this->assertSame(400, $this->response->getStatusCode());
+    }
+}
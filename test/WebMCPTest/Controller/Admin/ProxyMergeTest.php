@@ -0,0 +1,154 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use Laminas\View\Model\JsonModel;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests the merge operation: values, item sets, media and links of the
+ * merged items end up on the primary item, with a dry run and an audit entry.
+ */
+class ProxyMergeTest extends TestCase
+{
+    private ApiBackedWebMCPProxyController $controller;
+    private FakeApiManager $api;
+    private Response $response;
+    private int $primary;
+    private int $secondary;
+    private int $media;
+    private int $linking;
+
+    protected function setUp(): void
+    {
+        $this->controller = new ApiBackedWebMCPProxyController();
+        $this->api        = $this->controller->fakeApi;
+        $this->response   = new Response();
+        $this->controller->setTestResponse($this->response);
+
+        $this->primary = $this->api->seed('items', [
+            'o:title'         => 'Blue vase',
+            'o:item_set'      => [['o:id' => 3]],
+            'o:media'         => [],
+            'dcterms:title'   => [$this->literal('Blue vase')],
+            'dcterms:subject' => [$this->literal('Ceramics')],
+        ]);
+        $this->secondary = $this->api->seed('items', [
+            'o:title'          => 'Blue vase.',
+            'o:item_set'       => [['o:id' => 3], ['o:id' => 4]],
+            'dcterms:title'    => [$this->literal('Blue vase.')],
+            'dcterms:subject'  => [$this->literal('Ceramics'), $this->literal('Pottery')],
+            'dcterms:relation' => [$this->link($this->primary)],
+        ]);
+        $this->media = $this->api->seed('media', ['o:item' => ['o:id' => $this->secondary]]);
+        $this->api->resources['items'][$this->secondary]['o:media'] = [['o:id' => $this->media]];
+        $this->linking = $this->api->seed('items', [
+            'o:title'          => 'Vase stand',
+            'dcterms:relation' => [$this->link($this->primary), $this->link($this->secondary)],
+        ]);
+    }
+
+    private function post(array $body): JsonModel
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setContent((string) json_encode($body));
+        $request->getHeaders()->addHeaderLine('Content-Type', 'application/json');
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        $this->controller->setTestRequest($request);
+        return $this->controller->proxyAction();
+    }
+
+    private function literal(string $value): array
+    {
+        return ['type' => 'literal', 'property_id' => 1, '@value' => $value];
+    }
+
+    private function link(int $id): array
+    {
+        return [
+            'type'              => 'resource:item',
+            'property_id'       => 13,
+            'value_resource_id' => $id,
+            '@id'               => 'http://example.com/api/items/' . $id,
+            'display_title'     => 'Item ' . $id,
+        ];
+    }
+
+    private function merge(bool $dryRun = false): JsonModel
+    {
+        return $this->post([
+            'op' => 'merge', 'resource' => 'items', 'id' => $this->primary, 'ids' => [$this->secondary],
+            'dry_run' => $dryRun,
+        ]);
+    }
+
+    public function testValuesAndItemSetsAreUnited(): void
+    {
+        $data = $this->merge()->getVariable('data');
+
+        $item = $this->api->resources['items'][$this->primary];
+        $this->assertSame(['Blue vase', 'Blue vase.'], array_column($item['dcterms:title'], '@value'));
+        $this->assertSame(['Ceramics', 'Pottery'], array_column($item['dcterms:subject'], '@value'));
+        $this->assertSame([3, 4], $data['item_set_ids']);
+        $this->assertSame([3, 4], array_column($item['o:item_set'], 'o:id'));
+        $this->assertSame([], $item['dcterms:relation'], 'A link between the merged items is dropped.');
+    }
+
+    public function testMediaMovesAndTheSecondaryIsDeleted(): void
+    {
+        $data = $this->merge()->getVariable('data');
+
+        $this->assertSame([$this->media], $data['media_ids']);
+        $this->assertSame([['o:id' => $this->media]], $this->api->resources['items'][$this->primary]['o:media']);
+        $this->assertSame(['o:id' => $this->primary], $this->api->resources['media'][$this->media]['o:item']);
+        $this->assertArrayNotHasKey($this->secondary, $this->api->resources['items']);
+    }
+
+    public function testLinksToTheSecondaryArePointedAtThePrimary(): void
+    {
+        $data = $this->merge()->getVariable('data');
+
+        $this->assertSame([$this->linking], $data['referencing_ids']);
+        $relation = $this->api->resources['items'][$this->linking]['dcterms:relation'];
+        $this->assertCount(1, $relation, 'The re-pointed link repeated the existing one.');
+        $this->assertSame($this->primary, $relation[0]['value_resource_id']);
+    }
+
+    public function testDryRunChangesNothing(): void
+    {
+        $before = $this->api->resources;
+
+        $data = $this->merge(true)->getVariable('data');
+
+        $this->assertTrue($data['dry_run']);
+        $this->assertSame(['Ceramics', 'Pottery'], $data['diff']['dcterms:subject']['after']);
+        $this->assertSame([$this->linking], array_column($data['references'], 'id'));
+        $this->assertSame($before, $this->api->resources);
+    }
+
+    public function testMergeIsAuditedButCannotBeUndone(): void
+    {
+        $changeId = $this->merge()->getVariable('change_id');
+
+        $entry = $this->controller->fakeAuditLog->find($changeId);
+        $this->assertSame('merge', $entry['operation']);
+        $this->assertSame([$this->primary, $this->secondary, $this->linking], $entry['resource_ids']);
+        $this->assertSame(sprintf('Merged #%d into #%d.', $this->secondary, $this->primary), $entry['message']);
+        $this->assertArrayHasKey($this->secondary, $entry['snapshot']);
+
+        $this->post(['op' => 'undo', 'id' => $changeId]);
+        $this->assertSame(400, $this->response->getStatusCode());
+    }
+
+    public function testItemCannotBeMergedIntoItself(): void
+    {
+        $this->post(['op' => 'merge', 'resource' => 'items', 'id' => $this->primary, 'ids' => [$this->primary]]);
+
+        $this->assertSame(400, $this->response->getStatusCode());
+    }
+}
@@ -0,0 +1,171 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use Laminas\View\Model\JsonModel;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests the templates operation, that creates and updates are checked against
+ * their resource template before reaching the API, and that fields can be
+ * sent by template label.
+ */
+class ProxyTemplateValidationTest extends TestCase
+{
+    private ApiBackedWebMCPProxyController $controller;
+    private Response $response;
+    private int $templateId;
+
+    protected function setUp(): void
+    {
+        $this->controller = new ApiBackedWebMCPProxyController();
+        $this->response   = new Response();
+        $this->controller->setTestResponse($this->response);
+
+        $api        = $this->controller->fakeApi;
+        $title      = $api->seed('properties', ['o:term' => 'dcterms:title', 'o:label' => 'Title']);
+        $identifier = $api->seed('properties', ['o:term' => 'dcterms:identifier', 'o:label' => 'Identifier']);
+        $this->templateId = $api->seed('resource_templates', [
+            'o:resource_template_property' => [
+                ['o:property' => ['o:id' => $title], 'o:is_required' => true, 'o:data_type' => []],
+                [
+                    'o:property'        => ['o:id' => $identifier],
+                    'o:alternate_label' => 'Accession number',
+                    'o:is_required'     => true,
+                    'o:data_type'       => ['literal'],
+                ],
+            ],
+        ]);
+    }
+
+    private function post(array $body): JsonModel
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setContent((string) json_encode($body));
+        $request->getHeaders()->addHeaderLine('Content-Type', 'application/json');
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        $this->controller->setTestRequest($request);
+        return $this->controller->proxyAction();
+    }
+
+    private function literal(string $value): array
+    {
+        return [['type' => 'literal', '@value' => $value]];
+    }
+
+    public function testTemplatesOperationListsTemplateFields(): void
+    {
+        $data = $this->post(['op' => 'templates'])->getVariable('data');
+
+        $this->assertSame($this->templateId, $data['templates'][0]['id']);
+        $this->assertSame(
+            ['dcterms:title', 'dcterms:identifier'],
+            array_column($data['templates'][0]['fields'], 'term')
+        );
+        $this->assertSame(40, strlen($data['signature']));
+    }
+
+    public function testTemplatesSignatureChangesWhenATemplateChanges(): void
+    {
+        $api    = $this->controller->fakeApi;
+        $before = $this->post(['op' => 'templates'])->getVariable('data')['signature'];
+        $this->assertSame($before, $this->post(['op' => 'templates'])->getVariable('data')['signature']);
+
+        $template = &$api->resources['resource_templates'][$this->templateId];
+        $template['o:resource_template_property'][1]['o:is_required'] = false;
+        unset($template);
+        // Template fields are cached for the length of a request.
+        $this->controller          = new ApiBackedWebMCPProxyController();
+        $this->controller->fakeApi = $api;
+        $this->controller->setTestResponse($this->response);
+
+        $this->assertNotSame($before, $this->post(['op' => 'templates'])->getVariable('data')['signature']);
+    }
+
+    public function testCreateMissingRequiredFieldsReturnsFieldList(): void
+    {
+        $result = $this->post([
+            'op' => 'create', 'resource' => 'items',
+            'data' => [
+                'o:resource_template' => ['o:id' => $this->templateId],
+                'dcterms:title'       => $this->literal('Vase'),
+            ],
+        ]);
+
+        $this->assertSame(422, $this->response->getStatusCode());
+        $this->assertSame('invalid_fields', $result->getVariable('code'));
+        $fields = $result->getVariable('fields');
+        $this->assertCount(1, $fields);
+        $this->assertSame('dcterms:identifier', $fields[0]['field']);
+        $this->assertSame('Accession number', $fields[0]['label']);
+        $this->assertArrayNotHasKey('items', $this->controller->fakeApi->resources);
+    }
+
+    public function testCreateMapsAlternateLabelsToTerms(): void
+    {
+        $result = $this->post([
+            'op' => 'create', 'resource' => 'items',
+            'data' => [
+                'o:resource_template' => ['o:id' => $this->templateId],
+                'Title'               => $this->literal('Vase'),
+                'Accession number'    => $this->literal('1987.4'),
+            ],
+        ]);
+
+        $item = $result->getVariable('data');
+        $this->assertSame('1987.4', $item['dcterms:identifier'][0]['@value']);
+        $this->assertSame('auto', $item['dcterms:identifier'][0]['property_id']);
+        $this->assertArrayNotHasKey('Accession number', $item);
+    }
+
+    public function testUpdateUsesTemplateOfCurrentRepresentation(): void
+    {
+        $id = $this->controller->fakeApi->seed('items', [
+            'o:resource_template' => ['o:id' => $this->templateId],
+            'dcterms:title'       => $this->literal('Vase'),
+            'dcterms:identifier'  => $this->literal('1987.4'),
+        ]);
+
+        $this->post([
+            'op' => 'update', 'resource' => 'items', 'id' => $id,
+            'data'  => [],
+            'modes' => ['dcterms:identifier' => 'clear'],
+        ]);
+
+        $this->assertSame(422, $this->response->getStatusCode());
+        $this->assertSame(
+            '1987.4',
+            $this->controller->fakeApi->resources['items'][$id]['dcterms:identifier'][0]['@value']
+        );
+    }
+
+    public function testBatchCreateReportsFieldsPerItem(): void
+    {
+        $template = ['o:resource_template' => ['o:id' => $this->templateId]];
+
+        $result = $this->post([
+            'op' => 'batch_create', 'resource' => 'items',
+            'data' => [
+                $template + ['Title' => $this->literal('Vase'), 'Accession number' => $this->literal('1')],
+                $template + ['Title' => $this->literal('Bowl')],
+            ],
+        ]);
+
+        $report = $result->getVariable('data');
+        $this->assertSame(1, $report['created']);
+        $this->assertSame('dcterms:identifier', $report['errors'][0]['fields'][0]['field']);
+        $this->assertSame(1, $report['errors'][0]['index']);
+    }
+
+    public function testResourcesWithoutTemplatesAreNotChecked(): void
+    {
+        $result = $this->post(['op' => 'create', 'resource' => 'sites', 'data' => ['o:title' => 'Site']]);
+
+        $this->assertTrue($result->getVariable('success'));
+    }
+}
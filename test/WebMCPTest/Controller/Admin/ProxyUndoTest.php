@@ -0,0 +1,150 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use Laminas\View\Model\JsonModel;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests that changes made through the proxy can be reverted with the undo
+ * and undo_last operations, using the snapshots kept in the audit log.
+ */
+class ProxyUndoTest extends TestCase
+{
+    private ApiBackedWebMCPProxyController $controller;
+    private Response $response;
+
+    protected function setUp(): void
+    {
+        $this->controller = new ApiBackedWebMCPProxyController();
+        $this->response   = new Response();
+        $this->controller->setTestResponse($this->response);
+    }
+
+    private function post(array $body): JsonModel
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setContent((string) json_encode($body));
+        $request->getHeaders()->addHeaderLine('Content-Type', 'application/json');
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        $this->controller->setTestRequest($request);
+        return $this->controller->proxyAction();
+    }
+
+    private function title(string $title): array
+    {
+        return [['type' => 'literal', 'property_id' => 1, '@value' => $title]];
+    }
+
+    public function testUndoUpdateRestoresPreviousValues(): void
+    {
+        $id = $this->controller->fakeApi->seed('items', ['dcterms:title' => $this->title('Original')]);
+
+        $update = $this->post([
+            'op' => 'update', 'resource' => 'items', 'id' => $id,
+            'data' => ['dcterms:title' => $this->title('Changed')],
+        ]);
+        $undo = $this->post(['op' => 'undo', 'id' => $update->getVariable('change_id')]);
+
+        $this->assertTrue($undo->getVariable('success'));
+        $this->assertSame([$id], $undo->getVariable('data')['restored_ids']);
+        $this->assertSame(
+            'Original',
+            $this->controller->fakeApi->resources['items'][$id]['dcterms:title'][0]['@value']
+        );
+    }
+
+    public function testUndoDeleteRecreatesResource(): void
+    {
+        $id = $this->controller->fakeApi->seed('items', ['dcterms:title' => $this->title('Gone')]);
+
+        $delete = $this->post(['op' => 'delete', 'resource' => 'items', 'id' => $id]);
+        $this->assertArrayNotHasKey($id, $this->controller->fakeApi->resources['items']);
+
+        $undo   = $this->post(['op' => 'undo', 'id' => $delete->getVariable('change_id')]);
+        $report = $undo->getVariable('data');
+        $newId  = $report['recreated_ids'][$id];
+
+        $this->assertNotSame($id, $newId);
+        $this->assertSame(
+            'Gone',
+            $this->controller->fakeApi->resources['items'][$newId]['dcterms:title'][0]['@value']
+        );
+    }
+
+    public function testUndoCreateDeletesResource(): void
+    {
+        $create = $this->post([
+            'op' => 'create', 'resource' => 'items',
+            'data' => ['dcterms:title' => $this->title('New')],
+        ]);
+        $id = $create->getVariable('data')['o:id'];
+
+        $this->post(['op' => 'undo', 'id' => $create->getVariable('change_id')]);
+
+        $this->assertArrayNotHasKey($id, $this->controller->fakeApi->resources['items']);
+    }
+
+    public function testUndoLastRevertsOwnMostRecentChange(): void
+    {
+        $first  = $this->post(['op' => 'create', 'resource' => 'items', 'data' => []]);
+        $second = $this->post(['op' => 'create', 'resource' => 'items', 'data' => []]);
+        $this->controller->userId = 2;
+        $this->post(['op' => 'create', 'resource' => 'items', 'data' => []]);
+        $this->controller->userId = 1;
+
+        $undo = $this->post(['op' => 'undo_last']);
+
+        $this->assertSame($second->getVariable('change_id'), $undo->getVariable('data')['change_id']);
+        $items = $this->controller->fakeApi->resources['items'];
+        $this->assertArrayHasKey($first->getVariable('data')['o:id'], $items);
+        $this->assertArrayNotHasKey($second->getVariable('data')['o:id'], $items);
+    }
+
+    public function testChangeCannotBeUndoneTwice(): void
+    {
+        $create = $this->post(['op' => 'create', 'resource' => 'items', 'data' => []]);
+        $this->post(['op' => 'undo', 'id' => $create->getVariable('change_id')]);
+
+        $again = $this->post(['op' => 'undo', 'id' => $create->getVariable('change_id')]);
+
+        $this->assertSame(400, $this->response->getStatusCode());
+        $this->assertTrue($again->getVariable('error'));
+    }
+
+    public function testChangeWithoutSnapshotCannotBeUndone(): void
+    {
+        $changeId = $this->controller->fakeAuditLog->record([
+            'user_id' => 1, 'operation' => 'update', 'resource' => 'items',
+            'resource_ids' => [3], 'outcome' => 'success',
+        ]);
+
+        $this->post(['op' => 'undo', 'id' => $changeId]);
+
+        $this->assertSame(400, $this->response->getStatusCode());
+        $this->assertNull($this->controller->fakeAuditLog->find($changeId)['reverted']);
+    }
+
+    public function testUndoUnknownChangeReturns404(): void
+    {
+        $this->post(['op' => 'undo', 'id' => 999]);
+
+        $this->assertSame(404, $this->response->getStatusCode());
+    }
+
+    public function testUndoIsItselfAudited(): void
+    {
+        $create = $this->post(['op' => 'create', 'resource' => 'items', 'data' => []]);
+        $this->post(['op' => 'undo', 'id' => $create->getVariable('change_id')]);
+
+        $entry = $this->controller->fakeAuditLog->find(2);
+        $this->assertSame('undo', $entry['operation']);
+        $this->assertSame('items', $entry['resource']);
+        $this->assertNotNull($this->controller->fakeAuditLog->find(1)['reverted']);
+    }
+}
@@ -0,0 +1,83 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use Laminas\Stdlib\Parameters;
+use Laminas\View\Model\JsonModel;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests multipart requests: the JSON payload in the 'payload' field and the
+ * uploaded files handed to the API for the upload ingester.
+ */
+class ProxyUploadTest extends TestCase
+{
+    private ApiBackedWebMCPProxyController $controller;
+    private Response $response;
+    private int $item;
+
+    protected function setUp(): void
+    {
+        $this->controller = new ApiBackedWebMCPProxyController();
+        $this->response   = new Response();
+        $this->controller->setTestResponse($this->response);
+        $this->item = $this->controller->fakeApi->seed('items', ['o:title' => 'Blue vase']);
+    }
+
+    private function upload(array $payload, array $files): JsonModel
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setPost(new Parameters(['payload' => json_encode($payload)]));
+        $request->setFiles(new Parameters($files));
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        $this->controller->setTestRequest($request);
+        return $this->controller->proxyAction();
+    }
+
+    private function mediaPayload(): array
+    {
+        return [
+            'op'       => 'create',
+            'resource' => 'media',
+            'data'     => [
+                'o:ingester'    => 'upload',
+                'file_index'    => 0,
+                'o:item'        => ['o:id' => $this->item],
+                'dcterms:title' => [['type' => 'literal', '@value' => 'Front view']],
+            ],
+        ];
+    }
+
+    public function testUploadedFilesReachTheApi(): void
+    {
+        $file = ['name' => 'vase.jpg', 'type' => 'image/jpeg', 'tmp_name' => '/tmp/php123', 'error' => 0, 'size' => 42];
+
+        $result = $this->upload($this->mediaPayload(), ['file' => [0 => $file]]);
+
+        $this->assertTrue($result->getVariable('success'));
+        $media = $result->getVariable('data');
+        $this->assertSame('upload', $media['o:ingester']);
+        $this->assertSame('Front view', $media['dcterms:title'][0]['@value']);
+        $this->assertSame(['file' => [0 => $file]], $this->controller->fakeApi->lastFileData);
+        $this->assertNotNull($result->getVariable('change_id'));
+    }
+
+    public function testJsonRequestsCarryNoFiles(): void
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setContent((string) json_encode($this->mediaPayload()));
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        $request->setFiles(new Parameters(['file' => [0 => ['name' => 'stray.jpg']]]));
+        $this->controller->setTestRequest($request);
+
+        $this->controller->proxyAction();
+
+        $this->assertSame([], $this->controller->fakeApi->lastFileData);
+    }
+}
@@ -0,0 +1,85 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use Laminas\View\Model\JsonModel;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests the view option of the search and get operations.
+ */
+class ProxyViewTest extends TestCase
+{
+    private ApiBackedWebMCPProxyController $controller;
+    private Response $response;
+    private int $itemId;
+
+    protected function setUp(): void
+    {
+        $this->controller = new ApiBackedWebMCPProxyController();
+        $this->response   = new Response();
+        $this->controller->setTestResponse($this->response);
+        $this->itemId = $this->controller->fakeApi->seed('items', [
+            '@context'      => 'http://example.com/api-context',
+            'o:title'       => 'Vase',
+            'dcterms:title' => [['type' => 'literal', 'property_id' => 1, '@value' => 'Vase']],
+        ]);
+    }
+
+    private function post(array $body): JsonModel
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setContent((string) json_encode($body));
+        $request->getHeaders()->addHeaderLine('Content-Type', 'application/json');
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        $this->controller->setTestRequest($request);
+        return $this->controller->proxyAction();
+    }
+
+    public function testRepresentationsAreFullByDefault(): void
+    {
+        $data = $this->post(['op' => 'get', 'resource' => 'items', 'id' => $this->itemId])->getVariable('data');
+
+        $this->assertSame('http://example.com/api-context', $data['@context']);
+    }
+
+    public function testSearchProjectsEveryResult(): void
+    {
+        $data = $this->post(['op' => 'search', 'resource' => 'items', 'view' => 'summary'])->getVariable('data');
+
+        $this->assertSame(1, $data['total_results']);
+        $this->assertSame('Vase', $data['items'][0]['title']);
+        $this->assertArrayNotHasKey('@context', $data['items'][0]);
+        $this->assertArrayNotHasKey('properties', $data['items'][0]);
+    }
+
+    public function testGetWithMetadataView(): void
+    {
+        $data = $this->post(['op' => 'get', 'resource' => 'items', 'id' => $this->itemId, 'view' => 'metadata'])
+            ->getVariable('data');
+
+        $this->assertSame(['dcterms:title' => ['Vase']], $data['properties']);
+    }
+
+    public function testUnknownViewReturns400(): void
+    {
+        $result = $this->post(['op' => 'search', 'resource' => 'items', 'view' => 'compact']);
+
+        $this->assertSame(400, $this->response->getStatusCode());
+        $this->assertStringContainsString('summary, metadata, full', $result->getVariable('message'));
+    }
+
+    public function testCompactViewOfUnsupportedResourceReturns400(): void
+    {
+        $this->controller->fakeApi->seed('users', ['o:name' => 'Ada']);
+
+        $this->post(['op' => 'search', 'resource' => 'users', 'view' => 'summary']);
+
+        $this->assertSame(400, $this->response->getStatusCode());
+    }
+}
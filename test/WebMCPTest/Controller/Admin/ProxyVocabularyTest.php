@@ -0,0 +1,59 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Controller\Admin;
+
+use Laminas\Http\Request;
+use Laminas\Http\Response;
+use Laminas\View\Model\JsonModel;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests the vocabulary operation that feeds the JS term registry.
+ */
+class ProxyVocabularyTest extends TestCase
+{
+    private ApiBackedWebMCPProxyController $controller;
+    private Response $response;
+
+    protected function setUp(): void
+    {
+        $this->controller = new ApiBackedWebMCPProxyController();
+        $this->response   = new Response();
+        $this->controller->setTestResponse($this->response);
+    }
+
+    private function post(array $body): JsonModel
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_POST);
+        $request->setContent((string) json_encode($body));
+        $request->getHeaders()->addHeaderLine('Content-Type', 'application/json');
+        $request->getHeaders()->addHeaderLine('X-CSRF-Token', 'valid-token');
+        $this->controller->setTestRequest($request);
+        return $this->controller->proxyAction();
+    }
+
+    public function testVocabularyOperationNeedsNoResource(): void
+    {
+        $this->controller->fakeApi->seed('vocabularies', ['o:prefix' => 'dcterms']);
+        $id = $this->controller->fakeApi->seed('properties', ['o:term' => 'dcterms:title']);
+
+        $result = $this->post(['op' => 'vocabulary']);
+
+        $this->assertTrue($result->getVariable('success'));
+        $data = $result->getVariable('data');
+        $this->assertSame(['dcterms'], array_column($data['vocabularies'], 'prefix'));
+        $this->assertSame(['dcterms:title' => $id], $data['properties']);
+        $this->assertSame([], $data['classes']);
+        $this->assertArrayHasKey('signature', $data);
+    }
+
+    public function testVocabularyOperationIsNotAudited(): void
+    {
+        $this->post(['op' => 'vocabulary']);
+
+        $this->assertSame([], $this->controller->fakeAuditLog->rows);
+    }
+}
@@ -12,16 +12,19 @@ use WebMCP\Controller\Admin\WebMCPProxyController;
  * Testable subclass that:
  *  - allows injecting Request/Response directly (bypassing the Laminas
  *    EventManager dispatch cycle)
- *  - stubs out CSRF validation
+ *  - stubs out CSRF validation and token generation
  *  - stubs out runOperation() so tests can inspect arguments and simulate
  *    results/exceptions without a real Omeka-S API stack
+ *  - captures audit entries instead of writing them to the database
  */
 class TestableWebMCPProxyController extends WebMCPProxyController
 {
     public bool $csrfValid = true;
+    public string $nextCsrfToken = 'fresh-token';
     public array $nextOperationResult = ['mocked' => true];
     public ?array $lastOperationArgs = null;
     public ?\Exception $nextOperationException = null;
+    public array $auditEntries = [];
 
     /**
      * Inject an HTTP request into the protected property that
@@ -46,9 +49,27 @@ class TestableWebMCPProxyController extends WebMCPProxyController
         return $this->csrfValid;
     }
 
-    protected function runOperation(string $op, string $resource, $id, array $query, $data, array $ids): array
+    protected function generateCsrfToken(): string
     {
-        $this->lastOperationArgs = compact('op', 'resource', 'id', 'query', 'data', 'ids');
+        return $this->nextCsrfToken;
+    }
+
+    protected function recordAudit(array $entry): ?int
+    {
+        $this->auditEntries[] = $entry;
+        return count($this->auditEntries);
+    }
+
+    protected function runOperation(
+        string $op,
+        string $resource,
+        $id,
+        array $query,
+        $data,
+        array $ids,
+        array $options = []
+    ): array {
+        $this->lastOperationArgs = compact('op', 'resource', 'id', 'query', 'data', 'ids', 'options');
         if ($this->nextOperationException !== null) {
             throw $this->nextOperationException;
         }
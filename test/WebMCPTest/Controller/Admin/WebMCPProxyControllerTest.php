@@ -63,6 +63,31 @@ class WebMCPProxyControllerTest extends TestCase
         $this->assertTrue($result->getVariable('error'));
         $this->assertSame(403, $this->response->getStatusCode());
         $this->assertStringContainsString('CSRF', $result->getVariable('message'));
+        $this->assertSame('invalid_csrf', $result->getVariable('code'));
+    }
+
+    public function testRefreshCsrfReturnsNewTokenWithoutValidToken(): void
+    {
+        $this->controller->csrfValid = false;
+
+        $result = $this->dispatch($this->makePostRequest(['op' => 'refresh_csrf'], false));
+
+        $this->assertTrue($result->getVariable('success'));
+        $this->assertSame(200, $this->response->getStatusCode());
+        $this->assertSame(['csrf_token' => 'fresh-token'], $result->getVariable('data'));
+        $this->assertNull($this->controller->lastOperationArgs);
+    }
+
+    public function testRefreshCsrfRequiresPost(): void
+    {
+        $request = new Request();
+        $request->setMethod(Request::METHOD_GET);
+        $request->setContent((string) json_encode(['op' => 'refresh_csrf']));
+
+        $result = $this->dispatch($request);
+
+        $this->assertTrue($result->getVariable('error'));
+        $this->assertSame(405, $this->response->getStatusCode());
     }
 
     public function testRejectsNonJsonBody(): void
@@ -127,6 +152,33 @@ class WebMCPProxyControllerTest extends TestCase
         $this->assertSame(['page' => 1], $args['query']);
     }
 
+    public function testDryRunFlagIsForwardedForWrites(): void
+    {
+        $this->dispatch(
+            $this->makePostRequest(['op' => 'update', 'resource' => 'items', 'id' => 1, 'dry_run' => true])
+        );
+
+        $this->assertTrue($this->controller->lastOperationArgs['options']['dry_run']);
+        $this->assertSame([], $this->controller->auditEntries);
+    }
+
+    public function testDryRunFlagIsIgnoredForReads(): void
+    {
+        $this->dispatch($this->makePostRequest(['op' => 'search', 'resource' => 'items', 'dry_run' => true]));
+
+        $this->assertFalse($this->controller->lastOperationArgs['options']['dry_run']);
+    }
+
+    public function testModesAreForwarded(): void
+    {
+        $this->dispatch($this->makePostRequest([
+            'op' => 'update', 'resource' => 'items', 'id' => 1,
+            'modes' => ['dcterms:subject' => 'append'],
+        ]));
+
+        $this->assertSame(['dcterms:subject' => 'append'], $this->controller->lastOperationArgs['options']['modes']);
+    }
+
     public function testPermissionDeniedExceptionReturns403(): void
     {
         $this->controller->nextOperationException =
@@ -163,6 +215,27 @@ class WebMCPProxyControllerTest extends TestCase
         $this->assertStringContainsString('Title is required', $result->getVariable('message'));
     }
 
+    public function testValidationExceptionErrorStoreIsReturnedAsFields(): void
+    {
+        $exception = new \Omeka\Api\Exception\ValidationException('Validation failed');
+        $exception->setErrorStore(new class {
+            public function getErrors(): array
+            {
+                return ['o:resource_template' => ['The template requires a "Title" value.']];
+            }
+        });
+        $this->controller->nextOperationException = $exception;
+
+        $result = $this->dispatch($this->makePostRequest(['op' => 'create', 'resource' => 'items']));
+
+        $this->assertSame(422, $this->response->getStatusCode());
+        $this->assertSame('invalid_fields', $result->getVariable('code'));
+        $this->assertSame(
+            [['field' => 'o:resource_template', 'message' => 'The template requires a "Title" value.']],
+            $result->getVariable('fields')
+        );
+    }
+
     public function testInvalidArgumentExceptionReturns400(): void
     {
         $this->controller->nextOperationException =
@@ -53,4 +53,40 @@ class ConfigFormFieldsTest extends TestCase
             $this->assertSame('0', $opts['unchecked_value'] ?? null, "unchecked_value for $name");
         }
     }
+
+    public function testFormContainsMaxResultsField(): void
+    {
+        $form = new ConfigForm();
+        $form->init();
+
+        $this->assertTrue($form->has('webmcp_max_results'));
+        $element = $form->get('webmcp_max_results');
+        $this->assertInstanceOf(Element\Number::class, $element);
+        $this->assertSame('1', $element->getAttribute('min'));
+        $this->assertSame('500', $element->getValue());
+    }
+
+    public function testFormContainsBatchChunkSizeField(): void
+    {
+        $form = new ConfigForm();
+        $form->init();
+
+        $this->assertTrue($form->has('webmcp_batch_chunk_size'));
+        $element = $form->get('webmcp_batch_chunk_size');
+        $this->assertInstanceOf(Element\Number::class, $element);
+        $this->assertSame('1', $element->getAttribute('min'));
+        $this->assertSame('50', $element->getValue());
+    }
+
+    public function testFormContainsMediaMaxSizeField(): void
+    {
+        $form = new ConfigForm();
+        $form->init();
+
+        $this->assertTrue($form->has('webmcp_media_max_size'));
+        $element = $form->get('webmcp_media_max_size');
+        $this->assertInstanceOf(Element\Number::class, $element);
+        $this->assertSame('1', $element->getAttribute('min'));
+        $this->assertSame('100', $element->getValue());
+    }
 }
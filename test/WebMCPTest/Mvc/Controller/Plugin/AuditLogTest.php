@@ -0,0 +1,99 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Mvc\Controller\Plugin;
+
+use PHPUnit\Framework\TestCase;
+use WebMCP\Mvc\Controller\Plugin\AuditLog;
+
+/**
+ * Unit tests for the database-independent helpers of the AuditLog plugin.
+ */
+class AuditLogTest extends TestCase
+{
+    // ------------------------------------------------------------------ diff
+
+    public function testDiffReportsChangedPropertyValues(): void
+    {
+        $before = ['dcterms:title' => [['type' => 'literal', '@value' => 'Old', 'property_label' => 'Title']]];
+        $after  = ['dcterms:title' => [['type' => 'literal', '@value' => 'New', 'property_label' => 'Title']]];
+
+        $this->assertSame(
+            ['dcterms:title' => ['before' => ['Old'], 'after' => ['New']]],
+            AuditLog::diff($before, $after)
+        );
+    }
+
+    public function testDiffIgnoresUnchangedAndVolatileFields(): void
+    {
+        $before = [
+            'o:id'          => 1,
+            'o:modified'    => ['@value' => '2024-01-01T00:00:00+00:00'],
+            'dcterms:title' => [['@value' => 'Same', 'property_label' => 'Title']],
+        ];
+        $after = [
+            'o:id'          => 1,
+            'o:modified'    => ['@value' => '2024-06-01T00:00:00+00:00'],
+            'dcterms:title' => [['@value' => 'Same', 'property_label' => 'Titre']],
+        ];
+
+        $this->assertSame([], AuditLog::diff($before, $after));
+    }
+
+    public function testDiffReportsAddedAndRemovedFields(): void
+    {
+        $before = ['dcterms:subject' => [['@value' => 'History']]];
+        $after  = ['dcterms:creator' => [['@id' => 'https://example.org/person/1']]];
+
+        $diff = AuditLog::diff($before, $after);
+
+        $this->assertSame(['before' => ['History'], 'after' => null], $diff['dcterms:subject']);
+        $this->assertSame(['before' => null, 'after' => ['https://example.org/person/1']], $diff['dcterms:creator']);
+    }
+
+    public function testDiffComparesNonPropertyFieldsVerbatim(): void
+    {
+        $diff = AuditLog::diff(['o:is_public' => true], ['o:is_public' => false]);
+
+        $this->assertSame(['o:is_public' => ['before' => true, 'after' => false]], $diff);
+    }
+
+    // ------------------------------------------------------------------ rows
+
+    public function testHydrateRowDecodesJsonColumns(): void
+    {
+        $row = AuditLog::hydrateRow([
+            'id'           => '3',
+            'resource_ids' => '[1,2]',
+            'changes'      => '{"dcterms:title":{"before":["a"],"after":["b"]}}',
+        ]);
+
+        $this->assertSame([1, 2], $row['resource_ids']);
+        $this->assertSame(['before' => ['a'], 'after' => ['b']], $row['changes']['dcterms:title']);
+    }
+
+    public function testToCsvRowFollowsColumnOrder(): void
+    {
+        $row = AuditLog::toCsvRow([
+            'id'           => 3,
+            'created'      => '2024-05-01 10:00:00',
+            'user_id'      => 1,
+            'user_email'   => 'admin@example.com',
+            'operation'    => 'update',
+            'resource'     => 'items',
+            'resource_ids' => [42],
+            'tool'         => 'update-item',
+            'outcome'      => 'success',
+            'message'      => null,
+            'changes'      => ['dcterms:title' => ['before' => ['a'], 'after' => ['b']]],
+        ]);
+
+        $this->assertCount(count(AuditLog::CSV_COLUMNS), $row);
+        $this->assertSame('3', $row[0]);
+        $this->assertSame('42', $row[6]);
+        $this->assertSame('update-item', $row[7]);
+        $this->assertSame('', $row[9]);
+        $this->assertSame('{"dcterms:title":{"before":["a"],"after":["b"]}}', $row[10]);
+    }
+}
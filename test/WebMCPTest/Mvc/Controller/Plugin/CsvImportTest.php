@@ -0,0 +1,125 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Mvc\Controller\Plugin;
+
+use PHPUnit\Framework\TestCase;
+use WebMCP\Mvc\Controller\Plugin\CsvImport;
+use WebMCPTest\Controller\Admin\FakeApiManager;
+use WebMCPTest\Controller\Admin\FakeHttpClient;
+
+class CsvImportTest extends TestCase
+{
+    private FakeApiManager $api;
+    private FakeHttpClient $http;
+    private CsvImport $import;
+
+    protected function setUp(): void
+    {
+        $this->api  = new FakeApiManager();
+        $this->http = new FakeHttpClient();
+        $this->api->seed('properties', ['o:term' => 'bibo:title', 'o:label' => 'Title']);
+        $this->api->seed('properties', ['o:term' => 'dcterms:title', 'o:label' => 'Title']);
+        $this->api->seed('properties', ['o:term' => 'dcterms:creator', 'o:label' => 'Creator']);
+        $this->api->seed('properties', ['o:term' => 'dcterms:subject', 'o:label' => 'Subject']);
+        $this->import = new CsvImport($this->api, $this->http);
+    }
+
+    public function testParseHandlesQuotedMultilineValuesAndBom(): void
+    {
+        [$headers, $rows] = $this->import->parse("\xEF\xBB\xBFdcterms:title,dcterms:description\n"
+            . "Eiffel Tower,\"A tower,\nin Paris\"\n\nMona Lisa,Painting\n");
+
+        $this->assertSame(['dcterms:title', 'dcterms:description'], $headers);
+        $this->assertSame([1, 2], array_keys($rows));
+        $this->assertSame("A tower,\nin Paris", $rows[1][1]);
+    }
+
+    public function testParseAcceptsTabDelimiter(): void
+    {
+        [$headers] = $this->import->parse("Title\tCreator\nA\tB\n", 'tab');
+
+        $this->assertSame(['Title', 'Creator'], $headers);
+    }
+
+    public function testParseRejectsTooManyRows(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->import->parse("Title\n" . str_repeat("x\n", CsvImport::MAX_ROWS + 1));
+    }
+
+    public function testMapHeadersByTermLabelLocalNameAndSpecialColumn(): void
+    {
+        $map = $this->import->mapHeaders(['dcterms:creator', 'Title', 'subject', 'Media_URL', 'item_sets', 'Notes']);
+
+        $this->assertSame(
+            ['dcterms:creator', 'dcterms:title', 'dcterms:subject', 'media_url', 'item_set', null],
+            $map
+        );
+    }
+
+    public function testExplicitMappingWinsAndCanIgnoreColumns(): void
+    {
+        $map = $this->import->mapHeaders(['Title', 'Who'], ['Title' => 'ignore', 'Who' => 'dcterms:creator']);
+
+        $this->assertSame([null, 'dcterms:creator'], $map);
+    }
+
+    public function testMappingToUnknownTermIsRejected(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->import->mapHeaders(['Who'], ['Who' => 'dcterms:creater']);
+    }
+
+    public function testBuildItemSplitsValuesAndAddsMediaAndItemSets(): void
+    {
+        $item = $this->import->buildItem(
+            ['Harbour', 'boats | sea', 'http://example.com/a.jpg', '7'],
+            ['dcterms:title', 'dcterms:subject', 'media_url', 'item_set'],
+            '|',
+            ['item_set_ids' => [3], 'resource_template_id' => 2]
+        );
+
+        $this->assertSame([['type' => 'literal', '@value' => 'Harbour']], $item['dcterms:title']);
+        $this->assertSame(['boats', 'sea'], array_column($item['dcterms:subject'], '@value'));
+        $this->assertSame('http://example.com/a.jpg', $item['o:media'][0]['ingest_url']);
+        $this->assertSame('url', $item['o:media'][0]['o:ingester']);
+        $this->assertSame([['o:id' => 3], ['o:id' => 7]], $item['o:item_set']);
+        $this->assertSame(['o:id' => 2], $item['o:resource_template']);
+    }
+
+    public function testBuildItemRejectsNonNumericItemSet(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->import->buildItem(['Photos'], ['item_set']);
+    }
+
+    public function testReadSourceDownloadsUrl(): void
+    {
+        $this->http->responses['https://example.com/items.csv'] = [200, "Title\nA\n"];
+
+        $this->assertSame("Title\nA\n", $this->import->readSource(['url' => 'https://example.com/items.csv']));
+    }
+
+    public function testReadSourceReadsMediaOriginalFile(): void
+    {
+        $mediaId = $this->api->seed('media', ['o:original_url' => 'https://omeka.test/files/original/x.csv']);
+        $this->http->responses['https://omeka.test/files/original/x.csv'] = [200, "Title\nB\n"];
+
+        $this->assertSame("Title\nB\n", $this->import->readSource(['media_id' => $mediaId]));
+    }
+
+    public function testReadSourceReportsFailedDownload(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->expectExceptionMessage('HTTP 404');
+        $this->import->readSource(['url' => 'https://example.com/missing.csv']);
+    }
+
+    public function testReadSourceRejectsNonHttpUrl(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->import->readSource(['url' => 'file:///etc/passwd']);
+    }
+}
@@ -0,0 +1,47 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Mvc\Controller\Plugin;
+
+use PHPUnit\Framework\TestCase;
+use WebMCP\Mvc\Controller\Plugin\DataTypes;
+
+class DataTypesTest extends TestCase
+{
+    private DataTypes $dataTypes;
+
+    protected function setUp(): void
+    {
+        $this->dataTypes = new DataTypes(['literal', 'uri', 'resource:item']);
+    }
+
+    public function testHas(): void
+    {
+        $this->assertTrue($this->dataTypes->has('uri'));
+        $this->assertFalse($this->dataTypes->has('numeric:timestamp'));
+    }
+
+    public function testFindUnknownReportsTermAndType(): void
+    {
+        $errors = $this->dataTypes->findUnknown([
+            'dcterms:title' => [['type' => 'literal', '@value' => 'Title']],
+            'dcterms:date'  => [['type' => 'numeric:timestamp', '@value' => '1999']],
+        ]);
+
+        $this->assertCount(1, $errors);
+        $this->assertSame('dcterms:date', $errors[0]['field']);
+        $this->assertStringContainsString('numeric:timestamp', $errors[0]['message']);
+    }
+
+    public function testFindUnknownIgnoresNonPropertyKeysAndUntypedValues(): void
+    {
+        $errors = $this->dataTypes->findUnknown([
+            'o:resource_template' => ['type' => 'whatever'],
+            'o:item_set'          => [['o:id' => 1, 'type' => 'whatever']],
+            'dcterms:subject'     => [['@value' => 'No type']],
+        ]);
+
+        $this->assertSame([], $errors);
+    }
+}
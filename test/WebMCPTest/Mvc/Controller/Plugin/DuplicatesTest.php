@@ -0,0 +1,127 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Mvc\Controller\Plugin;
+
+use PHPUnit\Framework\TestCase;
+use WebMCP\Mvc\Controller\Plugin\Duplicates;
+use WebMCPTest\Controller\Admin\FakeApiManager;
+
+class DuplicatesTest extends TestCase
+{
+    private FakeApiManager $api;
+    private Duplicates $duplicates;
+    private int $tower;
+    private int $bridge;
+
+    protected function setUp(): void
+    {
+        $this->api = new FakeApiManager();
+        $this->tower = $this->api->seed('items', [
+            'o:title'            => 'The Eiffel Tower',
+            'dcterms:title'      => $this->values('The Eiffel Tower'),
+            'dcterms:creator'    => $this->values('Eiffel, Gustave'),
+            'dcterms:date'       => $this->values('1889-03-31'),
+            'dcterms:identifier' => $this->values('PAR-001'),
+        ]);
+        $this->bridge = $this->api->seed('items', [
+            'o:title'            => 'Pont Neuf',
+            'dcterms:title'      => $this->values('Pont Neuf'),
+            'dcterms:identifier' => $this->values('PAR-002'),
+            'dcterms:spatial'    => $this->values('Paris'),
+        ]);
+        $this->duplicates = new Duplicates($this->api);
+    }
+
+    private function values(string ...$values): array
+    {
+        return array_map(fn ($value) => ['type' => 'literal', '@value' => $value], $values);
+    }
+
+    public function testIdentifierMatchesExactlyOnly(): void
+    {
+        $matches = $this->duplicates->find('items', ['dcterms:identifier' => $this->values('PAR-002')]);
+
+        $this->assertSame([[
+            'id'         => $this->bridge,
+            'title'      => 'Pont Neuf',
+            'score'      => 1.0,
+            'matched_on' => ['dcterms:identifier' => 1.0],
+        ]], $matches);
+        $this->assertSame([], $this->duplicates->find('items', ['dcterms:identifier' => $this->values('PAR-00')]));
+    }
+
+    public function testTitleIsComparedNormalizedWithCreatorAndDate(): void
+    {
+        $matches = $this->duplicates->find('items', [
+            'dcterms:title'   => $this->values('Eiffel tower.'),
+            'dcterms:creator' => $this->values('Eiffel, Gustave'),
+            'dcterms:date'    => $this->values('1889'),
+        ]);
+
+        $this->assertCount(1, $matches);
+        $this->assertSame($this->tower, $matches[0]['id']);
+        $this->assertSame(0.93, $matches[0]['score']);
+        $this->assertSame(
+            ['dcterms:title' => 1.0, 'dcterms:creator' => 1.0, 'dcterms:date' => 0.5],
+            $matches[0]['matched_on']
+        );
+    }
+
+    public function testThresholdFiltersWeakMatches(): void
+    {
+        $data = ['dcterms:title' => $this->values('Pont Neuf de Paris')];
+
+        $this->assertSame([], $this->duplicates->find('items', $data, ['by' => 'title']));
+        $matches = $this->duplicates->find('items', $data, ['by' => 'title', 'threshold' => 0.5]);
+        $this->assertSame([$this->bridge], array_column($matches, 'id'));
+    }
+
+    public function testPropertiesStrategyComparesTheGivenTerms(): void
+    {
+        $matches = $this->duplicates->find(
+            'items',
+            ['dcterms:title' => $this->values('Pont Neuf'), 'dcterms:spatial' => $this->values('paris')],
+            ['by' => 'properties', 'properties' => ['dcterms:title', 'dcterms:spatial']]
+        );
+
+        $this->assertSame([$this->bridge], array_column($matches, 'id'));
+        $this->assertSame(['dcterms:title' => 1.0, 'dcterms:spatial' => 1.0], $matches[0]['matched_on']);
+    }
+
+    public function testExcludedResourceIsNotItsOwnDuplicate(): void
+    {
+        $bridge = $this->api->resources['items'][$this->bridge];
+
+        $this->assertSame([], $this->duplicates->find('items', $bridge, [], $this->bridge));
+    }
+
+    public function testDataWithoutComparableValuesHasNoDuplicates(): void
+    {
+        $this->assertSame([], $this->duplicates->find('items', ['o:is_public' => true]));
+    }
+
+    public function testNormalizeIgnoresCasePunctuationAndArticles(): void
+    {
+        $this->assertSame('eiffel tower', Duplicates::normalize('The  Eiffel-Tower!'));
+    }
+
+    public function testUnknownStrategyIsRejected(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->duplicates->find('items', [], ['by' => 'color']);
+    }
+
+    public function testPropertiesStrategyNeedsTerms(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->duplicates->find('items', [], ['by' => 'properties']);
+    }
+
+    public function testOnlyItemsAndItemSetsAreChecked(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->duplicates->find('media', []);
+    }
+}
@@ -0,0 +1,121 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Mvc\Controller\Plugin;
+
+use PHPUnit\Framework\TestCase;
+use WebMCP\Mvc\Controller\Plugin\Export;
+use WebMCPTest\Controller\Admin\FakeApiManager;
+
+class ExportTest extends TestCase
+{
+    private FakeApiManager $api;
+    private Export $export;
+
+    protected function setUp(): void
+    {
+        $this->api    = new FakeApiManager();
+        $this->export = new Export($this->api);
+    }
+
+    private function item(): array
+    {
+        return [
+            'o:id'                => 7,
+            '@id'                 => 'https://omeka.test/api/items/7',
+            'o:is_public'         => true,
+            'o:resource_template' => ['@id' => 'https://omeka.test/api/resource_templates/2', 'o:id' => 2],
+            'o:item_set'          => [['o:id' => 3], ['o:id' => 4]],
+            'o:created'           => [
+                '@value' => '2024-03-15T10:00:00+00:00',
+                '@type'  => 'http://www.w3.org/2001/XMLSchema#dateTime',
+            ],
+            'dcterms:title'       => [
+                ['type' => 'literal', '@value' => 'Harbour', '@language' => 'en'],
+                ['type' => 'literal', '@value' => 'Puerto', '@language' => 'es'],
+            ],
+            'dcterms:rights'      => [
+                ['type' => 'uri', '@id' => 'http://rightsstatements.org/vocab/InC/1.0/', 'o:label' => 'In Copyright'],
+            ],
+            'dcterms:creator'     => [
+                ['type' => 'resource:item', 'value_resource_id' => 12, '@id' => 'https://omeka.test/api/items/12'],
+            ],
+            'dcterms:spatial'     => [['type' => 'literal', '@value' => 'Bilbao, "old" port']],
+        ];
+    }
+
+    public function testCollectPagesThroughEveryMatch(): void
+    {
+        for ($i = 0; $i < 230; $i++) {
+            $this->api->seed('items', []);
+        }
+
+        [$items, $total] = $this->export->collect('items', ['page' => 3, 'per_page' => 5]);
+
+        $this->assertSame(230, $total);
+        $this->assertCount(230, $items);
+        $this->assertSame(230, $items[229]['o:id']);
+    }
+
+    public function testCollectStopsAtLimit(): void
+    {
+        for ($i = 0; $i < 120; $i++) {
+            $this->api->seed('items', []);
+        }
+
+        [$items, $total] = $this->export->collect('items', [], 110);
+
+        $this->assertSame(120, $total);
+        $this->assertCount(110, $items);
+    }
+
+    public function testCsvFlattensValuesIntoOneColumnPerTerm(): void
+    {
+        $csv  = $this->export->serialize([$this->item()], 'csv', ['multivalue_delimiter' => ' ; ']);
+        $rows = array_map('str_getcsv', explode("\n", trim($csv)));
+        $row  = array_combine($rows[0], $rows[1]);
+
+        $this->assertSame(
+            ['o:id', 'o:is_public', 'o:resource_template', 'o:resource_class', 'o:item_set', 'o:created', 'o:modified',
+                'dcterms:title', 'dcterms:rights', 'dcterms:creator', 'dcterms:spatial'],
+            $rows[0]
+        );
+        $this->assertSame('7', $row['o:id']);
+        $this->assertSame('1', $row['o:is_public']);
+        $this->assertSame('2', $row['o:resource_template']);
+        $this->assertSame('', $row['o:resource_class']);
+        $this->assertSame('3 ; 4', $row['o:item_set']);
+        $this->assertSame('2024-03-15T10:00:00+00:00', $row['o:created']);
+        $this->assertSame('Harbour ; Puerto', $row['dcterms:title']);
+        $this->assertSame('http://rightsstatements.org/vocab/InC/1.0/ In Copyright', $row['dcterms:rights']);
+        $this->assertSame('12', $row['dcterms:creator']);
+        $this->assertSame('Bilbao, "old" port', $row['dcterms:spatial']);
+    }
+
+    public function testJsonLdKeepsRepresentations(): void
+    {
+        $json = $this->export->serialize([$this->item()], 'jsonld');
+
+        $this->assertSame([$this->item()], json_decode($json, true));
+    }
+
+    public function testOaiDcMapsDublinCoreTermsToElements(): void
+    {
+        $xml = simplexml_load_string($this->export->serialize([$this->item()], 'oai_dc'));
+        $dc  = $xml->children('http://www.openarchives.org/OAI/2.0/oai_dc/')->dc
+            ->children('http://purl.org/dc/elements/1.1/');
+
+        $this->assertSame('https://omeka.test/api/items/7', (string) $dc->identifier);
+        $this->assertCount(2, $dc->title);
+        $this->assertSame('es', (string) $dc->title[1]->attributes('xml', true)->lang);
+        $this->assertSame('Bilbao, "old" port', (string) $dc->coverage);
+        $this->assertSame('http://rightsstatements.org/vocab/InC/1.0/ In Copyright', (string) $dc->rights);
+    }
+
+    public function testUnknownFormatIsRejected(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->export->serialize([], 'marc');
+    }
+}
@@ -0,0 +1,68 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Mvc\Controller\Plugin;
+
+use WebMCP\Mvc\Controller\Plugin\AuditLog;
+
+/**
+ * AuditLog that keeps entries in memory instead of the database.
+ *
+ * Entries go through the same JSON encoding and hydration as the real
+ * table, so snapshots come back exactly as undo would read them.
+ */
+class InMemoryAuditLog extends AuditLog
+{
+    /** @var array<int, array> Raw rows keyed by ID */
+    public array $rows = [];
+
+    public function __construct()
+    {
+    }
+
+    public function record(array $entry): int
+    {
+        $id = count($this->rows) + 1;
+        $this->rows[$id] = [
+            'id'           => $id,
+            'created'      => date('Y-m-d H:i:s'),
+            'user_id'      => $entry['user_id'] ?? null,
+            'user_email'   => $entry['user_email'] ?? null,
+            'operation'    => (string) $entry['operation'],
+            'resource'     => (string) $entry['resource'],
+            'resource_ids' => json_encode(array_values($entry['resource_ids'] ?? [])),
+            'tool'         => $entry['tool'] ?? null,
+            'changes'      => isset($entry['changes']) ? json_encode($entry['changes']) : null,
+            'snapshot'     => isset($entry['snapshot']) ? json_encode($entry['snapshot']) : null,
+            'outcome'      => (string) $entry['outcome'],
+            'message'      => $entry['message'] ?? null,
+            'reverted'     => null,
+        ];
+        return $id;
+    }
+
+    public function find(int $id): ?array
+    {
+        return isset($this->rows[$id]) ? self::hydrateRow($this->rows[$id]) : null;
+    }
+
+    public function findLastUndoable(?int $userId): ?array
+    {
+        foreach (array_reverse($this->rows, true) as $row) {
+            if ($row['user_id'] === $userId
+                && in_array($row['operation'], self::UNDOABLE_OPERATIONS, true)
+                && $row['outcome'] !== 'failure'
+                && $row['reverted'] === null
+            ) {
+                return self::hydrateRow($row);
+            }
+        }
+        return null;
+    }
+
+    public function markReverted(int $id): void
+    {
+        $this->rows[$id]['reverted'] = date('Y-m-d H:i:s');
+    }
+}
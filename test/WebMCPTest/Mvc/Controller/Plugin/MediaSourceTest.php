@@ -0,0 +1,195 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Mvc\Controller\Plugin;
+
+use Laminas\Http\Client;
+use PHPUnit\Framework\TestCase;
+use WebMCP\Mvc\Controller\Plugin\MediaSource;
+
+/**
+ * Checks media sources served over real HTTP by a local stub server (PHP's
+ * built-in web server with fixtures/media-source-server.php as router).
+ */
+class MediaSourceTest extends TestCase
+{
+    /** @var resource|null */
+    private static $server;
+
+    private static string $baseUrl = '';
+
+    private MediaSource $mediaSource;
+
+    public static function setUpBeforeClass(): void
+    {
+        $socket = stream_socket_server('tcp://127.0.0.1:0');
+        $port   = (int) substr(strrchr((string) stream_socket_get_name($socket, false), ':'), 1);
+        fclose($socket);
+
+        $null = ['file', '/dev/null', 'w'];
+        self::$server = proc_open(
+            [PHP_BINARY, '-S', '127.0.0.1:' . $port, __DIR__ . '/fixtures/media-source-server.php'],
+            [1 => $null, 2 => $null],
+            $pipes
+        ) ?: null;
+        // Wait up to five seconds for the server to accept connections.
+        for ($i = 0; self::$server && $i < 50; $i++) {
+            $connection = @fsockopen('127.0.0.1', $port);
+            if ($connection) {
+                fclose($connection);
+                self::$baseUrl = 'http://127.0.0.1:' . $port;
+                break;
+            }
+            usleep(100000);
+        }
+    }
+
+    public static function tearDownAfterClass(): void
+    {
+        if (self::$server) {
+            proc_terminate(self::$server);
+            proc_close(self::$server);
+            self::$server = null;
+        }
+    }
+
+    protected function setUp(): void
+    {
+        if (self::$baseUrl === '') {
+            $this->markTestSkipped('The stub server could not be started.');
+        }
+        $this->mediaSource = new MediaSource(
+            new Client(null, ['timeout' => 5]),
+            1024 * 1024,
+            ['image/jpeg', 'image/png', 'application/pdf']
+        );
+    }
+
+    public function testFileReportsMediaTypeAndSize(): void
+    {
+        $report = $this->mediaSource->check('url', self::$baseUrl . '/photo.jpg');
+
+        $this->assertTrue($report['valid']);
+        $this->assertSame(200, $report['status']);
+        $this->assertSame('image/jpeg', $report['media_type']);
+        $this->assertSame(2048, $report['size']);
+    }
+
+    public function testFileFallsBackToARangeRequestWhenHeadIsRefused(): void
+    {
+        $report = $this->mediaSource->check('url', self::$baseUrl . '/no-head.pdf');
+
+        $this->assertTrue($report['valid']);
+        $this->assertSame('application/pdf', $report['media_type']);
+        $this->assertSame(5000, $report['size']);
+    }
+
+    public function testRangeFallbackStopsAfterTheHeaders(): void
+    {
+        $start  = microtime(true);
+        $report = $this->mediaSource->check('url', self::$baseUrl . '/ignores-range.jpg');
+
+        // The stub takes four seconds to send its body.
+        $this->assertLessThan(2, microtime(true) - $start);
+        $this->assertSame(200, $report['status']);
+        $this->assertSame(5 * 1024 * 1024, $report['size']);
+        $this->assertSame('too_large', $report['errors'][0]['code']);
+    }
+
+    public function testRangeFallbackFollowsRedirects(): void
+    {
+        $report = $this->mediaSource->check('url', self::$baseUrl . '/moved.pdf');
+
+        $this->assertTrue($report['valid']);
+        $this->assertSame(206, $report['status']);
+        $this->assertSame('application/pdf', $report['media_type']);
+        $this->assertSame(5000, $report['size']);
+    }
+
+    public function testOversizedFileIsRejected(): void
+    {
+        $report = $this->mediaSource->check('url', self::$baseUrl . '/huge.jpg');
+
+        $this->assertFalse($report['valid']);
+        $this->assertSame('too_large', $report['errors'][0]['code']);
+        $this->assertSame('The file is 5.0 MB, over the 1.0 MB limit.', $report['errors'][0]['message']);
+    }
+
+    public function testUnsupportedMediaTypeIsRejected(): void
+    {
+        $report = $this->mediaSource->check('url', self::$baseUrl . '/script.exe');
+
+        $this->assertFalse($report['valid']);
+        $this->assertSame('unsupported_media_type', $report['errors'][0]['code']);
+    }
+
+    public function testMissingFileIsUnreachable(): void
+    {
+        $report = $this->mediaSource->check('url', self::$baseUrl . '/missing.jpg');
+
+        $this->assertFalse($report['valid']);
+        $this->assertSame(404, $report['status']);
+        $this->assertSame('unreachable', $report['errors'][0]['code']);
+    }
+
+    public function testIiifImageReportsVersionAndDimensions(): void
+    {
+        $report = $this->mediaSource->check('iiif', self::$baseUrl . '/iiif/info.json');
+
+        $this->assertTrue($report['valid']);
+        $this->assertSame(['version' => 3, 'width' => 6000, 'height' => 4000], $report['iiif']);
+    }
+
+    public function testIiifImageRejectsOtherJson(): void
+    {
+        $report = $this->mediaSource->check('iiif', self::$baseUrl . '/oembed');
+
+        $this->assertFalse($report['valid']);
+        $this->assertSame('invalid_iiif', $report['errors'][0]['code']);
+    }
+
+    public function testIiifManifestReportsLabelAndCanvases(): void
+    {
+        $report = $this->mediaSource->check('iiif_presentation', self::$baseUrl . '/manifest.json');
+
+        $this->assertTrue($report['valid']);
+        $this->assertSame(
+            ['version' => 3, 'type' => 'Manifest', 'label' => 'Harbour at dusk', 'canvases' => 2],
+            $report['iiif']
+        );
+    }
+
+    public function testOembedDiscoversProviderAndTitle(): void
+    {
+        $report = $this->mediaSource->check('oembed', self::$baseUrl . '/video');
+
+        $this->assertTrue($report['valid']);
+        $this->assertSame('Stub Video', $report['oembed']['provider']);
+        $this->assertSame('Harbour timelapse', $report['oembed']['title']);
+        $this->assertSame('video', $report['oembed']['type']);
+    }
+
+    public function testPageWithoutOembedIsUnsupported(): void
+    {
+        $report = $this->mediaSource->check('oembed', self::$baseUrl . '/plain');
+
+        $this->assertFalse($report['valid']);
+        $this->assertSame('unsupported_source', $report['errors'][0]['code']);
+    }
+
+    public function testNonHttpUrlIsRejectedWithoutARequest(): void
+    {
+        $report = $this->mediaSource->check('url', 'file:///etc/passwd');
+
+        $this->assertFalse($report['valid']);
+        $this->assertNull($report['status']);
+        $this->assertSame('invalid_url', $report['errors'][0]['code']);
+    }
+
+    public function testUnknownIngesterThrows(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->mediaSource->check('youtube', self::$baseUrl . '/video');
+    }
+}
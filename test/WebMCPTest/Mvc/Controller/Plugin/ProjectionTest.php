@@ -0,0 +1,129 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Mvc\Controller\Plugin;
+
+use PHPUnit\Framework\TestCase;
+use WebMCP\Mvc\Controller\Plugin\Projection;
+use WebMCPTest\Controller\Admin\FakeApiManager;
+
+class ProjectionTest extends TestCase
+{
+    private FakeApiManager $api;
+    private Projection $projection;
+    private array $item;
+
+    protected function setUp(): void
+    {
+        $this->api = new FakeApiManager();
+        $classId    = $this->api->seed('resource_classes', ['o:term' => 'dctype:Image']);
+        $templateId = $this->api->seed('resource_templates', ['o:label' => 'Photograph']);
+        $this->projection = new Projection($this->api);
+
+        $this->item = [
+            '@context'               => 'http://example.com/api-context',
+            '@id'                    => 'http://example.com/api/items/7',
+            'o:id'                   => 7,
+            'o:title'                => 'Harbour at dusk',
+            'o:is_public'            => false,
+            'o:resource_class'       => ['@id' => 'http://example.com/api/resource_classes/1', 'o:id' => $classId],
+            'o:resource_template'    => ['@id' => 'http://example.com/api/resource_templates/2', 'o:id' => $templateId],
+            'o:modified'             => ['@value' => '2024-05-01T10:00:00+00:00'],
+            'o:item_set'             => [['@id' => 'http://example.com/api/item_sets/3', 'o:id' => 3]],
+            'o:media'                => [['@id' => 'http://example.com/api/media/8', 'o:id' => 8]],
+            'o:primary_media'        => ['@id' => 'http://example.com/api/media/8', 'o:id' => 8],
+            'thumbnail_display_urls' => ['large' => 'http://example.com/files/large/x.jpg'],
+            'dcterms:title'          => [
+                ['type' => 'literal', 'property_id' => 1, 'property_label' => 'Title', '@value' => 'Harbour at dusk'],
+                ['type' => 'literal', 'property_id' => 1, '@value' => 'Port au crépuscule', '@language' => 'fr'],
+            ],
+            'dcterms:source'         => [['type' => 'uri', '@id' => 'http://example.com/a', 'o:label' => 'Archive']],
+            'dcterms:relation'       => [
+                ['type' => 'resource:item', 'value_resource_id' => 9, 'display_title' => 'Pier'],
+            ],
+            'dcterms:date'           => [['type' => 'numeric:timestamp', '@value' => '1987']],
+        ];
+    }
+
+    public function testFullViewReturnsTheRepresentationUnchanged(): void
+    {
+        $this->assertSame($this->item, $this->projection->project('items', $this->item, 'full'));
+    }
+
+    public function testSummaryResolvesClassAndTemplate(): void
+    {
+        $summary = $this->projection->project('items', $this->item, 'summary');
+
+        $this->assertSame([
+            'id'           => 7,
+            'title'        => 'Harbour at dusk',
+            'is_public'    => false,
+            'class'        => 'dctype:Image',
+            'template'     => 'Photograph',
+            'modified'     => '2024-05-01T10:00:00+00:00',
+            'item_set_ids' => [3],
+            'media_count'  => 1,
+        ], $summary);
+    }
+
+    public function testMetadataFlattensPropertyValues(): void
+    {
+        $metadata = $this->projection->project('items', $this->item, 'metadata');
+
+        $this->assertSame([8], $metadata['media_ids']);
+        $this->assertSame(8, $metadata['primary_media_id']);
+        $this->assertSame([
+            'dcterms:title'    => ['Harbour at dusk', ['value' => 'Port au crépuscule', 'lang' => 'fr']],
+            'dcterms:source'   => [['uri' => 'http://example.com/a', 'label' => 'Archive']],
+            'dcterms:relation' => [['resource_id' => 9, 'title' => 'Pier']],
+            'dcterms:date'     => [['value' => '1987', 'type' => 'numeric:timestamp']],
+        ], $metadata['properties']);
+        $this->assertArrayNotHasKey('@context', $metadata);
+    }
+
+    public function testMediaSummaryNamesItsItem(): void
+    {
+        $summary = $this->projection->project('media', [
+            'o:id'         => 8,
+            'o:title'      => 'x.jpg',
+            'o:item'       => ['@id' => 'http://example.com/api/items/7', 'o:id' => 7],
+            'o:media_type' => 'image/jpeg',
+            'o:ingester'   => 'upload',
+            'o:source'     => 'x.jpg',
+            'o:alt_text'   => 'A harbour at dusk',
+        ], 'summary');
+
+        $this->assertSame(7, $summary['item_id']);
+        $this->assertSame('image/jpeg', $summary['media_type']);
+        $this->assertSame('A harbour at dusk', $summary['alt_text']);
+        $this->assertNull($summary['class']);
+    }
+
+    public function testSiteSummaryHasSlug(): void
+    {
+        $site    = ['o:id' => 1, 'o:title' => 'Museum', 'o:slug' => 'museum'];
+        $summary = $this->projection->project('sites', $site, 'metadata');
+
+        $this->assertSame(['id' => 1, 'title' => 'Museum', 'is_public' => true, 'slug' => 'museum'], $summary);
+    }
+
+    public function testMissingClassIsReportedAsNull(): void
+    {
+        $this->item['o:resource_class']['o:id'] = 99;
+
+        $this->assertNull($this->projection->project('items', $this->item, 'summary')['class']);
+    }
+
+    public function testCompactViewOfUnsupportedResourceIsRejected(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->projection->project('users', ['o:id' => 1], 'summary');
+    }
+
+    public function testUnknownViewIsRejected(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->projection->project('items', $this->item, 'compact');
+    }
+}
@@ -0,0 +1,160 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Mvc\Controller\Plugin;
+
+use PHPUnit\Framework\TestCase;
+use WebMCP\Mvc\Controller\Plugin\ResourceTemplates;
+use WebMCPTest\Controller\Admin\FakeApiManager;
+
+class ResourceTemplatesTest extends TestCase
+{
+    private FakeApiManager $api;
+    private ResourceTemplates $templates;
+    private int $templateId;
+
+    protected function setUp(): void
+    {
+        $this->api = new FakeApiManager();
+        $title      = $this->api->seed('properties', ['o:term' => 'dcterms:title', 'o:label' => 'Title']);
+        $identifier = $this->api->seed('properties', ['o:term' => 'dcterms:identifier', 'o:label' => 'Identifier']);
+        $date       = $this->api->seed('properties', ['o:term' => 'dcterms:date', 'o:label' => 'Date']);
+        $this->templateId = $this->api->seed('resource_templates', [
+            'o:label' => 'Museum object',
+            'o:resource_template_property' => [
+                [
+                    'o:property'        => ['o:id' => $title],
+                    'o:alternate_label' => null,
+                    'o:is_required'     => true,
+                    'o:data_type'       => [],
+                ],
+                [
+                    'o:property'        => ['o:id' => $identifier],
+                    'o:alternate_label' => 'Accession number',
+                    'o:is_required'     => true,
+                    'o:data_type'       => ['literal'],
+                ],
+                [
+                    'o:property'        => ['o:id' => $date],
+                    'o:alternate_label' => '',
+                    'o:is_required'     => false,
+                    'o:data_type'       => ['numeric:timestamp'],
+                ],
+            ],
+        ]);
+        $this->templates = new ResourceTemplates($this->api);
+    }
+
+    private function literal(string $value): array
+    {
+        return [['type' => 'literal', '@value' => $value]];
+    }
+
+    public function testGetFieldsUsesAlternateLabelWhenSet(): void
+    {
+        $fields = $this->templates->getFields($this->templateId);
+
+        $this->assertSame(['dcterms:title', 'dcterms:identifier', 'dcterms:date'], array_column($fields, 'term'));
+        $this->assertSame(['Title', 'Accession number', 'Date'], array_column($fields, 'label'));
+        $this->assertTrue($fields[1]['required']);
+        $this->assertSame(['literal'], $fields[1]['data_types']);
+    }
+
+    public function testGetTemplatesListsEveryTemplateWithFields(): void
+    {
+        $other = $this->api->seed('resource_templates', [
+            'o:label'          => 'Letter',
+            'o:resource_class' => ['o:id' => 7],
+        ]);
+
+        $templates = $this->templates->getTemplates();
+
+        $this->assertSame([$this->templateId, $other], array_column($templates, 'id'));
+        $this->assertSame('Museum object', $templates[0]['label']);
+        $this->assertNull($templates[0]['resource_class_id']);
+        $this->assertSame(7, $templates[1]['resource_class_id']);
+        $this->assertCount(3, $templates[0]['fields']);
+        $this->assertSame([], $templates[1]['fields']);
+    }
+
+    public function testGetFieldsReturnsNullForUnknownTemplate(): void
+    {
+        $this->assertNull($this->templates->getFields(999));
+    }
+
+    public function testMapLabelsMovesAlternateAndPropertyLabelsToTerms(): void
+    {
+        $mapped = $this->templates->mapLabels([
+            'accession number'    => $this->literal('1987.4'),
+            'Title'               => $this->literal('Vase'),
+            'ingest_url'          => 'http://example.com/a.jpg',
+            'o:resource_template' => ['o:id' => $this->templateId],
+        ], $this->templateId);
+
+        $this->assertSame('1987.4', $mapped['dcterms:identifier'][0]['@value']);
+        $this->assertSame('Vase', $mapped['dcterms:title'][0]['@value']);
+        $this->assertSame('http://example.com/a.jpg', $mapped['ingest_url']);
+        $this->assertArrayNotHasKey('Title', $mapped);
+    }
+
+    public function testMapLabelsMergesValuesSentUnderLabelAndTerm(): void
+    {
+        $mapped = $this->templates->mapLabels([
+            'dcterms:title' => $this->literal('Vase'),
+            'Title'         => $this->literal('Jarrón'),
+        ], $this->templateId);
+
+        $this->assertCount(2, $mapped['dcterms:title']);
+    }
+
+    public function testValidateReportsMissingRequiredFieldsWithLabels(): void
+    {
+        $errors = $this->templates->validate(['dcterms:title' => $this->literal('Vase')], $this->templateId);
+
+        $this->assertCount(1, $errors);
+        $this->assertSame('dcterms:identifier', $errors[0]['field']);
+        $this->assertSame('Accession number', $errors[0]['label']);
+        $this->assertSame('missing', $errors[0]['code']);
+    }
+
+    public function testBlankValuesDoNotSatisfyRequiredFields(): void
+    {
+        $errors = $this->templates->validate([
+            'dcterms:title'      => $this->literal('  '),
+            'dcterms:identifier' => $this->literal('1987.4'),
+        ], $this->templateId);
+
+        $this->assertSame(['dcterms:title'], array_column($errors, 'field'));
+    }
+
+    public function testValidateReportsDisallowedDataType(): void
+    {
+        $errors = $this->templates->validate([
+            'dcterms:title'      => $this->literal('Vase'),
+            'dcterms:identifier' => $this->literal('1987.4'),
+            'dcterms:date'       => $this->literal('1987'),
+        ], $this->templateId);
+
+        $this->assertSame('invalid_data_type', $errors[0]['code']);
+        $this->assertSame('dcterms:date', $errors[0]['field']);
+    }
+
+    public function testDataTypesAreOnlyCheckedForGivenTerms(): void
+    {
+        $errors = $this->templates->validate([
+            'dcterms:title'      => $this->literal('Vase'),
+            'dcterms:identifier' => $this->literal('1987.4'),
+            'dcterms:date'       => $this->literal('1987'),
+        ], $this->templateId, ['dcterms:title']);
+
+        $this->assertSame([], $errors);
+    }
+
+    public function testValidateReportsUnknownTemplate(): void
+    {
+        $errors = $this->templates->validate([], 999);
+
+        $this->assertSame('unknown_template', $errors[0]['code']);
+    }
+}
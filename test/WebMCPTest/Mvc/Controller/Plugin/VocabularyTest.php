@@ -0,0 +1,49 @@
+<?php
+
+declare(strict_types=1);
+
+namespace WebMCPTest\Mvc\Controller\Plugin;
+
+use PHPUnit\Framework\TestCase;
+use WebMCP\Mvc\Controller\Plugin\Vocabulary;
+use WebMCPTest\Controller\Admin\FakeApiManager;
+
+class VocabularyTest extends TestCase
+{
+    private FakeApiManager $api;
+    private Vocabulary $vocabulary;
+
+    protected function setUp(): void
+    {
+        $this->api = new FakeApiManager();
+        $this->api->seed('vocabularies', [
+            'o:prefix'        => 'dcterms',
+            'o:label'         => 'Dublin Core',
+            'o:namespace_uri' => 'http://purl.org/dc/terms/',
+        ]);
+        $this->api->seed('properties', ['o:term' => 'dcterms:title']);
+        $this->api->seed('properties', ['o:term' => 'dcterms:creator']);
+        $this->api->seed('resource_classes', ['o:term' => 'dctype:Image']);
+        $this->vocabulary = new Vocabulary($this->api);
+    }
+
+    public function testRegistryListsVocabulariesAndMapsTermsToIds(): void
+    {
+        $registry = $this->vocabulary->getRegistry();
+
+        $this->assertSame('dcterms', $registry['vocabularies'][0]['prefix']);
+        $this->assertSame('http://purl.org/dc/terms/', $registry['vocabularies'][0]['namespace_uri']);
+        $this->assertSame(['dcterms:creator' => 3, 'dcterms:title' => 2], $registry['properties']);
+        $this->assertSame(['dctype:Image' => 4], $registry['classes']);
+    }
+
+    public function testSignatureChangesWithTheRegistry(): void
+    {
+        $before = $this->vocabulary->getRegistry()['signature'];
+        $this->assertSame($before, $this->vocabulary->getRegistry()['signature']);
+
+        $this->api->seed('properties', ['o:term' => 'dcterms:date']);
+
+        $this->assertNotSame($before, $this->vocabulary->getRegistry()['signature']);
+    }
+}
@@ -0,0 +1,114 @@
+<?php
+
+/**
+ * Router for PHP's built-in web server, serving the media sources that
+ * MediaSourceTest checks: php -S 127.0.0.1:<port> media-source-server.php
+ */
+
+declare(strict_types=1);
+
+$path   = (string) parse_url($_SERVER['REQUEST_URI'], PHP_URL_PATH);
+$method = $_SERVER['REQUEST_METHOD'];
+$base   = 'http://' . $_SERVER['HTTP_HOST'];
+
+$json = function (array $data): void {
+    header('Content-Type: application/json');
+    echo json_encode($data);
+};
+
+switch ($path) {
+    case '/photo.jpg':
+        header('Content-Type: image/jpeg');
+        header('Content-Length: 2048');
+        if ($method !== 'HEAD') {
+            echo str_repeat('x', 2048);
+        }
+        break;
+
+    case '/huge.jpg':
+        // Only ever asked for with HEAD; the size is all that matters.
+        header('Content-Type: image/jpeg');
+        header('Content-Length: ' . (5 * 1024 * 1024));
+        break;
+
+    case '/no-head.pdf':
+        if ($method === 'HEAD') {
+            http_response_code(405);
+            break;
+        }
+        http_response_code(206);
+        header('Content-Type: application/pdf');
+        header('Content-Range: bytes 0-0/5000');
+        echo '%';
+        break;
+
+    case '/ignores-range.jpg':
+        // Refuses HEAD and answers the Range request with the whole file,
+        // trickled out slowly enough that reading the body would show.
+        if ($method === 'HEAD') {
+            http_response_code(405);
+            break;
+        }
+        header('Content-Type: image/jpeg');
+        header('Content-Length: ' . (5 * 1024 * 1024));
+        for ($i = 0; $i < 40 && !connection_aborted(); $i++) {
+            echo str_repeat('x', 1024);
+            flush();
+            usleep(100000);
+        }
+        break;
+
+    case '/moved.pdf':
+        // Refuses HEAD and redirects the GET to the file's new address.
+        if ($method === 'HEAD') {
+            http_response_code(405);
+            break;
+        }
+        header('Location: /no-head.pdf', true, 301);
+        break;
+
+    case '/script.exe':
+        header('Content-Type: application/x-msdownload');
+        header('Content-Length: 10');
+        break;
+
+    case '/iiif/info.json':
+        $json([
+            '@context' => 'http://iiif.io/api/image/3/context.json',
+            'id'       => $base . '/iiif',
+            'type'     => 'ImageService3',
+            'protocol' => 'http://iiif.io/api/image',
+            'width'    => 6000,
+            'height'   => 4000,
+        ]);
+        break;
+
+    case '/manifest.json':
+        $json([
+            '@context' => 'http://iiif.io/api/presentation/3/context.json',
+            'id'       => $base . '/manifest.json',
+            'type'     => 'Manifest',
+            'label'    => ['en' => ['Harbour at dusk']],
+            'items'    => [['type' => 'Canvas'], ['type' => 'Canvas']],
+        ]);
+        break;
+
+    case '/video':
+        header('Content-Type: text/html; charset=utf-8');
+        echo '<html><head><link rel="alternate" type="application/json+oembed" href="'
+            . htmlspecialchars($base . '/oembed?url=' . rawurlencode($base . '/video') . '&format=json')
+            . '"></head><body></body></html>';
+        break;
+
+    case '/oembed':
+        $json(['type' => 'video', 'version' => '1.0', 'provider_name' => 'Stub Video', 'title' => 'Harbour timelapse']);
+        break;
+
+    case '/plain':
+        header('Content-Type: text/html; charset=utf-8');
+        echo '<html><head><title>No oEmbed here</title></head></html>';
+        break;
+
+    default:
+        http_response_code(404);
+}
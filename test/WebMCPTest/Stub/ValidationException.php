@@ -6,4 +6,18 @@ namespace Omeka\Api\Exception;
 
 class ValidationException extends \RuntimeException
 {
+    /**
+     * @var \Omeka\Stdlib\ErrorStore|null
+     */
+    protected $errorStore;
+
+    public function setErrorStore($errorStore)
+    {
+        $this->errorStore = $errorStore;
+    }
+
+    public function getErrorStore()
+    {
+        return $this->errorStore;
+    }
 }